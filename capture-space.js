@@ -13,6 +13,7 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const logger = require('./src/utils/logger');
+const { EXIT_CODES, describeExitCode, isNormalExit } = require('./src/utils/exit-codes');
 const { discoverTwitterSpaces, findMostPopularSpace, findSpacesByQuery } = require('./src/browser/spaces-discovery');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
@@ -33,6 +34,7 @@ program
   .option('--visible', 'Run in visible mode (browser visible)', false)
   .option('-p, --port <port>', 'WebSocket server port', 8080)
   .option('-l, --limit <limit>', 'Limit of spaces to check when discovering', 5)
+  .option('-a, --audio-backend <backend>', 'Audio capture backend (browser, sox, pulse)')
   .parse(process.argv);
 
 const options = program.opts();
@@ -138,6 +140,11 @@ async function startCapturingSpace(spaceUrl) {
       args.push('--port', options.port.toString());
     }
     
+    // Add audio capture backend if specified
+    if (options.audioBackend) {
+      args.push('--audio-backend', options.audioBackend);
+    }
+    
     logger.debug(`Starting capture process with args: ${args.join(' ')}`);
     
     // Start the capture process
@@ -154,6 +161,9 @@ async function startCapturingSpace(spaceUrl) {
       if (code === 0) {
         logger.info('Capture process exited successfully');
         console.log('\n✅ Capture process completed successfully');
+      } else if (isNormalExit(code)) {
+        logger.info(`Capture process finished: ${describeExitCode(code)} (code ${code})`);
+        console.log(`\n✅ Capture finished: ${describeExitCode(code)}`);
       } else {
         logger.error(`Capture process exited with code ${code} and signal ${signal}`);
         console.log(`\n❌ Capture process failed with code ${code}`);
@@ -410,6 +420,17 @@ async function main() {
  * Set up graceful shutdown handler
  */
 function setupShutdownHandler(captureInfo, serverInfo) {
+  // Exit with the capture's own code so wrappers can tell why it stopped
+  if (captureInfo && captureInfo.process) {
+    captureInfo.process.on('exit', (code) => {
+      if (serverInfo && serverInfo.process && !serverInfo.isExisting) {
+        logger.info('Stopping WebSocket server...');
+        serverInfo.process.kill();
+      }
+      process.exit(code === null ? EXIT_CODES.ERROR : code);
+    });
+  }
+  
   process.on('SIGINT', async () => {
     console.log("\n\nStopping capture process...");
     logger.info('Stopping capture process...');
@@ -13,6 +13,7 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const logger = require('./src/utils/logger');
+const { describeExitCode, isNormalExit } = require('./src/utils/exit-codes');
 const { discoverTwitterSpaces } = require('./src/browser/spaces-discovery');
 
 // Configure CLI
@@ -27,6 +28,7 @@ program
   .option('-h, --headless', 'Run in headless mode', false)
   .option('-b, --base-port <port>', 'Base WebSocket server port (will increment for each space)', '8080')
   .option('-w, --websocket-urls <urls>', 'Comma-separated list of WebSocket URLs to send audio to')
+  .option('-a, --audio-backend <backend>', 'Audio capture backend (browser, sox, pulse); pulse isolates each capture in its own null sink')
   .option('-e, --websocket-base <url>', 'Base WebSocket URL (will be appended with space index)', 'wss://localryan.ngrok.app/meeting/wuw-vfud-cre/audio')
   .parse(process.argv);
 
@@ -157,6 +159,11 @@ async function startCapturingSpace(spaceUrl, port, headless, websocketUrl, index
     args.push('--headless');
   }
   
+  // Add audio capture backend if specified
+  if (options.audioBackend) {
+    args.push('--audio-backend', options.audioBackend);
+  }
+  
   // Start the capture process
   const captureProcess = spawn('node', args, {
     stdio: 'pipe' // Capture output
@@ -177,7 +184,11 @@ async function startCapturingSpace(spaceUrl, port, headless, websocketUrl, index
   
   // Handle process events
   captureProcess.on('exit', (code, signal) => {
-    logger.info(`Capture process ${captureId} exited with code ${code} and signal ${signal}`);
+    if (isNormalExit(code)) {
+      logger.info(`Capture process ${captureId} finished: ${describeExitCode(code)} (code ${code})`);
+    } else {
+      logger.error(`Capture process ${captureId} crashed with code ${code} and signal ${signal}`);
+    }
     captureProcesses.delete(captureId);
   });
   
@@ -258,6 +269,7 @@ async function main() {
   logger.info(`Debug mode: ${options.debug ? 'enabled' : 'disabled'}`);
   logger.info(`Headless mode: ${options.headless ? 'enabled' : 'disabled'}`);
   logger.info(`Base WebSocket port: ${options.basePort}`);
+  logger.info(`Audio backend: ${options.audioBackend || 'default'}`);
   
   if (options.websocketUrls) {
     logger.info(`Using provided WebSocket URLs: ${options.websocketUrls}`);
@@ -3,17 +3,248 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const AudioRecorder = require('node-audiorecorder');
-const WebSocket = require('ws');
+const { repairUnfinalizedRecordings } = require('./wav-writer');
+const {
+  createSegmentedRecorder,
+  writeRecorderAudio,
+  closeSegmentedRecorder
+} = require('./segmented-recorder');
+const { CAPTURE_PROCESSOR_NAME, CAPTURE_WORKLET_SOURCE } = require('./capture-worklet');
+const { recordSinkMonitor, removeNullSink } = require('./pulse-sink');
+const { resolveEncoderFormat, ENCODER_FORMATS } = require('./encoder');
+const {
+  createDropoutMonitor,
+  startMonitor,
+  observeAudio,
+  recordSequenceGap,
+  recordCaptureError,
+  recordMarker,
+  recordedSamples,
+  writeTimelineReport
+} = require('./dropout-monitor');
+const { createVoiceActivityDetector, detectVoiceActivity } = require('./voice-activity');
+const { PROTOCOL_ERROR_CODES, STREAM_COMMANDS } = require('./stream-protocol');
+const {
+  sinkLabel,
+  createSink,
+  openSinks,
+  feedSinks,
+  sendSinkEvent,
+  getSinkStats,
+  closeSinks
+} = require('./audio-sinks');
+
+// Name of the page binding the capture worklet pushes audio chunks through
+const AUDIO_CHUNK_BINDING = 'twitterSpaceAudioChunk';
+
+// Available capture backends
+const CAPTURE_BACKENDS = ['browser', 'sox', 'pulse'];
+
+// Sample rate of the browser-based capture
+const BROWSER_SAMPLE_RATE = 16000;
+
+// Audio held back while silence is suppressed, sent ahead of the next speech
+// so the stream does not clip the first syllable
+const SILENCE_PREROLL_MS = 500;
+
+// Audio capture currently fed by each page's binding
+const activeCaptures = new WeakMap();
+const pagesWithAudioBinding = new WeakSet();
+
+/**
+ * Handle an audio chunk pushed from the capture worklet
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {Object} chunk - Chunk with sequence, startFrame, frames and base64 data
+ */
+function handleAudioChunk(audioCapture, chunk) {
+  if (!audioCapture.isRecording || !audioCapture.onAudioChunk) {
+    return;
+  }
+  
+  // Detect chunks that never arrived using the worklet's sequence numbers
+  if (audioCapture.lastSequence !== null && chunk.sequence !== audioCapture.lastSequence + 1) {
+    const missingChunks = chunk.sequence - audioCapture.lastSequence - 1;
+    const missingFrames = chunk.startFrame - audioCapture.nextStartFrame;
+    const afterSequence = audioCapture.lastSequence;
+    const padding = recordSequenceGap(audioCapture.monitor, { afterSequence, missingChunks, missingFrames });
+    logger.warn(`Audio gap detected: ${missingChunks} chunk(s) missing after sequence ${afterSequence} (~${Math.round((missingFrames / BROWSER_SAMPLE_RATE) * 1000)}ms${padding ? ', padded with silence' : ''})`);
+    
+    // Keep the recording aligned with the capture clock
+    if (padding) {
+      deliverAudio(audioCapture, padding);
+    }
+  }
+  
+  audioCapture.lastSequence = chunk.sequence;
+  audioCapture.nextStartFrame = chunk.startFrame + chunk.frames;
+  
+  const audioBuffer = Buffer.from(chunk.data, 'base64');
+  
+  // Log audio level periodically
+  if (Math.random() < 0.01) {
+    let sum = 0;
+    const samples = audioBuffer.length / 2;
+    for (let i = 0; i < samples; i++) {
+      sum += Math.abs(audioBuffer.readInt16LE(i * 2));
+    }
+    logger.debug(`Audio level: ${(sum / samples / 32768).toFixed(6)}`);
+  }
+  
+  audioCapture.onAudioChunk(audioBuffer, chunk);
+}
+
+/**
+ * Write PCM to the local recording and the sinks
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {Buffer} pcm - S16LE PCM data
+ */
+function deliverAudio(audioCapture, pcm) {
+  writeRecorderAudio(audioCapture.recorder, pcm);
+  
+  const speaking = audioCapture.vad ? detectVoiceActivity(audioCapture.vad, pcm) : true;
+  if (audioCapture.sinks.length === 0) {
+    return;
+  }
+  
+  // The local recording keeps everything; only the sinks skip silence
+  if (audioCapture.suppressSilence && !speaking) {
+    audioCapture.heldAudio.push(pcm);
+    audioCapture.heldBytes += pcm.length;
+    const maxBytes = (SILENCE_PREROLL_MS / 1000) * BROWSER_SAMPLE_RATE * 2;
+    while (audioCapture.heldBytes - audioCapture.heldAudio[0].length >= maxBytes) {
+      audioCapture.heldBytes -= audioCapture.heldAudio.shift().length;
+    }
+    return;
+  }
+  
+  // Stream frames are stamped with the wall-clock time of their first sample
+  const bytesToMs = (bytes) => (bytes / 2 / BROWSER_SAMPLE_RATE) * 1000;
+  const now = Date.now();
+  
+  if (audioCapture.heldAudio.length > 0) {
+    feedSinks(audioCapture.sinks, Buffer.concat(audioCapture.heldAudio), now - bytesToMs(audioCapture.heldBytes + pcm.length));
+    audioCapture.heldAudio = [];
+    audioCapture.heldBytes = 0;
+  }
+  feedSinks(audioCapture.sinks, pcm, now - bytesToMs(pcm.length));
+}
+
+/**
+ * Handle a voice activity event
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {Object} event - speech_start, speech_end or silence_timeout event
+ */
+function handleVoiceActivity(audioCapture, event) {
+  if (event.type === 'speech_start') {
+    logger.info(`Speech started at ${event.offsetSeconds.toFixed(2)}s`);
+  } else if (event.type === 'speech_end') {
+    logger.info(`Speech ended at ${event.offsetSeconds.toFixed(2)}s (${event.durationSeconds.toFixed(2)}s)`);
+  } else if (event.type === 'silence_timeout') {
+    logger.warn(`No speech for ${event.silenceSeconds.toFixed(0)}s`);
+  }
+  
+  // Let the receiver follow speech boundaries too
+  sendCaptureEvent(audioCapture, event);
+  
+  // Stop outside the audio path so the chunk being handled is written first
+  if (event.type === 'silence_timeout' && audioCapture.onSilenceTimeout) {
+    const onSilenceTimeout = audioCapture.onSilenceTimeout;
+    setImmediate(() => onSilenceTimeout(event));
+  }
+}
+
+/**
+ * Send a JSON event (speech boundaries, captions, ...) to the WebSocket sinks
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {Object} event - Event with a type field
+ */
+function sendCaptureEvent(audioCapture, event) {
+  // Each client queues events while it reconnects
+  if (audioCapture) {
+    sendSinkEvent(audioCapture.sinks, event);
+  }
+}
+
+/**
+ * Carry out a server command that concerns the whole capture rather than the
+ * stream it came in on
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {Object} sink - Sink the command came from
+ * @param {Object} message - Command message
+ * @returns {Object} Command result
+ * @throws {Error} With a PROTOCOL_ERROR_CODES code if the command cannot be carried out
+ */
+function handleCaptureCommand(audioCapture, sink, message) {
+  const params = message.params || {};
+  let error;
+
+  switch (message.command) {
+    case STREAM_COMMANDS.MARK:
+      if (!audioCapture.monitor) {
+        error = new Error('Not recording');
+        error.code = PROTOCOL_ERROR_CODES.COMMAND_FAILED;
+        throw error;
+      }
+      return recordMarker(audioCapture.monitor, {
+        label: params.label !== undefined ? String(params.label) : null,
+        source: sinkLabel(sink),
+        commandId: message.id
+      });
+
+    case STREAM_COMMANDS.STOP:
+      if (!audioCapture.onStopCommand) {
+        error = new Error('This capture cannot be stopped by its server');
+        error.code = PROTOCOL_ERROR_CODES.COMMAND_FAILED;
+        throw error;
+      }
+      // Let the result go out before the capture starts shutting its sinks
+      setImmediate(() => audioCapture.onStopCommand(params.reason || null, sinkLabel(sink)));
+      return { stopping: true };
+
+    default:
+      error = new Error(`Unknown command: ${message.command}`);
+      error.code = PROTOCOL_ERROR_CODES.UNKNOWN_COMMAND;
+      throw error;
+  }
+}
+
+/**
+ * Resolve which capture backend to use
+ * @param {string} name - Requested backend name (optional)
+ * @returns {string} Backend name
+ */
+function resolveCaptureBackend(name) {
+  const requested = name || process.env.AUDIO_CAPTURE_BACKEND;
+  
+  // Default: system audio via sox in visible mode, in-page capture when headless
+  if (!requested) {
+    return process.env.BROWSER_HEADLESS === 'true' ? 'browser' : 'sox';
+  }
+  
+  if (!CAPTURE_BACKENDS.includes(requested)) {
+    throw new Error(`Unknown audio capture backend: ${requested} (expected one of: ${CAPTURE_BACKENDS.join(', ')})`);
+  }
+  
+  return requested;
+}
 
 /**
  * Setup audio capture from the browser
  * @param {Object} page - Playwright page object
+ * @param {Object} options - Capture options
+ * @param {string} options.backend - Capture backend: 'browser', 'sox' or 'pulse'
+ * @param {Object} options.pulseSink - Null sink the browser was launched with (pulse backend)
+ * @param {string} options.format - Output format: 'wav', 'flac', 'opus' or 'mp3' (default: AUDIO_FORMAT)
+ * @param {string} options.bitrate - Bitrate for lossy formats, e.g. '24k' (optional)
  * @returns {Promise<Object>} Audio capture configuration
  */
-async function setupAudioCapture(page) {
+async function setupAudioCapture(page, options = {}) {
   logger.info('Setting up audio capture...');
   
   try {
+    const backend = resolveCaptureBackend(options.backend);
+    logger.info(`Audio capture backend: ${backend}`);
+    
     // Check if page is still open
     if (!page || page.isClosed()) {
       throw new Error('Page is closed or not available');
@@ -25,33 +256,59 @@ async function setupAudioCapture(page) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
     
+    // Fix up any recordings a previous crash left without valid WAV sizes
+    await repairUnfinalizedRecordings(outputDir);
+    
     // Generate output file path with timestamp
+    const encoding = {
+      format: resolveEncoderFormat(options.format || process.env.AUDIO_FORMAT),
+      bitrate: options.bitrate || null
+    };
+    const { extension } = ENCODER_FORMATS[encoding.format];
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputFilePath = path.join(outputDir, `twitter-space-${timestamp}.wav`);
+    const outputFilePath = path.join(outputDir, `twitter-space-${timestamp}.${extension}`);
     logger.info(`Output file path: ${outputFilePath}`);
     
     // Create audio capture configuration
     const audioCapture = {
       page,
+      backend,
+      encoding,
       outputFilePath,
       isRecording: false,
       audioRecorder: null,
-      fileStream: null,
-      dataCollectionInterval: null,
-      audioBuffer: [],
-      wsConnection: null,
-      audioContext: null,
-      scriptProcessor: null,
-      mediaStreamSource: null,
-      gainNode: null
+      pulseSink: null,
+      pulseRecorder: null,
+      pulseHeardAudio: false,
+      silentCapture: false,
+      recordingFailed: false,
+      recorder: null,
+      sinks: [],
+      onAudioChunk: null,
+      lastSequence: null,
+      nextStartFrame: null,
+      monitor: null,
+      vad: null,
+      suppressSilence: false,
+      heldAudio: [],
+      heldBytes: 0,
+      onSilenceTimeout: null,
+      onStopCommand: null
     };
     
-    // Check if we're in headless mode
-    const isHeadless = process.env.BROWSER_HEADLESS === 'true';
-    logger.info(`Browser headless mode: ${isHeadless}`);
+    // The pulse backend records the browser's dedicated null sink from outside the page
+    if (backend === 'pulse') {
+      if (!options.pulseSink) {
+        throw new Error('The pulse backend needs the null sink the browser was launched with (see createNullSink)');
+      }
+      
+      audioCapture.pulseSink = options.pulseSink;
+      logger.info(`Capturing from null sink monitor: ${audioCapture.pulseSink.monitorSource}`);
+      return audioCapture;
+    }
     
-    // Setup system audio recorder if not in headless mode
-    if (!isHeadless) {
+    // Setup system audio recorder for the sox backend
+    if (backend === 'sox') {
       try {
         logger.info('Setting up system audio recorder...');
         
@@ -63,7 +320,7 @@ async function setupAudioCapture(page) {
           channels: 1,
           encoding: 'signed-integer',
           rate: 16000,
-          type: 'wav',
+          type: 'raw', // Raw S16LE so the output goes through the encoder stage
           silence: 0, // No silence detection
           thresholdStart: 0, // Start immediately
           thresholdStop: 0, // Never stop automatically
@@ -76,7 +333,7 @@ async function setupAudioCapture(page) {
           bits: 16,
           channels: 1,
           rate: 16000,
-          type: 'wav',
+          type: 'raw',
           audioType: 'system'
         })}`);
         
@@ -108,6 +365,7 @@ async function setupAudioCapture(page) {
       } catch (error) {
         logger.error(`Failed to setup system audio recorder: ${error.message}`);
         logger.warn('Falling back to browser-based audio capture');
+        audioCapture.backend = 'browser';
       }
     }
     
@@ -151,14 +409,26 @@ async function setupAudioCapture(page) {
       
       logger.info(`Found ${mediaElementsCount} media elements on the page`);
       
+      // Register the binding the capture worklet pushes audio chunks through
+      activeCaptures.set(page, audioCapture);
+      if (!pagesWithAudioBinding.has(page)) {
+        await page.exposeBinding(AUDIO_CHUNK_BINDING, (source, chunk) => {
+          const capture = activeCaptures.get(page);
+          if (capture) {
+            handleAudioChunk(capture, chunk);
+          }
+        });
+        pagesWithAudioBinding.add(page);
+      }
+      
       // Setup audio context and connect to media elements
-      await page.evaluate(() => {
+      const setupResult = await page.evaluate(async ({ workletSource, processorName, bindingName, sampleRate }) => {
         try {
           // Create audio context if it doesn't exist
           if (!window.twitterSpaceAudioContext) {
             console.log('Creating new AudioContext');
             window.twitterSpaceAudioContext = new (window.AudioContext || window.webkitAudioContext)({
-              sampleRate: 16000
+              sampleRate
             });
             console.log(`AudioContext created with sample rate: ${window.twitterSpaceAudioContext.sampleRate}Hz`);
           }
@@ -174,41 +444,44 @@ async function setupAudioCapture(page) {
             console.log('Gain node connected to audio context destination');
           }
           
-          // Create script processor for capturing audio data
-          if (!window.twitterSpaceScriptProcessor) {
-            console.log('Creating script processor node');
-            window.twitterSpaceScriptProcessor = window.twitterSpaceAudioContext.createScriptProcessor(4096, 1, 1);
+          // Create the AudioWorklet node for capturing audio data
+          if (!window.twitterSpaceCaptureNode) {
+            console.log('Loading audio capture worklet');
+            const workletUrl = URL.createObjectURL(new Blob([workletSource], { type: 'application/javascript' }));
+            await window.twitterSpaceAudioContext.audioWorklet.addModule(workletUrl);
+            URL.revokeObjectURL(workletUrl);
             
-            // Connect script processor to gain node
-            window.twitterSpaceScriptProcessor.connect(window.twitterSpaceGainNode);
-            console.log('Script processor connected to gain node');
+            window.twitterSpaceCaptureNode = new AudioWorkletNode(window.twitterSpaceAudioContext, processorName, {
+              numberOfInputs: 1,
+              numberOfOutputs: 1,
+              channelCount: 1,
+              channelCountMode: 'explicit'
+            });
             
-            // Create buffer to store audio data
-            window.twitterSpaceAudioBuffer = [];
+            // Connect capture node to gain node (its output is silent) so it keeps rendering
+            window.twitterSpaceCaptureNode.connect(window.twitterSpaceGainNode);
+            console.log('Audio capture worklet connected to gain node');
             
-            // Setup audio processing callback
-            window.twitterSpaceScriptProcessor.onaudioprocess = (e) => {
-              const inputBuffer = e.inputBuffer.getChannelData(0);
-              
-              // Calculate audio level for logging
-              let sum = 0;
-              for (let i = 0; i < inputBuffer.length; i++) {
-                sum += Math.abs(inputBuffer[i]);
+            // Forward each chunk to Node as base64-encoded S16LE samples
+            window.twitterSpaceCaptureNode.port.onmessage = (event) => {
+              if (!window.twitterSpaceIsRecording) {
+                return;
               }
-              const average = sum / inputBuffer.length;
               
-              // Log audio level periodically (every ~1 second)
-              if (Math.random() < 0.01) {
-                console.log(`Audio level: ${average.toFixed(6)}`);
+              const { sequence, startFrame, frames, samples } = event.data;
+              const bytes = new Uint8Array(samples);
+              let binary = '';
+              for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
               }
               
-              // Store audio data
-              window.twitterSpaceAudioBuffer.push(new Float32Array(inputBuffer));
-              
-              // Keep buffer size reasonable
-              if (window.twitterSpaceAudioBuffer.length > 100) {
-                window.twitterSpaceAudioBuffer.shift();
-              }
+              window[bindingName]({
+                sequence,
+                startFrame,
+                frames,
+                capturedAt: Date.now(),
+                data: btoa(binary)
+              }).catch(err => console.error(`Error forwarding audio chunk ${sequence}:`, err));
             };
           }
           
@@ -228,10 +501,10 @@ async function setupAudioCapture(page) {
               const source = window.twitterSpaceAudioContext.createMediaElementSource(element);
               console.log(`Created media element source for element ${index}`);
               
-              // Connect source to gain node and script processor
+              // Connect source to gain node and capture worklet
               source.connect(window.twitterSpaceGainNode);
-              source.connect(window.twitterSpaceScriptProcessor);
-              console.log(`Connected media element ${index} to gain node and script processor`);
+              source.connect(window.twitterSpaceCaptureNode);
+              console.log(`Connected media element ${index} to gain node and capture worklet`);
               
               // Mark as connected
               element.twitterSpaceConnected = true;
@@ -255,6 +528,9 @@ async function setupAudioCapture(page) {
           window.startAudioCapture = () => {
             console.log('Starting browser audio capture');
             window.twitterSpaceIsRecording = true;
+            if (window.twitterSpaceAudioContext.state === 'suspended') {
+              window.twitterSpaceAudioContext.resume();
+            }
           };
           
           window.stopAudioCapture = () => {
@@ -262,29 +538,23 @@ async function setupAudioCapture(page) {
             window.twitterSpaceIsRecording = false;
           };
           
-          // Setup method for retrieving audio data
-          window.getAudioData = () => {
-            if (!window.twitterSpaceAudioBuffer || window.twitterSpaceAudioBuffer.length === 0) {
-              return null;
-            }
-            
-            // Get all buffered data
-            const buffers = window.twitterSpaceAudioBuffer;
-            
-            // Clear buffer
-            window.twitterSpaceAudioBuffer = [];
-            
-            return buffers;
-          };
-          
           console.log('Browser-based audio capture setup complete');
           return true;
         } catch (error) {
           console.error('Error setting up browser-based audio capture:', error);
           return false;
         }
+      }, {
+        workletSource: CAPTURE_WORKLET_SOURCE,
+        processorName: CAPTURE_PROCESSOR_NAME,
+        bindingName: AUDIO_CHUNK_BINDING,
+        sampleRate: BROWSER_SAMPLE_RATE
       });
       
+      if (!setupResult) {
+        throw new Error('Audio capture worklet could not be set up in the page');
+      }
+      
       logger.info('Browser-based audio capture setup complete');
     } catch (error) {
       logger.error(`Failed to setup browser-based audio capture: ${error.message}`);
@@ -297,111 +567,26 @@ async function setupAudioCapture(page) {
   }
 }
 
-/**
- * Connect to a WebSocket server for sending audio data
- * @param {string} websocketUrl - WebSocket server URL
- * @returns {Promise<WebSocket>} WebSocket connection
- */
-async function connectToWebSocket(websocketUrl) {
-  logger.info(`Connecting to WebSocket server: ${websocketUrl}`);
-  
-  try {
-    // Validate WebSocket URL
-    if (!websocketUrl || !websocketUrl.startsWith('ws')) {
-      throw new Error(`Invalid WebSocket URL: ${websocketUrl}`);
-    }
-    
-    // Create a new WebSocket connection
-    const ws = new WebSocket(websocketUrl);
-    
-    // Set up connection timeout
-    const connectionTimeout = setTimeout(() => {
-      if (ws.readyState !== 1) { // Not OPEN
-        logger.error('WebSocket connection timeout');
-        ws.close(1006, 'Connection timeout');
-      }
-    }, 10000); // 10 seconds timeout
-    
-    // Wait for the connection to open
-    await new Promise((resolve, reject) => {
-      // Connection opened
-      ws.on('open', () => {
-        logger.info('WebSocket connection established');
-        clearTimeout(connectionTimeout);
-        resolve();
-      });
-      
-      // Connection error
-      ws.on('error', (error) => {
-        logger.error(`WebSocket connection error: ${error.message}`);
-        clearTimeout(connectionTimeout);
-        reject(error);
-      });
-    });
-    
-    // Set up event handlers for the connection
-    ws.on('message', (data) => {
-      try {
-        // Try to parse as JSON
-        const message = JSON.parse(data);
-        logger.debug(`Received message from WebSocket server: ${JSON.stringify(message)}`);
-        
-        // Handle different message types
-        if (message.type === 'heartbeat') {
-          // Respond to heartbeat
-          ws.send(JSON.stringify({ type: 'heartbeat_ack', timestamp: new Date().toISOString() }));
-        }
-      } catch (error) {
-        // Not JSON, log as binary data
-        logger.debug(`Received binary data from WebSocket server: ${data.length} bytes`);
-      }
-    });
-    
-    ws.on('close', (code, reason) => {
-      logger.info(`WebSocket connection closed: ${code} - ${reason}`);
-    });
-    
-    ws.on('error', (error) => {
-      logger.error(`WebSocket error: ${error.message}`);
-    });
-    
-    // Set up heartbeat to keep connection alive
-    const heartbeatInterval = setInterval(() => {
-      if (ws.readyState === 1) { // OPEN
-        logger.debug('Sending heartbeat to WebSocket server');
-        ws.send(JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() }));
-      } else {
-        clearInterval(heartbeatInterval);
-      }
-    }, 30000); // Send heartbeat every 30 seconds
-    
-    // Store the heartbeat interval for cleanup
-    ws.heartbeatInterval = heartbeatInterval;
-    
-    // Override close method to clean up resources
-    const originalClose = ws.close;
-    ws.close = function(code, reason) {
-      clearInterval(this.heartbeatInterval);
-      return originalClose.call(this, code, reason);
-    };
-    
-    return ws;
-  } catch (error) {
-    logger.error(`Failed to connect to WebSocket server: ${error.message}`);
-    
-    // Try to reconnect with exponential backoff
-    logger.info('Will attempt to reconnect...');
-    return null;
-  }
-}
-
 /**
  * Start recording audio from the Twitter Space
  * @param {Object} audioCapture - Audio capture configuration
- * @param {string} websocketUrl - WebSocket URL to send audio data to (optional)
+ * @param {Array<Object>} sinks - Where to send the audio besides the local recording: sink
+ *   definitions for audio-sinks.js (WebSocket, file, HTTP chunked POST, stdout or named pipe,
+ *   live stream listeners or an Icecast server)
+ * @param {Object} options - Recording options
+ * @param {number} options.segmentMinutes - Rotate the recording every N minutes (optional)
+ * @param {number} options.segmentMegabytes - Rotate the recording every N MB (optional)
+ * @param {boolean} options.padGaps - Fill sequence gaps with silence (default true)
+ * @param {number} options.vadThresholdDb - Level in dBFS above which audio counts as speech (optional)
+ * @param {boolean} options.suppressSilence - Don't send audio to the sinks between speech (optional)
+ * @param {number} options.autoStopSilenceSeconds - Report a silence timeout after N seconds without speech (optional)
+ * @param {Function} options.onSilenceTimeout - Called once the silence timeout is reached (optional)
+ * @param {Object} options.space - Space url, title and host, for naming live streams (optional)
+ * @param {Function} options.onSinkFailure - Called when a sink with the stop failure policy fails (optional)
+ * @param {Function} options.onStopCommand - Called with the reason and sink when a WebSocket server sends a stop command (optional)
  * @returns {Promise<boolean>} Success status
  */
-async function startRecording(audioCapture, websocketUrl = null) {
+async function startRecording(audioCapture, sinks = [], options = {}) {
   logger.info('Starting audio recording...');
   
   try {
@@ -411,40 +596,73 @@ async function startRecording(audioCapture, websocketUrl = null) {
       return false;
     }
     
+    // Check the sinks before anything is opened; a bad definition throws here
+    const { format, bitrate } = audioCapture.encoding;
+    const onSinkFailure = options.onSinkFailure || null;
+    audioCapture.sinks = sinks.map((definition) => createSink(definition, {
+      format,
+      bitrate,
+      sampleRate: BROWSER_SAMPLE_RATE,
+      channels: 1,
+      space: options.space || null,
+      onFatal: onSinkFailure ? (sink, error) => setImmediate(() => onSinkFailure(sink, error)) : null,
+      onCommand: (sink, message) => handleCaptureCommand(audioCapture, sink, message)
+    }));
+    
     // Set recording flag
     audioCapture.isRecording = true;
     
-    // Connect to WebSocket if URL is provided
-    if (websocketUrl) {
-      logger.info(`Connecting to WebSocket: ${websocketUrl}`);
-      audioCapture.wsConnection = await connectToWebSocket(websocketUrl);
-      
-      // Send initial metadata to WebSocket
-      if (audioCapture.wsConnection) {
-        const metadata = {
-          type: 'metadata',
-          format: 'S16LE',
-          sampleRate: 16000,
-          channels: 1,
-          timestamp: new Date().toISOString()
-        };
-        
-        logger.info(`Sending metadata to WebSocket: ${JSON.stringify(metadata)}`);
-        audioCapture.wsConnection.send(JSON.stringify(metadata));
+    // Set up the local recording, rotating into segments if requested
+    audioCapture.recorder = createSegmentedRecorder({
+      outputFilePath: audioCapture.outputFilePath,
+      format,
+      bitrate,
+      sampleRate: BROWSER_SAMPLE_RATE,
+      channels: 1,
+      segmentMinutes: options.segmentMinutes,
+      segmentMegabytes: options.segmentMegabytes,
+      onError: (error) => {
+        logger.error(`The local recording stopped recording audio: ${error.message}`);
+        recordCaptureError(audioCapture.monitor, `Recording encoder stopped: ${error.message}`);
+        audioCapture.recordingFailed = true;
       }
-    }
+    });
     
-    // Create file stream for saving audio
-    logger.info(`Creating file stream for output: ${audioCapture.outputFilePath}`);
-    audioCapture.fileStream = fs.createWriteStream(audioCapture.outputFilePath, { encoding: 'binary' });
+    // Open the sinks, each with its own encoder; a sink that fails is handled by its own policy
+    await openSinks(audioCapture.sinks);
+    
+    // Reset sequence tracking and dropout detection for this recording
+    audioCapture.lastSequence = null;
+    audioCapture.nextStartFrame = null;
+    audioCapture.monitor = createDropoutMonitor({
+      sampleRate: BROWSER_SAMPLE_RATE,
+      padGaps: options.padGaps !== false
+    });
+    
+    // Speech detection for events, silence suppression and auto-stop
+    audioCapture.suppressSilence = Boolean(options.suppressSilence);
+    audioCapture.heldAudio = [];
+    audioCapture.heldBytes = 0;
+    audioCapture.onSilenceTimeout = options.onSilenceTimeout || null;
+    audioCapture.onStopCommand = options.onStopCommand || null;
+    audioCapture.vad = createVoiceActivityDetector({
+      sampleRate: BROWSER_SAMPLE_RATE,
+      thresholdDb: options.vadThresholdDb,
+      silenceTimeoutSeconds: options.autoStopSilenceSeconds
+    }, (event) => handleVoiceActivity(audioCapture, event));
+    
+    // Every backend delivers raw S16LE PCM, which goes to the recording and the sinks
+    audioCapture.onAudioChunk = (audioBuffer) => {
+      observeAudio(audioCapture.monitor, audioBuffer);
+      deliverAudio(audioCapture, audioBuffer);
+    };
+    
+    let startResult = false;
     
-    // Start the recorder if available (system audio recording)
     if (audioCapture.audioRecorder) {
+      // Start the system audio recorder
       logger.info(`Starting system audio recorder, saving to: ${audioCapture.outputFilePath}`);
-      
-      // Start the recorder and pipe to file
       const stream = audioCapture.audioRecorder.start().stream();
-      stream.pipe(audioCapture.fileStream);
       
       // Set up data event handler for the recorder
       stream.on('data', (chunk) => {
@@ -453,19 +671,15 @@ async function startRecording(audioCapture, websocketUrl = null) {
           logger.debug(`Received audio chunk: ${chunk.length} bytes`);
         }
         
-        // Send to WebSocket if connected
-        if (audioCapture.wsConnection && audioCapture.wsConnection.readyState === 1) {
-          try {
-            audioCapture.wsConnection.send(chunk);
-          } catch (error) {
-            logger.error(`Error sending audio data to WebSocket: ${error.message}`);
-          }
+        if (audioCapture.isRecording && audioCapture.onAudioChunk) {
+          audioCapture.onAudioChunk(chunk);
         }
       });
       
       // Set up error handler
       stream.on('error', (error) => {
         logger.error(`Recorder error: ${error.message}`);
+        recordCaptureError(audioCapture.monitor, `Recorder error: ${error.message}`);
       });
       
       // Set up close handler
@@ -473,94 +687,62 @@ async function startRecording(audioCapture, websocketUrl = null) {
         logger.info('Recorder stream closed');
       });
       
-      logger.info('System audio recorder started successfully');
-    } else {
-      // Fall back to browser-based recording
-      logger.info('Starting browser-based audio recording');
+      startResult = true;
+    } else if (audioCapture.backend === 'pulse') {
+      // Record the null sink's monitor source
+      logger.info('Starting PulseAudio null sink recording');
+      audioCapture.pulseRecorder = recordSinkMonitor(audioCapture.pulseSink, {
+        sampleRate: BROWSER_SAMPLE_RATE,
+        channels: 1
+      });
       
+      audioCapture.pulseHeardAudio = false;
+      audioCapture.pulseRecorder.stdout.on('data', (chunk) => {
+        // A muted browser still plays into the null sink, as zeros
+        if (!audioCapture.pulseHeardAudio && chunk.some((byte) => byte !== 0)) {
+          audioCapture.pulseHeardAudio = true;
+        }
+        if (audioCapture.isRecording && audioCapture.onAudioChunk) {
+          audioCapture.onAudioChunk(chunk);
+        }
+      });
+      
+      audioCapture.pulseRecorder.on('exit', (code, signal) => {
+        if (audioCapture.isRecording) {
+          logger.error(`parec exited unexpectedly with code ${code} and signal ${signal}`);
+          recordCaptureError(audioCapture.monitor, `parec exited with code ${code} and signal ${signal}`);
+        }
+      });
+      
+      startResult = true;
+    } else {
       // Start the browser-based recording
-      const startResult = await audioCapture.page.evaluate(() => {
+      logger.info('Starting browser-based audio recording');
+      startResult = await audioCapture.page.evaluate(() => {
         if (window.startAudioCapture && typeof window.startAudioCapture === 'function') {
           window.startAudioCapture();
           return true;
         }
         return false;
       });
-      
-      if (startResult) {
-        logger.info('Browser-based audio recording started successfully');
-        
-        // Set up interval to collect and send audio data from the browser
-        audioCapture.dataCollectionInterval = setInterval(async () => {
-          try {
-            if (!audioCapture.isRecording) {
-              clearInterval(audioCapture.dataCollectionInterval);
-              return;
-            }
-            
-            // Get audio data from the browser
-            const audioData = await audioCapture.page.evaluate(() => {
-              if (window.getAudioData && typeof window.getAudioData === 'function') {
-                return window.getAudioData();
-              }
-              return null;
-            });
-            
-            if (audioData && Array.isArray(audioData) && audioData.length > 0) {
-              logger.debug(`Received ${audioData.length} audio buffers from browser`);
-              
-              // Process each buffer
-              for (const buffer of audioData) {
-                // Convert Float32Array to Int16Array (S16LE format)
-                const int16Buffer = new Int16Array(buffer.length);
-                
-                for (let i = 0; i < buffer.length; i++) {
-                  // Clamp values to [-1, 1] and scale to [-32768, 32767]
-                  const sample = Math.max(-1, Math.min(1, buffer[i]));
-                  int16Buffer[i] = Math.floor(sample * 32767);
-                }
-                
-                // Convert to Buffer
-                const audioBuffer = Buffer.from(int16Buffer.buffer);
-                
-                // Write to file
-                audioCapture.fileStream.write(audioBuffer);
-                
-                // Send to WebSocket if connected
-                if (audioCapture.wsConnection && audioCapture.wsConnection.readyState === 1) {
-                  try {
-                    audioCapture.wsConnection.send(audioBuffer);
-                  } catch (error) {
-                    logger.error(`Error sending audio data to WebSocket: ${error.message}`);
-                  }
-                }
-              }
-              
-              // Log audio level periodically
-              if (Math.random() < 0.1) {
-                const lastBuffer = audioData[audioData.length - 1];
-                let sum = 0;
-                for (let i = 0; i < lastBuffer.length; i++) {
-                  sum += Math.abs(lastBuffer[i]);
-                }
-                const average = sum / lastBuffer.length;
-                logger.debug(`Audio level: ${average.toFixed(6)}`);
-              }
-            }
-          } catch (error) {
-            logger.error(`Error collecting audio data: ${error.message}`);
-          }
-        }, 100); // Collect data every 100ms
-      } else {
-        logger.error('Failed to start browser-based audio recording');
-        return false;
-      }
+    }
+    
+    if (startResult) {
+      // The wall clock the dropout monitor checks delivery against starts now
+      startMonitor(audioCapture.monitor);
+      logger.info(`Audio recording started with the ${audioCapture.backend} backend`);
+    } else {
+      logger.error(`Failed to start ${audioCapture.backend} audio recording`);
+      await stopRecording(audioCapture);
+      return false;
     }
     
     logger.info('Audio recording started successfully');
     return true;
   } catch (error) {
     logger.error(`Failed to start audio recording: ${error.message}`);
+    // Close whatever was opened before the failure
+    await stopRecording(audioCapture);
     return false;
   }
 }
@@ -590,18 +772,73 @@ async function stopRecording(audioCapture) {
       logger.info('System audio recorder stopped');
     }
     
-    // Clear data collection interval if set
-    if (audioCapture.dataCollectionInterval) {
-      logger.info('Clearing data collection interval...');
-      clearInterval(audioCapture.dataCollectionInterval);
-      audioCapture.dataCollectionInterval = null;
+    // Stop the null sink monitor recording if active
+    if (audioCapture.pulseRecorder) {
+      logger.info('Stopping PulseAudio monitor recording...');
+      const pulseRecorder = audioCapture.pulseRecorder;
+      audioCapture.pulseRecorder = null;
+      if (pulseRecorder.exitCode === null) {
+        await new Promise((resolve) => {
+          pulseRecorder.once('exit', resolve);
+          pulseRecorder.kill('SIGTERM');
+        });
+      }
+      
+      if (!audioCapture.pulseHeardAudio) {
+        logger.error('The PulseAudio recording is all zeros: the browser played no audio into its null sink');
+        recordCaptureError(audioCapture.monitor, 'PulseAudio recording is all zeros');
+        audioCapture.silentCapture = true;
+      }
+    }
+    
+    // Stop handling captured audio chunks
+    audioCapture.onAudioChunk = null;
+    audioCapture.onSilenceTimeout = null;
+    audioCapture.onStopCommand = null;
+    if (audioCapture.vad) {
+      logger.info(`Detected ${audioCapture.vad.speechSegments} speech segment(s)`);
+      audioCapture.vad = null;
     }
     
-    // Close file stream if open
-    if (audioCapture.fileStream) {
-      logger.info('Closing file stream...');
-      audioCapture.fileStream.end();
-      audioCapture.fileStream = null;
+    // Flush the sinks' encoders and end their outputs
+    await closeSinks(audioCapture.sinks);
+    
+    // Finalize the local recording
+    if (audioCapture.recorder) {
+      logger.info('Finalizing recording...');
+      const summary = await closeSegmentedRecorder(audioCapture.recorder);
+      audioCapture.recorder = null;
+      if (summary && summary.manifestPath) {
+        logger.info(`Recording finalized as ${summary.segmentCount} segment(s), manifest: ${summary.manifestPath}`);
+      } else if (summary) {
+        logger.info(`Recording saved to: ${audioCapture.outputFilePath} (${summary.samplesWritten} samples)`);
+      }
+    }
+    
+    // Write the dropout timeline next to the recording
+    if (audioCapture.monitor) {
+      const recordingPath = audioCapture.outputFilePath;
+      const basePath = recordingPath.slice(0, -path.extname(recordingPath).length);
+      try {
+        const report = await writeTimelineReport(audioCapture.monitor, `${basePath}.timeline.json`, {
+          recording: path.basename(recordingPath),
+          backend: audioCapture.backend,
+          sinks: audioCapture.sinks.length > 0 ? audioCapture.sinks.map(getSinkStats) : undefined
+        });
+        if (report.dropouts.length > 0) {
+          logger.warn(`Recording had ${report.dropouts.length} dropout(s), ${report.shortfallSamples} sample(s) short of the wall clock`);
+        }
+      } catch (error) {
+        logger.error(`Failed to write timeline report: ${error.message}`);
+      }
+      audioCapture.monitor = null;
+    }
+    audioCapture.sinks = [];
+    
+    // Remove the capture's null sink
+    if (audioCapture.pulseSink) {
+      await removeNullSink(audioCapture.pulseSink);
+      audioCapture.pulseSink = null;
     }
     
     // Stop browser-based recording if active
@@ -616,29 +853,7 @@ async function stopRecording(audioCapture) {
       });
     }
     
-    // Close WebSocket connection if open
-    if (audioCapture.wsConnection) {
-      logger.info('Closing WebSocket connection...');
-      if (audioCapture.wsConnection.readyState === 1) { // OPEN
-        // Send end message
-        try {
-          const endMessage = {
-            type: 'end',
-            timestamp: new Date().toISOString()
-          };
-          audioCapture.wsConnection.send(JSON.stringify(endMessage));
-          
-          // Close the connection
-          audioCapture.wsConnection.close(1000, 'Recording stopped');
-        } catch (error) {
-          logger.error(`Error closing WebSocket connection: ${error.message}`);
-        }
-      }
-      audioCapture.wsConnection = null;
-    }
-    
     logger.info('Audio recording stopped successfully');
-    logger.info(`Recording saved to: ${audioCapture.outputFilePath}`);
     return true;
   } catch (error) {
     logger.error(`Failed to stop audio recording: ${error.message}`);
@@ -646,6 +861,22 @@ async function stopRecording(audioCapture) {
   }
 }
 
+/**
+ * Current position in the recording, for aligning page events with the audio
+ * @param {Object} audioCapture - Audio capture configuration
+ * @returns {Object|null} Sample offset and sample rate, or null when not recording
+ */
+function getRecordingPosition(audioCapture) {
+  if (!audioCapture || !audioCapture.monitor) {
+    return null;
+  }
+  
+  return {
+    sample: recordedSamples(audioCapture.monitor),
+    sampleRate: audioCapture.monitor.sampleRate
+  };
+}
+
 /**
  * Convert audio to S16LE format at 16000Hz mono
  * @param {string} inputFile - Input audio file path
@@ -700,6 +931,7 @@ module.exports = {
   setupAudioCapture,
   startRecording,
   stopRecording,
-  connectToWebSocket,
+  getRecordingPosition,
+  sendCaptureEvent,
   convertAudioToS16LE
 }; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * AudioWorklet processor used for browser-based audio capture.
+ *
+ * The processor runs on the browser's audio rendering thread, so it keeps
+ * capturing even when the page's main thread stalls. It converts the input
+ * to S16LE, groups it into fixed-size chunks and posts each chunk to the main
+ * thread with a sequence number and the sample offset of its first frame.
+ */
+
+// Name the processor is registered under in the page
+const CAPTURE_PROCESSOR_NAME = 'twitter-space-capture';
+
+// Number of frames per posted chunk (128ms at 16000Hz)
+const DEFAULT_CHUNK_FRAMES = 2048;
+
+// Processor source, loaded into the page through a Blob URL
+const CAPTURE_WORKLET_SOURCE = `
+class TwitterSpaceCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    this.chunkFrames = processorOptions.chunkFrames || ${DEFAULT_CHUNK_FRAMES};
+    this.chunk = new Int16Array(this.chunkFrames);
+    this.chunkOffset = 0;
+    this.sequence = 0;
+    this.framesCaptured = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    const channel = input && input.length > 0 ? input[0] : null;
+    const frames = channel ? channel.length : 128;
+
+    for (let i = 0; i < frames; i++) {
+      // Unconnected inputs are captured as silence to keep the sample clock running
+      const sample = channel ? Math.max(-1, Math.min(1, channel[i])) : 0;
+      this.chunk[this.chunkOffset++] = Math.floor(sample * 32767);
+
+      if (this.chunkOffset === this.chunkFrames) {
+        this.flush();
+      }
+    }
+
+    return true;
+  }
+
+  flush() {
+    const samples = this.chunk.buffer;
+    this.port.postMessage({
+      sequence: this.sequence++,
+      startFrame: this.framesCaptured,
+      frames: this.chunkFrames,
+      samples
+    }, [samples]);
+
+    this.framesCaptured += this.chunkFrames;
+    this.chunk = new Int16Array(this.chunkFrames);
+    this.chunkOffset = 0;
+  }
+}
+
+registerProcessor('${CAPTURE_PROCESSOR_NAME}', TwitterSpaceCaptureProcessor);
+`;
+
+module.exports = {
+  CAPTURE_PROCESSOR_NAME,
+  CAPTURE_WORKLET_SOURCE,
+  DEFAULT_CHUNK_FRAMES
+};
@@ -0,0 +1,359 @@
+/**
+ * Gap and dropout detection for a capture
+ *
+ * Tracks the samples actually delivered against what the wall clock says we
+ * should have by now, sequence discontinuities reported by the capture
+ * worklet, delivery stalls and silent stretches, along with markers a stream
+ * server asks for. At the end of the capture the monitor is written out as a
+ * JSON timeline report, which is the evidence we need when someone says the
+ * translation skipped a section.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// Report layout version
+const REPORT_VERSION = 1;
+
+// Defaults, all overridable per capture
+const DEFAULT_OPTIONS = {
+  padGaps: true, // Fill sequence gaps with silence so the timeline stays aligned
+  underrunToleranceMs: 750, // Deficit against the wall clock before an underrun is opened
+  underrunSettleMs: 5000, // Deficit must be stable this long before an underrun is closed as lost
+  stallMs: 1000, // Delivery pause that is reported as a stall
+  silenceThreshold: 0.001, // Mean absolute level (0..1) treated as silence
+  minSilenceMs: 2000 // Shortest silent stretch worth reporting
+};
+
+/**
+ * Create a dropout monitor
+ * @param {Object} options - Monitor options (see DEFAULT_OPTIONS)
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @returns {Object} Monitor state
+ */
+function createDropoutMonitor(options = {}) {
+  return {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    sampleRate: options.sampleRate || 16000,
+    startedAt: null,
+    lastArrivalAt: null,
+    receivedSamples: 0,
+    paddedSamples: 0,
+    baselineDeficit: null,
+    underrun: null,
+    silence: null,
+    dropouts: [],
+    stalls: [],
+    silences: [],
+    errors: [],
+    markers: []
+  };
+}
+
+/**
+ * Convert a sample count to milliseconds
+ * @param {Object} monitor - Dropout monitor
+ * @param {number} samples - Sample count
+ * @returns {number} Duration in milliseconds
+ */
+function samplesToMs(monitor, samples) {
+  return Math.round((samples / monitor.sampleRate) * 1000);
+}
+
+/**
+ * Total samples in the recording so far (received plus padding)
+ * @param {Object} monitor - Dropout monitor
+ * @returns {number} Sample count
+ */
+function recordedSamples(monitor) {
+  return monitor.receivedSamples + monitor.paddedSamples;
+}
+
+/**
+ * Mark the start of the capture clock
+ * @param {Object} monitor - Dropout monitor
+ */
+function startMonitor(monitor) {
+  if (monitor.startedAt !== null) {
+    return;
+  }
+  monitor.startedAt = Date.now();
+  monitor.lastArrivalAt = monitor.startedAt;
+}
+
+/**
+ * Close the open underrun
+ * @param {Object} monitor - Dropout monitor
+ * @param {number} deficit - Current deficit in samples
+ * @param {string} outcome - 'late' if the audio caught up, 'left_short' if it was lost
+ */
+function closeUnderrun(monitor, deficit, outcome) {
+  const underrun = monitor.underrun;
+  const missingSamples = outcome === 'late' ? 0 : Math.max(0, deficit - monitor.baselineDeficit);
+
+  monitor.dropouts.push({
+    type: 'underrun',
+    startedAt: new Date(underrun.startedAt).toISOString(),
+    detectedAt: new Date(underrun.detectedAt).toISOString(),
+    startSample: underrun.startSample,
+    durationMs: samplesToMs(monitor, outcome === 'late' ? underrun.peakDeficit - monitor.baselineDeficit : missingSamples),
+    missingSamples,
+    outcome
+  });
+
+  if (outcome === 'left_short') {
+    logger.warn(`Audio dropout: ~${samplesToMs(monitor, missingSamples)}ms of audio never arrived (recording left short)`);
+    // Losses are permanent, so measure later underruns from the new level
+    monitor.baselineDeficit = deficit;
+  } else {
+    logger.info('Delayed audio caught up with the wall clock');
+  }
+
+  monitor.underrun = null;
+}
+
+/**
+ * Compare the samples delivered so far with the wall clock
+ * @param {Object} monitor - Dropout monitor
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} lastGood - Time and sample offset of the last on-time delivery
+ */
+function checkClock(monitor, now, lastGood = { at: monitor.lastArrivalAt, sample: recordedSamples(monitor) }) {
+  const expected = ((now - monitor.startedAt) / 1000) * monitor.sampleRate;
+  const deficit = Math.round(expected - recordedSamples(monitor));
+  const tolerance = (monitor.underrunToleranceMs / 1000) * monitor.sampleRate;
+
+  // The pipeline's normal latency is the smallest deficit we have seen
+  if (monitor.baselineDeficit === null || (!monitor.underrun && deficit < monitor.baselineDeficit)) {
+    monitor.baselineDeficit = deficit;
+  }
+
+  if (!monitor.underrun) {
+    if (deficit > monitor.baselineDeficit + tolerance) {
+      monitor.underrun = {
+        startedAt: lastGood.at,
+        detectedAt: now,
+        startSample: lastGood.sample,
+        peakDeficit: deficit,
+        settledSince: now
+      };
+      logger.warn(`Audio underrun: ${samplesToMs(monitor, deficit - monitor.baselineDeficit)}ms behind the wall clock`);
+    }
+    return;
+  }
+
+  const underrun = monitor.underrun;
+
+  if (deficit <= monitor.baselineDeficit + tolerance / 2) {
+    closeUnderrun(monitor, deficit, 'late');
+  } else if (Math.abs(deficit - underrun.peakDeficit) > tolerance / 2) {
+    underrun.peakDeficit = Math.max(underrun.peakDeficit, deficit);
+    underrun.settledSince = now;
+  } else if (now - underrun.settledSince >= monitor.underrunSettleMs) {
+    closeUnderrun(monitor, deficit, 'left_short');
+  }
+}
+
+/**
+ * Track silent stretches in a chunk of PCM
+ * @param {Object} monitor - Dropout monitor
+ * @param {Buffer} pcm - S16LE PCM data
+ * @param {number} now - Current time in milliseconds
+ */
+function checkSilence(monitor, pcm, now) {
+  const samples = pcm.length / 2;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    sum += Math.abs(pcm.readInt16LE(i * 2));
+  }
+  const level = samples > 0 ? sum / samples / 32768 : 0;
+
+  if (level < monitor.silenceThreshold) {
+    if (!monitor.silence) {
+      monitor.silence = { startedAt: now, startSample: recordedSamples(monitor) };
+    }
+    return;
+  }
+
+  if (monitor.silence) {
+    endSilence(monitor, now);
+  }
+}
+
+/**
+ * Close the current silent stretch, keeping it if it is long enough
+ * @param {Object} monitor - Dropout monitor
+ * @param {number} now - Current time in milliseconds
+ */
+function endSilence(monitor, now) {
+  const silence = monitor.silence;
+  const endSample = recordedSamples(monitor);
+  const durationMs = samplesToMs(monitor, endSample - silence.startSample);
+
+  if (durationMs >= monitor.minSilenceMs) {
+    monitor.silences.push({
+      startedAt: new Date(silence.startedAt).toISOString(),
+      endedAt: new Date(now).toISOString(),
+      startSample: silence.startSample,
+      endSample,
+      durationMs
+    });
+  }
+
+  monitor.silence = null;
+}
+
+/**
+ * Record a chunk of real (not padded) audio
+ * @param {Object} monitor - Dropout monitor
+ * @param {Buffer} pcm - S16LE PCM data
+ */
+function observeAudio(monitor, pcm) {
+  const now = Date.now();
+  if (monitor.startedAt === null) {
+    startMonitor(monitor);
+  }
+
+  const sinceLastArrival = now - monitor.lastArrivalAt;
+  if (sinceLastArrival >= monitor.stallMs) {
+    monitor.stalls.push({
+      startedAt: new Date(monitor.lastArrivalAt).toISOString(),
+      durationMs: sinceLastArrival,
+      atSample: recordedSamples(monitor)
+    });
+    logger.warn(`Audio delivery stalled for ${sinceLastArrival}ms`);
+  }
+
+  const lastGood = { at: monitor.lastArrivalAt, sample: recordedSamples(monitor) };
+  checkSilence(monitor, pcm, now);
+  monitor.receivedSamples += pcm.length / 2;
+  monitor.lastArrivalAt = now;
+  checkClock(monitor, now, lastGood);
+}
+
+/**
+ * Record a sequence discontinuity reported by the capture source
+ * @param {Object} monitor - Dropout monitor
+ * @param {Object} gap - Gap details
+ * @param {number} gap.missingChunks - Number of chunks that never arrived
+ * @param {number} gap.missingFrames - Number of frames that never arrived
+ * @param {number} gap.afterSequence - Last sequence number received before the gap
+ * @returns {Buffer|null} Silence to insert in place of the gap, or null if not padding
+ */
+function recordSequenceGap(monitor, gap) {
+  const now = Date.now();
+  const missingSamples = Math.max(0, gap.missingFrames);
+  const padded = monitor.padGaps && missingSamples > 0;
+
+  monitor.dropouts.push({
+    type: 'sequence_gap',
+    startedAt: new Date(monitor.lastArrivalAt || now).toISOString(),
+    detectedAt: new Date(now).toISOString(),
+    startSample: recordedSamples(monitor),
+    afterSequence: gap.afterSequence,
+    missingChunks: gap.missingChunks,
+    missingSamples,
+    durationMs: samplesToMs(monitor, missingSamples),
+    outcome: padded ? 'padded' : 'left_short'
+  });
+
+  if (!padded) {
+    return null;
+  }
+
+  monitor.paddedSamples += missingSamples;
+  return Buffer.alloc(missingSamples * 2);
+}
+
+/**
+ * Record a capture error (e.g. the capture process exiting)
+ * @param {Object} monitor - Dropout monitor
+ * @param {string} message - Error message
+ */
+function recordCaptureError(monitor, message) {
+  if (!monitor) {
+    return;
+  }
+  monitor.errors.push({
+    at: new Date().toISOString(),
+    atSample: recordedSamples(monitor),
+    message
+  });
+}
+
+/**
+ * Record a marker on the capture timeline
+ * @param {Object} monitor - Dropout monitor
+ * @param {Object} marker - label and source of the marker
+ * @returns {Object} The marker with its time and sample offset
+ */
+function recordMarker(monitor, marker) {
+  const entry = {
+    at: new Date().toISOString(),
+    atSample: recordedSamples(monitor),
+    ...marker
+  };
+  monitor.markers.push(entry);
+  return entry;
+}
+
+/**
+ * Write the timeline report for a capture
+ * @param {Object} monitor - Dropout monitor
+ * @param {string} reportPath - Output JSON path
+ * @param {Object} details - Extra fields for the report (recording name, backend, ...)
+ * @returns {Promise<Object>} The report
+ */
+async function writeTimelineReport(monitor, reportPath, details = {}) {
+  const now = Date.now();
+
+  if (monitor.startedAt !== null) {
+    checkClock(monitor, now);
+    if (monitor.underrun) {
+      const expected = ((now - monitor.startedAt) / 1000) * monitor.sampleRate;
+      closeUnderrun(monitor, Math.round(expected - recordedSamples(monitor)), 'left_short');
+    }
+    if (monitor.silence) {
+      endSilence(monitor, now);
+    }
+  }
+
+  const wallClockSeconds = monitor.startedAt !== null ? (now - monitor.startedAt) / 1000 : 0;
+  const expectedSamples = Math.round(wallClockSeconds * monitor.sampleRate);
+
+  const report = {
+    version: REPORT_VERSION,
+    ...details,
+    sampleRate: monitor.sampleRate,
+    startedAt: monitor.startedAt !== null ? new Date(monitor.startedAt).toISOString() : null,
+    endedAt: new Date(now).toISOString(),
+    wallClockSeconds,
+    expectedSamples,
+    receivedSamples: monitor.receivedSamples,
+    paddedSamples: monitor.paddedSamples,
+    recordedSamples: recordedSamples(monitor),
+    shortfallSamples: Math.max(0, expectedSamples - recordedSamples(monitor)),
+    dropouts: monitor.dropouts,
+    stalls: monitor.stalls,
+    silences: monitor.silences,
+    errors: monitor.errors,
+    markers: monitor.markers
+  };
+
+  await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  logger.info(`Timeline report saved to: ${reportPath} (${report.dropouts.length} dropout(s), ${report.silences.length} silent stretch(es))`);
+
+  return report;
+}
+
+module.exports = {
+  createDropoutMonitor,
+  startMonitor,
+  recordedSamples,
+  observeAudio,
+  recordSequenceGap,
+  recordCaptureError,
+  recordMarker,
+  writeTimelineReport
+};
@@ -0,0 +1,287 @@
+/**
+ * Audio encoder stage
+ *
+ * Sits between the capture source (raw S16LE PCM) and the file/WebSocket
+ * sinks. WAV is passed through untouched; FLAC, Ogg/Opus and MP3 are encoded
+ * by an ffmpeg child process reading PCM on stdin and writing the encoded
+ * stream on stdout. ffmpeg also resamples when an output sample rate other
+ * than the input's is asked for, for WAV too.
+ */
+
+const { spawn } = require('child_process');
+const logger = require('../utils/logger');
+
+// Supported output formats
+const ENCODER_FORMATS = {
+  wav: {
+    codec: 'S16LE',
+    extension: 'wav',
+    contentType: 'audio/wav',
+    bitrates: null,
+    sampleRates: null,
+    ffmpegArgs: null
+  },
+  flac: {
+    codec: 'FLAC',
+    extension: 'flac',
+    contentType: 'audio/flac',
+    bitrates: null,
+    sampleRates: null,
+    ffmpegArgs: () => ['-c:a', 'flac', '-f', 'flac']
+  },
+  opus: {
+    codec: 'OPUS',
+    extension: 'ogg',
+    contentType: 'audio/ogg',
+    bitrates: { low: '16k', medium: '24k', high: '48k' },
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+    ffmpegArgs: (bitrate) => [
+      '-c:a', 'libopus',
+      '-b:a', bitrate,
+      '-application', 'voip',
+      '-frame_duration', '20',
+      '-page_duration', '20000', // Flush an Ogg page every 20ms for low latency
+      '-f', 'ogg'
+    ]
+  },
+  mp3: {
+    codec: 'MP3',
+    extension: 'mp3',
+    contentType: 'audio/mpeg',
+    bitrates: { low: '32k', medium: '64k', high: '128k' },
+    sampleRates: null,
+    ffmpegArgs: (bitrate) => ['-c:a', 'libmp3lame', '-b:a', bitrate, '-f', 'mp3']
+  }
+};
+
+// Output sample rates for formats that do not list their own
+const OUTPUT_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Raw PCM out of ffmpeg, for WAV output at another sample rate
+const RESAMPLE_ARGS = ['-c:a', 'pcm_s16le', '-f', 's16le'];
+
+// Alternative names accepted for AUDIO_FORMAT
+const FORMAT_ALIASES = {
+  pcm: 'wav',
+  s16le: 'wav',
+  ogg: 'opus'
+};
+
+/**
+ * Normalize an output format name
+ * @param {string} name - Format name (wav, flac, opus, mp3 or an alias)
+ * @returns {string} Normalized format name
+ */
+function resolveEncoderFormat(name) {
+  const requested = (name || 'wav').toLowerCase();
+  const format = FORMAT_ALIASES[requested] || requested;
+
+  if (!ENCODER_FORMATS[format]) {
+    throw new Error(`Unsupported audio format: ${name} (expected one of: ${Object.keys(ENCODER_FORMATS).join(', ')})`);
+  }
+
+  return format;
+}
+
+/**
+ * Resolve the bitrate for a format. Precedence: explicit value,
+ * AUDIO_BITRATE_<FORMAT>, then the AUDIO_QUALITY preset.
+ * @param {string} format - Normalized format name
+ * @param {string} bitrate - Explicit bitrate, e.g. '24k' (optional)
+ * @returns {string|null} Bitrate, or null for lossless formats
+ */
+function resolveBitrate(format, bitrate = null) {
+  const { bitrates } = ENCODER_FORMATS[format];
+  if (!bitrates) {
+    return null;
+  }
+
+  const quality = bitrates[process.env.AUDIO_QUALITY] ? process.env.AUDIO_QUALITY : 'medium';
+  return bitrate || process.env[`AUDIO_BITRATE_${format.toUpperCase()}`] || bitrates[quality];
+}
+
+/**
+ * Create an encoder for the given output format
+ * @param {Object} options - Encoder options
+ * @param {string} options.format - Output format
+ * @param {string} options.bitrate - Bitrate for lossy formats (optional)
+ * @param {number} options.sampleRate - Input sample rate in Hz
+ * @param {number} options.channels - Input channel count
+ * @param {number} options.outputSampleRate - Sample rate to encode at, if not the input's (optional)
+ * @param {Object} options.tags - Stream tags such as title and artist, for the encoded formats (optional)
+ * @param {Function} options.onError - Called with an error if ffmpeg fails to start or exits before the encoder is closed (optional)
+ * @param {Function} onData - Called with each encoded chunk
+ * @returns {Object} Encoder state
+ * @throws {Error} If the format or output sample rate is not supported
+ */
+function createEncoder(options, onData) {
+  const format = resolveEncoderFormat(options.format);
+  const definition = ENCODER_FORMATS[format];
+  const inputSampleRate = options.sampleRate || 16000;
+  const sampleRate = options.outputSampleRate || inputSampleRate;
+  const channels = options.channels || 1;
+
+  const sampleRates = definition.sampleRates || OUTPUT_SAMPLE_RATES;
+  if (sampleRate !== inputSampleRate && !sampleRates.includes(sampleRate)) {
+    throw new Error(`Unsupported ${format} sample rate: ${sampleRate} (expected one of: ${sampleRates.join(', ')})`);
+  }
+  const resampling = sampleRate !== inputSampleRate;
+  const tags = Object.entries(options.tags || {}).filter(([, value]) => value);
+
+  const encoder = {
+    format,
+    codec: definition.codec,
+    extension: definition.extension,
+    contentType: definition.contentType,
+    bitrate: resolveBitrate(format, options.bitrate),
+    sampleRate,
+    inputSampleRate,
+    channels,
+    process: null,
+    onData,
+    onError: options.onError || null,
+    failed: false,
+    closed: false
+  };
+
+  // WAV is a passthrough of the PCM input unless it is resampled
+  if (!definition.ffmpegArgs && !resampling) {
+    return encoder;
+  }
+
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-f', 's16le',
+    '-ar', inputSampleRate.toString(),
+    '-ac', channels.toString(),
+    '-i', 'pipe:0',
+    ...(resampling ? ['-ar', sampleRate.toString()] : []),
+    ...(definition.ffmpegArgs ? definition.ffmpegArgs(encoder.bitrate) : RESAMPLE_ARGS),
+    // Vorbis comments for Ogg, ID3 for MP3
+    ...(definition.ffmpegArgs ? tags.flatMap(([name, value]) => ['-metadata', `${name}=${value}`]) : []),
+    '-flush_packets', '1',
+    'pipe:1'
+  ];
+
+  logger.info(`Starting ${format} encoder${encoder.bitrate ? ` at ${encoder.bitrate}` : ''}${resampling ? ` (${sampleRate}Hz)` : ''}`);
+  logger.debug(`ffmpeg ${args.join(' ')}`);
+
+  encoder.process = spawn('ffmpeg', args);
+
+  encoder.process.stdout.on('data', (chunk) => {
+    encoder.onData(chunk);
+  });
+
+  encoder.process.stderr.on('data', (data) => {
+    logger.warn(`Encoder (${format}): ${data.toString().trim()}`);
+  });
+
+  encoder.process.stdin.on('error', (error) => {
+    logger.error(`Encoder (${format}) input error: ${error.message}`);
+  });
+
+  encoder.process.on('error', (error) => {
+    failEncoder(encoder, new Error(`Failed to run ffmpeg for ${format} encoding: ${error.message}`));
+  });
+
+  // ffmpeg only exits on its own when something went wrong; the input is still open
+  encoder.process.on('exit', (code, signal) => {
+    if (!encoder.closed) {
+      failEncoder(encoder, new Error(`${format} encoder exited with ${signal ? `signal ${signal}` : `code ${code}`}`));
+    }
+  });
+
+  return encoder;
+}
+
+/**
+ * Mark an encoder as failed and tell its owner, once
+ * @param {Object} encoder - Encoder from createEncoder
+ * @param {Error} error - What went wrong
+ */
+function failEncoder(encoder, error) {
+  if (encoder.failed) {
+    return;
+  }
+  encoder.failed = true;
+  logger.error(error.message);
+  if (encoder.onError) {
+    encoder.onError(error);
+  }
+}
+
+/**
+ * Feed PCM data to an encoder
+ * @param {Object} encoder - Encoder from createEncoder
+ * @param {Buffer} pcm - S16LE PCM data
+ * @returns {boolean} False if the encoder can no longer accept data
+ */
+function encodeAudio(encoder, pcm) {
+  if (!encoder || encoder.closed || encoder.failed) {
+    return false;
+  }
+
+  if (!encoder.process) {
+    encoder.onData(pcm);
+    return true;
+  }
+
+  encoder.process.stdin.write(pcm);
+  return true;
+}
+
+/**
+ * Close an encoder, waiting for it to flush any remaining output
+ * @param {Object} encoder - Encoder from createEncoder
+ * @returns {Promise<void>}
+ */
+async function closeEncoder(encoder) {
+  if (!encoder || encoder.closed) {
+    return;
+  }
+
+  encoder.closed = true;
+
+  if (!encoder.process || encoder.failed || encoder.process.exitCode !== null) {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    encoder.process.once('close', (code) => {
+      if (code !== 0) {
+        logger.warn(`Encoder (${encoder.format}) exited with code ${code}`);
+      }
+      resolve();
+    });
+    encoder.process.stdin.end();
+  });
+
+  logger.info(`${encoder.format} encoder closed`);
+}
+
+/**
+ * Describe the encoder's output for stream metadata
+ * @param {Object} encoder - Encoder from createEncoder
+ * @returns {Object} Format description
+ */
+function getEncoderMetadata(encoder) {
+  return {
+    format: encoder.codec,
+    container: encoder.format === 'wav' ? null : encoder.extension,
+    contentType: encoder.format === 'wav' ? 'audio/pcm' : encoder.contentType,
+    sampleRate: encoder.sampleRate,
+    channels: encoder.channels,
+    bitrate: encoder.bitrate
+  };
+}
+
+module.exports = {
+  ENCODER_FORMATS,
+  resolveEncoderFormat,
+  resolveBitrate,
+  createEncoder,
+  encodeAudio,
+  closeEncoder,
+  getEncoderMetadata
+};
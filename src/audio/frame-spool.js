@@ -0,0 +1,177 @@
+/**
+ * Spool of recent stream frames
+ *
+ * Keeps the audio frames most recently handed to the stream client, sent or
+ * not, so the ones a receiver missed during a WebSocket outage can be sent
+ * again once it reports where it got up to. The spool is bounded by size
+ * and drops its oldest frames first. Frames are held in memory, or appended
+ * to a file in a spool directory with only their index kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Defaults, all overridable per spool
+const DEFAULT_OPTIONS = {
+  maxBytes: 64 * 1024 * 1024,
+  dir: null // Spool to a file in this directory instead of memory
+};
+
+/**
+ * Create a frame spool
+ * @param {Object} options - Spool options (see DEFAULT_OPTIONS)
+ * @returns {Object} Frame spool
+ */
+function createFrameSpool(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const spool = {
+    maxBytes: settings.maxBytes,
+    frames: [], // sequence, captureTimestamp, flags, length, and payload or file offset
+    bytes: 0,
+    droppedFrames: 0,
+    filePath: null,
+    fd: null,
+    fileBytes: 0
+  };
+
+  if (settings.dir) {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    spool.filePath = path.join(settings.dir, `stream-spool-${process.pid}-${Date.now()}.bin`);
+    spool.fd = fs.openSync(spool.filePath, 'w+');
+    logger.info(`Spooling stream frames to ${spool.filePath} (up to ${(spool.maxBytes / 1024 / 1024).toFixed(0)} MB)`);
+  }
+
+  return spool;
+}
+
+/**
+ * Rewrite the spool file without the frames already dropped
+ * @param {Object} spool - Frame spool
+ */
+function compactSpoolFile(spool) {
+  const payloads = spool.frames.map((frame) => readPayload(spool, frame));
+  fs.ftruncateSync(spool.fd, 0);
+  spool.fileBytes = 0;
+  spool.frames.forEach((frame, index) => {
+    fs.writeSync(spool.fd, payloads[index], 0, frame.length, spool.fileBytes);
+    frame.offset = spool.fileBytes;
+    spool.fileBytes += frame.length;
+  });
+}
+
+/**
+ * Drop the oldest frames until the spool fits its limit
+ * @param {Object} spool - Frame spool
+ */
+function trimSpool(spool) {
+  while (spool.bytes > spool.maxBytes && spool.frames.length > 0) {
+    spool.bytes -= spool.frames.shift().length;
+    spool.droppedFrames++;
+  }
+
+  // The file only ever grows, so reclaim it once most of it is dead
+  if (spool.fd !== null && spool.fileBytes > spool.maxBytes * 2) {
+    compactSpoolFile(spool);
+  }
+}
+
+/**
+ * Add a frame to the spool
+ * @param {Object} spool - Frame spool
+ * @param {Object} frame - sequence, captureTimestamp and flags
+ * @param {Buffer} payload - Encoded audio
+ */
+function spoolFrame(spool, frame, payload) {
+  const entry = {
+    sequence: frame.sequence,
+    captureTimestamp: frame.captureTimestamp,
+    flags: frame.flags || 0,
+    length: payload.length
+  };
+
+  if (spool.fd !== null) {
+    fs.writeSync(spool.fd, payload, 0, payload.length, spool.fileBytes);
+    entry.offset = spool.fileBytes;
+    spool.fileBytes += payload.length;
+  } else {
+    entry.payload = payload;
+  }
+
+  spool.frames.push(entry);
+  spool.bytes += payload.length;
+  trimSpool(spool);
+}
+
+/**
+ * Read a spooled frame's audio
+ * @param {Object} spool - Frame spool
+ * @param {Object} frame - Spool entry
+ * @returns {Buffer} Encoded audio
+ */
+function readPayload(spool, frame) {
+  if (frame.payload) {
+    return frame.payload;
+  }
+  const payload = Buffer.alloc(frame.length);
+  fs.readSync(spool.fd, payload, 0, frame.length, frame.offset);
+  return payload;
+}
+
+/**
+ * Forget frames the receiver has confirmed
+ * @param {Object} spool - Frame spool
+ * @param {number} sequence - Last sequence number the receiver has
+ */
+function releaseFrames(spool, sequence) {
+  while (spool.frames.length > 0 && spool.frames[0].sequence <= sequence) {
+    spool.bytes -= spool.frames.shift().length;
+  }
+}
+
+/**
+ * Spooled frames after a sequence number, oldest first
+ * @param {Object} spool - Frame spool
+ * @param {number|null} sequence - Last sequence number the receiver has (null for none)
+ * @param {Object} options - Filters (optional)
+ * @param {number} options.since - Leave out frames captured before this time, ms since the epoch
+ * @param {number} options.limit - Return at most this many frames
+ * @returns {Array<Object>} Frames, each with its payload
+ */
+function framesAfter(spool, sequence, options = {}) {
+  const after = sequence === null ? -1 : sequence;
+  const since = options.since === undefined || options.since === null ? -Infinity : options.since;
+
+  // Only the frames returned are read back from a spool file
+  return spool.frames
+    .filter((frame) => frame.sequence > after && frame.captureTimestamp >= since)
+    .slice(0, options.limit || Infinity)
+    .map((frame) => ({ ...frame, payload: readPayload(spool, frame) }));
+}
+
+/**
+ * Close the spool, removing its file
+ * @param {Object} spool - Frame spool
+ */
+function closeFrameSpool(spool) {
+  if (!spool) {
+    return;
+  }
+
+  spool.frames = [];
+  spool.bytes = 0;
+
+  if (spool.fd !== null) {
+    fs.closeSync(spool.fd);
+    spool.fd = null;
+    fs.promises.unlink(spool.filePath).catch(() => {});
+  }
+}
+
+module.exports = {
+  createFrameSpool,
+  spoolFrame,
+  releaseFrames,
+  framesAfter,
+  closeFrameSpool
+};
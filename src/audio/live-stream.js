@@ -0,0 +1,564 @@
+/**
+ * Live stream output
+ *
+ * Lets people listen to a capture in any audio player, the way they would
+ * an Icecast station. A live stream server serves the capture's MP3 or
+ * Ogg/Opus stream on a local port to any number of listeners, with icy-*
+ * headers naming the Space and its host. MP3 listeners that send
+ * "Icy-MetaData: 1" also get ICY metadata blocks (StreamTitle) in the
+ * stream, every ICY_METAINT bytes. Ogg has its own tags, so listeners who
+ * join an Ogg stream late are sent its header pages first and then whole
+ * pages from the next one on. A listener that falls behind is disconnected
+ * rather than holding up the others.
+ *
+ * A capture can also push the same stream to an Icecast server as a source
+ * client: a PUT to the mount with the source credentials, then the audio as
+ * the request body for as long as the capture runs. An MP3 stream's title is
+ * set through Icecast's metadata admin endpoint; an Ogg stream's travels in
+ * its own tags.
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const logger = require('../utils/logger');
+
+// Formats a live stream can carry (encoder format names)
+const LIVE_STREAM_FORMATS = ['mp3', 'opus'];
+
+// Audio bytes between two ICY metadata blocks
+const ICY_METAINT = 16000;
+
+// Sent in place of a metadata block when the title has not changed
+const EMPTY_METADATA = Buffer.alloc(1);
+
+// Error codes for an Icecast server turning the source down
+const LIVE_STREAM_ERROR_CODES = {
+  REJECTED: 'LIVE_STREAM_REJECTED', // Wrong source credentials
+  REFUSED: 'LIVE_STREAM_REFUSED' // Any other answer, e.g. the mount is taken
+};
+
+// Defaults, all overridable per server or source
+const DEFAULT_OPTIONS = {
+  host: '127.0.0.1', // Interface to serve listeners on
+  port: 8000,
+  mount: null, // Path of the stream; /live.mp3 or /live.ogg if not given
+  maxListeners: 100, // Listeners beyond this are turned away with 503
+  maxListenerBufferBytes: 512 * 1024, // Audio waiting for a listener before it is disconnected
+  sourceUser: 'source', // Icecast source user, if the URL has none
+  connectTimeoutMs: 10000 // How long an Icecast server has to accept the source
+};
+
+/**
+ * What to call a Space's stream, from its title and host
+ * @param {Object} space - Space url, title and host (handle, name), any of them optional
+ * @returns {Object} name, description, url, artist and streamTitle
+ */
+function describeSpace(space) {
+  const { url = null, title = null, host = null } = space || {};
+  const artist = host ? `${host.name} (@${host.handle})` : null;
+
+  return {
+    name: title || 'Twitter Space',
+    description: artist ? `Twitter Space hosted by ${artist}` : 'Twitter Space',
+    url,
+    artist,
+    streamTitle: [title, artist].filter(Boolean).join(' - ') || 'Twitter Space'
+  };
+}
+
+/**
+ * Make text safe for an HTTP header. Node sends header values as latin1, so
+ * UTF-8 titles are passed as their bytes and arrive intact.
+ * @param {string} value - Header text
+ * @returns {string} Header value
+ */
+function headerValue(value) {
+  const text = String(value).replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+  return Buffer.from(text, 'utf8').toString('latin1');
+}
+
+/**
+ * Build an ICY metadata block: a length byte (in 16-byte units) and the
+ * metadata text padded with zeros
+ * @param {string} streamTitle - StreamTitle
+ * @param {string} url - StreamUrl (optional)
+ * @returns {Buffer} Metadata block
+ */
+function icyMetadataBlock(streamTitle, url) {
+  // Quotes would end the value early; the length byte caps the block at 4080 bytes
+  const quote = (value) => value.replace(/'/g, '’').replace(/[\x00-\x1f\x7f]+/g, ' ');
+  const text = `StreamTitle='${quote(streamTitle)}';${url ? `StreamUrl='${quote(url)}';` : ''}`;
+  const bytes = Buffer.from(text, 'utf8').subarray(0, 255 * 16);
+
+  const units = Math.ceil(bytes.length / 16);
+  const block = Buffer.alloc(1 + units * 16);
+  block.writeUInt8(units, 0);
+  bytes.copy(block, 1);
+  return block;
+}
+
+/**
+ * Split encoded Ogg into whole pages, keeping an incomplete page for the next
+ * chunk
+ * @param {Object} live - Live stream server
+ * @param {Buffer} chunk - Encoded Ogg
+ * @returns {Array<Buffer>} Complete pages
+ */
+function takeOggPages(live, chunk) {
+  let buffer = live.oggBuffer.length > 0 ? Buffer.concat([live.oggBuffer, chunk]) : chunk;
+  const pages = [];
+
+  while (buffer.length >= 27) {
+    // Resynchronize on the next capture pattern
+    if (buffer.toString('latin1', 0, 4) !== 'OggS') {
+      const next = buffer.indexOf('OggS', 1, 'latin1');
+      buffer = next === -1 ? buffer.subarray(buffer.length - 3) : buffer.subarray(next);
+      continue;
+    }
+
+    const segments = buffer.readUInt8(26);
+    const headerBytes = 27 + segments;
+    if (buffer.length < headerBytes) {
+      break;
+    }
+    let pageBytes = headerBytes;
+    for (let i = 0; i < segments; i++) {
+      pageBytes += buffer[27 + i];
+    }
+    if (buffer.length < pageBytes) {
+      break;
+    }
+
+    pages.push(buffer.subarray(0, pageBytes));
+    buffer = buffer.subarray(pageBytes);
+  }
+
+  live.oggBuffer = Buffer.from(buffer);
+  return pages;
+}
+
+/**
+ * Keep an Ogg stream's header pages (those before the first audio, with
+ * granule position 0) for listeners who join later
+ * @param {Object} live - Live stream server
+ * @param {Buffer} page - Ogg page
+ */
+function trackOggHeaders(live, page) {
+  // A new stream starts when the encoder is restarted
+  const beginsStream = (page.readUInt8(5) & 0x02) !== 0;
+  if (beginsStream) {
+    live.headerPages = [];
+    live.headersComplete = false;
+  }
+  if (live.headersComplete) {
+    return;
+  }
+
+  if (page.readBigInt64LE(6) === 0n) {
+    live.headerPages.push(page);
+  } else {
+    live.headersComplete = true;
+  }
+}
+
+/**
+ * Write audio to a listener, inserting ICY metadata blocks if it asked for them
+ * @param {Object} live - Live stream server
+ * @param {Object} listener - Listener state
+ * @param {Buffer} chunk - Encoded audio
+ */
+function writeToListener(live, listener, chunk) {
+  if (!listener.metaint) {
+    listener.response.write(chunk);
+    return;
+  }
+
+  let offset = 0;
+  while (offset < chunk.length) {
+    const length = Math.min(listener.bytesUntilMetadata, chunk.length - offset);
+    listener.response.write(chunk.subarray(offset, offset + length));
+    offset += length;
+    listener.bytesUntilMetadata -= length;
+
+    if (listener.bytesUntilMetadata === 0) {
+      const { streamTitle, url } = live.info;
+      listener.response.write(listener.sentTitle === streamTitle ? EMPTY_METADATA : icyMetadataBlock(streamTitle, url));
+      listener.sentTitle = streamTitle;
+      listener.bytesUntilMetadata = listener.metaint;
+    }
+  }
+}
+
+/**
+ * Answer a listener's request
+ * @param {Object} live - Live stream server
+ * @param {http.IncomingMessage} request - Listener request
+ * @param {http.ServerResponse} response - Response the stream is written to
+ */
+function handleListenerRequest(live, request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  if (pathname !== live.mount) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end(`No stream here; listen at ${live.mount}\n`);
+    return;
+  }
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' });
+    response.end('Listeners use GET\n');
+    return;
+  }
+  if (live.listeners.size >= live.settings.maxListeners) {
+    response.writeHead(503, { 'Content-Type': 'text/plain' });
+    response.end('Too many listeners\n');
+    return;
+  }
+
+  const { info } = live;
+  const metaint = live.format === 'mp3' && request.headers['icy-metadata'] === '1' ? ICY_METAINT : null;
+  const headers = {
+    'Content-Type': live.contentType,
+    'Cache-Control': 'no-cache, no-store',
+    'icy-name': headerValue(info.name),
+    'icy-description': headerValue(info.description),
+    'icy-pub': '0',
+    'icy-sr': String(live.sampleRate)
+  };
+  if (info.url) {
+    headers['icy-url'] = headerValue(info.url);
+  }
+  if (live.bitrate) {
+    headers['icy-br'] = String(parseInt(live.bitrate, 10));
+  }
+  if (metaint) {
+    headers['icy-metaint'] = String(metaint);
+  }
+  response.writeHead(200, headers);
+
+  if (request.method === 'HEAD') {
+    response.end();
+    return;
+  }
+
+  const listener = {
+    response,
+    address: request.socket.remoteAddress,
+    metaint,
+    bytesUntilMetadata: metaint,
+    sentTitle: null,
+    connectedAt: Date.now()
+  };
+  live.listeners.add(listener);
+  live.totalListeners++;
+  live.peakListeners = Math.max(live.peakListeners, live.listeners.size);
+  logger.info(`Listener ${listener.address} joined ${live.url} (${live.listeners.size} listening)`);
+
+  // A late Ogg listener needs the stream headers before any audio page
+  live.headerPages.forEach((page) => writeToListener(live, listener, page));
+
+  response.on('close', () => {
+    if (live.listeners.delete(listener)) {
+      logger.info(`Listener ${listener.address} left after ${Math.round((Date.now() - listener.connectedAt) / 1000)}s (${live.listeners.size} listening)`);
+    }
+  });
+}
+
+/**
+ * Start serving a live stream to listeners
+ * @param {Object} options - Server options (see DEFAULT_OPTIONS)
+ * @param {string} options.format - Encoder format, mp3 or opus
+ * @param {string} options.extension - File extension of the format, for the default mount
+ * @param {string} options.contentType - MIME type of the stream
+ * @param {string} options.bitrate - Encoder bitrate (optional)
+ * @param {number} options.sampleRate - Encoder sample rate in Hz
+ * @param {Object} options.space - Space url, title and host (optional)
+ * @returns {Promise<Object>} Live stream server, once listening
+ * @throws {Error} If the format cannot be streamed or the port cannot be bound
+ */
+async function startLiveStreamServer(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (!LIVE_STREAM_FORMATS.includes(settings.format)) {
+    throw new Error(`Live streams carry ${LIVE_STREAM_FORMATS.join(' or ')}, not ${settings.format}`);
+  }
+
+  const mount = settings.mount || `/live.${settings.extension}`;
+  const live = {
+    settings,
+    format: settings.format,
+    contentType: settings.contentType,
+    bitrate: settings.bitrate || null,
+    sampleRate: settings.sampleRate,
+    mount: mount.startsWith('/') ? mount : `/${mount}`,
+    url: null,
+    info: describeSpace(settings.space),
+    server: null,
+    listeners: new Set(),
+    sockets: new Set(), // Open connections, for closing on Node versions without closeAllConnections
+    headerPages: [],
+    headersComplete: false,
+    oggBuffer: Buffer.alloc(0),
+    totalListeners: 0,
+    peakListeners: 0,
+    droppedListeners: 0
+  };
+
+  live.server = http.createServer((request, response) => handleListenerRequest(live, request, response));
+  live.server.on('connection', (socket) => {
+    live.sockets.add(socket);
+    socket.on('close', () => live.sockets.delete(socket));
+  });
+  await new Promise((resolve, reject) => {
+    live.server.once('error', reject);
+    live.server.listen(settings.port, settings.host, () => {
+      live.server.removeListener('error', reject);
+      resolve();
+    });
+  });
+  live.server.on('error', (error) => logger.error(`Live stream server error: ${error.message}`));
+
+  const { port } = live.server.address();
+  live.url = `http://${net.isIPv6(settings.host) ? `[${settings.host}]` : settings.host}:${port}${live.mount}`;
+  logger.info(`Live stream of "${live.info.name}" at ${live.url}`);
+  return live;
+}
+
+/**
+ * Send encoded audio to every listener
+ * @param {Object} live - Live stream server
+ * @param {Buffer} chunk - Encoded audio
+ */
+function writeLiveStream(live, chunk) {
+  let pieces = [chunk];
+  if (live.format === 'opus') {
+    pieces = takeOggPages(live, chunk);
+    pieces.forEach((page) => trackOggHeaders(live, page));
+  }
+  if (pieces.length === 0) {
+    return;
+  }
+
+  for (const listener of live.listeners) {
+    if (listener.response.writableLength > live.settings.maxListenerBufferBytes) {
+      logger.warn(`Listener ${listener.address} fell behind; disconnecting it`);
+      live.listeners.delete(listener);
+      live.droppedListeners++;
+      listener.response.destroy();
+      continue;
+    }
+    pieces.forEach((piece) => writeToListener(live, listener, piece));
+  }
+}
+
+/**
+ * Stats for a live stream server
+ * @param {Object} live - Live stream server
+ * @returns {Object} Stats
+ */
+function getLiveStreamStats(live) {
+  return {
+    url: live.url,
+    listeners: live.listeners.size,
+    totalListeners: live.totalListeners,
+    peakListeners: live.peakListeners,
+    droppedListeners: live.droppedListeners
+  };
+}
+
+/**
+ * End every listener's stream and stop the server
+ * @param {Object} live - Live stream server
+ * @returns {Promise<void>}
+ */
+async function closeLiveStreamServer(live) {
+  for (const listener of live.listeners) {
+    listener.response.end();
+  }
+  live.listeners.clear();
+
+  // Listeners still taking in the end of the stream get a moment before they are cut off.
+  // closeAllConnections and closeIdleConnections arrived in Node 18.2; before that
+  // idle keep-alive connections stay open until the timer drops everything.
+  await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      if (live.server.closeAllConnections) {
+        live.server.closeAllConnections();
+      } else {
+        live.sockets.forEach((socket) => socket.destroy());
+      }
+    }, 2000);
+    live.server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    if (live.server.closeIdleConnections) {
+      live.server.closeIdleConnections();
+    }
+  });
+  logger.info(`Live stream ${live.url} closed (${live.totalListeners} listener(s), at most ${live.peakListeners} at once)`);
+}
+
+/**
+ * Basic credentials for an Icecast URL
+ * @param {URL} target - icecast:// or icecasts:// URL
+ * @param {string} password - Password, if not in the URL (optional)
+ * @returns {string} Authorization header value
+ * @throws {Error} If there is no password
+ */
+function icecastAuthorization(target, password) {
+  const user = decodeURIComponent(target.username) || DEFAULT_OPTIONS.sourceUser;
+  const secret = password || decodeURIComponent(target.password);
+  if (!secret) {
+    throw new Error(`No source password for ${target.host}${target.pathname}`);
+  }
+  return `Basic ${Buffer.from(`${user}:${secret}`).toString('base64')}`;
+}
+
+/**
+ * Connect to an Icecast server as a source client
+ * @param {string} url - icecast://[user:password@]host[:port]/mount, or icecasts:// for TLS
+ * @param {Object} options - Source options
+ * @param {string} options.contentType - MIME type of the stream
+ * @param {string} options.bitrate - Encoder bitrate (optional)
+ * @param {number} options.sampleRate - Encoder sample rate in Hz
+ * @param {number} options.channels - Channel count
+ * @param {Object} options.space - Space url, title and host (optional)
+ * @param {string} options.password - Source password, if not in the URL (optional)
+ * @param {Object} options.tlsOptions - ca, cert, key and minVersion for icecasts:// (optional)
+ * @param {number} options.connectTimeoutMs - How long the server has to accept the source (optional)
+ * @returns {Promise<net.Socket>} Socket the audio is written to, once the server accepted it
+ * @throws {Error} With a LIVE_STREAM_ERROR_CODES code if the server turns the source down
+ */
+async function connectIcecastSource(url, options) {
+  const target = new URL(url);
+  const secure = target.protocol === 'icecasts:';
+  const port = Number(target.port) || 8000;
+  const info = describeSpace(options.space);
+  const connectTimeoutMs = options.connectTimeoutMs || DEFAULT_OPTIONS.connectTimeoutMs;
+
+  const audioInfo = [
+    `samplerate=${options.sampleRate}`,
+    `channels=${options.channels}`,
+    ...(options.bitrate ? [`bitrate=${parseInt(options.bitrate, 10)}`] : [])
+  ].join(';');
+  const lines = [
+    `PUT ${target.pathname} HTTP/1.1`,
+    `Host: ${target.host}`,
+    `Authorization: ${icecastAuthorization(target, options.password)}`,
+    `Content-Type: ${options.contentType}`,
+    'Ice-Public: 0',
+    `Ice-Name: ${headerValue(info.name)}`,
+    `Ice-Description: ${headerValue(info.description)}`,
+    ...(info.url ? [`Ice-Url: ${headerValue(info.url)}`] : []),
+    `Ice-Audio-Info: ${audioInfo}`,
+    'Expect: 100-continue'
+  ];
+
+  const socket = secure
+    ? tls.connect({ ...options.tlsOptions, host: target.hostname, port, servername: target.hostname })
+    : net.connect({ host: target.hostname, port });
+
+  await new Promise((resolve, reject) => {
+    let answer = '';
+    const timer = setTimeout(() => fail(new Error(`Icecast server ${target.host} did not answer within ${connectTimeoutMs}ms`)), connectTimeoutMs);
+
+    const onData = (data) => {
+      answer += data.toString('latin1');
+      if (!answer.includes('\r\n\r\n')) {
+        return;
+      }
+
+      const match = /^HTTP\/1\.[01] (\d{3}) ?([^\r]*)/.exec(answer);
+      const status = match ? Number(match[1]) : 0;
+      if (status === 100 || status === 200) {
+        cleanUp();
+        resolve();
+        return;
+      }
+
+      const error = new Error(`Icecast server refused the source: ${match ? `HTTP ${status} ${match[2]}` : 'not an HTTP answer'}`);
+      error.code = status === 401 || status === 403 ? LIVE_STREAM_ERROR_CODES.REJECTED : LIVE_STREAM_ERROR_CODES.REFUSED;
+      fail(error);
+    };
+    const onClose = () => fail(new Error(`Icecast server ${target.host} closed the connection`));
+    const cleanUp = () => {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('error', fail);
+      socket.removeListener('close', onClose);
+    };
+    function fail(error) {
+      cleanUp();
+      socket.destroy();
+      reject(error);
+    }
+
+    socket.on('data', onData);
+    socket.once('error', fail);
+    socket.once('close', onClose);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      // Header values are already UTF-8 bytes as latin1 text (see headerValue)
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`, 'latin1');
+    });
+  });
+
+  // Nothing more is expected from the server, but it must not back up
+  socket.resume();
+  logger.info(`Streaming to Icecast mount ${target.host}${target.pathname} as "${info.name}"`);
+  return socket;
+}
+
+/**
+ * Set the title of an Icecast MP3 mount through the server's metadata
+ * admin endpoint
+ * @param {string} url - Source URL the stream is pushed to
+ * @param {Object} options - Update options
+ * @param {Object} options.space - Space url, title and host (optional)
+ * @param {string} options.password - Source password, if not in the URL (optional)
+ * @param {Object} options.tlsOptions - ca, cert, key and minVersion for icecasts:// (optional)
+ * @returns {Promise<void>}
+ * @throws {Error} If the server does not accept the update
+ */
+async function updateIcecastMetadata(url, options) {
+  const target = new URL(url);
+  const secure = target.protocol === 'icecasts:';
+  const query = new URLSearchParams({
+    mode: 'updinfo',
+    mount: target.pathname,
+    song: describeSpace(options.space).streamTitle,
+    charset: 'UTF-8'
+  });
+
+  await new Promise((resolve, reject) => {
+    const request = (secure ? https : http).request({
+      ...(secure ? options.tlsOptions : {}),
+      host: target.hostname,
+      port: Number(target.port) || 8000,
+      path: `/admin/metadata?${query.toString()}`,
+      headers: { Authorization: icecastAuthorization(target, options.password) },
+      timeout: DEFAULT_OPTIONS.connectTimeoutMs
+    }, (response) => {
+      response.resume();
+      if (response.statusCode === 200) {
+        resolve();
+      } else {
+        reject(new Error(`Icecast metadata update answered HTTP ${response.statusCode}`));
+      }
+    });
+    request.on('timeout', () => request.destroy(new Error('Icecast metadata update timed out')));
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+module.exports = {
+  LIVE_STREAM_FORMATS,
+  LIVE_STREAM_ERROR_CODES,
+  describeSpace,
+  startLiveStreamServer,
+  writeLiveStream,
+  getLiveStreamStats,
+  closeLiveStreamServer,
+  connectIcecastSource,
+  updateIcecastMetadata
+};
@@ -0,0 +1,126 @@
+/**
+ * PulseAudio / PipeWire null-sink capture backend
+ *
+ * Each capture gets its own null sink. Chromium is launched with PULSE_SINK
+ * pointing at that sink, and the sink's monitor source is recorded with
+ * parec. Several headless captures on one Linux box therefore each get a
+ * clean, isolated stream. PipeWire works through pipewire-pulse.
+ */
+
+const { execFile, spawn } = require('child_process');
+const logger = require('../utils/logger');
+
+/**
+ * Run a pactl command
+ * @param {Array<string>} args - pactl arguments
+ * @returns {Promise<string>} Command output
+ */
+function runPactl(args) {
+  return new Promise((resolve, reject) => {
+    execFile('pactl', args, { timeout: 10000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`pactl ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+/**
+ * Create a dedicated null sink for one capture
+ * @param {string} name - Optional sink name (generated if omitted)
+ * @returns {Promise<Object>} Sink info (sinkName, monitorSource, moduleId)
+ */
+async function createNullSink(name = null) {
+  const sinkName = name || `twitter_space_${process.pid}_${Date.now()}`;
+  logger.info(`Creating PulseAudio null sink: ${sinkName}`);
+
+  const moduleId = await runPactl([
+    'load-module',
+    'module-null-sink',
+    `sink_name=${sinkName}`,
+    `sink_properties=device.description=${sinkName}`
+  ]);
+
+  const sink = {
+    sinkName,
+    monitorSource: `${sinkName}.monitor`,
+    moduleId
+  };
+
+  logger.info(`Null sink ${sinkName} created (module ${moduleId})`);
+  return sink;
+}
+
+/**
+ * Remove a null sink created by createNullSink
+ * @param {Object} sink - Sink info from createNullSink
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeNullSink(sink) {
+  if (!sink || !sink.moduleId) {
+    return false;
+  }
+
+  try {
+    await runPactl(['unload-module', sink.moduleId]);
+    logger.info(`Removed PulseAudio null sink: ${sink.sinkName}`);
+    return true;
+  } catch (error) {
+    logger.warn(`Failed to remove null sink ${sink.sinkName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Environment for a browser process whose audio should go to the sink
+ * @param {Object} sink - Sink info from createNullSink
+ * @returns {Object} Environment variables
+ */
+function getSinkEnvironment(sink) {
+  return {
+    ...process.env,
+    PULSE_SINK: sink.sinkName
+  };
+}
+
+/**
+ * Record the sink's monitor source as raw PCM
+ * @param {Object} sink - Sink info from createNullSink
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.channels - Number of channels
+ * @returns {ChildProcess} parec process; raw S16LE audio on stdout
+ */
+function recordSinkMonitor(sink, format = {}) {
+  const sampleRate = format.sampleRate || 16000;
+  const channels = format.channels || 1;
+
+  logger.info(`Recording monitor source ${sink.monitorSource} (${sampleRate}Hz, ${channels} channel(s))`);
+
+  const recorder = spawn('parec', [
+    `--device=${sink.monitorSource}`,
+    '--format=s16le',
+    `--rate=${sampleRate}`,
+    `--channels=${channels}`,
+    '--raw'
+  ]);
+
+  recorder.stderr.on('data', (data) => {
+    logger.debug(`parec: ${data.toString().trim()}`);
+  });
+
+  recorder.on('error', (error) => {
+    logger.error(`parec process error: ${error.message}`);
+  });
+
+  return recorder;
+}
+
+module.exports = {
+  createNullSink,
+  removeNullSink,
+  getSinkEnvironment,
+  recordSinkMonitor
+};
@@ -0,0 +1,310 @@
+/**
+ * Segmented recording output
+ *
+ * Writes captured PCM to one or more local files. When rotation is enabled the
+ * output is split every N minutes or N MB; each closed segment is finalized as
+ * a standalone, valid file and listed in a JSON manifest with its wall-clock
+ * times, sample offsets and checksum, so downstream jobs can pick up completed
+ * segments while the capture is still running.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { createWavWriter, writeWavData, finalizeWavWriter } = require('./wav-writer');
+const { ENCODER_FORMATS, createEncoder, encodeAudio, closeEncoder } = require('./encoder');
+
+// Manifest layout version
+const MANIFEST_VERSION = 1;
+
+/**
+ * Create a recorder for the local recording output
+ * @param {Object} options - Recorder options
+ * @param {string} options.outputFilePath - Output path; segments get a -partNNN suffix
+ * @param {string} options.format - Output format (wav, flac, opus, mp3)
+ * @param {string} options.bitrate - Bitrate for lossy formats (optional)
+ * @param {number} options.sampleRate - Input sample rate in Hz
+ * @param {number} options.channels - Input channel count
+ * @param {number} options.segmentMinutes - Rotate after this many minutes (optional)
+ * @param {number} options.segmentMegabytes - Rotate after this many MB (optional)
+ * @param {Function} options.onError - Called with an error when a segment's encoder stops, losing audio (optional)
+ * @returns {Object} Recorder state
+ */
+function createSegmentedRecorder(options) {
+  const segmentMs = options.segmentMinutes ? options.segmentMinutes * 60 * 1000 : null;
+  const segmentBytes = options.segmentMegabytes ? options.segmentMegabytes * 1024 * 1024 : null;
+  const extension = path.extname(options.outputFilePath);
+  const basePath = options.outputFilePath.slice(0, -extension.length);
+
+  const recorder = {
+    outputFilePath: options.outputFilePath,
+    basePath,
+    extension,
+    format: options.format,
+    bitrate: options.bitrate || null,
+    sampleRate: options.sampleRate || 16000,
+    channels: options.channels || 1,
+    segmented: Boolean(segmentMs || segmentBytes),
+    segmentMs,
+    segmentBytes,
+    manifestPath: `${basePath}.manifest.json`,
+    startedAt: new Date().toISOString(),
+    samplesWritten: 0,
+    nextSegmentIndex: 0,
+    current: null,
+    segments: [],
+    pending: Promise.resolve(),
+    onError: options.onError || null,
+    failed: false,
+    closed: false
+  };
+
+  if (recorder.segmented) {
+    logger.info(`Segmented recording enabled (${[
+      segmentMs ? `${options.segmentMinutes} min` : null,
+      segmentBytes ? `${options.segmentMegabytes} MB` : null
+    ].filter(Boolean).join(' or ')} per segment), manifest: ${recorder.manifestPath}`);
+  }
+
+  return recorder;
+}
+
+/**
+ * Open the next segment
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @returns {Object} Segment state
+ */
+function openSegment(recorder) {
+  const index = recorder.nextSegmentIndex++;
+  const filePath = recorder.segmented
+    ? `${recorder.basePath}-part${String(index + 1).padStart(3, '0')}${recorder.extension}`
+    : recorder.outputFilePath;
+
+  const segment = {
+    index,
+    filePath,
+    startedAt: new Date(),
+    startSample: recorder.samplesWritten,
+    sampleCount: 0,
+    bytes: 0,
+    endedAt: null,
+    wavWriter: null,
+    fileStream: null,
+    encoder: null
+  };
+
+  if (recorder.format === 'wav') {
+    segment.wavWriter = createWavWriter(filePath, {
+      sampleRate: recorder.sampleRate,
+      channels: recorder.channels,
+      bitsPerSample: 16
+    });
+  } else {
+    // Each segment gets its own encoder so it starts with a complete stream header
+    segment.fileStream = fs.createWriteStream(filePath);
+    segment.encoder = createEncoder({
+      format: recorder.format,
+      bitrate: recorder.bitrate,
+      sampleRate: recorder.sampleRate,
+      channels: recorder.channels,
+      onError: (error) => {
+        recorder.failed = true;
+        if (recorder.onError) {
+          recorder.onError(error);
+        }
+      }
+    }, (encodedChunk) => {
+      segment.fileStream.write(encodedChunk);
+      segment.bytes += encodedChunk.length;
+    });
+  }
+
+  logger.info(`Recording to: ${filePath}`);
+  return segment;
+}
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Write the manifest atomically
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @param {boolean} complete - Whether the capture has finished
+ * @returns {Promise<void>}
+ */
+async function writeManifest(recorder, complete = false) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    recording: path.basename(recorder.basePath),
+    format: recorder.format,
+    contentType: ENCODER_FORMATS[recorder.format].contentType,
+    bitrate: recorder.bitrate,
+    sampleRate: recorder.sampleRate,
+    channels: recorder.channels,
+    startedAt: recorder.startedAt,
+    updatedAt: new Date().toISOString(),
+    complete,
+    segments: recorder.segments
+  };
+
+  const tempPath = `${recorder.manifestPath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(manifest, null, 2), 'utf8');
+  await fs.promises.rename(tempPath, recorder.manifestPath);
+}
+
+/**
+ * Finalize a segment and record it in the manifest
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @param {Object} segment - Segment to finalize
+ * @returns {Promise<void>}
+ */
+async function finalizeSegment(recorder, segment) {
+  const endedAt = segment.endedAt || new Date();
+
+  if (segment.encoder) {
+    await closeEncoder(segment.encoder);
+  }
+
+  if (segment.fileStream) {
+    await new Promise((resolve) => segment.fileStream.end(resolve));
+  }
+
+  if (segment.wavWriter) {
+    await finalizeWavWriter(segment.wavWriter);
+  }
+
+  if (!recorder.segmented) {
+    return;
+  }
+
+  const { size } = await fs.promises.stat(segment.filePath);
+  const entry = {
+    index: segment.index,
+    file: path.basename(segment.filePath),
+    startedAt: segment.startedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    startSample: segment.startSample,
+    endSample: segment.startSample + segment.sampleCount,
+    durationSeconds: segment.sampleCount / recorder.sampleRate,
+    bytes: size,
+    sha256: await checksumFile(segment.filePath)
+  };
+
+  recorder.segments.push(entry);
+  recorder.segments.sort((a, b) => a.index - b.index);
+  await writeManifest(recorder);
+
+  logger.info(`Segment ${segment.index + 1} finalized: ${entry.file} (${entry.durationSeconds.toFixed(1)}s, ${size} bytes)`);
+}
+
+/**
+ * Check whether the current segment should be rotated
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @returns {boolean} True if a rotation is due
+ */
+function isRotationDue(recorder) {
+  const segment = recorder.current;
+  if (!recorder.segmented || !segment || segment.sampleCount === 0) {
+    return false;
+  }
+
+  if (recorder.segmentMs && Date.now() - segment.startedAt.getTime() >= recorder.segmentMs) {
+    return true;
+  }
+
+  return Boolean(recorder.segmentBytes && segment.bytes >= recorder.segmentBytes);
+}
+
+/**
+ * Write PCM to the recording, rotating to a new segment when due
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @param {Buffer} pcm - S16LE PCM data
+ * @returns {boolean} False if the recorder is closed
+ */
+function writeRecorderAudio(recorder, pcm) {
+  if (!recorder || recorder.closed) {
+    return false;
+  }
+
+  if (isRotationDue(recorder)) {
+    const previous = recorder.current;
+    previous.endedAt = new Date();
+    recorder.current = openSegment(recorder);
+
+    // Finalize in the background; keep the manifest updates in order
+    recorder.pending = recorder.pending
+      .then(() => finalizeSegment(recorder, previous))
+      .catch((error) => logger.error(`Failed to finalize segment ${previous.index + 1}: ${error.message}`));
+  }
+
+  if (!recorder.current) {
+    recorder.current = openSegment(recorder);
+  }
+
+  const segment = recorder.current;
+  const samples = pcm.length / (2 * recorder.channels);
+
+  if (segment.wavWriter) {
+    writeWavData(segment.wavWriter, pcm);
+    segment.bytes += pcm.length;
+  } else {
+    encodeAudio(segment.encoder, pcm);
+  }
+
+  segment.sampleCount += samples;
+  recorder.samplesWritten += samples;
+  return true;
+}
+
+/**
+ * Close the recorder, finalizing the last segment and the manifest
+ * @param {Object} recorder - Recorder from createSegmentedRecorder
+ * @returns {Promise<Object>} Summary with the number of samples and segments
+ */
+async function closeSegmentedRecorder(recorder) {
+  if (!recorder || recorder.closed) {
+    return null;
+  }
+
+  recorder.closed = true;
+
+  const last = recorder.current;
+  recorder.current = null;
+  if (last) {
+    last.endedAt = new Date();
+  }
+  await recorder.pending;
+
+  if (last) {
+    await finalizeSegment(recorder, last);
+  }
+
+  if (recorder.segmented) {
+    await writeManifest(recorder, true);
+  }
+
+  return {
+    samplesWritten: recorder.samplesWritten,
+    segmentCount: recorder.segmented ? recorder.segments.length : (last ? 1 : 0),
+    manifestPath: recorder.segmented ? recorder.manifestPath : null
+  };
+}
+
+module.exports = {
+  createSegmentedRecorder,
+  writeRecorderAudio,
+  closeSegmentedRecorder
+};
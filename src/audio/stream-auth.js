@@ -0,0 +1,297 @@
+/**
+ * Stream authentication
+ *
+ * Credentials for the WebSocket and HTTP sinks, and the checks a receiver
+ * makes on them. A sink can send a bearer token in the Authorization header,
+ * connect to an HMAC-signed URL that expires, trust a custom CA bundle and
+ * present a client certificate for mutual TLS. Signed URLs are signed afresh
+ * on every connect, so a reconnect after a long outage is not turned away
+ * with an expired signature.
+ *
+ * A signed URL carries "expires" (unix seconds) and "signature" query
+ * parameters. The signature is the hex HMAC-SHA256, keyed with the shared
+ * secret, of the path, a question mark and the other query parameters sorted
+ * by name: "/audio?expires=1767225600&room=7".
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Error codes for credentials that are missing, rejected or invalid
+const AUTH_ERROR_CODES = {
+  REJECTED: 'STREAM_AUTH_REJECTED', // The receiver turned the connection down
+  MISSING: 'STREAM_AUTH_MISSING',
+  BAD_TOKEN: 'STREAM_AUTH_BAD_TOKEN',
+  BAD_SIGNATURE: 'STREAM_AUTH_BAD_SIGNATURE',
+  EXPIRED: 'STREAM_AUTH_EXPIRED',
+  CONFIG: 'STREAM_AUTH_CONFIG' // A credential setting points at a missing variable or file
+};
+
+// Defaults, all overridable per sink or receiver
+const DEFAULT_OPTIONS = {
+  signTtlSeconds: 300, // How long a signed URL stays valid
+  maxSkewSeconds: 30 // Receiver: clock difference allowed when checking expiry
+};
+
+// Oldest TLS version we connect with
+const MIN_TLS_VERSION = 'TLSv1.2';
+
+/**
+ * Build an error with an AUTH_ERROR_CODES code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with the code
+ */
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read a secret given directly or through an environment variable
+ * @param {string} value - Secret (optional)
+ * @param {string} envName - Environment variable holding it (optional)
+ * @param {string} label - Setting name for errors
+ * @returns {string|null} Secret
+ * @throws {Error} With code STREAM_AUTH_CONFIG if the variable is not set
+ */
+function readSecret(value, envName, label) {
+  if (envName) {
+    if (!process.env[envName]) {
+      throw authError(AUTH_ERROR_CODES.CONFIG, `${label}: environment variable ${envName} is not set`);
+    }
+    return process.env[envName];
+  }
+  return value || null;
+}
+
+/**
+ * Read a PEM file
+ * @param {string} filePath - File path (optional)
+ * @param {string} label - Setting name for errors
+ * @returns {Buffer|null} File contents
+ * @throws {Error} With code STREAM_AUTH_CONFIG if the file cannot be read
+ */
+function readPem(filePath, label) {
+  if (!filePath) {
+    return null;
+  }
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    throw authError(AUTH_ERROR_CODES.CONFIG, `${label}: cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve a sink's credential settings. Files are read on every call, so a
+ * reopened sink picks up renewed certificates.
+ * @param {Object} settings - Sink settings
+ * @param {string} settings.token - Bearer token (optional)
+ * @param {string} settings.tokenEnv - Environment variable holding the bearer token (optional)
+ * @param {string} settings.signSecret - URL signing secret (optional)
+ * @param {string} settings.signSecretEnv - Environment variable holding the signing secret (optional)
+ * @param {number} settings.signTtl - Seconds a signed URL stays valid (optional)
+ * @param {string} settings.ca - CA bundle to trust, PEM file (optional)
+ * @param {string} settings.cert - Client certificate for mutual TLS, PEM file (optional)
+ * @param {string} settings.key - Client certificate key, PEM file (optional)
+ * @param {string} settings.keyPassphraseEnv - Environment variable holding the key's passphrase (optional)
+ * @returns {Object|null} Credentials, or null if the sink has none
+ * @throws {Error} With code STREAM_AUTH_CONFIG if a setting cannot be resolved
+ */
+function resolveCredentials(settings) {
+  const token = readSecret(settings.token, settings.tokenEnv, 'token');
+  const signingSecret = readSecret(settings.signSecret, settings.signSecretEnv, 'sign-secret');
+  const ca = readPem(settings.ca, 'ca');
+  const cert = readPem(settings.cert, 'cert');
+  const key = readPem(settings.key, 'key');
+
+  if (Boolean(cert) !== Boolean(key)) {
+    throw authError(AUTH_ERROR_CODES.CONFIG, 'A client certificate needs both cert and key');
+  }
+  if (!token && !signingSecret && !ca && !cert) {
+    return null;
+  }
+
+  return {
+    token,
+    signingSecret,
+    signTtlSeconds: settings.signTtl || DEFAULT_OPTIONS.signTtlSeconds,
+    tls: ca || cert
+      ? { ca, cert, key, passphrase: readSecret(null, settings.keyPassphraseEnv, 'key-passphrase') || undefined }
+      : null
+  };
+}
+
+/**
+ * What a URL's signature covers: its path and its other query parameters, sorted
+ * @param {URL} url - URL
+ * @returns {string} Signed text
+ */
+function canonicalRequest(url) {
+  const params = [...url.searchParams]
+    .filter(([name]) => name !== 'signature')
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+  return `${url.pathname}?${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * HMAC-SHA256 of the signed text
+ * @param {string} secret - Shared secret
+ * @param {URL} url - URL
+ * @returns {string} Hex signature
+ */
+function computeSignature(secret, url) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(url)).digest('hex');
+}
+
+/**
+ * Sign a URL so it is valid for a limited time
+ * @param {string} url - URL to sign
+ * @param {string} secret - Shared secret
+ * @param {Object} options - Signing options
+ * @param {number} options.ttlSeconds - Seconds the signature stays valid (optional)
+ * @param {number} options.now - Current time in ms (optional)
+ * @returns {string} URL with expires and signature parameters
+ */
+function signUrl(url, secret, options = {}) {
+  const signed = new URL(url);
+  const now = options.now !== undefined ? options.now : Date.now();
+  const ttlSeconds = options.ttlSeconds || DEFAULT_OPTIONS.signTtlSeconds;
+
+  signed.searchParams.delete('signature');
+  signed.searchParams.set('expires', String(Math.floor(now / 1000) + ttlSeconds));
+  signed.searchParams.set('signature', computeSignature(secret, signed));
+  return signed.toString();
+}
+
+/**
+ * URL to connect to with the given credentials, signed if they say so
+ * @param {string} url - Sink URL
+ * @param {Object} credentials - From resolveCredentials (optional)
+ * @returns {string} URL
+ */
+function connectUrl(url, credentials) {
+  if (!credentials || !credentials.signingSecret) {
+    return url;
+  }
+  return signUrl(url, credentials.signingSecret, { ttlSeconds: credentials.signTtlSeconds });
+}
+
+/**
+ * Headers and TLS options for connecting with the given credentials
+ * @param {Object} credentials - From resolveCredentials (optional)
+ * @returns {Object} headers, plus ca, cert, key and passphrase when set
+ */
+function connectOptions(credentials) {
+  const options = { headers: {}, minVersion: MIN_TLS_VERSION };
+  if (!credentials) {
+    return options;
+  }
+
+  if (credentials.token) {
+    options.headers.Authorization = `Bearer ${credentials.token}`;
+  }
+  if (credentials.tls) {
+    Object.entries(credentials.tls)
+      .filter(([, value]) => value)
+      .forEach(([name, value]) => {
+        options[name] = value;
+      });
+  }
+  return options;
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} given - Value received
+ * @param {string} expected - Value expected
+ * @returns {boolean} True if they match
+ */
+function safeEqual(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a signed URL
+ * @param {string} url - Request URL (path and query are enough)
+ * @param {string} secret - Shared secret
+ * @param {Object} options - Check options
+ * @param {number} options.maxSkewSeconds - Clock difference allowed (optional)
+ * @param {number} options.now - Current time in ms (optional)
+ * @returns {Object} ok, and code and message when it fails
+ */
+function verifySignedUrl(url, secret, options = {}) {
+  const parsed = new URL(url, 'http://localhost');
+  const now = options.now !== undefined ? options.now : Date.now();
+  const maxSkewSeconds = options.maxSkewSeconds !== undefined ? options.maxSkewSeconds : DEFAULT_OPTIONS.maxSkewSeconds;
+  const signature = parsed.searchParams.get('signature');
+  const expiresParam = parsed.searchParams.get('expires') || '';
+  const expires = Number(expiresParam);
+
+  // Number() would read a missing or empty expires as 0 and let it through to the signature check
+  if (!signature || !/^\d+$/.test(expiresParam)) {
+    return { ok: false, code: AUTH_ERROR_CODES.MISSING, message: 'The URL is not signed' };
+  }
+  if (!safeEqual(signature, computeSignature(secret, parsed))) {
+    return { ok: false, code: AUTH_ERROR_CODES.BAD_SIGNATURE, message: 'The URL signature does not match' };
+  }
+  if (expires + maxSkewSeconds < Math.floor(now / 1000)) {
+    return { ok: false, code: AUTH_ERROR_CODES.EXPIRED, message: `The URL expired at ${new Date(expires * 1000).toISOString()}` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Check an Authorization header for one of the accepted bearer tokens
+ * @param {string} header - Authorization header (optional)
+ * @param {Array<string>} tokens - Accepted tokens
+ * @returns {Object} ok, and code and message when it fails
+ */
+function verifyBearerToken(header, tokens) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) {
+    return { ok: false, code: AUTH_ERROR_CODES.MISSING, message: 'No bearer token' };
+  }
+  if (!tokens.some((token) => safeEqual(match[1].trim(), token))) {
+    return { ok: false, code: AUTH_ERROR_CODES.BAD_TOKEN, message: 'The bearer token is not accepted' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Check an incoming connect request against a receiver's requirements
+ * @param {http.IncomingMessage} request - Upgrade or POST request
+ * @param {Object} requirements - What the receiver asks for
+ * @param {Array<string>} requirements.tokens - Accepted bearer tokens (optional)
+ * @param {string} requirements.signingSecret - Secret signed URLs must match (optional)
+ * @param {number} requirements.maxSkewSeconds - Clock difference allowed (optional)
+ * @returns {Object} ok, and code and message when it fails
+ */
+function verifyConnectRequest(request, requirements = {}) {
+  if (requirements.tokens && requirements.tokens.length > 0) {
+    const result = verifyBearerToken(request.headers.authorization, requirements.tokens);
+    if (!result.ok) {
+      return result;
+    }
+  }
+  if (requirements.signingSecret) {
+    return verifySignedUrl(request.url, requirements.signingSecret, { maxSkewSeconds: requirements.maxSkewSeconds });
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  AUTH_ERROR_CODES,
+  readSecret,
+  resolveCredentials,
+  signUrl,
+  connectUrl,
+  connectOptions,
+  verifySignedUrl,
+  verifyBearerToken,
+  verifyConnectRequest
+};
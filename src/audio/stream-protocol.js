@@ -0,0 +1,315 @@
+/**
+ * Audio stream protocol
+ *
+ * What the capture sends to (and accepts from) a WebSocket receiver. Control
+ * messages are JSON text frames carrying the protocol version, described by
+ * stream-protocol.schema.json: hello, metadata, audio, ack, heartbeat, end
+ * and error. Anything else with a type (speech boundaries, captions, speak-back
+ * messages) is an event and passes through. Audio goes out as binary frames
+ * with a fixed little-endian header ahead of the encoded audio:
+ *
+ *   offset  size  field
+ *   0       1     header version (1)
+ *   1       1     header length in bytes (16)
+ *   2       2     flags (FRAME_FLAGS)
+ *   4       4     sequence number, counting from 0
+ *   8       8     capture timestamp, ms since the epoch (float64)
+ *
+ * After a reconnect the client says hello again with resume set, the server
+ * answers with the last sequence number it received, and the client replays
+ * the frames after it with the late flag set before going back to live audio.
+ * Servers that advertise the ack capability acknowledge received sequence
+ * ranges, which the client uses for flow control and latency measurement.
+ *
+ * Servers can also drive the capture with command messages (STREAM_COMMANDS).
+ * The client acknowledges each command as soon as it arrives and sends a
+ * command_result with the same id once it has been carried out or refused.
+ *
+ * Over a WebSocket each message is its own frame. The HTTP/1.1 and HTTP/2
+ * transports carry the same messages and frames in the request and response
+ * bodies instead, each wrapped in a record: a kind byte (RECORD_KINDS) and a
+ * little-endian uint32 length, then the JSON text or binary frame.
+ */
+
+const schema = require('./stream-protocol.schema.json');
+
+// Protocol version carried by every JSON message and binary frame
+const PROTOCOL_VERSION = 1;
+
+// Control message types
+const MESSAGE_TYPES = {
+  HELLO: 'hello',
+  METADATA: 'metadata',
+  AUDIO: 'audio',
+  ACK: 'ack',
+  COMMAND: 'command',
+  COMMAND_ACK: 'command_ack',
+  COMMAND_RESULT: 'command_result',
+  HEARTBEAT: 'heartbeat',
+  HEARTBEAT_ACK: 'heartbeat_ack',
+  END: 'end',
+  ERROR: 'error'
+};
+
+// Error codes sent in error messages
+const PROTOCOL_ERROR_CODES = {
+  UNSUPPORTED_VERSION: 'STREAM_UNSUPPORTED_VERSION',
+  INVALID_MESSAGE: 'STREAM_INVALID_MESSAGE',
+  INVALID_FRAME: 'STREAM_INVALID_FRAME',
+  UNKNOWN_COMMAND: 'STREAM_UNKNOWN_COMMAND',
+  INVALID_COMMAND: 'STREAM_INVALID_COMMAND',
+  COMMAND_FAILED: 'STREAM_COMMAND_FAILED'
+};
+
+// Commands a server can send
+const STREAM_COMMANDS = {
+  PAUSE: 'pause', // Stop streaming audio on this connection; the local recording continues
+  RESUME: 'resume', // Stream audio again after a pause
+  MARK: 'mark', // Add a marker (params.label) to the capture timeline
+  SET_ENCODER: 'set_encoder', // Restart this stream's encoder with params.format, params.bitrate and/or params.sampleRate
+  ANNOUNCE: 'announce', // Send the current metadata again
+  STOP: 'stop' // Stop the whole capture
+};
+
+// Binary frame header length
+const FRAME_HEADER_BYTES = 16;
+
+// Frame flag bits
+const FRAME_FLAGS = {
+  LATE: 1 // Replayed after a reconnect rather than sent live
+};
+
+// Record framing for the HTTP transports: kind byte plus uint32 length
+const RECORD_HEADER_BYTES = 5;
+
+// Longest record accepted, so a corrupt length cannot make a reader buffer without end
+const MAX_RECORD_BYTES = 16 * 1024 * 1024;
+
+// What a record carries
+const RECORD_KINDS = {
+  TEXT: 0, // A JSON message
+  BINARY: 1 // A binary audio frame
+};
+
+// Content type of request and response bodies made of records
+const RECORD_CONTENT_TYPE = 'application/x-space-audio-stream';
+
+/**
+ * Build a JSON message with the protocol version and a timestamp
+ * @param {string} type - Message type
+ * @param {Object} fields - Other message fields
+ * @returns {Object} Message
+ */
+function createMessage(type, fields = {}) {
+  return {
+    version: PROTOCOL_VERSION,
+    type,
+    ...fields,
+    timestamp: fields.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Check a value against a schema type or list of types
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} types - JSON schema type(s)
+ * @returns {boolean} True if the value has one of the types
+ */
+function matchesType(value, types) {
+  return [].concat(types).some((type) => {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      default: return typeof value === type;
+    }
+  });
+}
+
+/**
+ * Validate a parsed JSON message against the schema. Covers the parts of
+ * JSON schema the protocol schema uses: required, type, const and enum.
+ * @param {Object} message - Parsed message
+ * @returns {Array<string>} Problems found (empty if the message is valid)
+ */
+function validateMessage(message) {
+  if (!matchesType(message, 'object')) {
+    return ['message is not an object'];
+  }
+
+  const definition = schema.definitions[message.type];
+  const required = definition ? definition.required : schema.required;
+  const properties = { ...schema.properties, ...(definition ? definition.properties : {}) };
+  const problems = required
+    .filter((field) => message[field] === undefined)
+    .map((field) => `missing ${field}`);
+
+  for (const [field, rules] of Object.entries(properties)) {
+    const value = message[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (rules.type && !matchesType(value, rules.type)) {
+      problems.push(`${field} should be ${[].concat(rules.type).join(' or ')}`);
+    } else if (rules.const !== undefined && value !== rules.const) {
+      problems.push(`${field} should be ${rules.const}`);
+    } else if (rules.enum && !rules.enum.includes(value)) {
+      problems.push(`${field} should be one of ${rules.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parse a JSON text frame
+ * @param {string|Buffer} data - Frame contents
+ * @returns {Object} Message, or { error } with a PROTOCOL_ERROR_CODES code and message
+ */
+function parseMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return { error: { code: PROTOCOL_ERROR_CODES.INVALID_MESSAGE, message: `Not JSON: ${error.message}` } };
+  }
+
+  if (message && message.version !== undefined && message.version !== PROTOCOL_VERSION) {
+    return { error: { code: PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION, message: `Unsupported protocol version ${message.version} (expected ${PROTOCOL_VERSION})` } };
+  }
+
+  const problems = validateMessage(message);
+  if (problems.length > 0) {
+    return { error: { code: PROTOCOL_ERROR_CODES.INVALID_MESSAGE, message: `Invalid ${message && message.type} message: ${problems.join(', ')}` } };
+  }
+
+  return message;
+}
+
+/**
+ * Prefix audio with a binary frame header
+ * @param {Object} frame - Frame fields
+ * @param {number} frame.sequence - Sequence number
+ * @param {number} frame.captureTimestamp - Capture time in ms since the epoch
+ * @param {number} frame.flags - Flags (optional)
+ * @param {Buffer} payload - Encoded audio
+ * @returns {Buffer} Binary frame
+ */
+function encodeAudioFrame(frame, payload) {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header.writeUInt8(PROTOCOL_VERSION, 0);
+  header.writeUInt8(FRAME_HEADER_BYTES, 1);
+  header.writeUInt16LE(frame.flags || 0, 2);
+  header.writeUInt32LE(frame.sequence >>> 0, 4);
+  header.writeDoubleLE(frame.captureTimestamp, 8);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split a binary frame into its header fields and audio
+ * @param {Buffer} buffer - Binary frame
+ * @returns {Object} version, flags, sequence, captureTimestamp and payload
+ * @throws {Error} With code STREAM_INVALID_FRAME or STREAM_UNSUPPORTED_VERSION
+ */
+function decodeAudioFrame(buffer) {
+  if (buffer.length < FRAME_HEADER_BYTES) {
+    const error = new Error(`Binary frame of ${buffer.length} bytes is shorter than its header`);
+    error.code = PROTOCOL_ERROR_CODES.INVALID_FRAME;
+    throw error;
+  }
+
+  const version = buffer.readUInt8(0);
+  const headerBytes = buffer.readUInt8(1);
+  if (version !== PROTOCOL_VERSION) {
+    const error = new Error(`Unsupported frame header version ${version}`);
+    error.code = PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION;
+    throw error;
+  }
+  if (headerBytes < FRAME_HEADER_BYTES || headerBytes > buffer.length) {
+    const error = new Error(`Invalid frame header length ${headerBytes}`);
+    error.code = PROTOCOL_ERROR_CODES.INVALID_FRAME;
+    throw error;
+  }
+
+  // Later header versions may grow the header; the length field says where the audio starts
+  return {
+    version,
+    flags: buffer.readUInt16LE(2),
+    sequence: buffer.readUInt32LE(4),
+    captureTimestamp: buffer.readDoubleLE(8),
+    payload: buffer.subarray(headerBytes)
+  };
+}
+
+/**
+ * Wrap a JSON message or binary frame in a record
+ * @param {string|Buffer} data - JSON text, or a binary frame
+ * @returns {Buffer} Record
+ */
+function encodeRecord(data) {
+  const binary = Buffer.isBuffer(data);
+  const payload = binary ? data : Buffer.from(data);
+  const header = Buffer.alloc(RECORD_HEADER_BYTES);
+  header.writeUInt8(binary ? RECORD_KINDS.BINARY : RECORD_KINDS.TEXT, 0);
+  header.writeUInt32LE(payload.length, 1);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Create a reader that splits a body into records, however it is chunked
+ * @param {Function} onRecord - Called with each record's payload and whether it is binary
+ * @returns {Object} Record reader
+ */
+function createRecordReader(onRecord) {
+  return {
+    buffer: Buffer.alloc(0),
+    onRecord
+  };
+}
+
+/**
+ * Feed a chunk of body to a record reader, handing on every complete record
+ * @param {Object} reader - Record reader
+ * @param {Buffer} chunk - Body bytes
+ * @throws {Error} With code STREAM_INVALID_FRAME if a record header is invalid
+ */
+function readRecords(reader, chunk) {
+  reader.buffer = reader.buffer.length > 0 ? Buffer.concat([reader.buffer, chunk]) : chunk;
+
+  while (reader.buffer.length >= RECORD_HEADER_BYTES) {
+    const kind = reader.buffer.readUInt8(0);
+    const length = reader.buffer.readUInt32LE(1);
+    if (!Object.values(RECORD_KINDS).includes(kind) || length > MAX_RECORD_BYTES) {
+      const error = new Error(`Invalid record header (kind ${kind}, ${length} bytes)`);
+      error.code = PROTOCOL_ERROR_CODES.INVALID_FRAME;
+      throw error;
+    }
+    if (reader.buffer.length < RECORD_HEADER_BYTES + length) {
+      break;
+    }
+
+    const payload = reader.buffer.subarray(RECORD_HEADER_BYTES, RECORD_HEADER_BYTES + length);
+    reader.buffer = reader.buffer.subarray(RECORD_HEADER_BYTES + length);
+    reader.onRecord(payload, kind === RECORD_KINDS.BINARY);
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  PROTOCOL_ERROR_CODES,
+  STREAM_COMMANDS,
+  FRAME_HEADER_BYTES,
+  FRAME_FLAGS,
+  RECORD_KINDS,
+  RECORD_CONTENT_TYPE,
+  createMessage,
+  validateMessage,
+  parseMessage,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  encodeRecord,
+  createRecordReader,
+  readRecords
+};
@@ -0,0 +1,387 @@
+/**
+ * Stream transports
+ *
+ * The connections the stream client speaks its protocol over. A WebSocket
+ * carries each message in a frame of its own. For receivers that do not take
+ * WebSockets, the same messages and binary frames go over a long-lived
+ * HTTP/1.1 chunked POST or an HTTP/2 stream instead, wrapped in records (see
+ * stream-protocol.js): the request body carries what the client sends, and
+ * the response body, which the receiver starts as soon as it accepts the
+ * request, carries what it sends back. Hello, heartbeats, acks, commands and
+ * end work the same way on all three.
+ *
+ * Every transport opens to a connection with the same functions: send,
+ * isOpen, bufferedAmount, close and terminate. What arrives is reported to
+ * the onMessage, onClose and onError handlers given to openTransport.
+ */
+
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const WebSocket = require('ws');
+const { RECORD_CONTENT_TYPE, encodeRecord, createRecordReader, readRecords } = require('./stream-protocol');
+const { AUTH_ERROR_CODES, connectUrl, connectOptions } = require('./stream-auth');
+
+// Transports a stream can use
+const TRANSPORT_TYPES = {
+  WEBSOCKET: 'websocket',
+  HTTP: 'http', // HTTP/1.1 chunked POST
+  HTTP2: 'http2' // HTTP/2 stream; h2c (prior knowledge) for http:// URLs
+};
+
+// Names for logs
+const TRANSPORT_LABELS = {
+  [TRANSPORT_TYPES.WEBSOCKET]: 'WebSocket',
+  [TRANSPORT_TYPES.HTTP]: 'HTTP/1.1',
+  [TRANSPORT_TYPES.HTTP2]: 'HTTP/2'
+};
+
+// URL schemes each transport connects to
+const TRANSPORT_SCHEMES = {
+  [TRANSPORT_TYPES.WEBSOCKET]: ['ws:', 'wss:'],
+  [TRANSPORT_TYPES.HTTP]: ['http:', 'https:'],
+  [TRANSPORT_TYPES.HTTP2]: ['http:', 'https:']
+};
+
+// Defaults, all overridable per connection
+const DEFAULT_OPTIONS = {
+  transport: TRANSPORT_TYPES.WEBSOCKET,
+  credentials: null, // From stream-auth.js resolveCredentials
+  connectTimeoutMs: 10000,
+  closeTimeoutMs: 2000, // How long a graceful close waits for the receiver
+  onMessage: null, // Called with each message or frame (Buffer) and whether it is binary
+  onClose: null, // Called with a description once the connection has closed
+  onError: null // Called with errors on an open connection
+};
+
+/**
+ * Check that a transport is known and the URL suits it
+ * @param {string} transport - TRANSPORT_TYPES value
+ * @param {string} url - Receiver URL
+ * @throws {Error} If the transport is unknown or the URL has the wrong scheme
+ */
+function checkTransportUrl(transport, url) {
+  const schemes = TRANSPORT_SCHEMES[transport];
+  if (!schemes) {
+    throw new Error(`Unknown stream transport: ${transport} (expected one of: ${Object.values(TRANSPORT_TYPES).join(', ')})`);
+  }
+
+  let protocol = null;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (error) {
+    // Reported below
+  }
+  if (!schemes.includes(protocol)) {
+    throw new Error(`Invalid ${TRANSPORT_LABELS[transport]} URL: ${url}. Must start with ${schemes.map((scheme) => `${scheme}//`).join(' or ')}`);
+  }
+}
+
+/**
+ * Build the error for a receiver that answered the connect with an HTTP error
+ * @param {string} transport - TRANSPORT_TYPES value
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error, with code STREAM_AUTH_REJECTED for 401 and 403
+ */
+function refusedError(transport, status, headers) {
+  const reason = headers['x-auth-error'] ? ` [${headers['x-auth-error']}]` : '';
+  const error = new Error(`${TRANSPORT_LABELS[transport]} server refused the connection: HTTP ${status}${reason}`);
+  if (status === 401 || status === 403) {
+    error.code = AUTH_ERROR_CODES.REJECTED;
+  }
+  return error;
+}
+
+/**
+ * Open a WebSocket
+ * @param {string} url - ws:// or wss:// URL
+ * @param {Object} settings - Transport settings (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Connection
+ */
+async function openWebSocket(url, settings) {
+  // Signed URLs are signed afresh on every connect
+  const ws = new WebSocket(connectUrl(url, settings.credentials), connectOptions(settings.credentials));
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      ws.terminate();
+      reject(new Error(`WebSocket connection timeout after ${settings.connectTimeoutMs}ms`));
+    }, settings.connectTimeoutMs);
+
+    ws.once('open', () => {
+      clearTimeout(timeout);
+      resolve();
+    });
+    ws.once('unexpected-response', (request, response) => {
+      clearTimeout(timeout);
+      reject(refusedError(TRANSPORT_TYPES.WEBSOCKET, response.statusCode, response.headers));
+      ws.terminate();
+    });
+    ws.once('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+
+  ws.on('message', (data, isBinary) => settings.onMessage(data, isBinary));
+  ws.on('close', (code, reason) => settings.onClose(`${code}${reason.length > 0 ? ` - ${reason}` : ''}`));
+  ws.on('error', (error) => settings.onError(error));
+
+  return {
+    type: TRANSPORT_TYPES.WEBSOCKET,
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+    send: (data) => ws.send(data),
+    bufferedAmount: () => ws.bufferedAmount,
+    close: (reason) => new Promise((resolve) => {
+      if (ws.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      const timeout = setTimeout(() => {
+        ws.terminate();
+        resolve();
+      }, settings.closeTimeoutMs);
+      ws.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      ws.close(1000, reason);
+    }),
+    terminate: () => ws.terminate()
+  };
+}
+
+/**
+ * Check the receiver's answer to an HTTP connect
+ * @param {string} transport - TRANSPORT_TYPES value
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error|null} Why the connection cannot be used, or null if it can
+ */
+function checkHttpAnswer(transport, status, headers) {
+  if (status !== 200) {
+    return refusedError(transport, status, headers);
+  }
+  // A plain audio receiver would take the POST but not understand the records
+  const contentType = headers['content-type'] || '';
+  if (!contentType.startsWith(RECORD_CONTENT_TYPE)) {
+    return new Error(`${TRANSPORT_LABELS[transport]} receiver does not speak the stream protocol (it answered with ${contentType || 'no'} content type)`);
+  }
+  return null;
+}
+
+/**
+ * Turn an accepted HTTP request and its response into a connection that
+ * writes records to the request body and reads them from the response body
+ * @param {Object} settings - Transport settings (see DEFAULT_OPTIONS)
+ * @param {Object} streams - The two sides
+ * @param {string} streams.type - TRANSPORT_TYPES value
+ * @param {stream.Writable} streams.output - Request body
+ * @param {stream.Readable} streams.input - Response body
+ * @param {Function} streams.bufferedAmount - Bytes written but not yet sent
+ * @param {Function} streams.teardown - Drops the request and whatever carries it
+ * @returns {Object} Connection
+ */
+function createRecordConnection(settings, streams) {
+  const { type, output, input, teardown } = streams;
+  let open = true;
+  let resolveClosed;
+  const closed = new Promise((resolve) => {
+    resolveClosed = resolve;
+  });
+
+  const finish = (reason) => {
+    if (!open) {
+      return;
+    }
+    open = false;
+    teardown();
+    resolveClosed();
+    settings.onClose(reason);
+  };
+
+  const reader = createRecordReader((payload, isBinary) => settings.onMessage(payload, isBinary));
+  input.on('data', (chunk) => {
+    try {
+      readRecords(reader, chunk);
+    } catch (error) {
+      settings.onError(error);
+      finish(error.message);
+    }
+  });
+  input.on('end', () => finish('the receiver ended its response'));
+  input.on('close', () => finish('connection closed'));
+  input.on('error', (error) => settings.onError(error));
+  output.on('error', (error) => settings.onError(error));
+  output.on('close', () => finish('connection closed'));
+
+  return {
+    type,
+    isOpen: () => open && !output.writableEnded,
+    send: (data) => {
+      output.write(encodeRecord(data));
+    },
+    bufferedAmount: streams.bufferedAmount,
+    close: async () => {
+      if (!open) {
+        return;
+      }
+      // Ending the request body is the close; the receiver ends its response in turn
+      const timeout = setTimeout(() => finish('close timed out'), settings.closeTimeoutMs);
+      output.end();
+      await closed;
+      clearTimeout(timeout);
+    },
+    terminate: () => finish('terminated')
+  };
+}
+
+/**
+ * Open an HTTP/1.1 chunked POST
+ * @param {string} url - http:// or https:// URL
+ * @param {Object} settings - Transport settings (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Connection
+ */
+async function openHttpStream(url, settings) {
+  const target = new URL(connectUrl(url, settings.credentials));
+  const { headers, ...tlsOptions } = connectOptions(settings.credentials);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    ...tlsOptions,
+    method: 'POST',
+    headers: {
+      'Content-Type': RECORD_CONTENT_TYPE,
+      Accept: RECORD_CONTENT_TYPE,
+      'Transfer-Encoding': 'chunked',
+      ...headers
+    }
+  });
+  request.flushHeaders();
+
+  const response = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      request.destroy();
+      reject(new Error(`HTTP/1.1 connection timeout after ${settings.connectTimeoutMs}ms`));
+    }, settings.connectTimeoutMs);
+
+    request.once('response', (answer) => {
+      clearTimeout(timeout);
+      const error = checkHttpAnswer(TRANSPORT_TYPES.HTTP, answer.statusCode, answer.headers);
+      if (error) {
+        answer.resume();
+        request.destroy();
+        reject(error);
+        return;
+      }
+      resolve(answer);
+    });
+    request.once('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+
+  return createRecordConnection(settings, {
+    type: TRANSPORT_TYPES.HTTP,
+    output: request,
+    input: response,
+    bufferedAmount: () => request.writableLength + (request.socket ? request.socket.writableLength : 0),
+    teardown: () => request.destroy()
+  });
+}
+
+/**
+ * Open an HTTP/2 stream, on a session of its own
+ * @param {string} url - http:// (h2c) or https:// URL
+ * @param {Object} settings - Transport settings (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Connection
+ */
+async function openHttp2Stream(url, settings) {
+  const target = new URL(connectUrl(url, settings.credentials));
+  const { headers, ...tlsOptions } = connectOptions(settings.credentials);
+  const session = http2.connect(target.origin, tlsOptions);
+
+  // HTTP/2 header names are lower case
+  const requestHeaders = {
+    ':method': 'POST',
+    ':path': `${target.pathname}${target.search}`,
+    'content-type': RECORD_CONTENT_TYPE,
+    accept: RECORD_CONTENT_TYPE
+  };
+  Object.entries(headers).forEach(([name, value]) => {
+    requestHeaders[name.toLowerCase()] = value;
+  });
+
+  let stream;
+  try {
+    stream = session.request(requestHeaders);
+  } catch (error) {
+    session.destroy();
+    throw error;
+  }
+
+  await new Promise((resolve, reject) => {
+    const fail = (error) => {
+      clearTimeout(timeout);
+      session.destroy();
+      reject(error);
+    };
+    const timeout = setTimeout(() => {
+      fail(new Error(`HTTP/2 connection timeout after ${settings.connectTimeoutMs}ms`));
+    }, settings.connectTimeoutMs);
+
+    stream.once('response', (answer) => {
+      const error = checkHttpAnswer(TRANSPORT_TYPES.HTTP2, answer[':status'], answer);
+      if (error) {
+        fail(error);
+        return;
+      }
+      clearTimeout(timeout);
+      resolve();
+    });
+    stream.once('error', fail);
+    session.once('error', fail);
+  });
+
+  session.on('error', (error) => settings.onError(error));
+  session.on('close', () => stream.destroy());
+
+  return createRecordConnection(settings, {
+    type: TRANSPORT_TYPES.HTTP2,
+    output: stream,
+    input: stream,
+    bufferedAmount: () => stream.writableLength,
+    teardown: () => {
+      stream.destroy();
+      session.close();
+    }
+  });
+}
+
+/**
+ * Open a connection to a receiver
+ * @param {string} url - Receiver URL
+ * @param {Object} options - Transport options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Connection: send(data), isOpen(), bufferedAmount(), close(reason) and terminate()
+ * @throws {Error} If the URL does not suit the transport or the receiver cannot be reached or refuses the connection
+ */
+async function openTransport(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  checkTransportUrl(settings.transport, url);
+
+  switch (settings.transport) {
+    case TRANSPORT_TYPES.HTTP:
+      return openHttpStream(url, settings);
+    case TRANSPORT_TYPES.HTTP2:
+      return openHttp2Stream(url, settings);
+    default:
+      return openWebSocket(url, settings);
+  }
+}
+
+module.exports = {
+  TRANSPORT_TYPES,
+  TRANSPORT_LABELS,
+  checkTransportUrl,
+  openTransport
+};
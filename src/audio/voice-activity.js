@@ -0,0 +1,168 @@
+/**
+ * Energy-based voice activity detection
+ *
+ * Splits the captured PCM into short frames, compares each frame's level with
+ * a threshold and turns the result into speech_start / speech_end events with
+ * a little hysteresis, so a breath or a click does not count as speech and a
+ * short pause does not end it. It also reports when the capture has been
+ * silent for longer than the configured timeout, which is what drives the
+ * silence-based auto-stop.
+ *
+ * Positions are reported on the recording's sample clock, not wall-clock time.
+ */
+
+const logger = require('../utils/logger');
+
+// Defaults, all overridable per capture
+const DEFAULT_OPTIONS = {
+  thresholdDb: -45, // Frame level (dBFS) above which a frame counts as voiced
+  frameMs: 20, // Analysis frame length
+  speechStartMs: 120, // Voiced audio needed before speech_start
+  hangoverMs: 800, // Unvoiced audio needed before speech_end
+  silenceTimeoutSeconds: null // Continuous silence before silence_timeout (null disables)
+};
+
+/**
+ * Create a voice activity detector
+ * @param {Object} options - Detector options (see DEFAULT_OPTIONS)
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {Function} onEvent - Called with each speech_start, speech_end and silence_timeout event
+ * @returns {Object} Detector state
+ */
+function createVoiceActivityDetector(options = {}, onEvent = () => {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.keys(options).forEach((key) => {
+    if (options[key] !== undefined && options[key] !== null) {
+      settings[key] = options[key];
+    }
+  });
+
+  const sampleRate = settings.sampleRate || 16000;
+  const msToSamples = (ms) => Math.round((ms / 1000) * sampleRate);
+
+  const vad = {
+    sampleRate,
+    thresholdDb: settings.thresholdDb,
+    frameSamples: msToSamples(settings.frameMs),
+    speechStartSamples: msToSamples(settings.speechStartMs),
+    hangoverSamples: msToSamples(settings.hangoverMs),
+    silenceTimeoutSamples: settings.silenceTimeoutSeconds
+      ? msToSamples(settings.silenceTimeoutSeconds * 1000)
+      : null,
+    onEvent,
+    remainder: Buffer.alloc(0),
+    sampleOffset: 0,
+    speaking: false,
+    speechStartSample: null,
+    voicedRun: 0,
+    unvoicedRun: 0,
+    quietSamples: 0,
+    timedOut: false,
+    speechSegments: 0
+  };
+
+  logger.info(`Voice activity detection: threshold ${vad.thresholdDb} dBFS${vad.silenceTimeoutSamples ? `, auto-stop after ${settings.silenceTimeoutSeconds}s of silence` : ''}`);
+  return vad;
+}
+
+/**
+ * Level of a frame in dBFS
+ * @param {Buffer} frame - S16LE PCM frame
+ * @returns {number} RMS level in dBFS (-Infinity for digital silence)
+ */
+function frameLevelDb(frame) {
+  const samples = frame.length / 2;
+  let sumSquares = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sumSquares += sample * sample;
+  }
+  return 10 * Math.log10(sumSquares / samples);
+}
+
+/**
+ * Emit an event with its position on the sample clock
+ * @param {Object} vad - Detector from createVoiceActivityDetector
+ * @param {string} type - Event type
+ * @param {number} sample - Sample offset the event refers to
+ * @param {Object} details - Extra event fields
+ */
+function emitEvent(vad, type, sample, details = {}) {
+  vad.onEvent({
+    type,
+    sample,
+    offsetSeconds: sample / vad.sampleRate,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Update the detector with one analysis frame
+ * @param {Object} vad - Detector from createVoiceActivityDetector
+ * @param {Buffer} frame - S16LE PCM frame
+ */
+function processFrame(vad, frame) {
+  const samples = frame.length / 2;
+  const voiced = frameLevelDb(frame) >= vad.thresholdDb;
+  vad.sampleOffset += samples;
+
+  if (voiced) {
+    vad.voicedRun += samples;
+    vad.unvoicedRun = 0;
+  } else {
+    vad.unvoicedRun += samples;
+    vad.voicedRun = 0;
+  }
+
+  if (!vad.speaking && vad.voicedRun >= vad.speechStartSamples) {
+    vad.speaking = true;
+    vad.speechStartSample = vad.sampleOffset - vad.voicedRun;
+    vad.speechSegments++;
+    vad.quietSamples = 0;
+    vad.timedOut = false;
+    emitEvent(vad, 'speech_start', vad.speechStartSample);
+  } else if (vad.speaking && vad.unvoicedRun >= vad.hangoverSamples) {
+    const endSample = vad.sampleOffset - vad.unvoicedRun;
+    vad.speaking = false;
+    vad.quietSamples = vad.unvoicedRun;
+    emitEvent(vad, 'speech_end', endSample, {
+      durationSeconds: (endSample - vad.speechStartSample) / vad.sampleRate
+    });
+  } else if (!vad.speaking) {
+    vad.quietSamples += samples;
+  }
+
+  if (vad.silenceTimeoutSamples && !vad.speaking && !vad.timedOut && vad.quietSamples >= vad.silenceTimeoutSamples) {
+    vad.timedOut = true;
+    emitEvent(vad, 'silence_timeout', vad.sampleOffset, {
+      silenceSeconds: vad.quietSamples / vad.sampleRate
+    });
+  }
+}
+
+/**
+ * Run voice activity detection over a chunk of PCM
+ * @param {Object} vad - Detector from createVoiceActivityDetector
+ * @param {Buffer} pcm - S16LE PCM data
+ * @returns {boolean} Whether speech is active after this chunk
+ */
+function detectVoiceActivity(vad, pcm) {
+  // Chunks rarely line up with analysis frames; carry the leftover to the next call
+  const data = vad.remainder.length > 0 ? Buffer.concat([vad.remainder, pcm]) : pcm;
+  const frameBytes = vad.frameSamples * 2;
+  let offset = 0;
+
+  while (offset + frameBytes <= data.length) {
+    processFrame(vad, data.subarray(offset, offset + frameBytes));
+    offset += frameBytes;
+  }
+
+  vad.remainder = Buffer.from(data.subarray(offset));
+  return vad.speaking;
+}
+
+module.exports = {
+  createVoiceActivityDetector,
+  detectVoiceActivity
+};
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Size of the canonical PCM WAV header written by this module
+const WAV_HEADER_SIZE = 44;
+
+// Default format used by the browser-based capture (S16LE, 16000Hz, mono)
+const DEFAULT_FORMAT = {
+  sampleRate: 16000,
+  channels: 1,
+  bitsPerSample: 16
+};
+
+// A recording being written has a <file>.lock next to it holding the
+// writer's PID; the repair pass leaves it alone while that process lives
+const LOCK_SUFFIX = '.lock';
+
+// Recordings this process is writing, by absolute path
+const openRecordings = new Set();
+
+/**
+ * Build a canonical 44-byte PCM WAV header
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.channels - Number of channels
+ * @param {number} format.bitsPerSample - Bits per sample
+ * @param {number} dataBytes - Size of the PCM data chunk in bytes
+ * @returns {Buffer} WAV header
+ */
+function buildWavHeader(format, dataBytes) {
+  const { sampleRate, channels, bitsPerSample } = { ...DEFAULT_FORMAT, ...format };
+  const blockAlign = channels * (bitsPerSample / 8);
+  const byteRate = sampleRate * blockAlign;
+
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20); // Audio format 1 = PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+
+  return header;
+}
+
+/**
+ * Whether another writer still has a recording open
+ * @param {string} filePath - WAV file path
+ * @returns {boolean} True if this process is writing it, or its lock names a live process
+ */
+function isRecordingInUse(filePath) {
+  if (openRecordings.has(path.resolve(filePath))) {
+    return true;
+  }
+
+  let pid;
+  try {
+    pid = Number(fs.readFileSync(`${filePath}${LOCK_SUFFIX}`, 'utf8').trim());
+  } catch (error) {
+    return false;
+  }
+
+  // Our own PID on a file we are not writing is left from an earlier process
+  // that had the same PID, e.g. PID 1 in a restarted container
+  if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Create a streaming WAV writer. A placeholder header is written first and
+ * the sizes are patched in when the writer is finalized.
+ * @param {string} filePath - Output WAV file path
+ * @param {Object} format - Audio format (sampleRate, channels, bitsPerSample)
+ * @returns {Object} WAV writer state
+ */
+function createWavWriter(filePath, format = {}) {
+  const writer = {
+    filePath,
+    format: { ...DEFAULT_FORMAT, ...format },
+    dataBytes: 0,
+    stream: fs.createWriteStream(filePath),
+    finalized: false
+  };
+
+  writer.stream.on('error', (error) => {
+    logger.error(`WAV writer error for ${filePath}: ${error.message}`);
+  });
+
+  openRecordings.add(path.resolve(filePath));
+  try {
+    fs.writeFileSync(`${filePath}${LOCK_SUFFIX}`, String(process.pid));
+  } catch (error) {
+    logger.warn(`Could not write lock file for ${filePath}: ${error.message}`);
+  }
+
+  // Placeholder header with zero sizes until finalized
+  writer.stream.write(buildWavHeader(writer.format, 0));
+
+  return writer;
+}
+
+/**
+ * Append PCM data to a WAV writer
+ * @param {Object} writer - WAV writer from createWavWriter
+ * @param {Buffer} buffer - PCM data
+ * @returns {boolean} False if the writer is already finalized
+ */
+function writeWavData(writer, buffer) {
+  if (!writer || writer.finalized) {
+    return false;
+  }
+
+  writer.stream.write(buffer);
+  writer.dataBytes += buffer.length;
+  return true;
+}
+
+/**
+ * Close a WAV writer and patch the RIFF and data chunk sizes in its header
+ * @param {Object} writer - WAV writer from createWavWriter
+ * @returns {Promise<number>} Number of PCM data bytes written
+ */
+async function finalizeWavWriter(writer) {
+  if (!writer || writer.finalized) {
+    return writer ? writer.dataBytes : 0;
+  }
+
+  writer.finalized = true;
+
+  // Wait for all buffered data to be flushed to disk
+  await new Promise((resolve) => {
+    writer.stream.end(resolve);
+  });
+
+  const header = buildWavHeader(writer.format, writer.dataBytes);
+  const handle = await fs.promises.open(writer.filePath, 'r+');
+  try {
+    await handle.write(header, 0, WAV_HEADER_SIZE, 0);
+  } finally {
+    await handle.close();
+  }
+
+  openRecordings.delete(path.resolve(writer.filePath));
+  await fs.promises.unlink(`${writer.filePath}${LOCK_SUFFIX}`).catch(() => {});
+
+  logger.debug(`Finalized WAV file ${writer.filePath} (${writer.dataBytes} data bytes)`);
+  return writer.dataBytes;
+}
+
+/**
+ * Locate the data chunk of a RIFF/WAVE file
+ * @param {Buffer} head - First bytes of the file
+ * @returns {Object|null} Offsets of the data chunk, or null if not found
+ */
+function findDataChunk(head) {
+  let offset = 12;
+
+  while (offset + 8 <= head.length) {
+    const chunkId = head.toString('ascii', offset, offset + 4);
+    const chunkSize = head.readUInt32LE(offset + 4);
+
+    if (chunkId === 'data') {
+      return { sizeOffset: offset + 4, dataOffset: offset + 8 };
+    }
+
+    // Chunks are word-aligned
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Repair a WAV file that was not finalized (e.g. after a crash). Files with
+ * a RIFF header get their sizes patched in place; headerless PCM files get a
+ * header rebuilt in front of the data.
+ * @param {string} filePath - WAV file path
+ * @param {Object} format - Format to assume for headerless files
+ * @returns {Promise<boolean>} True if the file was repaired
+ */
+async function repairWavFile(filePath, format = {}) {
+  const { size } = await fs.promises.stat(filePath);
+  const handle = await fs.promises.open(filePath, 'r+');
+  let needsHeader = false;
+
+  try {
+    const head = Buffer.alloc(Math.min(size, 4096));
+    await handle.read(head, 0, head.length, 0);
+
+    const hasRiffHeader = head.length >= 12 &&
+      head.toString('ascii', 0, 4) === 'RIFF' &&
+      head.toString('ascii', 8, 12) === 'WAVE';
+    const dataChunk = hasRiffHeader ? findDataChunk(head) : null;
+
+    if (!dataChunk) {
+      needsHeader = true;
+    } else {
+      const expectedRiffSize = size - 8;
+      const expectedDataSize = size - dataChunk.dataOffset;
+
+      if (head.readUInt32LE(4) === expectedRiffSize &&
+          head.readUInt32LE(dataChunk.sizeOffset) === expectedDataSize) {
+        return false;
+      }
+
+      const sizeField = Buffer.alloc(4);
+      sizeField.writeUInt32LE(expectedRiffSize, 0);
+      await handle.write(sizeField, 0, 4, 4);
+      sizeField.writeUInt32LE(expectedDataSize, 0);
+      await handle.write(sizeField, 0, 4, dataChunk.sizeOffset);
+
+      logger.info(`Patched unfinalized WAV header: ${filePath}`);
+      return true;
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (needsHeader) {
+    // Rebuild the file as header + original data, then swap it in
+    const tempPath = `${filePath}.repair`;
+    const blockAlign = (format.channels || DEFAULT_FORMAT.channels) *
+      ((format.bitsPerSample || DEFAULT_FORMAT.bitsPerSample) / 8);
+    const dataBytes = size - (size % blockAlign);
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(tempPath);
+      output.on('error', reject);
+      output.on('finish', resolve);
+      output.write(buildWavHeader(format, dataBytes));
+
+      if (dataBytes === 0) {
+        output.end();
+        return;
+      }
+
+      const input = fs.createReadStream(filePath, { start: 0, end: dataBytes - 1 });
+      input.on('error', reject);
+      input.pipe(output);
+    });
+
+    await fs.promises.rename(tempPath, filePath);
+    logger.info(`Rebuilt missing WAV header: ${filePath}`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Repair any unfinalized WAV files left in a recordings directory. Files
+ * another live capture is still writing are skipped.
+ * @param {string} dir - Recordings directory
+ * @param {Object} format - Format to assume for headerless files
+ * @returns {Promise<number>} Number of files repaired
+ */
+async function repairUnfinalizedRecordings(dir, format = {}) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let repaired = 0;
+  const files = await fs.promises.readdir(dir);
+
+  for (const file of files) {
+    if (!file.toLowerCase().endsWith('.wav')) {
+      continue;
+    }
+
+    const filePath = path.join(dir, file);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile() || isRecordingInUse(filePath)) {
+        continue;
+      }
+
+      if (await repairWavFile(filePath, format)) {
+        repaired++;
+      }
+      await fs.promises.unlink(`${filePath}${LOCK_SUFFIX}`).catch(() => {});
+    } catch (error) {
+      logger.warn(`Could not repair WAV file ${filePath}: ${error.message}`);
+    }
+  }
+
+  if (repaired > 0) {
+    logger.info(`Repaired ${repaired} unfinalized recording(s) in ${dir}`);
+  }
+
+  return repaired;
+}
+
+module.exports = {
+  WAV_HEADER_SIZE,
+  buildWavHeader,
+  createWavWriter,
+  writeWavData,
+  finalizeWavWriter,
+  repairWavFile,
+  repairUnfinalizedRecordings
+};
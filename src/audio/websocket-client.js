@@ -1,156 +1,897 @@
-const WebSocket = require('ws');
+/**
+ * WebSocket stream client
+ *
+ * The single client the capture streams through, speaking the protocol in
+ * stream-protocol.js over a WebSocket, or over an HTTP/1.1 chunked POST or
+ * HTTP/2 stream for receivers that do not take WebSockets (see
+ * stream-transports.js; the protocol is the same on all three). It opens
+ * with a hello, sends metadata before the first audio, sends audio as
+ * binary frames with a sequence number and capture timestamp (or as JSON
+ * audio messages when binary frames are turned off), keeps the connection
+ * alive with heartbeats and closes with an end message. Events (speech
+ * boundaries, captions, speaker state) go out as versioned JSON messages,
+ * and messages from the server that are not part of the protocol itself
+ * are handed to an onMessage callback.
+ *
+ * Every audio frame also goes into a bounded spool. When the connection
+ * drops, the client reconnects with exponential backoff and jitter, says
+ * hello again with resume set, and replays the spooled frames after the
+ * last sequence number the server reports, flagged as late. Events sent
+ * during the outage are queued and follow the replay.
+ *
+ * Audio is flow controlled against a window of bytes in flight: frames the
+ * server has not acknowledged yet (when it sends acks) plus whatever is still
+ * buffered in the socket. When the window is full a policy decides what
+ * happens to new audio: keep it spooled until acks open the window again
+ * (pause-and-spool), keep only the most recent few seconds (drop-oldest), or
+ * spool it and ask the capture for a lower bitrate (downgrade-bitrate).
+ * Acks also give the end-to-end latency from capture to receipt, logged
+ * periodically and available from getStreamStats().
+ *
+ * Server commands are acknowledged on arrival, carried out by an onCommand
+ * callback and answered with a command_result. A command the server repeats
+ * after a reconnect is answered again without being carried out twice.
+ *
+ * Credentials from stream-auth.js (bearer token, signed URL, CA bundle,
+ * client certificate) are applied on every connect. A server that turns them
+ * down with 401 or 403 is not retried.
+ */
+
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const packageInfo = require('../../package.json');
+const {
+  MESSAGE_TYPES,
+  PROTOCOL_ERROR_CODES,
+  FRAME_HEADER_BYTES,
+  FRAME_FLAGS,
+  createMessage,
+  parseMessage,
+  encodeAudioFrame
+} = require('./stream-protocol');
+const { AUTH_ERROR_CODES } = require('./stream-auth');
+const { TRANSPORT_TYPES, TRANSPORT_LABELS, checkTransportUrl, openTransport } = require('./stream-transports');
+const {
+  createFrameSpool,
+  spoolFrame,
+  releaseFrames,
+  framesAfter,
+  closeFrameSpool
+} = require('./frame-spool');
+
+// Connection states
+const CLIENT_STATES = {
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  RESUMING: 'resuming',
+  CLOSED: 'closed'
+};
+
+// What to do with new audio while the flow control window is full
+const FLOW_CONTROL_POLICIES = {
+  DROP_OLDEST: 'drop-oldest',
+  PAUSE_AND_SPOOL: 'pause-and-spool',
+  DOWNGRADE_BITRATE: 'downgrade-bitrate'
+};
+
+// Latency samples kept for the stats
+const LATENCY_SAMPLES = 500;
+
+// Frames read back from the spool at a time while draining a backlog
+const DRAIN_BATCH_FRAMES = 50;
+
+// Command results kept for answering repeated commands
+const COMMAND_RESULTS_KEPT = 100;
 
-// WebSocket connection state
-let wsConnection = null;
-let connectionRetries = 0;
-const MAX_RETRIES = 5;
+// Defaults, all overridable per connection
+const DEFAULT_OPTIONS = {
+  transport: TRANSPORT_TYPES.WEBSOCKET, // websocket, http (HTTP/1.1 chunked POST) or http2
+  connectTimeoutMs: 10000,
+  credentials: null, // From stream-auth.js resolveCredentials: bearer token, URL signing, CA bundle and client certificate
+  heartbeatIntervalMs: 30000,
+  binaryFrames: true, // Send audio as binary frames rather than JSON audio messages
+  capabilities: ['binary-frames', 'events', 'tts_audio', 'resume', 'ack'],
+  reconnect: true,
+  reconnectBaseMs: 1000, // First reconnect delay, doubled per attempt
+  reconnectMaxMs: 30000, // Longest reconnect delay
+  maxReconnectAttempts: null, // Give up after this many attempts in a row (null: never)
+  resumeTimeoutMs: 5000, // Time to wait for the server's hello after a reconnect
+  spoolMaxBytes: 32 * 1024 * 1024, // Audio kept for replay
+  spoolDir: null, // Spool to disk in this directory instead of memory
+  maxQueuedMessages: 1000, // Events kept for sending after an outage
+  flowControl: FLOW_CONTROL_POLICIES.PAUSE_AND_SPOOL,
+  windowBytes: 256 * 1024, // Audio allowed in flight (unacknowledged or buffered in the socket)
+  maxBacklogMs: 2000, // drop-oldest: unsent audio kept while the window is full
+  statsIntervalMs: 60000, // How often to log stream stats (0: never)
+  onCongestion: null, // Called with true when the window fills and false once it has drained
+  onClose: null, // Called with an error when the connection is lost for good
+  onCommand: null, // Called with each server command; returns (a promise of) its result. Advertises the commands capability
+  onMessage: null // Called with every server message that is not a protocol control message
+};
 
 /**
- * Connect to WebSocket endpoint for streaming audio
- * @param {string} endpoint - WebSocket endpoint URL
- * @returns {WebSocket} WebSocket connection
+ * Whether a client can send right now
+ * @param {Object} client - Stream client
+ * @returns {boolean} True if the connection is open and not resuming
  */
-async function connectToWebSocket(endpoint) {
-  logger.info(`Connecting to WebSocket: ${endpoint}`);
-  
-  if (!endpoint) {
-    throw new Error('WebSocket endpoint URL is required');
+function isConnected(client) {
+  return Boolean(client && client.state === CLIENT_STATES.OPEN && client.connection && client.connection.isOpen());
+}
+
+/**
+ * Write a JSON message to the connection, whatever the client state
+ * @param {Object} client - Stream client
+ * @param {Object} message - Message from createMessage
+ * @returns {boolean} True if the message was sent
+ */
+function writeMessage(client, message) {
+  if (!client.connection || !client.connection.isOpen()) {
+    return false;
+  }
+
+  try {
+    client.connection.send(JSON.stringify(message));
+    return true;
+  } catch (error) {
+    logger.error(`Error sending ${message.type} to ${client.label}: ${error.message}`);
+    return false;
   }
-  
-  return new Promise((resolve, reject) => {
-    try {
-      connectionRetries = 0;
-      
-      // Create WebSocket connection
-      wsConnection = new WebSocket(endpoint);
-      
-      // Connection opened
-      wsConnection.on('open', () => {
-        logger.info('WebSocket connection established successfully');
-        
-        // Send initial metadata message
-        const metadata = {
-          type: 'metadata',
-          source: 'twitter-space-audio-capture',
-          timestamp: new Date().toISOString(),
-          format: process.env.AUDIO_FORMAT || 'wav',
-          sampleRate: process.env.AUDIO_QUALITY === 'low' ? 22050 : 
-                      process.env.AUDIO_QUALITY === 'high' ? 48000 : 44100,
-          channels: 2
-        };
-        
-        wsConnection.send(JSON.stringify(metadata));
-        logger.debug('Sent metadata to WebSocket server');
-        
-        resolve(wsConnection);
-      });
-      
-      // Connection error
-      wsConnection.on('error', (error) => {
-        logger.error(`WebSocket error: ${error.message}`);
-        
-        if (connectionRetries < MAX_RETRIES) {
-          connectionRetries++;
-          logger.info(`Retrying connection (${connectionRetries}/${MAX_RETRIES})...`);
-          setTimeout(() => {
-            connectToWebSocket(endpoint)
-              .then(resolve)
-              .catch(reject);
-          }, 2000 * connectionRetries);
-        } else {
-          reject(new Error('Max WebSocket connection retries exceeded'));
-        }
-      });
-      
-      // Connection closed
-      wsConnection.on('close', (code, reason) => {
-        logger.info(`WebSocket connection closed: ${code} - ${reason}`);
-        
-        // Attempt reconnection if unexpected closure
-        if (code !== 1000 && connectionRetries < MAX_RETRIES) {
-          connectionRetries++;
-          logger.info(`Attempting to reconnect (${connectionRetries}/${MAX_RETRIES})...`);
-          setTimeout(() => {
-            connectToWebSocket(endpoint)
-              .then(resolve)
-              .catch(reject);
-          }, 2000 * connectionRetries);
-        }
-      });
-      
-      // Heartbeat to keep connection alive
-      const heartbeatInterval = setInterval(() => {
-        if (wsConnection.readyState === WebSocket.OPEN) {
-          wsConnection.send(JSON.stringify({ type: 'heartbeat' }));
-          logger.debug('Sent heartbeat to WebSocket server');
-        } else {
-          clearInterval(heartbeatInterval);
-        }
-      }, 30000); // 30 seconds
-      
-    } catch (error) {
-      logger.error(`Failed to connect to WebSocket: ${error.message}`);
-      reject(error);
-    }
-  });
 }
 
 /**
- * Send audio chunk to WebSocket server
- * @param {WebSocket} ws - WebSocket connection
- * @param {Buffer} chunk - Audio data chunk
- * @returns {Promise<void>}
+ * Send a JSON message, queueing it while the connection is being restored
+ * @param {Object} client - Stream client
+ * @param {string} type - Message type
+ * @param {Object} fields - Other message fields
+ * @returns {boolean} True if the message was sent now
  */
-async function sendAudioChunk(ws, chunk) {
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
-    logger.debug('WebSocket not open, cannot send audio chunk');
+function sendMessage(client, type, fields = {}) {
+  if (!client) {
     return false;
   }
-  
+
+  const message = createMessage(type, fields);
+  if (isConnected(client)) {
+    return writeMessage(client, message);
+  }
+
+  // Keepalives are per connection and would be stale by the time they went out
+  const reconnecting = client.state === CLIENT_STATES.RECONNECTING || client.state === CLIENT_STATES.RESUMING;
+  if (reconnecting && type !== MESSAGE_TYPES.HEARTBEAT && type !== MESSAGE_TYPES.HEARTBEAT_ACK) {
+    client.queuedMessages.push(message);
+    if (client.queuedMessages.length > client.settings.maxQueuedMessages) {
+      client.queuedMessages.shift();
+    }
+  }
+  return false;
+}
+
+/**
+ * Write an audio frame to the connection
+ * @param {Object} client - Stream client
+ * @param {Object} frame - sequence, captureTimestamp and flags
+ * @param {Buffer} payload - Encoded audio
+ * @returns {boolean} True if the frame was sent
+ */
+function writeFrame(client, frame, payload) {
   try {
-    // Create message with audio data
-    const message = {
-      type: 'audio_data',
-      timestamp: Date.now(),
-      format: process.env.AUDIO_FORMAT || 'wav',
-      // Convert buffer to base64 for sending as JSON
-      data: chunk.toString('base64')
-    };
-    
-    // Send as JSON
-    ws.send(JSON.stringify(message));
+    if (client.settings.binaryFrames) {
+      client.connection.send(encodeAudioFrame(frame, payload));
+    } else {
+      const { sequence, captureTimestamp, flags } = frame;
+      client.connection.send(JSON.stringify(createMessage(MESSAGE_TYPES.AUDIO, { sequence, captureTimestamp, flags, data: payload.toString('base64') })));
+    }
     return true;
   } catch (error) {
-    logger.error(`Failed to send audio chunk: ${error.message}`);
+    logger.error(`Error sending audio data to ${client.label}: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Close WebSocket connection
+ * Bytes counted against the flow control window
+ * @param {Object} client - Stream client
+ * @returns {number} Unacknowledged bytes plus bytes still buffered in the connection
+ */
+function bytesInFlight(client) {
+  return client.inFlightBytes + (client.connection ? client.connection.bufferedAmount() : 0);
+}
+
+/**
+ * Note a frame written to the socket
+ * @param {Object} client - Stream client
+ * @param {Object} frame - sequence and captureTimestamp
+ * @param {number} bytes - Payload length
+ */
+function trackInFlight(client, frame, bytes) {
+  // Without acks nothing would ever leave the list; the socket buffer is the window then
+  if (client.acksEnabled) {
+    client.inFlight.push({ sequence: frame.sequence, captureTimestamp: frame.captureTimestamp, sentAt: Date.now(), bytes });
+    client.inFlightBytes += bytes;
+  }
+}
+
+/**
+ * Note a live frame written to the socket
+ * @param {Object} client - Stream client
+ * @param {Object} frame - sequence and captureTimestamp
+ * @param {number} bytes - Payload length
+ */
+function recordSent(client, frame, bytes) {
+  client.lastSentSequence = frame.sequence;
+  client.framesSent++;
+  client.bytesSent += bytes;
+  trackInFlight(client, frame, bytes);
+}
+
+/**
+ * Enter or leave the congested state, telling the onCongestion callback
+ * @param {Object} client - Stream client
+ * @param {boolean} congested - Whether the window is full
+ */
+function setCongested(client, congested) {
+  if (client.congested === congested) {
+    return;
+  }
+  client.congested = congested;
+
+  if (congested) {
+    const actions = {
+      [FLOW_CONTROL_POLICIES.DROP_OLDEST]: `dropping audio more than ${client.settings.maxBacklogMs}ms behind`,
+      [FLOW_CONTROL_POLICIES.PAUSE_AND_SPOOL]: 'spooling audio until the server catches up',
+      [FLOW_CONTROL_POLICIES.DOWNGRADE_BITRATE]: 'spooling audio and lowering the bitrate'
+    };
+    client.congestedAt = Date.now();
+    client.congestionEvents++;
+    logger.warn(`Stream window full (${(bytesInFlight(client) / 1024).toFixed(0)} KB in flight); ${actions[client.settings.flowControl]}`);
+  } else {
+    logger.info(`Stream window drained after ${((Date.now() - client.congestedAt) / 1000).toFixed(1)}s`);
+  }
+
+  if (client.onCongestion) {
+    client.onCongestion(congested, getStreamStats(client));
+  }
+}
+
+/**
+ * Send spooled frames that have not gone out yet, as far as the window allows
+ * @param {Object} client - Stream client
+ * @param {boolean} force - Send everything regardless of the window (when closing)
+ */
+function drainBacklog(client, force = false) {
+  const { settings } = client;
+  const dropOldest = settings.flowControl === FLOW_CONTROL_POLICIES.DROP_OLDEST;
+
+  while (isConnected(client)) {
+    // drop-oldest keeps the stream near live by skipping audio that has waited too long
+    const since = dropOldest ? client.lastCaptureTimestamp - settings.maxBacklogMs : null;
+    const pending = framesAfter(client.spool, client.lastSentSequence, { since, limit: DRAIN_BATCH_FRAMES });
+    if (pending.length === 0) {
+      break;
+    }
+
+    const skipped = pending[0].sequence - (client.lastSentSequence === null ? 0 : client.lastSentSequence + 1);
+    if (skipped > 0) {
+      client.framesDropped += skipped;
+      client.lastSentSequence = pending[0].sequence - 1;
+      logger.debug(`Dropped ${skipped} stale frame(s) from the stream backlog`);
+    }
+
+    for (const frame of pending) {
+      if (!force && bytesInFlight(client) >= settings.windowBytes) {
+        setCongested(client, true);
+        return;
+      }
+      if (!writeFrame(client, frame, frame.payload)) {
+        return;
+      }
+      recordSent(client, frame, frame.payload.length);
+    }
+  }
+
+  // Leave the congested state with some room to spare, so it does not flap with every ack
+  if (bytesInFlight(client) < settings.windowBytes / 2) {
+    setCongested(client, false);
+  }
+}
+
+/**
+ * Handle an ack: free the acknowledged frames and measure latency
+ * @param {Object} client - Stream client
+ * @param {Object} message - Ack message
+ */
+function handleAck(client, message) {
+  const now = Date.now();
+  let newest = null;
+  while (client.inFlight.length > 0 && client.inFlight[0].sequence <= message.to) {
+    newest = client.inFlight.shift();
+    client.inFlightBytes -= newest.bytes;
+  }
+
+  // One sample per ack, for the newest frame it covers
+  if (newest) {
+    client.latencies.push({ endToEndMs: now - newest.captureTimestamp, roundTripMs: now - newest.sentAt });
+    if (client.latencies.length > LATENCY_SAMPLES) {
+      client.latencies.shift();
+    }
+  }
+
+  client.lastAckedSequence = message.to;
+  releaseFrames(client.spool, message.to);
+  drainBacklog(client);
+}
+
+/**
+ * Summarize latency samples
+ * @param {Array<number>} values - Latencies in ms
+ * @returns {Object|null} last, mean, p50, p95 and max, or null without samples
+ */
+function summarizeLatency(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  return {
+    last: values[values.length - 1],
+    mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Flow control and latency stats for a stream
+ * @param {Object} client - Stream client
+ * @returns {Object} Stats
+ */
+function getStreamStats(client) {
+  return {
+    state: client.state,
+    flowControl: client.settings.flowControl,
+    acks: client.acksEnabled,
+    framesSent: client.framesSent,
+    bytesSent: client.bytesSent,
+    framesReplayed: client.framesReplayed,
+    framesLost: client.framesLost,
+    framesDropped: client.framesDropped,
+    outages: client.outages,
+    congestionEvents: client.congestionEvents,
+    windowBytes: client.settings.windowBytes,
+    inFlightFrames: client.inFlight.length,
+    inFlightBytes: bytesInFlight(client),
+    backlogFrames: client.nextSequence - 1 - (client.lastSentSequence === null ? -1 : client.lastSentSequence),
+    lastAckedSequence: client.lastAckedSequence,
+    latencyMs: summarizeLatency(client.latencies.map((sample) => sample.endToEndMs)),
+    roundTripMs: summarizeLatency(client.latencies.map((sample) => sample.roundTripMs))
+  };
+}
+
+/**
+ * Log the stream stats
+ * @param {Object} client - Stream client
+ */
+function logStreamStats(client) {
+  const stats = getStreamStats(client);
+  let latency = 'the server does not send acks';
+  if (stats.latencyMs) {
+    latency = `latency ${stats.latencyMs.p50}ms median, ${stats.latencyMs.p95}ms p95, ${stats.latencyMs.max}ms max (round trip ${stats.roundTripMs.p50}ms)`;
+  } else if (stats.acks) {
+    latency = 'no acks yet';
+  }
+  logger.info(`Stream: ${latency}; ${(stats.inFlightBytes / 1024).toFixed(0)} KB in flight, ${stats.backlogFrames} frame(s) waiting, ${stats.framesDropped} dropped`);
+}
+
+/**
+ * Say hello on a new connection
+ * @param {Object} client - Stream client
+ * @param {boolean} resume - Whether this continues an earlier connection
+ */
+function sendHello(client, resume) {
+  writeMessage(client, createMessage(MESSAGE_TYPES.HELLO, {
+    role: 'client',
+    agent: `${packageInfo.name}/${packageInfo.version}`,
+    sessionId: client.sessionId,
+    capabilities: client.onCommand ? [...client.settings.capabilities, 'commands'] : client.settings.capabilities,
+    resume,
+    lastSequence: client.nextSequence > 0 ? client.nextSequence - 1 : null
+  }));
+}
+
+/**
+ * Finish restoring a connection: replay what the server missed, then go live
+ * @param {Object} client - Stream client
+ * @param {number|null} lastReceived - Last sequence number the server has
+ */
+function finishResume(client, lastReceived) {
+  clearTimeout(client.resumeTimer);
+  client.resumeTimer = null;
+
+  // A restarted server needs the format again before any audio
+  if (client.metadata) {
+    writeMessage(client, createMessage(MESSAGE_TYPES.METADATA, client.metadata));
+  }
+
+  const frames = framesAfter(client.spool, lastReceived);
+  const expected = (client.nextSequence - 1) - (lastReceived === null ? -1 : lastReceived);
+  const lost = Math.max(0, expected - frames.length);
+
+  // Whatever was in flight on the old connection is either confirmed or replayed now
+  client.inFlight = [];
+  client.inFlightBytes = 0;
+  for (const frame of frames) {
+    if (writeFrame(client, { ...frame, flags: frame.flags | FRAME_FLAGS.LATE }, frame.payload)) {
+      trackInFlight(client, frame, frame.payload.length);
+    }
+  }
+  if (lastReceived !== null) {
+    releaseFrames(client.spool, lastReceived);
+  }
+
+  client.framesReplayed += frames.length;
+  client.framesLost += lost;
+  client.lastSentSequence = client.nextSequence - 1;
+
+  const queued = client.queuedMessages;
+  client.queuedMessages = [];
+  queued.forEach((message) => writeMessage(client, message));
+
+  client.state = CLIENT_STATES.OPEN;
+  client.reconnectAttempts = 0;
+  startHeartbeat(client);
+
+  const outageMs = Date.now() - client.disconnectedAt;
+  logger.info(`${client.label} stream resumed after ${(outageMs / 1000).toFixed(1)}s: replayed ${frames.length} late frame(s) and ${queued.length} message(s)`);
+  if (lost > 0) {
+    logger.warn(`${lost} frame(s) had already left the spool and are lost`);
+  }
+}
+
+/**
+ * Acknowledge a server command, carry it out and send its result
+ * @param {Object} client - Stream client
+ * @param {Object} message - Command message
  * @returns {Promise<void>}
  */
-async function closeWebSocketConnection() {
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
-    logger.info('Closing WebSocket connection...');
-    
-    // Send end message
-    wsConnection.send(JSON.stringify({
-      type: 'end',
-      timestamp: Date.now()
+async function handleCommand(client, message) {
+  const { id, command } = message;
+  sendMessage(client, MESSAGE_TYPES.COMMAND_ACK, { id, command });
+
+  // A server that lost our result in an outage may send the command again
+  if (client.commandResults.has(id)) {
+    const previous = client.commandResults.get(id);
+    if (previous) {
+      sendMessage(client, MESSAGE_TYPES.COMMAND_RESULT, previous);
+    }
+    return;
+  }
+  client.commandResults.set(id, null);
+  if (client.commandResults.size > COMMAND_RESULTS_KEPT) {
+    client.commandResults.delete(client.commandResults.keys().next().value);
+  }
+
+  logger.info(`${client.label} server command: ${command}${message.params ? ` ${JSON.stringify(message.params)}` : ''}`);
+  let outcome;
+  try {
+    if (!client.onCommand) {
+      const error = new Error('This client does not take commands');
+      error.code = PROTOCOL_ERROR_CODES.UNKNOWN_COMMAND;
+      throw error;
+    }
+    const result = await client.onCommand(message);
+    outcome = { id, command, ok: true, result: result || null };
+  } catch (error) {
+    logger.warn(`Command ${command} failed: ${error.message}`);
+    outcome = {
+      id,
+      command,
+      ok: false,
+      code: Object.values(PROTOCOL_ERROR_CODES).includes(error.code) ? error.code : PROTOCOL_ERROR_CODES.COMMAND_FAILED,
+      message: error.message
+    };
+  }
+
+  client.commandResults.set(id, outcome);
+  sendMessage(client, MESSAGE_TYPES.COMMAND_RESULT, outcome);
+}
+
+/**
+ * Handle a frame from the server
+ * @param {Object} client - Stream client
+ * @param {Buffer} data - Frame contents
+ * @param {boolean} isBinary - Whether it was a binary frame
+ */
+function handleServerFrame(client, data, isBinary) {
+  if (isBinary) {
+    logger.debug(`Received binary data from ${client.label} server: ${data.length} bytes`);
+    return;
+  }
+
+  const message = parseMessage(data);
+  if (message.error) {
+    logger.warn(`Ignoring message from ${client.label} server: ${message.error.message} [${message.error.code}]`);
+    return;
+  }
+
+  if (message.type !== 'tts_audio') {
+    logger.debug(`Received message from ${client.label} server: ${JSON.stringify(message)}`);
+  }
+
+  switch (message.type) {
+    case MESSAGE_TYPES.HEARTBEAT:
+      writeMessage(client, createMessage(MESSAGE_TYPES.HEARTBEAT_ACK));
+      break;
+
+    case MESSAGE_TYPES.HEARTBEAT_ACK:
+      break;
+
+    case MESSAGE_TYPES.ACK:
+      handleAck(client, message);
+      break;
+
+    case MESSAGE_TYPES.HELLO:
+      client.serverHello = message;
+      client.acksEnabled = (message.capabilities || []).includes('ack');
+      logger.info(`${client.label} server: ${message.agent || 'unknown'}${message.sessionId ? `, session ${message.sessionId}` : ''}`);
+      if (client.state === CLIENT_STATES.RESUMING) {
+        // A server that does not track sessions is assumed to have what was sent before the drop
+        const lastReceived = message.lastReceivedSequence !== undefined ? message.lastReceivedSequence : client.lastSentSequence;
+        finishResume(client, lastReceived);
+      }
+      break;
+
+    case MESSAGE_TYPES.COMMAND:
+      handleCommand(client, message).catch((error) => {
+        logger.error(`Error handling ${message.command} command: ${error.message}`);
+      });
+      break;
+
+    case MESSAGE_TYPES.ERROR:
+      logger.error(`${client.label} server error: ${message.message} [${message.code}]`);
+      break;
+
+    default:
+      if (client.onMessage) {
+        client.onMessage(message);
+      }
+  }
+}
+
+/**
+ * Send heartbeats on the current connection
+ * @param {Object} client - Stream client
+ */
+function startHeartbeat(client) {
+  clearInterval(client.heartbeatTimer);
+  client.heartbeatTimer = setInterval(() => {
+    logger.debug(`Sending heartbeat to ${client.label} server`);
+    sendMessage(client, MESSAGE_TYPES.HEARTBEAT);
+  }, client.settings.heartbeatIntervalMs);
+}
+
+/**
+ * Open a connection to the client's URL over its transport
+ * @param {Object} client - Stream client
+ * @returns {Promise<void>} Resolves once the connection is open
+ */
+async function openConnection(client) {
+  const { settings } = client;
+  const connection = await openTransport(client.url, {
+    transport: settings.transport,
+    credentials: settings.credentials,
+    connectTimeoutMs: settings.connectTimeoutMs,
+    onMessage: (data, isBinary) => handleServerFrame(client, data, isBinary),
+    onClose: (reason) => handleDisconnect(client, connection, reason),
+    onError: (error) => logger.error(`${client.label} error: ${error.message}`)
+  });
+  client.connection = connection;
+}
+
+/**
+ * Schedule the next reconnect attempt
+ * @param {Object} client - Stream client
+ */
+function scheduleReconnect(client) {
+  const { settings } = client;
+
+  if (settings.maxReconnectAttempts !== null && client.reconnectAttempts >= settings.maxReconnectAttempts) {
+    logger.error(`Giving up on the ${client.label} stream after ${client.reconnectAttempts} reconnect attempt(s)`);
+    client.state = CLIENT_STATES.CLOSED;
+    if (client.onClose) {
+      client.onClose(new Error(`${client.label} receiver unreachable after ${client.reconnectAttempts} reconnect attempt(s)`));
+    }
+    return;
+  }
+
+  // Exponential backoff with jitter, so many clients do not reconnect in step
+  client.reconnectAttempts++;
+  const backoff = Math.min(settings.reconnectMaxMs, settings.reconnectBaseMs * 2 ** (client.reconnectAttempts - 1));
+  const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+  logger.info(`Reconnecting to the ${client.label} receiver in ${delay}ms (attempt ${client.reconnectAttempts})`);
+
+  client.reconnectTimer = setTimeout(async () => {
+    client.reconnectTimer = null;
+    try {
+      await openConnection(client);
+    } catch (error) {
+      logger.warn(`${client.label} reconnect failed: ${error.message}`);
+
+      // Credentials that were turned down will be turned down again
+      if (error.code === AUTH_ERROR_CODES.REJECTED && client.state === CLIENT_STATES.RECONNECTING) {
+        logger.error(`Giving up on the ${client.label} stream: the server rejected our credentials`);
+        client.state = CLIENT_STATES.CLOSED;
+        if (client.onClose) {
+          client.onClose(error);
+        }
+        return;
+      }
+      if (client.state === CLIENT_STATES.RECONNECTING) {
+        scheduleReconnect(client);
+      }
+      return;
+    }
+
+    if (client.state !== CLIENT_STATES.RECONNECTING) {
+      // Closed while connecting
+      client.connection.close('Client closed');
+      return;
+    }
+
+    logger.info(`${client.label} reconnected, resuming the stream`);
+    client.state = CLIENT_STATES.RESUMING;
+    sendHello(client, true);
+    client.resumeTimer = setTimeout(() => {
+      logger.warn(`${client.label} server did not answer the resume hello; replaying frames sent since the drop`);
+      finishResume(client, client.lastSentSequence);
+    }, settings.resumeTimeoutMs);
+  }, delay);
+}
+
+/**
+ * Handle a connection closing
+ * @param {Object} client - Stream client
+ * @param {Object} connection - Connection that closed
+ * @param {string} reason - Close code and reason, or what ended it
+ */
+function handleDisconnect(client, connection, reason) {
+  logger.info(`${client.label} connection closed: ${reason}`);
+  if (connection !== client.connection) {
+    return;
+  }
+
+  clearInterval(client.heartbeatTimer);
+  clearTimeout(client.resumeTimer);
+  client.resumeTimer = null;
+
+  if (client.state === CLIENT_STATES.CLOSED) {
+    return;
+  }
+  if (!client.settings.reconnect) {
+    client.state = CLIENT_STATES.CLOSED;
+    if (client.onClose) {
+      client.onClose(new Error(`${client.label} connection closed: ${reason}`));
+    }
+    return;
+  }
+
+  // A drop while resuming keeps the original outage start
+  if (client.state === CLIENT_STATES.OPEN) {
+    client.disconnectedAt = Date.now();
+    client.outages++;
+    logger.warn(`${client.label} connection lost; spooling audio until it is back`);
+  }
+  client.state = CLIENT_STATES.RECONNECTING;
+  scheduleReconnect(client);
+}
+
+/**
+ * Connect to a stream receiver and say hello
+ * @param {string} url - Receiver URL: ws:// or wss:// for the websocket transport, http:// or https:// for http and http2
+ * @param {Object} options - Client options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Stream client
+ * @throws {Error} If the URL, transport or flow control policy is invalid, or the first connection cannot be opened
+ */
+async function connectToWebSocket(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  checkTransportUrl(settings.transport, url);
+  if (!Object.values(FLOW_CONTROL_POLICIES).includes(settings.flowControl)) {
+    throw new Error(`Unknown flow control policy: ${settings.flowControl} (expected one of: ${Object.values(FLOW_CONTROL_POLICIES).join(', ')})`);
+  }
+  if (settings.credentials && settings.credentials.token && /^(ws|http):/.test(url)) {
+    logger.warn(`Sending a bearer token to ${url} without TLS; use wss:// or https:// outside of local testing`);
+  }
+
+  const client = {
+    url,
+    settings,
+    label: TRANSPORT_LABELS[settings.transport],
+    sessionId: crypto.randomUUID(),
+    state: CLIENT_STATES.RECONNECTING,
+    connection: null,
+    onMessage: settings.onMessage,
+    onCongestion: settings.onCongestion,
+    onClose: settings.onClose,
+    onCommand: settings.onCommand,
+    commandResults: new Map(), // Command results by id, null while a command is running
+    serverHello: null,
+    metadata: null,
+    nextSequence: 0,
+    lastSentSequence: null,
+    framesSent: 0,
+    bytesSent: 0,
+    framesReplayed: 0,
+    framesLost: 0,
+    framesDropped: 0,
+    outages: 0,
+    disconnectedAt: null,
+    queuedMessages: [],
+    spool: null,
+    acksEnabled: false,
+    inFlight: [], // sequence, captureTimestamp, sentAt and bytes of unacknowledged frames
+    inFlightBytes: 0,
+    lastAckedSequence: null,
+    lastCaptureTimestamp: null,
+    congested: false,
+    congestedAt: null,
+    congestionEvents: 0,
+    latencies: [],
+    heartbeatTimer: null,
+    statsTimer: null,
+    reconnectTimer: null,
+    resumeTimer: null,
+    reconnectAttempts: 0
+  };
+
+  logger.info(`Connecting to ${client.label} server: ${url}`);
+  await openConnection(client);
+  logger.info(`${client.label} connection established`);
+
+  client.spool = createFrameSpool({ maxBytes: settings.spoolMaxBytes, dir: settings.spoolDir });
+  client.state = CLIENT_STATES.OPEN;
+  sendHello(client, false);
+  startHeartbeat(client);
+
+  if (settings.statsIntervalMs > 0) {
+    client.statsTimer = setInterval(() => logStreamStats(client), settings.statsIntervalMs);
+  }
+
+  return client;
+}
+
+/**
+ * Describe the audio that follows
+ * @param {Object} client - Stream client
+ * @param {Object} metadata - format, container, contentType, sampleRate, channels, bitrate
+ * @returns {boolean} True if the message was sent now
+ */
+function sendMetadata(client, metadata) {
+  client.metadata = {
+    ...metadata,
+    frameHeaderBytes: client.settings.binaryFrames ? FRAME_HEADER_BYTES : 0
+  };
+  logger.info(`Sending metadata to ${client.label}: ${JSON.stringify(metadata)}`);
+  return sendMessage(client, MESSAGE_TYPES.METADATA, client.metadata);
+}
+
+/**
+ * Send a chunk of encoded audio, or spool it until the connection is back or
+ * the flow control window has room
+ * @param {Object} client - Stream client
+ * @param {Buffer} chunk - Audio in the metadata format
+ * @param {number} captureTimestamp - When the audio was captured, ms since the epoch (defaults to now)
+ * @returns {boolean} True if the frame was sent now
+ */
+function sendAudioChunk(client, chunk, captureTimestamp = Date.now()) {
+  if (!client || client.state === CLIENT_STATES.CLOSED) {
+    return false;
+  }
+
+  const frame = { sequence: client.nextSequence, captureTimestamp, flags: 0 };
+  client.nextSequence++;
+  client.lastCaptureTimestamp = captureTimestamp;
+  spoolFrame(client.spool, frame, chunk);
+
+  if (!isConnected(client)) {
+    return false;
+  }
+
+  // Frames already waiting for the window go out first, in order
+  const waiting = frame.sequence - 1 - (client.lastSentSequence === null ? -1 : client.lastSentSequence);
+  if (waiting > 0 || client.congested || bytesInFlight(client) >= client.settings.windowBytes) {
+    drainBacklog(client);
+    return client.lastSentSequence === frame.sequence;
+  }
+
+  if (!writeFrame(client, frame, chunk)) {
+    return false;
+  }
+  recordSent(client, frame, chunk.length);
+  return true;
+}
+
+/**
+ * Send an event (speech boundary, caption, speaker state, ...)
+ * @param {Object} client - Stream client
+ * @param {Object} event - Event with a type field
+ * @returns {boolean} True if the event was sent now
+ */
+function sendEvent(client, event) {
+  return sendMessage(client, event.type, event);
+}
+
+/**
+ * Send an error to the server
+ * @param {Object} client - Stream client
+ * @param {string} code - Error code
+ * @param {string} message - Description
+ * @param {boolean} fatal - Whether the connection is closed after it
+ * @returns {boolean} True if the message was sent now
+ */
+function sendError(client, code, message, fatal = false) {
+  return sendMessage(client, MESSAGE_TYPES.ERROR, { code, message, fatal });
+}
+
+/**
+ * End the stream and close the connection
+ * @param {Object} client - Stream client
+ * @param {string} reason - Why the stream ended
+ * @returns {Promise<void>}
+ */
+async function closeWebSocketConnection(client, reason = 'Recording stopped') {
+  if (!client || (client.state === CLIENT_STATES.CLOSED && !client.connection)) {
+    return;
+  }
+
+  const wasConnected = isConnected(client);
+  const undelivered = client.lastSentSequence === null ? client.nextSequence : client.nextSequence - 1 - client.lastSentSequence;
+  clearInterval(client.heartbeatTimer);
+  clearInterval(client.statsTimer);
+  clearTimeout(client.reconnectTimer);
+  clearTimeout(client.resumeTimer);
+
+  // Audio held back by flow control still goes out ahead of the end message
+  if (wasConnected) {
+    drainBacklog(client, true);
+  }
+  client.state = CLIENT_STATES.CLOSED;
+
+  if (wasConnected) {
+    logger.info(`Closing ${client.label} connection...`);
+    writeMessage(client, createMessage(MESSAGE_TYPES.END, {
+      reason,
+      frames: client.nextSequence,
+      lastSequence: client.nextSequence > 0 ? client.nextSequence - 1 : null
     }));
-    
-    // Close connection
-    wsConnection.close(1000, 'Normal closure');
-    wsConnection = null;
-    
-    logger.info('WebSocket connection closed successfully');
+    await client.connection.close(reason);
+  } else {
+    // A connection that was still resuming has nothing more to finish
+    if (client.connection) {
+      client.connection.terminate();
+    }
+    if (undelivered > 0) {
+      logger.warn(`${client.label} connection was down when the stream ended; ${undelivered} frame(s) were never delivered`);
+    }
+  }
+
+  logger.info(`${client.label} stream ended after ${client.framesSent} frame(s) (${(client.bytesSent / 1024 / 1024).toFixed(2)} MB), ${client.outages} outage(s), ${client.framesReplayed} frame(s) replayed, ${client.framesLost} lost`);
+  if (client.acksEnabled || client.framesDropped > 0) {
+    logStreamStats(client);
   }
+  closeFrameSpool(client.spool);
+  client.connection = null;
 }
 
 module.exports = {
+  CLIENT_STATES,
+  FLOW_CONTROL_POLICIES,
   connectToWebSocket,
+  isConnected,
+  sendMetadata,
   sendAudioChunk,
+  sendEvent,
+  sendError,
+  getStreamStats,
   closeWebSocketConnection
-}; 
\ No newline at end of file
+};
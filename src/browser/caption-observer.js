@@ -0,0 +1,311 @@
+/**
+ * Live caption capture
+ *
+ * Spaces can show live captions. After joining we turn them on and watch
+ * the caption region with a MutationObserver in the page. Captions grow a
+ * word at a time, so a line is only written out once a newer line replaces
+ * it (or the capture stops). Each line is stamped with the recording's
+ * sample position when it first appeared and when it last changed, and is
+ * appended to a JSONL file and a WebVTT file next to the recording. Partial
+ * and final lines can also be handed to a callback, e.g. to forward them
+ * over the WebSocket.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getSelectors, hasElement } = require('./selector-registry');
+const { clickElement } = require('./join-flow');
+
+// Name of the page binding caption updates are pushed through
+const CAPTION_BINDING = 'twitterSpaceCaption';
+
+// Pages that already have the caption binding exposed (it cannot be exposed twice)
+const pagesWithCaptionBinding = new WeakSet();
+
+// Observer per page, looked up by the binding
+const activeObservers = new WeakMap();
+
+// Shortest cue written to the WebVTT file, for lines that never changed after appearing
+const MIN_CUE_SECONDS = 1;
+
+/**
+ * Turn captions on in the Space player
+ * @param {Page} page - Playwright page with the joined Space
+ * @returns {Promise<boolean>} True if captions are showing
+ */
+async function enableCaptions(page) {
+  if (await hasElement(page, 'space.captionRegion')) {
+    logger.info('Captions are already on');
+    return true;
+  }
+
+  // The toggle is either on the dock or behind its "more" menu
+  let clicked = await clickElement(page, 'space.captionsButton');
+  if (!clicked && await clickElement(page, 'space.moreButton')) {
+    await page.waitForTimeout(500);
+    clicked = await clickElement(page, 'space.captionsButton');
+  }
+
+  if (!clicked) {
+    logger.warn('Could not find the captions toggle; the Space may not offer captions');
+    return false;
+  }
+
+  // The caption region only appears once someone speaks, so its absence is not a failure
+  await page.waitForTimeout(2000);
+  logger.info('Captions turned on');
+  return true;
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} HH:MM:SS.mmm
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Recording position as sample and seconds
+ * @param {Object} observer - Caption observer
+ * @returns {Object} sample and offsetSeconds
+ */
+function currentOffset(observer) {
+  const position = observer.getPosition();
+  if (!position) {
+    return { sample: 0, offsetSeconds: 0 };
+  }
+  observer.sampleRate = position.sampleRate;
+  return {
+    sample: position.sample,
+    offsetSeconds: Number((position.sample / position.sampleRate).toFixed(3))
+  };
+}
+
+/**
+ * Write a finished caption line to the JSONL and WebVTT files
+ * @param {Object} observer - Caption observer
+ * @param {Object} line - Caption line
+ */
+function finalizeLine(observer, line) {
+  observer.lines.delete(line.id);
+
+  const entry = {
+    id: line.id,
+    text: line.text,
+    startSample: line.startSample,
+    endSample: line.endSample,
+    startSeconds: line.startSeconds,
+    endSeconds: line.endSeconds,
+    timestamp: line.firstSeenAt
+  };
+
+  observer.jsonl.write(`${JSON.stringify(entry)}\n`);
+  const cueEnd = Math.max(line.endSeconds, line.startSeconds + MIN_CUE_SECONDS);
+  observer.vtt.write(`${line.id}\n${formatVttTime(line.startSeconds)} --> ${formatVttTime(cueEnd)}\n${line.text}\n\n`);
+  observer.count++;
+
+  logger.debug(`Caption ${line.id} [${line.startSeconds.toFixed(2)}s]: ${line.text}`);
+  if (observer.onCaption) {
+    observer.onCaption({ type: 'caption', final: true, ...entry });
+  }
+}
+
+/**
+ * Handle a caption update from the page
+ * @param {Object} observer - Caption observer
+ * @param {Object} update - Update with the line id and its current text
+ */
+function handleCaptionUpdate(observer, update) {
+  const offset = currentOffset(observer);
+
+  // A newer line means the older ones are finished
+  for (const line of [...observer.lines.values()]) {
+    if (line.id < update.id) {
+      finalizeLine(observer, line);
+    }
+  }
+
+  if (update.id <= observer.lastFinalId) {
+    return;
+  }
+
+  let line = observer.lines.get(update.id);
+  if (!line) {
+    line = {
+      id: update.id,
+      text: '',
+      startSample: offset.sample,
+      startSeconds: offset.offsetSeconds,
+      firstSeenAt: new Date().toISOString()
+    };
+    observer.lines.set(update.id, line);
+  }
+
+  line.text = update.text;
+  line.endSample = offset.sample;
+  line.endSeconds = offset.offsetSeconds;
+  observer.lastFinalId = Math.max(observer.lastFinalId, update.id - 1);
+
+  if (observer.onCaption) {
+    observer.onCaption({
+      type: 'caption',
+      final: false,
+      id: line.id,
+      text: line.text,
+      startSample: line.startSample,
+      startSeconds: line.startSeconds,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Start capturing captions
+ * @param {Page} page - Playwright page with the joined Space
+ * @param {Function} getPosition - Returns the recording position ({ sample, sampleRate }) or null
+ * @param {Object} options - Observer options
+ * @param {string} options.jsonlPath - JSONL file to append caption lines to
+ * @param {string} options.vttPath - WebVTT file to append caption cues to
+ * @param {Function} options.onCaption - Called with every partial and final caption message (optional)
+ * @returns {Promise<Object>} Caption observer
+ */
+async function observeCaptions(page, getPosition, options = {}) {
+  const observer = {
+    page,
+    getPosition,
+    sampleRate: null,
+    lines: new Map(),
+    lastFinalId: 0,
+    count: 0,
+    onCaption: options.onCaption || null,
+    jsonlPath: options.jsonlPath,
+    vttPath: options.vttPath,
+    jsonl: fs.createWriteStream(options.jsonlPath, { flags: 'w' }),
+    vtt: fs.createWriteStream(options.vttPath, { flags: 'w' })
+  };
+
+  observer.vtt.write('WEBVTT\n\n');
+
+  activeObservers.set(page, observer);
+  if (!pagesWithCaptionBinding.has(page)) {
+    await page.exposeBinding(CAPTION_BINDING, (source, update) => {
+      const active = activeObservers.get(page);
+      if (active) {
+        handleCaptionUpdate(active, update);
+      }
+    });
+    pagesWithCaptionBinding.add(page);
+  }
+
+  await page.evaluate(({ bindingName, regionSelectors }) => {
+    if (window.twitterSpaceCaptionObserver) {
+      return;
+    }
+
+    let nextId = 1;
+    const lineState = new WeakMap();
+    let scanTimer = null;
+
+    const findRegion = () => {
+      for (const selector of regionSelectors) {
+        try {
+          const region = document.querySelector(selector);
+          if (region) {
+            return region;
+          }
+        } catch (error) {
+          // Playwright-only selector syntax
+        }
+      }
+      return null;
+    };
+
+    // Each child of the caption region is a line; the last one is still being spoken
+    const scan = () => {
+      scanTimer = null;
+      const region = findRegion();
+      if (!region) {
+        return;
+      }
+
+      const children = Array.from(region.children);
+      const lines = (children.length > 0 ? children : [region])
+        .filter((element) => (element.innerText || '').trim());
+
+      lines.forEach((element) => {
+        const text = element.innerText.trim().replace(/\s+/g, ' ');
+        let state = lineState.get(element);
+        if (!state) {
+          state = { id: nextId++, text: '' };
+          lineState.set(element, state);
+        }
+        if (state.text === text) {
+          return;
+        }
+        state.text = text;
+        window[bindingName]({ id: state.id, text }).catch(err => console.log(`Error forwarding caption: ${err.message}`));
+      });
+    };
+
+    window.twitterSpaceCaptionObserver = new MutationObserver(() => {
+      if (!scanTimer) {
+        scanTimer = setTimeout(scan, 100);
+      }
+    });
+    window.twitterSpaceCaptionObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+    scan();
+  }, {
+    bindingName: CAPTION_BINDING,
+    regionSelectors: getSelectors('space.captionRegion')
+  });
+
+  logger.info(`Capturing captions to ${observer.jsonlPath} and ${observer.vttPath}`);
+  return observer;
+}
+
+/**
+ * Stop capturing captions, writing out the lines still open
+ * @param {Object} observer - Caption observer
+ * @returns {Promise<number>} Number of caption lines written
+ */
+async function stopCaptionObserver(observer) {
+  if (!observer) {
+    return 0;
+  }
+
+  activeObservers.delete(observer.page);
+  if (!observer.page.isClosed()) {
+    await observer.page.evaluate(() => {
+      if (window.twitterSpaceCaptionObserver) {
+        window.twitterSpaceCaptionObserver.disconnect();
+        window.twitterSpaceCaptionObserver = null;
+      }
+    }).catch(() => {});
+  }
+
+  for (const line of [...observer.lines.values()]) {
+    finalizeLine(observer, line);
+  }
+
+  await Promise.all([observer.jsonl, observer.vtt].map((stream) => new Promise((resolve) => stream.end(resolve))));
+  logger.info(`Captions saved: ${observer.count} line(s) in ${observer.vttPath}`);
+  return observer.count;
+}
+
+module.exports = {
+  enableCaptions,
+  observeCaptions,
+  stopCaptionObserver
+};
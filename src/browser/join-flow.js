@@ -0,0 +1,352 @@
+/**
+ * Twitter Space join state machine
+ *
+ * Joining a Space goes through a handful of page states: the page loading,
+ * the landing card with its "Start listening" button, sometimes a cookie
+ * consent banner or a login wall in the way, the player connecting
+ * (listening) and finally audio actually playing. A Space can also turn out
+ * to be ended, unavailable or only scheduled. Each iteration detects the
+ * current state from the page and runs that state's action, with a bounded
+ * number of attempts per state, and the result records the path taken and
+ * the time spent in each state.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const { getSelectors, hasElement } = require('./selector-registry');
+const { ENDED_PHRASES } = require('./space-watcher');
+
+// Define logs directory path
+const logsDir = path.join(__dirname, '../../logs');
+
+// Join states
+const JOIN_STATES = {
+  LOADING: 'loading',
+  LANDING: 'landing',
+  CONSENT: 'consent',
+  LOGIN_WALL: 'login_wall',
+  LISTENING: 'listening',
+  PLAYING: 'playing',
+  ENDED: 'ended',
+  UNAVAILABLE: 'unavailable',
+  SCHEDULED: 'scheduled'
+};
+
+// Error codes attached to join failures as error.code
+const JOIN_ERROR_CODES = {
+  ENDED: 'JOIN_SPACE_ENDED',
+  UNAVAILABLE: 'JOIN_SPACE_UNAVAILABLE',
+  SCHEDULED: 'JOIN_SPACE_SCHEDULED',
+  NOT_STARTED: 'JOIN_SPACE_NOT_STARTED',
+  LOGIN_REQUIRED: 'JOIN_LOGIN_REQUIRED',
+  RETRIES_EXHAUSTED: 'JOIN_RETRIES_EXHAUSTED',
+  TIMEOUT: 'JOIN_TIMEOUT'
+};
+
+// States the machine stops in, with the error code for the ones that are failures
+const TERMINAL_STATES = {
+  [JOIN_STATES.PLAYING]: null,
+  [JOIN_STATES.ENDED]: JOIN_ERROR_CODES.ENDED,
+  [JOIN_STATES.UNAVAILABLE]: JOIN_ERROR_CODES.UNAVAILABLE,
+  [JOIN_STATES.SCHEDULED]: JOIN_ERROR_CODES.SCHEDULED,
+  [JOIN_STATES.LOGIN_WALL]: JOIN_ERROR_CODES.LOGIN_REQUIRED
+};
+
+// Text shown for Spaces that do not exist or cannot be joined
+const UNAVAILABLE_PHRASES = [
+  'space not found',
+  'this space is unavailable',
+  "this space isn't available",
+  'this space does not exist'
+];
+
+// Defaults, all overridable per join
+const DEFAULT_OPTIONS = {
+  maxAttempts: 3, // Actions per state before giving up
+  stateTimeoutMs: 20000, // Time to wait for an action to move the page on
+  totalTimeoutMs: 120000, // Time for the whole join
+  pollIntervalMs: 500
+};
+
+/**
+ * Read the signals the join states are detected from
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Object>} Page snapshot
+ */
+async function snapshotJoinPage(page) {
+  const { url, text, mediaCount, mediaPlaying } = await page.evaluate(() => {
+    const media = Array.from(document.querySelectorAll('audio, video'));
+    return {
+      url: window.location.href,
+      text: (document.body ? document.body.innerText : '').toLowerCase(),
+      mediaCount: media.length,
+      mediaPlaying: media.some((element) => !element.paused && element.currentTime > 0)
+    };
+  });
+
+  return {
+    url,
+    text,
+    mediaCount,
+    mediaPlaying,
+    hasStartButton: await hasElement(page, 'space.startListeningButton'),
+    hasConsentButton: await hasElement(page, 'space.consentButton'),
+    hasLoginWall: await hasElement(page, 'space.loginWall'),
+    hasScheduledIndicator: await hasElement(page, 'space.scheduledIndicator'),
+    hasPauseButton: await hasElement(page, 'space.pauseButton'),
+    hasPlayer: await hasElement(page, 'space.speakerInfo') || await hasElement(page, 'space.title')
+  };
+}
+
+/**
+ * Classify a join page snapshot into a state
+ * @param {Object} snapshot - Snapshot from snapshotJoinPage
+ * @returns {string} One of JOIN_STATES
+ */
+function classifyJoinState(snapshot) {
+  const { url, text } = snapshot;
+
+  if (ENDED_PHRASES.some((phrase) => text.includes(phrase))) {
+    return JOIN_STATES.ENDED;
+  }
+
+  if (UNAVAILABLE_PHRASES.some((phrase) => text.includes(phrase))) {
+    return JOIN_STATES.UNAVAILABLE;
+  }
+
+  if (url.includes('/login') || url.includes('/i/flow/')) {
+    return JOIN_STATES.LOGIN_WALL;
+  }
+
+  // Only media that is actually advancing counts; audio elements alone are not proof
+  if (snapshot.mediaPlaying || snapshot.hasPauseButton) {
+    return JOIN_STATES.PLAYING;
+  }
+
+  // The consent banner covers the page, so deal with it before anything else
+  if (snapshot.hasConsentButton) {
+    return JOIN_STATES.CONSENT;
+  }
+
+  if (snapshot.hasLoginWall) {
+    return JOIN_STATES.LOGIN_WALL;
+  }
+
+  if (snapshot.hasScheduledIndicator || text.includes('set reminder')) {
+    return JOIN_STATES.SCHEDULED;
+  }
+
+  if (snapshot.hasStartButton) {
+    return JOIN_STATES.LANDING;
+  }
+
+  if (snapshot.hasPlayer || snapshot.mediaCount > 0) {
+    return JOIN_STATES.LISTENING;
+  }
+
+  return JOIN_STATES.LOADING;
+}
+
+/**
+ * Detect the current join state
+ * @param {Page} page - Playwright page
+ * @returns {Promise<string>} One of JOIN_STATES (loading if the page cannot be read)
+ */
+async function detectJoinState(page) {
+  try {
+    return classifyJoinState(await snapshotJoinPage(page));
+  } catch (error) {
+    // The page is navigating
+    logger.debug(`Join page not readable yet: ${error.message}`);
+    return JOIN_STATES.LOADING;
+  }
+}
+
+/**
+ * Click the first visible element matching a registry element
+ * @param {Page} page - Playwright page
+ * @param {string} name - Selector registry element
+ * @returns {Promise<boolean>} True if something was clicked
+ */
+async function clickElement(page, name) {
+  for (const selector of getSelectors(name)) {
+    try {
+      const element = await page.$(selector);
+      if (element && await element.isVisible()) {
+        await element.click();
+        logger.info(`Clicked ${name} (${selector})`);
+        return true;
+      }
+    } catch (error) {
+      logger.debug(`Could not click ${selector}: ${error.message}`);
+    }
+  }
+  return false;
+}
+
+/**
+ * Unmute and start the page's media elements
+ * @param {Page} page - Playwright page
+ * @returns {Promise<number>} Number of media elements found
+ */
+async function startMedia(page) {
+  return page.evaluate(() => {
+    const media = Array.from(document.querySelectorAll('audio, video'));
+    media.forEach((element, index) => {
+      element.muted = false;
+      element.volume = 1.0;
+      if (element.paused) {
+        element.play().catch(e => console.log(`Could not play element ${index}: ${e.message}`));
+      }
+    });
+    return media.length;
+  });
+}
+
+/**
+ * Run the action that should move the page out of a state
+ * @param {Page} page - Playwright page
+ * @param {string} state - Current state
+ * @returns {Promise<boolean>} False if the action could not be performed
+ */
+async function runStateAction(page, state) {
+  switch (state) {
+    case JOIN_STATES.CONSENT:
+      return clickElement(page, 'space.consentButton');
+
+    case JOIN_STATES.LANDING:
+      return clickElement(page, 'space.startListeningButton');
+
+    case JOIN_STATES.LISTENING: {
+      const mediaCount = await startMedia(page);
+      logger.info(`Started ${mediaCount} media element(s)`);
+      return true;
+    }
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * Wait for the page to leave a state
+ * @param {Page} page - Playwright page
+ * @param {string} state - State to leave
+ * @param {number} timeoutMs - How long to wait
+ * @param {number} pollIntervalMs - Poll interval
+ * @returns {Promise<string>} State when the wait ended
+ */
+async function waitForStateChange(page, state, timeoutMs, pollIntervalMs) {
+  const deadline = Date.now() + timeoutMs;
+  let current = state;
+
+  while (current === state && Date.now() < deadline) {
+    await page.waitForTimeout(pollIntervalMs);
+    current = await detectJoinState(page);
+  }
+
+  return current;
+}
+
+/**
+ * Drive a Space page from its current state to playing audio
+ * @param {Page} page - Playwright page already navigated to the Space
+ * @param {Object} options - Join options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Join result: success, finalState, path (state, enteredAt,
+ *   durationMs, attempts per state visited), totalMs and error code/message on failure
+ */
+async function runJoinStateMachine(page, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const startedAt = Date.now();
+  const deadline = startedAt + settings.totalTimeoutMs;
+
+  const result = {
+    success: false,
+    finalState: null,
+    path: [],
+    totalMs: 0,
+    error: null
+  };
+
+  let entry = null;
+  let state = await detectJoinState(page);
+
+  const enterState = (next) => {
+    const now = Date.now();
+    if (entry) {
+      entry.durationMs = now - entry.startedMs;
+    }
+    entry = { state: next, enteredAt: new Date(now).toISOString(), startedMs: now, durationMs: 0, attempts: 0 };
+    result.path.push(entry);
+    logger.info(`Join state: ${next}`);
+  };
+
+  const fail = (code, message) => {
+    result.error = { code, message };
+    logger.error(`Join failed in state ${state}: ${message} [${code}]`);
+  };
+
+  enterState(state);
+
+  while (true) {
+    if (TERMINAL_STATES[state] !== undefined) {
+      if (TERMINAL_STATES[state] === null) {
+        result.success = true;
+      } else {
+        fail(TERMINAL_STATES[state], `Space page is in the ${state} state`);
+      }
+      break;
+    }
+
+    if (Date.now() >= deadline) {
+      fail(JOIN_ERROR_CODES.TIMEOUT, `Join did not finish within ${settings.totalTimeoutMs}ms`);
+      break;
+    }
+
+    // Loading has no action; it only gets a time limit
+    if (state === JOIN_STATES.LOADING) {
+      if (Date.now() - entry.startedMs >= settings.stateTimeoutMs) {
+        fail(JOIN_ERROR_CODES.TIMEOUT, `Space page did not load within ${settings.stateTimeoutMs}ms`);
+        break;
+      }
+    } else {
+      if (entry.attempts >= settings.maxAttempts) {
+        fail(JOIN_ERROR_CODES.RETRIES_EXHAUSTED, `Could not leave the ${state} state after ${entry.attempts} attempt(s)`);
+        break;
+      }
+      entry.attempts++;
+      logger.info(`Join action for ${state} (attempt ${entry.attempts}/${settings.maxAttempts})`);
+      await runStateAction(page, state);
+    }
+
+    const timeoutMs = Math.max(0, Math.min(settings.stateTimeoutMs, deadline - Date.now()));
+    const next = await waitForStateChange(page, state, timeoutMs, settings.pollIntervalMs);
+    if (next !== state) {
+      state = next;
+      enterState(state);
+    }
+  }
+
+  entry.durationMs = Date.now() - entry.startedMs;
+  result.finalState = state;
+  result.totalMs = Date.now() - startedAt;
+  result.path = result.path.map(({ startedMs, ...step }) => step);
+
+  if (!result.success) {
+    const screenshotPath = path.join(logsDir, `join-failed-${Date.now()}.png`);
+    await page.screenshot({ path: screenshotPath }).catch(() => {});
+    logger.info(`Join failure screenshot saved to: ${screenshotPath}`);
+  }
+
+  logger.info(`Join path: ${result.path.map((step) => `${step.state} (${step.durationMs}ms)`).join(' -> ')}`);
+  return result;
+}
+
+module.exports = {
+  JOIN_STATES,
+  JOIN_ERROR_CODES,
+  classifyJoinState,
+  detectJoinState,
+  clickElement,
+  runJoinStateMachine
+};
@@ -0,0 +1,404 @@
+/**
+ * Twitter login flow
+ *
+ * Twitter's login is a sequence of screens whose order depends on the
+ * account: username, sometimes an email/phone identity check, password, then
+ * possibly a two-factor code, an emailed confirmation code or an Arkose
+ * captcha. Rather than scripting one fixed path, each iteration classifies the
+ * screen currently shown and runs the handler for it, until the home timeline
+ * loads. Failures carry a LOGIN_ERROR_CODES code and the step they happened on.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { getSelectors, hasElement } = require('./selector-registry');
+
+// Define logs directory path
+const logsDir = path.join(__dirname, '../../logs');
+
+// Error codes attached to login failures as error.code
+const LOGIN_ERROR_CODES = {
+  MISSING_CREDENTIALS: 'LOGIN_MISSING_CREDENTIALS',
+  NAVIGATION_FAILED: 'LOGIN_NAVIGATION_FAILED',
+  FIELD_NOT_FOUND: 'LOGIN_FIELD_NOT_FOUND',
+  BUTTON_NOT_FOUND: 'LOGIN_BUTTON_NOT_FOUND',
+  WRONG_PASSWORD: 'LOGIN_WRONG_PASSWORD',
+  IDENTITY_REJECTED: 'LOGIN_IDENTITY_REJECTED',
+  TOTP_SECRET_MISSING: 'LOGIN_TOTP_SECRET_MISSING',
+  TOTP_REJECTED: 'LOGIN_TOTP_REJECTED',
+  CONFIRMATION_CODE_REQUIRED: 'LOGIN_CONFIRMATION_CODE_REQUIRED',
+  CONFIRMATION_CODE_REJECTED: 'LOGIN_CONFIRMATION_CODE_REJECTED',
+  CAPTCHA_REQUIRED: 'LOGIN_CAPTCHA_REQUIRED',
+  ACCOUNT_LOCKED: 'LOGIN_ACCOUNT_LOCKED',
+  RATE_LIMITED: 'LOGIN_RATE_LIMITED',
+  UNRECOGNIZED_PAGE: 'LOGIN_UNRECOGNIZED_PAGE',
+  TOO_MANY_STEPS: 'LOGIN_TOO_MANY_STEPS'
+};
+
+// Upper bound on screens in one login; the real flow has at most five or six
+const MAX_LOGIN_STEPS = 12;
+
+// How long to wait for the next screen after submitting one
+const STEP_TIMEOUT_MS = 20000;
+
+/**
+ * Create a login error with a typed code
+ * @param {string} code - One of LOGIN_ERROR_CODES
+ * @param {string} message - Error message
+ * @param {string} step - Login step the error happened on (optional)
+ * @returns {Error} Error with code and step properties
+ */
+function createLoginError(code, message, step = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.step = step;
+  return error;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (the format authenticator secrets use)
+ * @param {string} input - Base32 string; spaces, dashes and padding are ignored
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBase32(input) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character in TOTP secret: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a TOTP code (RFC 6238, SHA-1, 30 second step, 6 digits)
+ * @param {string} secret - Base32 secret from the authenticator setup
+ * @param {number} time - Time in milliseconds (defaults to now)
+ * @returns {string} Six-digit code
+ */
+function generateTotp(secret, time = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / 30)));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+
+  return code.toString().padStart(6, '0');
+}
+
+/**
+ * Read what the login page is currently showing
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Object>} Page snapshot (url, text, form fields)
+ */
+async function snapshotLoginPage(page) {
+  const { url, text } = await page.evaluate(() => ({
+    url: window.location.href,
+    text: (document.body ? document.body.innerText : '').toLowerCase()
+  }));
+
+  return {
+    url,
+    text,
+    hasPasswordInput: await hasElement(page, 'login.passwordInput'),
+    hasTextInput: await hasElement(page, 'login.textInput'),
+    hasArkose: await hasElement(page, 'login.captchaFrame'),
+    loggedIn: await hasElement(page, 'session.loggedInIndicator')
+  };
+}
+
+/**
+ * Classify a login page snapshot into a step
+ * @param {Object} snapshot - Snapshot from snapshotLoginPage
+ * @returns {string} Step name: done, captcha, locked, rate_limited, wrong_password,
+ *   confirmation_code, totp, password, identity, username or unknown
+ */
+function classifyLoginStep(snapshot) {
+  const { url, text } = snapshot;
+
+  if (snapshot.loggedIn || /\/home(\?|$)/.test(url)) {
+    return 'done';
+  }
+
+  if (snapshot.hasArkose || text.includes('authenticate your account') || text.includes('verify you are human')) {
+    return 'captcha';
+  }
+
+  if (text.includes('your account is locked') || text.includes('account has been locked') || text.includes('temporarily locked')) {
+    return 'locked';
+  }
+
+  if (text.includes('could not log you in now') || text.includes('too many attempts')) {
+    return 'rate_limited';
+  }
+
+  if (text.includes('wrong password') || text.includes('incorrect password')) {
+    return 'wrong_password';
+  }
+
+  // Both code screens say "verification code"; who generated it tells them apart
+  if (snapshot.hasTextInput && (text.includes('check your email') || text.includes('check your phone') || text.includes('we sent') || text.includes('confirmation code'))) {
+    return 'confirmation_code';
+  }
+
+  if (snapshot.hasTextInput && (text.includes('authentication app') || text.includes('code generator') || text.includes('two-factor') || text.includes('enter your verification code'))) {
+    return 'totp';
+  }
+
+  if (snapshot.hasPasswordInput) {
+    return 'password';
+  }
+
+  if (snapshot.hasTextInput && (text.includes('enter your phone number or') || text.includes('enter your email') || text.includes('unusual login activity'))) {
+    return 'identity';
+  }
+
+  if (snapshot.hasTextInput) {
+    return 'username';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Wait until the page shows a recognizable step different from the previous one
+ * @param {Page} page - Playwright page
+ * @param {string} previousStep - Step that was just submitted (null on the first screen)
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<string>} The step shown when the wait ended
+ */
+async function waitForLoginStep(page, previousStep, timeoutMs = STEP_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  let step = 'unknown';
+
+  while (Date.now() < deadline) {
+    try {
+      step = classifyLoginStep(await snapshotLoginPage(page));
+      if (step !== 'unknown' && step !== previousStep) {
+        return step;
+      }
+    } catch (error) {
+      // The page is navigating between screens
+      logger.debug(`Login page not readable yet: ${error.message}`);
+    }
+    await page.waitForTimeout(500);
+  }
+
+  return step;
+}
+
+/**
+ * Find the first matching element from a list of selectors
+ * @param {Page} page - Playwright page
+ * @param {Array<string>} selectors - Candidate selectors
+ * @param {number} timeoutMs - Time to wait for each selector
+ * @returns {Promise<ElementHandle|null>} Element, or null if none matched
+ */
+async function findFirst(page, selectors, timeoutMs = 3000) {
+  for (const selector of selectors) {
+    try {
+      const element = await page.waitForSelector(selector, { timeout: timeoutMs, state: 'visible' });
+      if (element) {
+        logger.debug(`Matched selector: ${selector}`);
+        return element;
+      }
+    } catch (error) {
+      // Continue to the next selector
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill the screen's input and submit it
+ * @param {Page} page - Playwright page
+ * @param {string} step - Current step, for error reporting
+ * @param {Array<string>} inputSelectors - Candidate input selectors
+ * @param {string} value - Value to type
+ * @param {Array<string>} buttonSelectors - Candidate submit button selectors
+ */
+async function fillAndSubmit(page, step, inputSelectors, value, buttonSelectors) {
+  const field = await findFirst(page, inputSelectors);
+  if (!field) {
+    throw createLoginError(LOGIN_ERROR_CODES.FIELD_NOT_FOUND, `Could not find the input field on the ${step} screen`, step);
+  }
+
+  await field.click({ clickCount: 3 }); // Select all text
+  await field.press('Backspace'); // Clear field
+  await field.type(value, { delay: 100 }); // Type with delay to appear human-like
+
+  const button = await findFirst(page, buttonSelectors);
+  if (button) {
+    await button.click();
+  } else {
+    // Every login screen also submits on Enter
+    logger.debug(`No submit button found on the ${step} screen, pressing Enter`);
+    await field.press('Enter');
+  }
+}
+
+/**
+ * Ask for the code Twitter sent by email or SMS
+ * @returns {Promise<string|null>} Code, or null if there is no way to get one
+ */
+async function requestConfirmationCode() {
+  if (process.env.TWITTER_CONFIRMATION_CODE) {
+    return process.env.TWITTER_CONFIRMATION_CODE;
+  }
+
+  if (!process.stdin.isTTY) {
+    return null;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const code = await new Promise((resolve) => {
+    rl.question('Twitter sent a confirmation code to your email/phone. Enter it: ', resolve);
+  });
+  rl.close();
+
+  return code.trim() || null;
+}
+
+/**
+ * Run the login flow on a page that is already on the login screen
+ * @param {Page} page - Playwright page
+ * @param {Object} credentials - Login credentials
+ * @param {string} credentials.username - Twitter username
+ * @param {string} credentials.password - Twitter password
+ * @param {string} credentials.email - Email for the identity check (optional)
+ * @param {string} credentials.phone - Phone number for the identity check (optional)
+ * @param {string} credentials.totpSecret - Base32 TOTP secret (optional)
+ * @param {Object} options - Flow options
+ * @param {number} options.manualChallengeTimeoutMs - Wait this long for a captcha to be solved by hand (default 0)
+ * @returns {Promise<Array<string>>} Steps that were handled, in order
+ */
+async function runLoginFlow(page, credentials, options = {}) {
+  const steps = [];
+  let previousStep = null;
+
+  for (let i = 0; i < MAX_LOGIN_STEPS; i++) {
+    const step = await waitForLoginStep(page, previousStep);
+    logger.info(`Login step: ${step}`);
+    steps.push(step);
+
+    // Seeing the same code screen again means the code we entered was refused
+    if (step === previousStep) {
+      const rejectedCodes = {
+        totp: LOGIN_ERROR_CODES.TOTP_REJECTED,
+        confirmation_code: LOGIN_ERROR_CODES.CONFIRMATION_CODE_REJECTED,
+        identity: LOGIN_ERROR_CODES.IDENTITY_REJECTED
+      };
+      throw createLoginError(
+        rejectedCodes[step] || LOGIN_ERROR_CODES.UNRECOGNIZED_PAGE,
+        `Login did not get past the ${step} screen`,
+        step
+      );
+    }
+
+    switch (step) {
+      case 'done':
+        return steps;
+
+      case 'username':
+        await fillAndSubmit(page, step, getSelectors('login.textInput'), credentials.username, getSelectors('login.nextButton'));
+        break;
+
+      case 'identity': {
+        // "Enter your phone number or email address" / "... or username"
+        const text = (await snapshotLoginPage(page)).text;
+        const wantsPhoneOnly = text.includes('phone number') && !text.includes('email');
+        const value = wantsPhoneOnly
+          ? credentials.phone
+          : (credentials.email || credentials.phone || credentials.username);
+        if (!value) {
+          throw createLoginError(LOGIN_ERROR_CODES.MISSING_CREDENTIALS, 'Twitter asked for a phone number but TWITTER_PHONE is not set', step);
+        }
+        await fillAndSubmit(page, step, getSelectors('login.textInput'), value, getSelectors('login.nextButton'));
+        break;
+      }
+
+      case 'password':
+        await fillAndSubmit(page, step, getSelectors('login.passwordInput'), credentials.password, getSelectors('login.loginButton'));
+        break;
+
+      case 'totp': {
+        if (!credentials.totpSecret) {
+          throw createLoginError(LOGIN_ERROR_CODES.TOTP_SECRET_MISSING, 'Twitter asked for a two-factor code but TWITTER_TOTP_SECRET is not set', step);
+        }
+        // Don't submit a code that expires mid-typing
+        const secondsLeft = 30 - Math.floor(Date.now() / 1000) % 30;
+        if (secondsLeft < 5) {
+          await page.waitForTimeout(secondsLeft * 1000);
+        }
+        await fillAndSubmit(page, step, getSelectors('login.textInput'), generateTotp(credentials.totpSecret), getSelectors('login.nextButton'));
+        break;
+      }
+
+      case 'confirmation_code': {
+        const code = await requestConfirmationCode();
+        if (!code) {
+          throw createLoginError(LOGIN_ERROR_CODES.CONFIRMATION_CODE_REQUIRED, 'Twitter sent a confirmation code; set TWITTER_CONFIRMATION_CODE or run interactively', step);
+        }
+        await fillAndSubmit(page, step, getSelectors('login.textInput'), code, getSelectors('login.nextButton'));
+        break;
+      }
+
+      case 'captcha': {
+        if (!options.manualChallengeTimeoutMs) {
+          throw createLoginError(LOGIN_ERROR_CODES.CAPTCHA_REQUIRED, 'Twitter requires a captcha; log in with a visible browser (npm run session -- refresh --visible)', step);
+        }
+        logger.warn(`Captcha required, waiting up to ${Math.round(options.manualChallengeTimeoutMs / 1000)}s for it to be solved in the browser window`);
+        const next = await waitForLoginStep(page, step, options.manualChallengeTimeoutMs);
+        if (next === 'captcha' || next === 'unknown') {
+          throw createLoginError(LOGIN_ERROR_CODES.CAPTCHA_REQUIRED, 'Captcha was not solved in time', step);
+        }
+        // Let the next iteration handle the screen after the captcha
+        previousStep = null;
+        continue;
+      }
+
+      case 'locked':
+        throw createLoginError(LOGIN_ERROR_CODES.ACCOUNT_LOCKED, 'Twitter account is locked', step);
+
+      case 'rate_limited':
+        throw createLoginError(LOGIN_ERROR_CODES.RATE_LIMITED, 'Twitter refused the login attempt; try again later', step);
+
+      case 'wrong_password':
+        throw createLoginError(LOGIN_ERROR_CODES.WRONG_PASSWORD, 'Login failed due to incorrect credentials', step);
+
+      default: {
+        const screenshotPath = path.join(logsDir, `login-unrecognized-${Date.now()}.png`);
+        await page.screenshot({ path: screenshotPath }).catch(() => {});
+        throw createLoginError(LOGIN_ERROR_CODES.UNRECOGNIZED_PAGE, `Unrecognized login screen (screenshot: ${screenshotPath})`, step);
+      }
+    }
+
+    previousStep = step;
+  }
+
+  throw createLoginError(LOGIN_ERROR_CODES.TOO_MANY_STEPS, `Login did not finish within ${MAX_LOGIN_STEPS} steps`, previousStep);
+}
+
+module.exports = {
+  LOGIN_ERROR_CODES,
+  createLoginError,
+  generateTotp,
+  classifyLoginStep,
+  runLoginFlow
+};
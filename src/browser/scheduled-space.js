@@ -0,0 +1,258 @@
+/**
+ * Scheduled Space wait mode
+ *
+ * A scheduled Space's page shows a reminder card with its start time
+ * instead of the "Start listening" button. Wait mode reads the start time,
+ * reloads the page on a backoff until the Space goes live and then hands
+ * over to the normal join. It gives up at a deadline: a maximum total wait,
+ * and a grace period after the scheduled start for hosts who start late or
+ * never.
+ */
+
+const logger = require('../utils/logger');
+const { JOIN_STATES, JOIN_ERROR_CODES, detectJoinState } = require('./join-flow');
+
+// Defaults, all overridable per wait
+const DEFAULT_OPTIONS = {
+  minIntervalMs: 15000, // Fastest poll, used around the start time
+  maxIntervalMs: 300000, // Slowest poll, used far from the start time
+  lateMaxIntervalMs: 60000, // Slowest poll once the start time is near or past
+  leadMs: 120000, // Switch to fast polling this long before the start time
+  maxWaitMs: 4 * 60 * 60 * 1000, // Give up after waiting this long in total
+  lateGraceMs: 60 * 60 * 1000, // Give up this long after the scheduled start
+  scheduledStart: null // Start time to use when the page does not show one
+};
+
+// Backoff growth factor between polls
+const BACKOFF_FACTOR = 1.5;
+
+// Time a (re)loaded page gets to render before its state is read
+const SETTLE_TIMEOUT_MS = 20000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Convert a 12/24-hour clock time to hours
+ * @param {string} hours - Hours
+ * @param {string} meridiem - 'am', 'pm' or undefined for a 24-hour time
+ * @returns {number} Hours (0-23)
+ */
+function toHours(hours, meridiem) {
+  let value = parseInt(hours, 10);
+  if (meridiem === 'pm' && value < 12) {
+    value += 12;
+  } else if (meridiem === 'am' && value === 12) {
+    value = 0;
+  }
+  return value;
+}
+
+/**
+ * Parse a Space start time as shown by Twitter or Spaces Dashboard, e.g.
+ * "Starts Tue, Oct 20 at 7:00 PM", "Tomorrow at 9:30 AM", "in 45 minutes"
+ * or an ISO timestamp. Times without a zone are local time.
+ * @param {string} text - Text containing the start time
+ * @param {Date} now - Reference time for relative and year-less dates
+ * @returns {Date|null} Start time, or null if none was found
+ */
+function parseScheduledStart(text, now = new Date()) {
+  if (!text) {
+    return null;
+  }
+
+  const value = String(text).trim().toLowerCase();
+
+  // ISO timestamps, e.g. from <time datetime> or an earlier run
+  const iso = /\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})?/.exec(value);
+  if (iso) {
+    const date = new Date(iso[0].toUpperCase());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const relative = /\bin (\d+)\s*(minute|min|hour|hr)s?\b/.exec(value);
+  if (relative) {
+    const unitMs = relative[2].startsWith('h') ? 3600000 : 60000;
+    return new Date(now.getTime() + parseInt(relative[1], 10) * unitMs);
+  }
+
+  const clock = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|(\d{1,2}):(\d{2})/.exec(value);
+  if (!clock) {
+    return null;
+  }
+
+  const hours = clock[3] ? toHours(clock[1], clock[3]) : toHours(clock[4]);
+  const minutes = parseInt(clock[3] ? clock[2] || '0' : clock[5], 10);
+  const date = new Date(now.getTime());
+  date.setHours(hours, minutes, 0, 0);
+
+  if (/\btomorrow\b/.test(value)) {
+    date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  const day = new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:,?\\s+(\\d{4}))?`).exec(value);
+  if (day) {
+    date.setMonth(MONTHS.indexOf(day[1]), parseInt(day[2], 10));
+    if (day[3]) {
+      date.setFullYear(parseInt(day[3], 10));
+    } else if (date.getTime() < now.getTime() - 24 * 3600000) {
+      // A year-less date well in the past is next year's
+      date.setFullYear(date.getFullYear() + 1);
+    }
+    return date;
+  }
+
+  // A bare time ("today at 7:00 PM", "7:00 PM") that has passed is tomorrow's,
+  // unless it passed only recently, which means the host is late
+  if (!/\btoday\b/.test(value) && date.getTime() < now.getTime() - 12 * 3600000) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Read the start time from a scheduled Space page
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Date|null>} Start time, or null if the page does not show one
+ */
+async function readScheduledStart(page) {
+  const candidates = await page.evaluate(() => {
+    const datetimes = Array.from(document.querySelectorAll('time[datetime]'))
+      .map((element) => element.getAttribute('datetime'));
+    const lines = (document.body ? document.body.innerText : '')
+      .split('\n')
+      .filter((line) => /start|schedul/i.test(line));
+    return [...datetimes, ...lines];
+  });
+
+  for (const candidate of candidates) {
+    const start = parseScheduledStart(candidate);
+    if (start) {
+      return start;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the delay before the next poll
+ * @param {Object} wait - Wait state
+ * @param {number} now - Current time in ms
+ * @returns {number} Delay in ms
+ */
+function nextPollDelay(wait, now) {
+  const { settings } = wait;
+  const start = wait.scheduledStart ? wait.scheduledStart.getTime() : null;
+
+  // Far from a known start time: sleep about half the remaining time
+  if (start && now < start - settings.leadMs) {
+    wait.interval = settings.minIntervalMs;
+    const halfway = (start - settings.leadMs - now) / 2;
+    return Math.min(settings.maxIntervalMs, Math.max(settings.minIntervalMs, halfway));
+  }
+
+  // Around or past the start time (or with no start time): back off from the fastest poll
+  const cap = start ? settings.lateMaxIntervalMs : settings.maxIntervalMs;
+  const delay = Math.min(cap, wait.interval);
+  wait.interval = Math.min(cap, wait.interval * BACKOFF_FACTOR);
+  return delay;
+}
+
+/**
+ * Work out when to give up
+ * @param {Object} wait - Wait state
+ * @returns {number} Deadline in ms
+ */
+function getDeadline(wait) {
+  const { settings } = wait;
+  const deadline = wait.startedAt + settings.maxWaitMs;
+  if (!wait.scheduledStart) {
+    return deadline;
+  }
+  return Math.min(deadline, wait.scheduledStart.getTime() + settings.lateGraceMs);
+}
+
+/**
+ * Detect the page state once it has finished loading
+ * @param {Page} page - Playwright page
+ * @param {number} timeoutMs - How long to wait for the page to leave the loading state
+ * @returns {Promise<string>} One of JOIN_STATES
+ */
+async function detectSettledState(page, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let state = await detectJoinState(page);
+
+  while (state === JOIN_STATES.LOADING && Date.now() < deadline) {
+    await page.waitForTimeout(500);
+    state = await detectJoinState(page);
+  }
+
+  return state;
+}
+
+/**
+ * Wait on a Space page until it is no longer a scheduled Space
+ * @param {Page} page - Playwright page already navigated to the Space
+ * @param {Object} options - Wait options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Wait result: scheduledStart (ISO or null), polls, waitedMs and the state the page left in
+ * @throws {Error} With code JOIN_SPACE_NOT_STARTED if the deadline passes first
+ */
+async function waitForScheduledSpace(page, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const hint = settings.scheduledStart ? parseScheduledStart(settings.scheduledStart) : null;
+
+  const wait = {
+    settings,
+    startedAt: Date.now(),
+    scheduledStart: hint,
+    interval: settings.minIntervalMs,
+    polls: 0
+  };
+
+  let state = await detectSettledState(page, SETTLE_TIMEOUT_MS);
+
+  while (state === JOIN_STATES.SCHEDULED) {
+    const shown = await readScheduledStart(page).catch(() => null);
+    if (shown && (!wait.scheduledStart || shown.getTime() !== wait.scheduledStart.getTime())) {
+      wait.scheduledStart = shown;
+      logger.info(`Space is scheduled to start at ${shown.toISOString()}`);
+    } else if (!wait.scheduledStart && wait.polls === 0) {
+      logger.info('Space is scheduled, but the page does not show a start time');
+    }
+
+    const now = Date.now();
+    const deadline = getDeadline(wait);
+    if (now >= deadline) {
+      const error = new Error(`Scheduled Space did not start before ${new Date(deadline).toISOString()}`);
+      error.code = JOIN_ERROR_CODES.NOT_STARTED;
+      throw error;
+    }
+
+    const delay = Math.min(nextPollDelay(wait, now), deadline - now);
+    logger.info(`Waiting for the Space to go live, checking again in ${Math.round(delay / 1000)}s`);
+    await page.waitForTimeout(delay);
+
+    wait.polls++;
+    await page.reload({ waitUntil: 'domcontentloaded', timeout: 60000 }).catch((error) => {
+      logger.warn(`Reloading the scheduled Space failed: ${error.message}`);
+    });
+    state = await detectSettledState(page, SETTLE_TIMEOUT_MS);
+  }
+
+  const result = {
+    scheduledStart: wait.scheduledStart ? wait.scheduledStart.toISOString() : null,
+    polls: wait.polls,
+    waitedMs: Date.now() - wait.startedAt,
+    state
+  };
+
+  if (wait.polls > 0) {
+    logger.info(`Space left the scheduled state (${state}) after ${Math.round(result.waitedMs / 1000)}s and ${wait.polls} poll(s)`);
+  }
+  return result;
+}
+
+module.exports = {
+  parseScheduledStart,
+  waitForScheduledSpace
+};
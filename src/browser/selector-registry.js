@@ -0,0 +1,138 @@
+/**
+ * Selector registry for the Twitter UI
+ *
+ * The selectors the automation uses to find login fields, buttons and player
+ * indicators live in a versioned JSON file (selectors.json, or the file named
+ * by TWITTER_SELECTORS_FILE) instead of the code. Each logical element has an
+ * ordered list of selectors, most specific first. Selectors use Playwright's
+ * syntax, so :has-text() is allowed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Registry layout version this code understands
+const SUPPORTED_VERSION = 1;
+
+// Default registry location
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'selectors.json');
+
+// Loaded registry, shared by all callers
+let registry = null;
+
+/**
+ * Load and validate a selector registry
+ * @param {string} filePath - Registry file (defaults to TWITTER_SELECTORS_FILE or selectors.json)
+ * @returns {Object} Registry with version and elements
+ */
+function loadSelectorRegistry(filePath = null) {
+  const registryFile = filePath || process.env.TWITTER_SELECTORS_FILE || DEFAULT_REGISTRY_FILE;
+  const loaded = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+
+  if (loaded.version !== SUPPORTED_VERSION) {
+    throw new Error(`Unsupported selector registry version ${loaded.version} in ${registryFile} (expected ${SUPPORTED_VERSION})`);
+  }
+
+  if (!loaded.elements || typeof loaded.elements !== 'object') {
+    throw new Error(`Selector registry ${registryFile} has no elements`);
+  }
+
+  for (const [name, element] of Object.entries(loaded.elements)) {
+    if (!Array.isArray(element.selectors) || element.selectors.length === 0) {
+      throw new Error(`Selector registry element ${name} has no selectors`);
+    }
+  }
+
+  registry = { ...loaded, file: registryFile };
+  logger.info(`Loaded selector registry v${registry.version} (${registry.updatedAt || 'undated'}) with ${Object.keys(registry.elements).length} elements from ${registryFile}`);
+  return registry;
+}
+
+/**
+ * Get the loaded registry, loading the default one on first use
+ * @returns {Object} Registry
+ */
+function getSelectorRegistry() {
+  return registry || loadSelectorRegistry();
+}
+
+/**
+ * Get the selectors for a logical element
+ * @param {string} name - Element name, e.g. 'space.pauseButton'
+ * @returns {Array<string>} Selectors, most specific first
+ */
+function getSelectors(name) {
+  const element = getSelectorRegistry().elements[name];
+  if (!element) {
+    throw new Error(`Unknown selector registry element: ${name}`);
+  }
+  return element.selectors;
+}
+
+/**
+ * Count the elements a selector matches on a page
+ * @param {Page} page - Playwright page
+ * @param {string} selector - Selector
+ * @returns {Promise<number>} Match count (0 if the selector is invalid)
+ */
+async function countMatches(page, selector) {
+  try {
+    return (await page.$$(selector)).length;
+  } catch (error) {
+    logger.debug(`Selector ${selector} could not be evaluated: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Check whether any of an element's selectors match on the page
+ * @param {Page} page - Playwright page
+ * @param {string} name - Element name
+ * @returns {Promise<boolean>} True if at least one selector matches
+ */
+async function hasElement(page, name) {
+  for (const selector of getSelectors(name)) {
+    if (await countMatches(page, selector) > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Report which selectors still match for each element
+ * @param {Page} page - Playwright page with the content to check
+ * @param {Array<string>} names - Element names to check (defaults to all)
+ * @returns {Promise<Array<Object>>} One entry per element: name, matched selectors with counts, missing selectors
+ */
+async function checkSelectors(page, names = null) {
+  const elements = getSelectorRegistry().elements;
+  const report = [];
+
+  for (const name of names || Object.keys(elements)) {
+    const matched = [];
+    const missing = [];
+
+    for (const selector of getSelectors(name)) {
+      const count = await countMatches(page, selector);
+      if (count > 0) {
+        matched.push({ selector, count });
+      } else {
+        missing.push(selector);
+      }
+    }
+
+    report.push({ name, matched, missing });
+  }
+
+  return report;
+}
+
+module.exports = {
+  loadSelectorRegistry,
+  getSelectorRegistry,
+  getSelectors,
+  hasElement,
+  checkSelectors
+};
@@ -0,0 +1,193 @@
+/**
+ * Persistent Twitter session
+ *
+ * After a successful login the browser context's storageState (cookies and
+ * local storage) is saved to disk, encrypted with AES-256-GCM using a key
+ * derived from TWITTER_SESSION_KEY. Later runs restore it instead of going
+ * through the login flow again, which is faster and avoids repeated logins
+ * getting the account challenged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Session file layout version
+const SESSION_VERSION = 1;
+
+// Default location of the encrypted session
+const DEFAULT_SESSION_FILE = path.join(__dirname, '../../.session/twitter-session.enc');
+
+/**
+ * Resolve the session file path
+ * @param {Object} options - Session options
+ * @param {string} options.sessionFile - Session file path (optional)
+ * @returns {string} Session file path
+ */
+function getSessionFile(options = {}) {
+  return options.sessionFile || process.env.TWITTER_SESSION_FILE || DEFAULT_SESSION_FILE;
+}
+
+/**
+ * Resolve the passphrase the session is encrypted with
+ * @param {Object} options - Session options
+ * @param {string} options.sessionKey - Passphrase (optional)
+ * @returns {string|null} Passphrase, or null if sessions are disabled
+ */
+function getSessionKey(options = {}) {
+  return options.sessionKey || process.env.TWITTER_SESSION_KEY || null;
+}
+
+/**
+ * Derive the encryption key from the passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Random salt stored with the session
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Identify the account a session belongs to without storing the username in clear
+ * @param {string} username - Twitter username
+ * @returns {string} Hex digest
+ */
+function accountId(username) {
+  return crypto.createHash('sha256').update((username || '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Save a browser context's session
+ * @param {BrowserContext} context - Logged-in Playwright browser context
+ * @param {Object} options - Session options (sessionFile, sessionKey)
+ * @returns {Promise<boolean>} True if the session was saved
+ */
+async function saveSession(context, options = {}) {
+  const passphrase = getSessionKey(options);
+  if (!passphrase) {
+    logger.info('TWITTER_SESSION_KEY not set, not saving the Twitter session');
+    return false;
+  }
+
+  const sessionFile = getSessionFile(options);
+  const storageState = await context.storageState();
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(storageState), 'utf8'), cipher.final()]);
+
+  const session = {
+    version: SESSION_VERSION,
+    algorithm: 'aes-256-gcm',
+    account: accountId(process.env.TWITTER_USERNAME),
+    savedAt: new Date().toISOString(),
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  // Write atomically and readable only by us; the cookies are as good as the password
+  await fs.promises.mkdir(path.dirname(sessionFile), { recursive: true, mode: 0o700 });
+  const tempPath = `${sessionFile}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(session, null, 2), { encoding: 'utf8', mode: 0o600 });
+  await fs.promises.rename(tempPath, sessionFile);
+
+  logger.info(`Twitter session saved to: ${sessionFile}`);
+  return true;
+}
+
+/**
+ * Load the saved session
+ * @param {Object} options - Session options (sessionFile, sessionKey)
+ * @returns {Promise<Object|null>} Playwright storageState, or null if there is no usable session
+ */
+async function loadSession(options = {}) {
+  const passphrase = getSessionKey(options);
+  const sessionFile = getSessionFile(options);
+
+  if (!passphrase || !fs.existsSync(sessionFile)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(await fs.promises.readFile(sessionFile, 'utf8'));
+
+    if (session.version !== SESSION_VERSION) {
+      logger.warn(`Ignoring saved session with unsupported version ${session.version}`);
+      return null;
+    }
+
+    if (session.account !== accountId(process.env.TWITTER_USERNAME)) {
+      logger.warn('Ignoring saved session for a different Twitter account');
+      return null;
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey(passphrase, Buffer.from(session.salt, 'base64')),
+      Buffer.from(session.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(session.tag, 'base64'));
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(session.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    logger.info(`Loaded Twitter session saved at ${session.savedAt}`);
+    return JSON.parse(json);
+  } catch (error) {
+    // Wrong key, truncated file or tampering all end up here
+    logger.warn(`Could not load saved Twitter session: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Describe the saved session without decrypting it
+ * @param {Object} options - Session options (sessionFile)
+ * @returns {Promise<Object|null>} File path and save time, or null if there is none
+ */
+async function getSessionInfo(options = {}) {
+  const sessionFile = getSessionFile(options);
+  if (!fs.existsSync(sessionFile)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(await fs.promises.readFile(sessionFile, 'utf8'));
+    return {
+      sessionFile,
+      savedAt: session.savedAt,
+      matchesAccount: session.account === accountId(process.env.TWITTER_USERNAME)
+    };
+  } catch (error) {
+    return { sessionFile, savedAt: null, matchesAccount: false, error: error.message };
+  }
+}
+
+/**
+ * Delete the saved session
+ * @param {Object} options - Session options (sessionFile)
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+async function clearSession(options = {}) {
+  const sessionFile = getSessionFile(options);
+  if (!fs.existsSync(sessionFile)) {
+    return false;
+  }
+
+  await fs.promises.unlink(sessionFile);
+  logger.info(`Deleted saved Twitter session: ${sessionFile}`);
+  return true;
+}
+
+module.exports = {
+  saveSession,
+  loadSession,
+  getSessionInfo,
+  clearSession
+};
@@ -0,0 +1,131 @@
+/**
+ * Space end watcher
+ *
+ * Watches the joined Space page for the end of the capture: the host ending
+ * the Space, us being removed from it, or the page leaving the Space (a
+ * redirect to login, a crash page, the tab being closed). The callback fires
+ * once with the reason.
+ */
+
+const logger = require('../utils/logger');
+
+// Text shown on the page when the host ends the Space
+const ENDED_PHRASES = [
+  'this space has ended',
+  'space has ended',
+  'this space ended'
+];
+
+// Text shown when we are removed from the Space
+const REMOVED_PHRASES = [
+  'you were removed',
+  'you have been removed',
+  "you've been removed",
+  'removed you from this space',
+  'you are not allowed to join this space'
+];
+
+// Page state check interval
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Extract the Space ID from a Space URL
+ * @param {string} url - Page URL
+ * @returns {string|null} Space ID
+ */
+function getSpaceId(url) {
+  const match = /\/i\/spaces\/([A-Za-z0-9]+)/.exec(url || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Start watching a joined Space page
+ * @param {Page} page - Playwright page that joined the Space
+ * @param {Function} onEnd - Called once with { reason, detail } when the capture should end
+ * @param {Object} options - Watcher options
+ * @param {number} options.pollIntervalMs - How often to check the page text
+ * @returns {Object} Watcher state
+ */
+function watchSpaceEnd(page, onEnd, options = {}) {
+  const watcher = {
+    page,
+    spaceId: getSpaceId(page.url()),
+    pollIntervalMs: options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS,
+    timer: null,
+    listeners: [],
+    stopped: false
+  };
+
+  const finish = (reason, detail) => {
+    if (watcher.stopped) {
+      return;
+    }
+    stopSpaceWatcher(watcher);
+    logger.warn(`Space capture ending: ${reason} (${detail})`);
+    onEnd({ reason, detail });
+  };
+
+  const addListener = (event, handler) => {
+    page.on(event, handler);
+    watcher.listeners.push({ event, handler });
+  };
+
+  // Leaving the Space URL means the page is no longer playing it
+  addListener('framenavigated', (frame) => {
+    if (frame !== page.mainFrame()) {
+      return;
+    }
+    const url = frame.url();
+    if (watcher.spaceId && !url.includes(watcher.spaceId)) {
+      finish('navigated_away', `page navigated to ${url}`);
+    }
+  });
+
+  addListener('close', () => finish('navigated_away', 'page was closed'));
+  addListener('crash', () => finish('navigated_away', 'page crashed'));
+
+  // The ended and removed states are only visible in the page text
+  const checkPage = async () => {
+    try {
+      const text = await page.evaluate(() => (document.body ? document.body.innerText : '').toLowerCase());
+      const ended = ENDED_PHRASES.find((phrase) => text.includes(phrase));
+      if (ended) {
+        finish('ended', `page shows "${ended}"`);
+        return;
+      }
+      const removed = REMOVED_PHRASES.find((phrase) => text.includes(phrase));
+      if (removed) {
+        finish('removed', `page shows "${removed}"`);
+      }
+    } catch (error) {
+      // Evaluation fails mid-navigation; the navigation handler covers that case
+      logger.debug(`Space watcher check failed: ${error.message}`);
+    }
+  };
+
+  watcher.timer = setInterval(checkPage, watcher.pollIntervalMs);
+  logger.info(`Watching Space ${watcher.spaceId || page.url()} for end of broadcast`);
+
+  return watcher;
+}
+
+/**
+ * Stop a watcher started by watchSpaceEnd
+ * @param {Object} watcher - Watcher state
+ */
+function stopSpaceWatcher(watcher) {
+  if (!watcher || watcher.stopped) {
+    return;
+  }
+
+  watcher.stopped = true;
+  clearInterval(watcher.timer);
+  watcher.listeners.forEach(({ event, handler }) => watcher.page.off(event, handler));
+  watcher.listeners = [];
+}
+
+module.exports = {
+  ENDED_PHRASES,
+  watchSpaceEnd,
+  stopSpaceWatcher
+};
@@ -7,6 +7,7 @@
 
 const { chromium } = require('playwright');
 const logger = require('../utils/logger');
+const { parseScheduledStart } = require('./scheduled-space');
 
 /**
  * Fetch the latest Twitter Spaces from spacesdashboard.com
@@ -166,6 +167,11 @@ async function discoverTwitterSpaces(options = {}) {
       if (space.url && space.url.includes('x.com/i/spaces/')) {
         space.url = space.url.replace('x.com/i/spaces/', 'twitter.com/i/spaces/');
       }
+      
+      // Scheduled spaces carry their start time so the capture can wait for them
+      space.scheduled = /schedul|upcoming|starts/i.test(space.status);
+      const scheduledStart = space.scheduled ? parseScheduledStart(space.timestamp) : null;
+      space.scheduledStart = scheduledStart ? scheduledStart.toISOString() : null;
       return space;
     });
     
@@ -0,0 +1,379 @@
+/**
+ * Speak back into the Space through a fake microphone
+ *
+ * For interpretation the agent has to talk as well as listen. We replace
+ * navigator.mediaDevices.getUserMedia in the page with a fake microphone: an
+ * AudioContext whose MediaStreamAudioDestinationNode is handed to Twitter as
+ * the mic track. Audio the WebSocket server sends as tts_audio messages is
+ * scheduled into that context back to back, at whatever sample rate it
+ * arrives in. The account requests to speak (and accepts an invite from the
+ * host) and, once it has speaker rights, the server drives the mic with
+ * mute/unmute messages. Mute is applied both to the fake mic and to
+ * Twitter's own mic toggle so listeners see the right state.
+ */
+
+const logger = require('../utils/logger');
+const { hasElement } = require('./selector-registry');
+const { clickElement } = require('./join-flow');
+
+// Speaker states reported to the server
+const SPEAK_STATES = {
+  LISTENER: 'listener',
+  REQUESTED: 'requested',
+  SPEAKER: 'speaker'
+};
+
+// Defaults, all overridable per Space
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: 2000, // How often to check for speaker rights and invites
+  unmuteOnSpeaker: false, // Unmute as soon as speaker rights are granted
+  ttsSampleRate: 16000 // Sample rate of tts_audio messages that do not give one
+};
+
+/**
+ * Fake microphone installed in the page. Runs in the browser.
+ */
+function fakeMicrophoneScript() {
+  if (window.twitterSpaceFakeMic || !navigator.mediaDevices) {
+    return;
+  }
+
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+  const gain = context.createGain();
+  const destination = context.createMediaStreamDestination();
+  gain.gain.value = 0; // Muted until the server says otherwise
+  gain.connect(destination);
+
+  const sources = new Set();
+  let nextTime = 0;
+
+  window.twitterSpaceFakeMic = {
+    // Queue S16LE PCM (base64) to play after what is already queued
+    enqueue(data, sampleRate, channels) {
+      const binary = atob(data);
+      const samples = new Int16Array(binary.length / 2);
+      for (let i = 0; i < samples.length; i++) {
+        const low = binary.charCodeAt(i * 2);
+        const high = binary.charCodeAt(i * 2 + 1);
+        samples[i] = (high << 24 >> 16) | low;
+      }
+
+      const frames = Math.floor(samples.length / channels);
+      if (frames === 0) {
+        return Math.max(0, nextTime - context.currentTime);
+      }
+
+      const buffer = context.createBuffer(channels, frames, sampleRate);
+      for (let channel = 0; channel < channels; channel++) {
+        const output = buffer.getChannelData(channel);
+        for (let i = 0; i < frames; i++) {
+          output[i] = samples[i * channels + channel] / 32768;
+        }
+      }
+
+      if (context.state === 'suspended') {
+        context.resume();
+      }
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(gain);
+      const startAt = Math.max(context.currentTime + 0.05, nextTime);
+      source.start(startAt);
+      nextTime = startAt + buffer.duration;
+      sources.add(source);
+      source.onended = () => sources.delete(source);
+
+      return nextTime - context.currentTime;
+    },
+
+    // Drop everything queued, e.g. when the server cuts an utterance short
+    clear() {
+      sources.forEach((source) => source.stop());
+      sources.clear();
+      nextTime = 0;
+    },
+
+    setMuted(muted) {
+      gain.gain.value = muted ? 0 : 1;
+    }
+  };
+
+  const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
+  navigator.mediaDevices.getUserMedia = async (constraints = {}) => {
+    if (!constraints.audio) {
+      return originalGetUserMedia(constraints);
+    }
+
+    console.log('Handing the fake microphone to getUserMedia');
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    const tracks = destination.stream.getAudioTracks().map((track) => track.clone());
+    if (constraints.video) {
+      const video = await originalGetUserMedia({ video: constraints.video });
+      video.getVideoTracks().forEach((track) => tracks.push(track));
+    }
+    return new MediaStream(tracks);
+  };
+
+  // The mic picker needs at least one audio input to offer
+  const originalEnumerateDevices = navigator.mediaDevices.enumerateDevices.bind(navigator.mediaDevices);
+  navigator.mediaDevices.enumerateDevices = async () => {
+    const devices = await originalEnumerateDevices();
+    if (devices.some((device) => device.kind === 'audioinput' && device.deviceId)) {
+      return devices;
+    }
+    return [...devices, { deviceId: 'twitter-space-fake-mic', groupId: 'twitter-space-fake-mic', kind: 'audioinput', label: 'Interpretation', toJSON() { return this; } }];
+  };
+}
+
+/**
+ * Install the fake microphone in the page, and in any page it reloads into
+ * @param {Page} page - Playwright page with the joined Space
+ * @returns {Promise<void>}
+ */
+async function installFakeMicrophone(page) {
+  await page.addInitScript(fakeMicrophoneScript);
+  await page.evaluate(fakeMicrophoneScript);
+
+  // Twitter checks the permission before it asks for the mic
+  try {
+    await page.context().grantPermissions(['microphone'], { origin: new URL(page.url()).origin });
+  } catch (error) {
+    logger.debug(`Could not grant microphone permission: ${error.message}`);
+  }
+
+  logger.info('Fake microphone installed');
+}
+
+/**
+ * Whether the account currently has speaker rights
+ * @param {Page} page - Playwright page
+ * @returns {Promise<boolean>} True if the mic toggle is shown
+ */
+async function hasSpeakerRights(page) {
+  return await hasElement(page, 'space.micUnmuteButton') || await hasElement(page, 'space.micMuteButton');
+}
+
+/**
+ * Report a speaker state change to the server
+ * @param {Object} speaker - Speak-back state
+ * @param {Object} fields - Message fields
+ */
+function reportState(speaker, fields = {}) {
+  if (speaker.send) {
+    speaker.send({
+      type: 'speaker_state',
+      state: speaker.state,
+      muted: speaker.muted,
+      ...fields,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Mute or unmute the fake mic and Twitter's mic toggle
+ * @param {Object} speaker - Speak-back state
+ * @param {boolean} muted - True to mute
+ * @returns {Promise<boolean>} False if Twitter's toggle could not be set
+ */
+async function setMuted(speaker, muted) {
+  const { page } = speaker;
+  await page.evaluate((value) => window.twitterSpaceFakeMic && window.twitterSpaceFakeMic.setMuted(value), muted);
+  speaker.muted = muted;
+
+  let toggled = true;
+  if (speaker.state === SPEAK_STATES.SPEAKER) {
+    // The toggle shows "Unmute" while muted and "Mute" while live
+    const target = muted ? 'space.micMuteButton' : 'space.micUnmuteButton';
+    if (await hasElement(page, target)) {
+      toggled = await clickElement(page, target);
+    }
+  }
+
+  logger.info(`Microphone ${muted ? 'muted' : 'unmuted'}`);
+  reportState(speaker);
+  return toggled;
+}
+
+/**
+ * Check for speaker rights, an invite to accept or a request to make
+ * @param {Object} speaker - Speak-back state
+ */
+async function checkSpeakerRights(speaker) {
+  const { page } = speaker;
+
+  if (await hasSpeakerRights(page)) {
+    if (speaker.state !== SPEAK_STATES.SPEAKER) {
+      speaker.state = SPEAK_STATES.SPEAKER;
+      logger.info('Speaker rights granted');
+      reportState(speaker);
+      await setMuted(speaker, !speaker.unmuteOnSpeaker);
+    }
+    return;
+  }
+
+  if (speaker.state === SPEAK_STATES.SPEAKER) {
+    // The host moved us back to the audience
+    speaker.state = SPEAK_STATES.LISTENER;
+    speaker.requested = false;
+    logger.warn('Speaker rights were taken away');
+    await page.evaluate(() => window.twitterSpaceFakeMic && window.twitterSpaceFakeMic.clear());
+    reportState(speaker);
+  }
+
+  if (await clickElement(page, 'space.acceptSpeakInviteButton')) {
+    logger.info('Accepted the invite to speak');
+    return;
+  }
+
+  if (speaker.requested && !speaker.requestPending) {
+    return;
+  }
+  speaker.requestPending = false;
+
+  if (await clickElement(page, 'space.requestToSpeakButton')) {
+    speaker.requested = true;
+    speaker.state = SPEAK_STATES.REQUESTED;
+    logger.info('Requested to speak');
+    reportState(speaker);
+  }
+}
+
+/**
+ * Start speak-back mode: install the fake mic and work towards speaker rights
+ * @param {Page} page - Playwright page with the joined Space
+ * @param {Object} options - Speak-back options (see DEFAULT_OPTIONS)
+ * @param {Function} options.send - Sends a JSON message to the server (optional)
+ * @returns {Promise<Object>} Speak-back state
+ */
+async function startSpeakBack(page, options = {}) {
+  const speaker = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    page,
+    state: SPEAK_STATES.LISTENER,
+    muted: true,
+    requested: false,
+    requestPending: false,
+    queuedSeconds: 0,
+    framesPlayed: 0,
+    timer: null,
+    busy: false
+  };
+
+  await installFakeMicrophone(page);
+
+  const poll = async () => {
+    if (speaker.busy || page.isClosed()) {
+      return;
+    }
+    speaker.busy = true;
+    try {
+      await checkSpeakerRights(speaker);
+    } catch (error) {
+      logger.debug(`Speaker rights check failed: ${error.message}`);
+    } finally {
+      speaker.busy = false;
+    }
+  };
+
+  speaker.timer = setInterval(poll, speaker.pollIntervalMs);
+  await poll();
+
+  logger.info('Speak-back mode started');
+  return speaker;
+}
+
+/**
+ * Handle a control or audio message from the server
+ * @param {Object} speaker - Speak-back state
+ * @param {Object} message - Parsed JSON message
+ * @returns {Promise<boolean>} True if the message was a speak-back message
+ */
+async function handleSpeakBackMessage(speaker, message) {
+  if (!speaker || !message) {
+    return false;
+  }
+
+  switch (message.type) {
+    case 'tts_audio': {
+      if (!message.data) {
+        return true;
+      }
+      speaker.queuedSeconds = await speaker.page.evaluate(({ data, sampleRate, channels }) => {
+        return window.twitterSpaceFakeMic ? window.twitterSpaceFakeMic.enqueue(data, sampleRate, channels) : 0;
+      }, {
+        data: message.data,
+        sampleRate: message.sampleRate || speaker.ttsSampleRate,
+        channels: message.channels || 1
+      });
+      speaker.framesPlayed++;
+      if (speaker.muted) {
+        logger.debug('Received tts_audio while muted; it plays silently until unmuted');
+      }
+      return true;
+    }
+
+    case 'tts_stop':
+      await speaker.page.evaluate(() => window.twitterSpaceFakeMic && window.twitterSpaceFakeMic.clear());
+      speaker.queuedSeconds = 0;
+      logger.info('Cleared queued interpretation audio');
+      return true;
+
+    case 'mute':
+      await setMuted(speaker, true);
+      return true;
+
+    case 'unmute':
+      if (speaker.state !== SPEAK_STATES.SPEAKER) {
+        logger.warn('Unmute requested before speaker rights were granted');
+      }
+      await setMuted(speaker, false);
+      return true;
+
+    case 'request_to_speak':
+      // Ask again, e.g. after the host declined
+      speaker.requestPending = true;
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Stop speak-back mode
+ * @param {Object} speaker - Speak-back state
+ * @returns {Promise<void>}
+ */
+async function stopSpeakBack(speaker) {
+  if (!speaker) {
+    return;
+  }
+
+  clearInterval(speaker.timer);
+  speaker.timer = null;
+
+  if (!speaker.page.isClosed()) {
+    await speaker.page.evaluate(() => {
+      if (window.twitterSpaceFakeMic) {
+        window.twitterSpaceFakeMic.clear();
+        window.twitterSpaceFakeMic.setMuted(true);
+      }
+    }).catch(() => {});
+  }
+
+  logger.info(`Speak-back mode stopped after ${speaker.framesPlayed} tts_audio frame(s)`);
+}
+
+module.exports = {
+  SPEAK_STATES,
+  startSpeakBack,
+  handleSpeakBackMessage,
+  setMuted,
+  stopSpeakBack
+};
@@ -0,0 +1,324 @@
+/**
+ * Speaker roster and active-speaker timeline
+ *
+ * Samples the joined Space page for its participants (host, co-hosts,
+ * speakers, listeners shown in the dock) and who the UI marks as talking.
+ * Joins, departures, role changes and speaking turns are recorded as events
+ * stamped with the recording's sample position, so downstream diarization
+ * and subtitles can attribute speech to real handles. At the end of the
+ * capture the roster and events are written out as a JSON speaker timeline.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getSelectors } = require('./selector-registry');
+
+// Timeline layout version
+const TIMELINE_VERSION = 1;
+
+// Defaults, all overridable per observer
+const DEFAULT_OPTIONS = {
+  intervalMs: 1000, // Page sampling interval
+  missingPolls: 3 // Consecutive samples a participant must be absent from before they count as gone
+};
+
+// Participant roles, most senior first
+const ROLES = ['host', 'cohost', 'speaker', 'listener'];
+
+/**
+ * Read the participants and speaking indicators from the page
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Array<Object>>} Participants: handle, name, role, speaking
+ */
+async function snapshotParticipants(page) {
+  return page.evaluate(({ participantSelectors, speakingSelectors }) => {
+    // Registry selectors may use Playwright-only syntax, which the DOM API rejects
+    const queryAll = (selectors) => selectors.flatMap((selector) => {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch (error) {
+        return [];
+      }
+    });
+
+    const speakingNodes = queryAll(speakingSelectors);
+    const seen = new Set();
+    const participants = [];
+
+    for (const node of queryAll(participantSelectors)) {
+      const text = node.innerText || '';
+      const link = node.querySelector('a[href^="/"]');
+      const handleMatch = /@([A-Za-z0-9_]{1,15})/.exec(text);
+      const handle = handleMatch
+        ? handleMatch[1]
+        : (node.getAttribute('data-handle') || (link ? link.getAttribute('href').split('/')[1] : null));
+
+      if (!handle || seen.has(handle.toLowerCase())) {
+        continue;
+      }
+      seen.add(handle.toLowerCase());
+
+      const lines = text.split('\n').map((line) => line.trim()).filter(Boolean);
+      const roleText = (node.getAttribute('data-role') || lines.join(' ')).toLowerCase();
+      let role = 'listener';
+      if (/co-?host/.test(roleText)) {
+        role = 'cohost';
+      } else if (/\bhost\b/.test(roleText)) {
+        role = 'host';
+      } else if (/\bspeaker\b/.test(roleText)) {
+        role = 'speaker';
+      }
+
+      participants.push({
+        handle,
+        name: lines.find((line) => !line.startsWith('@') && !/^(co-?host|host|speaker|listener)$/i.test(line)) || handle,
+        role,
+        speaking: speakingNodes.some((indicator) => node === indicator || node.contains(indicator))
+      });
+    }
+
+    return participants;
+  }, {
+    participantSelectors: getSelectors('space.participant'),
+    speakingSelectors: getSelectors('space.speakingIndicator')
+  });
+}
+
+/**
+ * Read the Space's title and host from the page, for naming the live stream
+ * and the recording's metadata. A title or host that cannot be found is null.
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Object>} title, and host with handle and name
+ */
+async function readSpaceDetails(page) {
+  let title = null;
+  for (const selector of getSelectors('space.title')) {
+    const text = await page.locator(selector).first().innerText({ timeout: 1000 }).catch(() => null);
+    if (text && text.trim()) {
+      title = text.trim().split('\n')[0];
+      break;
+    }
+  }
+
+  const participants = await snapshotParticipants(page).catch(() => []);
+  const host = participants.find((participant) => participant.role === 'host');
+
+  return {
+    title,
+    host: host ? { handle: host.handle, name: host.name } : null
+  };
+}
+
+/**
+ * Record an event at the current recording position
+ * @param {Object} observer - Speaker observer
+ * @param {Object} event - Event fields (type, handle, ...)
+ */
+function recordEvent(observer, event) {
+  const position = observer.getPosition();
+  const sample = position ? position.sample : 0;
+  const sampleRate = position ? position.sampleRate : null;
+
+  observer.sampleRate = sampleRate || observer.sampleRate;
+  observer.events.push({
+    ...event,
+    sample,
+    offsetSeconds: observer.sampleRate ? Number((sample / observer.sampleRate).toFixed(3)) : 0,
+    timestamp: new Date().toISOString()
+  });
+
+  logger.debug(`Speaker event: ${event.type} @${event.handle}${event.role ? ` (${event.role})` : ''}`);
+}
+
+/**
+ * Compare a page sample with the roster and record what changed
+ * @param {Object} observer - Speaker observer
+ * @param {Array<Object>} participants - Participants from snapshotParticipants
+ */
+function updateRoster(observer, participants) {
+  const present = new Set();
+
+  for (const participant of participants) {
+    const key = participant.handle.toLowerCase();
+    present.add(key);
+    let entry = observer.roster.get(key);
+
+    if (!entry || !entry.present) {
+      if (!entry) {
+        entry = { handle: participant.handle, name: participant.name, role: participant.role, roles: [participant.role], firstSeenAt: new Date().toISOString() };
+        observer.roster.set(key, entry);
+        logger.info(`Participant @${participant.handle} (${participant.role})`);
+      }
+      entry.present = true;
+      entry.role = participant.role;
+      recordEvent(observer, { type: 'joined', handle: entry.handle, role: entry.role });
+    } else if (entry.role !== participant.role) {
+      recordEvent(observer, { type: 'role_changed', handle: entry.handle, role: participant.role, previousRole: entry.role });
+      logger.info(`@${entry.handle} is now ${participant.role} (was ${entry.role})`);
+      entry.role = participant.role;
+    }
+
+    if (!entry.roles.includes(participant.role)) {
+      entry.roles.push(participant.role);
+    }
+    entry.name = participant.name;
+    entry.missing = 0;
+    entry.lastSeenAt = new Date().toISOString();
+
+    if (participant.speaking && !observer.speaking.has(key)) {
+      observer.speaking.add(key);
+      recordEvent(observer, { type: 'speaking_start', handle: entry.handle, role: entry.role });
+    } else if (!participant.speaking && observer.speaking.has(key)) {
+      observer.speaking.delete(key);
+      recordEvent(observer, { type: 'speaking_end', handle: entry.handle, role: entry.role });
+    }
+  }
+
+  // Participants drop out of the list for a sample now and then, so absence has to persist
+  for (const [key, entry] of observer.roster) {
+    if (!entry.present || present.has(key)) {
+      continue;
+    }
+    entry.missing = (entry.missing || 0) + 1;
+    if (entry.missing < observer.missingPolls) {
+      continue;
+    }
+    if (observer.speaking.delete(key)) {
+      recordEvent(observer, { type: 'speaking_end', handle: entry.handle, role: entry.role });
+    }
+    entry.present = false;
+    recordEvent(observer, { type: 'left', handle: entry.handle, role: entry.role });
+  }
+}
+
+/**
+ * Start observing the Space's participants
+ * @param {Page} page - Playwright page with the joined Space
+ * @param {Function} getPosition - Returns the recording position ({ sample, sampleRate }) or null
+ * @param {Object} options - Observer options (see DEFAULT_OPTIONS)
+ * @returns {Object} Speaker observer
+ */
+function observeSpeakers(page, getPosition, options = {}) {
+  const observer = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    page,
+    getPosition,
+    sampleRate: null,
+    startedAt: Date.now(),
+    roster: new Map(),
+    speaking: new Set(),
+    events: [],
+    failures: 0,
+    timer: null,
+    busy: false
+  };
+
+  const poll = async () => {
+    // Skip a tick rather than overlap a slow evaluation
+    if (observer.busy || page.isClosed()) {
+      return;
+    }
+    observer.busy = true;
+    try {
+      updateRoster(observer, await snapshotParticipants(page));
+    } catch (error) {
+      observer.failures++;
+      logger.debug(`Speaker sample failed: ${error.message}`);
+    } finally {
+      observer.busy = false;
+    }
+  };
+
+  observer.timer = setInterval(poll, observer.intervalMs);
+  poll();
+
+  logger.info(`Observing Space participants every ${observer.intervalMs}ms`);
+  return observer;
+}
+
+/**
+ * Speaking turns from the speaking_start/speaking_end events
+ * @param {Object} observer - Speaker observer
+ * @param {number} endSample - Recording position at the end, closing open turns
+ * @returns {Array<Object>} Turns: handle, startSample, endSample, startSeconds, endSeconds
+ */
+function buildSpeakingTurns(observer, endSample) {
+  const open = new Map();
+  const turns = [];
+  const toSeconds = (sample) => (observer.sampleRate ? Number((sample / observer.sampleRate).toFixed(3)) : 0);
+
+  const close = (handle, sample) => {
+    const startSample = open.get(handle);
+    open.delete(handle);
+    turns.push({
+      handle,
+      startSample,
+      endSample: sample,
+      startSeconds: toSeconds(startSample),
+      endSeconds: toSeconds(sample)
+    });
+  };
+
+  for (const event of observer.events) {
+    if (event.type === 'speaking_start') {
+      open.set(event.handle, event.sample);
+    } else if (event.type === 'speaking_end' && open.has(event.handle)) {
+      close(event.handle, event.sample);
+    }
+  }
+  for (const handle of [...open.keys()]) {
+    close(handle, endSample);
+  }
+
+  return turns.sort((a, b) => a.startSample - b.startSample);
+}
+
+/**
+ * Stop observing and write the speaker timeline
+ * @param {Object} observer - Speaker observer
+ * @param {string} timelinePath - JSON file to write (optional)
+ * @param {Object} details - Extra top-level fields, e.g. the recording file name
+ * @returns {Promise<Object|null>} Timeline
+ */
+async function stopSpeakerObserver(observer, timelinePath = null, details = {}) {
+  if (!observer) {
+    return null;
+  }
+
+  clearInterval(observer.timer);
+  observer.timer = null;
+
+  const position = observer.getPosition();
+  const endSample = position ? position.sample : 0;
+
+  const roster = [...observer.roster.values()]
+    .map(({ missing, present, ...entry }) => entry)
+    .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role));
+
+  const timeline = {
+    version: TIMELINE_VERSION,
+    ...details,
+    sampleRate: observer.sampleRate,
+    startedAt: new Date(observer.startedAt).toISOString(),
+    endedAt: new Date().toISOString(),
+    endSample,
+    roster,
+    events: observer.events,
+    turns: buildSpeakingTurns(observer, endSample),
+    failedSamples: observer.failures
+  };
+
+  if (timelinePath) {
+    await fs.promises.writeFile(timelinePath, JSON.stringify(timeline, null, 2), 'utf8');
+    logger.info(`Speaker timeline saved to: ${timelinePath} (${roster.length} participant(s), ${timeline.turns.length} speaking turn(s))`);
+  }
+
+  return timeline;
+}
+
+module.exports = {
+  readSpaceDetails,
+  observeSpeakers,
+  stopSpeakerObserver
+};
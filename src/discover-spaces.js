@@ -33,6 +33,7 @@ program
   .option('-p, --popular', 'Find the most popular space')
   .option('-w, --watch', 'Monitor for new spaces')
   .option('-i, --interval <ms>', 'Polling interval in milliseconds (for watch mode)', '300000')
+  .option('-s, --scheduled', 'Only list scheduled spaces')
   .option('-a, --auto-capture', 'Automatically start capturing the most popular space')
   .option('-d, --debug', 'Enable debug logging')
   .parse(process.argv);
@@ -57,6 +58,7 @@ Host: ${space.host}
 Listeners: ${space.listeners}
 Status: ${space.status}
 ${space.timestamp ? `Time: ${space.timestamp}` : ''}
+${space.scheduledStart ? `Starts: ${space.scheduledStart}` : ''}
 `;
 }
 
@@ -96,11 +98,21 @@ function startCapturingSpace(space) {
   
   // Execute the command
   const { spawn } = require('child_process');
-  const captureProcess = spawn('node', [
+  const args = [
     path.join(__dirname, 'index.js'),
     '--url', space.url,
     '--test-mode'
-  ], {
+  ];
+  
+  // Scheduled spaces are joined the moment they go live
+  if (space.scheduled) {
+    args.push('--wait-for-start');
+    if (space.scheduledStart) {
+      args.push('--scheduled-start', space.scheduledStart);
+    }
+  }
+  
+  const captureProcess = spawn('node', args, {
     detached: true,
     stdio: 'inherit'
   });
@@ -192,13 +204,17 @@ async function main() {
     // Default: one-time discovery
     logger.info(`Discovering Twitter Spaces (mode: ${options.mode}, query: "${options.query || ''}")`);
     
-    const spaces = await discoverTwitterSpaces({
+    let spaces = await discoverTwitterSpaces({
       mode: options.mode,
       query: options.query,
       language: options.language,
       limit: parseInt(options.limit)
     });
     
+    if (options.scheduled) {
+      spaces = spaces.filter(space => space.scheduled);
+    }
+    
     if (spaces.length > 0) {
       console.log(`Found ${spaces.length} Twitter Spaces:`);
       spaces.forEach(space => {
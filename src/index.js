@@ -4,12 +4,45 @@ require('dotenv').config();
 const { Command } = require('commander');
 const logger = require('./utils/logger');
 const { provisionVM, terminateVM } = require('./azure/vm-manager');
-const { launchBrowser, loginToTwitter, joinTwitterSpace } = require('./browser/browser-automation');
-const { setupAudioCapture, startRecording, stopRecording, connectToWebSocket } = require('./audio/audio-capture');
-const { sendAudioChunk } = require('./audio/websocket-client');
+const {
+  launchBrowser,
+  loginToTwitter,
+  joinTwitterSpace,
+  observeSpeakers,
+  stopSpeakerObserver,
+  enableCaptions,
+  observeCaptions,
+  stopCaptionObserver,
+  startSpeakBack,
+  handleSpeakBackMessage,
+  stopSpeakBack
+} = require('./browser/browser-automation');
+const { JOIN_ERROR_CODES } = require('./browser/join-flow');
+const {
+  setupAudioCapture,
+  startRecording,
+  stopRecording,
+  getRecordingPosition,
+  sendCaptureEvent
+} = require('./audio/audio-capture');
+const { parseSinkSpec, createSink } = require('./audio/audio-sinks');
+const { createNullSink, removeNullSink, getSinkEnvironment } = require('./audio/pulse-sink');
+const { watchSpaceEnd, stopSpaceWatcher } = require('./browser/space-watcher');
+const { EXIT_CODES, describeExitCode, isNormalExit } = require('./utils/exit-codes');
+const { loadSelectorRegistry } = require('./browser/selector-registry');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Collect a repeatable option into a list
+ * @param {string} value - Value given this time
+ * @param {Array<string>} previous - Values given so far
+ * @returns {Array<string>} All values
+ */
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
 // CLI configuration
 const program = new Command();
 program
@@ -18,12 +51,47 @@ program
   .version('1.0.0')
   .option('-u, --url <url>', 'Twitter Space URL to join')
   .option('-w, --websocket <url>', 'WebSocket endpoint to stream audio to')
+  .option('--transport <transport>', 'Stream to the --websocket endpoint over websocket, http (HTTP/1.1 chunked POST) or http2, which take http(s):// URLs', process.env.STREAM_TRANSPORT || 'websocket')
+  .option('--no-reconnect', 'Stop streaming when the WebSocket connection drops instead of reconnecting')
+  .option('--spool-mb <megabytes>', 'Audio kept for replay after a WebSocket outage', '32')
+  .option('--spool-dir <dir>', 'Spool audio for replay to disk in this directory instead of memory')
+  .option('--flow-control <policy>', 'When the server falls behind: drop-oldest, pause-and-spool or downgrade-bitrate', 'pause-and-spool')
+  .option('--window-kb <kilobytes>', 'Audio allowed in flight to the WebSocket before flow control steps in', '256')
+  .option('--auth-token <token>', 'Bearer token for the WebSocket endpoint', process.env.WEBSOCKET_AUTH_TOKEN)
+  .option('--sign-secret <secret>', 'Connect to the WebSocket with a URL signed with this HMAC secret', process.env.WEBSOCKET_SIGNING_SECRET)
+  .option('--sign-ttl <seconds>', 'How long a signed WebSocket URL stays valid', '300')
+  .option('--ca-file <pem>', 'CA bundle to trust for the WebSocket endpoint', process.env.WEBSOCKET_CA_FILE)
+  .option('--cert-file <pem>', 'Client certificate for mutual TLS with the WebSocket endpoint', process.env.WEBSOCKET_CERT_FILE)
+  .option('--key-file <pem>', 'Key of the client certificate', process.env.WEBSOCKET_KEY_FILE)
+  .option('--sink <spec>', 'Also send audio to a sink: ws(s):// or http(s):// URL, file path, pipe:<path>, - for stdout, listen:[host:]port or icecast:// source URL, with ,key=value settings (repeatable)', collectOption, [])
+  .option('--listen <[host:]port>', 'Serve the capture as an Icecast-style MP3 live stream on this port, for any audio player', process.env.LIVE_STREAM_LISTEN)
   .option('-k, --keep-vm', 'Keep the VM running after completion')
   .option('-d, --debug', 'Enable debug logging')
   .option('-t, --test-mode', 'Run in test mode without creating Azure VM', true)
   .option('--headless', 'Run in headless mode (browser not visible)', true)
   .option('--visible', 'Run in visible mode (browser visible)', false)
   .option('-p, --port <port>', 'WebSocket server port', 8080)
+  .option('-a, --audio-backend <backend>', 'Audio capture backend (browser, sox, pulse)', process.env.AUDIO_CAPTURE_BACKEND)
+  .option('-f, --format <format>', 'Output audio format (wav, flac, opus, mp3)', process.env.AUDIO_FORMAT || 'wav')
+  .option('-b, --bitrate <bitrate>', 'Encoder bitrate for lossy formats, e.g. 24k')
+  .option('--segment-minutes <minutes>', 'Rotate the recording into a new segment every N minutes')
+  .option('--segment-mb <megabytes>', 'Rotate the recording into a new segment every N MB')
+  .option('--no-pad-gaps', 'Leave dropped audio out of the recording instead of padding it with silence')
+  .option('--vad-threshold <db>', 'Level in dBFS above which audio counts as speech', process.env.VAD_THRESHOLD_DB)
+  .option('--suppress-silence', 'Only stream audio to the WebSocket while someone is speaking')
+  .option('--auto-stop-silence <seconds>', 'Stop the capture after N seconds without speech', process.env.AUTO_STOP_SILENCE_SECONDS)
+  .option('--wait-for-start', 'If the Space is scheduled, wait for it to go live and then join')
+  .option('--scheduled-start <time>', 'Start time of a scheduled Space, used when its page does not show one')
+  .option('--max-wait <minutes>', 'Give up waiting for a scheduled Space after N minutes', '240')
+  .option('--late-grace <minutes>', 'Give up waiting N minutes after the scheduled start', '60')
+  .option('--from-discovery <file>', 'Capture a Space from a discover-spaces --output file (the --url entry, else the first one)')
+  .option('--no-speakers', 'Do not record the speaker roster and active-speaker timeline')
+  .option('--captions', 'Turn on the Space\'s live captions and save them as JSONL and WebVTT')
+  .option('--forward-captions', 'Also send caption lines to the WebSocket as caption messages (implies --captions)')
+  .option('--speak-back', 'Request to speak and play tts_audio messages from the WebSocket into the Space through a fake microphone')
+  .option('--speak-unmuted', 'In speak-back mode, unmute as soon as speaker rights are granted instead of waiting for an unmute message')
+  .option('--tts-sample-rate <hz>', 'Sample rate of tts_audio messages that do not carry one', '16000')
+  .option('--mock-space <url>', 'Join the Space on a mock Space server (see npm run mock-space) instead of Twitter, without logging in', process.env.MOCK_SPACE_URL)
   .parse(process.argv);
 
 const options = program.opts();
@@ -33,6 +101,23 @@ if (options.debug) {
   logger.level = 'debug';
 }
 
+// Extra sinks from --sink; audio on stdout moves the logs to stderr
+let sinkDefinitions;
+try {
+  sinkDefinitions = options.sink.map(parseSinkSpec);
+  if (options.listen) {
+    sinkDefinitions.push(parseSinkSpec(`listen:${options.listen}`));
+  }
+  // Refuse sinks that could never open (unknown format, WAV on a live stream) before the browser starts
+  sinkDefinitions.forEach((definition) => createSink(definition, { format: options.format, bitrate: options.bitrate }));
+} catch (error) {
+  logger.error(error.message);
+  process.exit(EXIT_CODES.ERROR);
+}
+if (sinkDefinitions.some((definition) => definition.type === 'pipe' && definition.path === '-')) {
+  logger.useStderr();
+}
+
 // Determine headless mode - if visible is true, override headless
 const isHeadless = options.visible ? false : options.headless;
 
@@ -48,7 +133,44 @@ const websocketEndpoint = options.websocket || process.env.WEBSOCKET_ENDPOINT ||
 let vmInfo = null;
 let browser = null;
 let audioCapture = null;
-let wsConnection = null;
+
+/**
+ * Pick a Space from a discover-spaces output file and apply it to the options.
+ * Scheduled entries turn on wait mode with the start time discovery found.
+ * @param {string} filePath - discover-spaces --output file
+ * @param {string} spaceUrl - Space to pick (optional; defaults to the first entry)
+ */
+function applyDiscoveryEntry(filePath, spaceUrl) {
+  const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(loaded) ? loaded : [loaded];
+  const entry = spaceUrl
+    ? entries.find((space) => space.url && spaceUrl.includes(space.id || space.url))
+    : entries[0];
+  
+  if (!entry) {
+    throw new Error(`No matching Space in ${filePath}`);
+  }
+  
+  options.url = entry.url;
+  logger.info(`Using discovered Space "${entry.title}" (${entry.url})`);
+  
+  if (entry.scheduled) {
+    options.waitForStart = true;
+    options.scheduledStart = options.scheduledStart || entry.scheduledStart || entry.timestamp;
+    logger.info(`Discovered Space is scheduled (${entry.scheduledStart || entry.timestamp || 'start time unknown'}), waiting for it to start`);
+  }
+}
+
+/**
+ * File next to a recording, e.g. its speaker timeline
+ * @param {Object} audioCapture - Audio capture configuration
+ * @param {string} suffix - Suffix replacing the recording's extension, e.g. '.speakers.json'
+ * @returns {string} Path of the file
+ */
+function getRecordingSidecarPath(audioCapture, suffix) {
+  const recordingPath = audioCapture.outputFilePath;
+  return `${recordingPath.slice(0, -path.extname(recordingPath).length)}${suffix}`;
+}
 
 /**
  * Main application flow
@@ -57,13 +179,23 @@ async function main() {
   let browser = null;
   let page = null;
   let audioCapture = null;
-  let wsConnection = null;
+  let pulseSink = null;
+  let spaceWatcher = null;
+  let speakerObserver = null;
+  let captionObserver = null;
+  let speaker = null;
   
   try {
+    if (options.fromDiscovery) {
+      applyDiscoveryEntry(options.fromDiscovery, options.url);
+    }
+    
     logger.info('Starting Twitter Space Audio Capture');
     logger.info(`Target Twitter Space: ${options.url}`);
     logger.info(`WebSocket Endpoint: ${websocketEndpoint}`);
     logger.info(`Headless Mode: ${isHeadless ? 'Enabled' : 'Disabled'}`);
+    logger.info(`Audio Backend: ${options.audioBackend || 'default'}`);
+    logger.info(`Audio Format: ${options.format}${options.bitrate ? ` @ ${options.bitrate}` : ''}`);
 
     // Create logs directory if it doesn't exist
     const logsDir = path.join(__dirname, '../logs');
@@ -80,6 +212,9 @@ async function main() {
       throw new Error('WebSocket endpoint is required. Set WEBSOCKET_ENDPOINT in .env or use --websocket option.');
     }
 
+    // Load the UI selectors up front so a broken registry fails before the browser starts
+    loadSelectorRegistry();
+
     // Step 1: Provision Azure VM if not in test mode
     if (!options.testMode) {
       logger.info('Provisioning Azure VM...');
@@ -104,49 +239,127 @@ async function main() {
       ]
     };
     
-    const browserObj = await launchBrowser(browserOptions);
+    // The pulse backend needs its null sink to exist before the browser starts
+    if (options.audioBackend === 'pulse') {
+      pulseSink = await createNullSink();
+      browserOptions.env = getSinkEnvironment(pulseSink);
+      browserOptions.audible = true;
+    }
+    
+    // The mock Space server needs no Twitter session
+    const browserObj = await launchBrowser({ ...browserOptions, useSavedSession: !options.mockSpace });
     browser = browserObj.browser; // Store the browser instance for cleanup
     
     // Step 3: Login to Twitter
-    logger.info('Logging into Twitter...');
-    const authObj = await loginToTwitter(browserObj);
+    let authObj = browserObj;
+    if (options.mockSpace) {
+      logger.info(`Using mock Space server at ${options.mockSpace}, skipping Twitter login`);
+    } else {
+      logger.info('Logging into Twitter...');
+      authObj = await loginToTwitter(browserObj);
+    }
     
     // Step 4: Join Twitter Space using the authenticated page
     logger.info(`Joining Twitter Space: ${options.url}`);
-    const spaceObj = await joinTwitterSpace(authObj, options.url);
+    const spaceObj = await joinTwitterSpace(authObj, options.url, {
+      baseUrl: options.mockSpace,
+      waitForStart: options.waitForStart,
+      scheduledWait: {
+        scheduledStart: options.scheduledStart,
+        maxWaitMs: parseFloat(options.maxWait) * 60000,
+        lateGraceMs: parseFloat(options.lateGrace) * 60000
+      }
+    });
     
     // Step 5: Setup audio capture
     logger.info('Setting up audio capture...');
-    audioCapture = await setupAudioCapture(spaceObj.page);
+    audioCapture = await setupAudioCapture(spaceObj.page, {
+      backend: options.audioBackend,
+      pulseSink,
+      format: options.format,
+      bitrate: options.bitrate
+    });
     logger.info('Audio capture setup complete');
     
-    // Connect to WebSocket endpoint if provided
+    // The --websocket endpoint is the first sink; it is the one speak-back messages come from
+    const sinks = [];
     if (options.websocket) {
-      try {
-        logger.info(`Connecting to WebSocket endpoint: ${options.websocket}`);
-        wsConnection = await connectToWebSocket(options.websocket, audioCapture);
-        logger.info('WebSocket connection established');
-      } catch (error) {
-        logger.error(`Failed to connect to WebSocket: ${error.message}`);
-        logger.info('Continuing without WebSocket connection');
-      }
+      // Speak-back messages are handled one at a time so audio stays in order
+      let speakBackQueue = Promise.resolve();
+      sinks.push({
+        type: options.transport === 'websocket' ? 'websocket' : 'stream',
+        transport: options.transport,
+        url: options.websocket,
+        reconnect: options.reconnect,
+        spoolMaxBytes: parseFloat(options.spoolMb) * 1024 * 1024,
+        spoolDir: options.spoolDir || null,
+        flowControl: options.flowControl,
+        windowBytes: parseFloat(options.windowKb) * 1024,
+        token: options.authToken,
+        signSecret: options.signSecret,
+        signTtl: parseInt(options.signTtl, 10),
+        ca: options.caFile,
+        cert: options.certFile,
+        key: options.keyFile,
+        keyPassphraseEnv: process.env.WEBSOCKET_KEY_PASSPHRASE ? 'WEBSOCKET_KEY_PASSPHRASE' : null,
+        onMessage: (message) => {
+          speakBackQueue = speakBackQueue
+            .then(() => handleSpeakBackMessage(speaker, message))
+            .catch((error) => logger.error(`Error handling ${message.type} message: ${error.message}`));
+        }
+      });
     }
-    
-    // Start recording
-    logger.info('Starting audio recording...');
-    await startRecording(audioCapture, wsConnection);
-    logger.info('Audio recording started');
+    sinks.push(...sinkDefinitions);
     
     // Setup graceful shutdown
-    const shutdown = async (signal) => {
+    let shuttingDown = false;
+    const shutdown = async (signal, exitCode = EXIT_CODES.OK) => {
+      // A signal can arrive while an automatic stop is already cleaning up
+      if (shuttingDown) {
+        return;
+      }
+      shuttingDown = true;
       logger.info(`Received ${signal || 'shutdown'} signal, cleaning up...`);
       
       try {
+        // Closing the browser below would otherwise look like leaving the Space
+        stopSpaceWatcher(spaceWatcher);
+        
+        // Write the speaker timeline while the recording position is still known
+        if (speakerObserver) {
+          await stopSpeakerObserver(speakerObserver, getRecordingSidecarPath(audioCapture, '.speakers.json'), {
+            recording: path.basename(audioCapture.outputFilePath)
+          });
+          speakerObserver = null;
+        }
+        
+        // Go quiet before leaving the Space
+        if (speaker) {
+          await stopSpeakBack(speaker);
+          speaker = null;
+        }
+        
+        // Write out the caption lines still being spoken
+        if (captionObserver) {
+          await stopCaptionObserver(captionObserver);
+          captionObserver = null;
+        }
+        
         // Stop recording if active
         if (audioCapture) {
           logger.info('Stopping audio recording...');
-          await stopRecording(audioCapture, wsConnection);
+          await stopRecording(audioCapture);
           logger.info('Audio recording stopped');
+          
+          // A silent pulse recording is a failed capture, however it ended
+          if (audioCapture.silentCapture && isNormalExit(exitCode)) {
+            exitCode = EXIT_CODES.NO_AUDIO;
+          }
+          
+          // So is one whose local recording lost its encoder part way
+          if (audioCapture.recordingFailed && isNormalExit(exitCode)) {
+            exitCode = EXIT_CODES.ERROR;
+          }
         }
         
         // Close browser if open
@@ -156,21 +369,88 @@ async function main() {
           logger.info('Browser closed');
         }
         
-        logger.info('Cleanup complete, exiting...');
-        process.exit(0);
+        logger.info(`Cleanup complete, exiting with code ${exitCode} (${describeExitCode(exitCode)})`);
+        process.exit(exitCode);
       } catch (error) {
         logger.error(`Error during shutdown: ${error.message}`);
-        process.exit(1);
+        process.exit(EXIT_CODES.ERROR);
       }
     };
     
+    // Start recording
+    logger.info('Starting audio recording...');
+    const recordingStarted = await startRecording(audioCapture, sinks, {
+      segmentMinutes: options.segmentMinutes ? parseFloat(options.segmentMinutes) : null,
+      segmentMegabytes: options.segmentMb ? parseFloat(options.segmentMb) : null,
+      padGaps: options.padGaps,
+      vadThresholdDb: options.vadThreshold ? parseFloat(options.vadThreshold) : null,
+      suppressSilence: options.suppressSilence,
+      autoStopSilenceSeconds: options.autoStopSilence ? parseFloat(options.autoStopSilence) : null,
+      onSilenceTimeout: () => shutdown('silence timeout', EXIT_CODES.SILENCE_TIMEOUT),
+      space: { url: options.url, ...spaceObj.details },
+      onSinkFailure: () => shutdown('sink failure', EXIT_CODES.SINK_FAILED),
+      onStopCommand: (reason, source) => shutdown(`stop command from ${source}${reason ? ` (${reason})` : ''}`, EXIT_CODES.STOPPED_BY_SERVER)
+    });
+    if (!recordingStarted) {
+      await shutdown('audio recording failed to start', EXIT_CODES.ERROR);
+      return;
+    }
+    logger.info('Audio recording started');
+    
+    // Record who is in the Space and who is talking, on the recording's sample clock
+    if (options.speakers) {
+      speakerObserver = observeSpeakers(spaceObj.page, () => getRecordingPosition(audioCapture));
+    }
+    
+    // Save the live captions as a reference transcript
+    if (options.captions || options.forwardCaptions) {
+      try {
+        await enableCaptions(spaceObj.page);
+        captionObserver = await observeCaptions(spaceObj.page, () => getRecordingPosition(audioCapture), {
+          jsonlPath: getRecordingSidecarPath(audioCapture, '.captions.jsonl'),
+          vttPath: getRecordingSidecarPath(audioCapture, '.captions.vtt'),
+          onCaption: options.forwardCaptions ? (caption) => sendCaptureEvent(audioCapture, caption) : null
+        });
+      } catch (error) {
+        logger.error(`Failed to start caption capture: ${error.message}`);
+        logger.info('Continuing without captions');
+      }
+    }
+    
+    // Talk back into the Space with audio the WebSocket server sends
+    if (options.speakBack) {
+      if (!options.websocket) {
+        logger.warn('Speak-back mode needs a --websocket endpoint; the fake microphone will stay silent');
+      }
+      try {
+        speaker = await startSpeakBack(spaceObj.page, {
+          send: (event) => sendCaptureEvent(audioCapture, event),
+          unmuteOnSpeaker: options.speakUnmuted,
+          ttsSampleRate: parseInt(options.ttsSampleRate, 10)
+        });
+      } catch (error) {
+        logger.error(`Failed to start speak-back mode: ${error.message}`);
+        logger.info('Continuing as a listener');
+      }
+    }
+    
+    // Stop on our own when the Space ends or the page leaves it
+    const endExitCodes = {
+      ended: EXIT_CODES.SPACE_ENDED,
+      removed: EXIT_CODES.REMOVED_FROM_SPACE,
+      navigated_away: EXIT_CODES.NAVIGATED_AWAY
+    };
+    spaceWatcher = watchSpaceEnd(spaceObj.page, (end) => {
+      shutdown(`Space ${end.reason.replace('_', ' ')}`, endExitCodes[end.reason]);
+    });
+    
     // Register signal handlers
     process.on('SIGINT', () => shutdown('SIGINT'));
     process.on('SIGTERM', () => shutdown('SIGTERM'));
     process.on('uncaughtException', (error) => {
       logger.error(`Uncaught exception: ${error.message}`);
       logger.error(error.stack);
-      shutdown('uncaughtException');
+      shutdown('uncaughtException', EXIT_CODES.ERROR);
     });
     
     // Keep the process running until user terminates
@@ -182,18 +462,33 @@ async function main() {
     
     // Cleanup on error
     try {
+      stopSpaceWatcher(spaceWatcher);
+      await stopSpeakerObserver(speakerObserver);
+      await stopCaptionObserver(captionObserver);
+      await stopSpeakBack(speaker);
+      
       if (audioCapture) {
-        await stopRecording(audioCapture, wsConnection);
+        await stopRecording(audioCapture);
       }
       
       if (browser) {
         await browser.close();
       }
+      
+      // Remove the null sink if the capture never took ownership of it
+      if (pulseSink && !audioCapture) {
+        await removeNullSink(pulseSink);
+      }
     } catch (cleanupError) {
       logger.error(`Error during cleanup: ${cleanupError.message}`);
     }
     
-    process.exit(1);
+    // A Space that had already ended or never started is a normal finish, not a crash
+    const joinExitCodes = {
+      [JOIN_ERROR_CODES.ENDED]: EXIT_CODES.SPACE_ENDED,
+      [JOIN_ERROR_CODES.NOT_STARTED]: EXIT_CODES.NOT_STARTED
+    };
+    process.exit(joinExitCodes[error.code] || EXIT_CODES.ERROR);
   }
 }
 
@@ -209,11 +504,6 @@ async function cleanup() {
       await stopRecording(audioCapture);
     }
     
-    if (wsConnection) {
-      logger.info('Closing WebSocket connection...');
-      wsConnection.close();
-    }
-    
     if (browser) {
       logger.info('Closing browser...');
       await browser.close();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Twitter Session CLI Tool
+ *
+ * Shows, refreshes or clears the encrypted Twitter session that the capture
+ * agent reuses instead of logging in on every run.
+ */
+
+require('dotenv').config();
+const { Command } = require('commander');
+const logger = require('./utils/logger');
+const { launchBrowser, isLoggedIn, loginToTwitter } = require('./browser/browser-automation');
+const { getSessionInfo, clearSession } = require('./browser/session-store');
+
+// CLI configuration
+const program = new Command();
+program
+  .name('manage-session')
+  .description('Manage the saved Twitter session')
+  .version('1.0.0')
+  .option('-d, --debug', 'Enable debug logging')
+  .option('--visible', 'Run the browser in visible mode');
+
+program.hook('preAction', () => {
+  if (program.opts().debug) {
+    logger.level = 'debug';
+  }
+});
+
+program
+  .command('status')
+  .description('Show the saved session')
+  .option('-c, --check', 'Open a browser and check that the session is still logged in')
+  .action(async (commandOptions) => {
+    const info = await getSessionInfo();
+    if (!info) {
+      console.log('No saved Twitter session');
+      return;
+    }
+
+    console.log(`Session file: ${info.sessionFile}`);
+    console.log(`Saved at: ${info.savedAt || 'unknown'}`);
+    console.log(`Matches TWITTER_USERNAME: ${info.matchesAccount ? 'yes' : 'no'}`);
+
+    if (commandOptions.check) {
+      const browserObj = await launchBrowser({ headless: !program.opts().visible });
+      try {
+        const valid = browserObj.sessionRestored && await isLoggedIn(browserObj.page);
+        console.log(`Logged in: ${valid ? 'yes' : 'no'}`);
+        process.exitCode = valid ? 0 : 1;
+      } finally {
+        await browserObj.browser.close();
+      }
+    }
+  });
+
+program
+  .command('refresh')
+  .description('Log in again and save a fresh session')
+  .action(async () => {
+    if (!process.env.TWITTER_SESSION_KEY) {
+      throw new Error('TWITTER_SESSION_KEY must be set to save the session');
+    }
+
+    const browserObj = await launchBrowser({
+      headless: !program.opts().visible,
+      useSavedSession: false
+    });
+    try {
+      // With a visible browser a captcha can be solved by hand
+      await loginToTwitter(browserObj, {
+        forceLogin: true,
+        manualChallengeTimeoutMs: program.opts().visible ? 5 * 60 * 1000 : 0
+      });
+      console.log('Twitter session refreshed');
+    } finally {
+      await browserObj.browser.close();
+    }
+  });
+
+program
+  .command('clear')
+  .description('Delete the saved session')
+  .action(async () => {
+    const deleted = await clearSession();
+    console.log(deleted ? 'Saved Twitter session deleted' : 'No saved Twitter session');
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  logger.error(`Session command failed: ${error.message}`);
+  logger.debug(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Twitter Space Server CLI Tool
+ *
+ * Runs the local mock Space server so the agent can join a Space, capture
+ * its test tone and stream it without network access, e.g.:
+ *
+ *   npm run mock-space -- --end-after 60
+ *   node src/index.js --mock-space http://127.0.0.1:8090 --url https://twitter.com/i/spaces/1mock
+ */
+
+require('dotenv').config();
+const { Command } = require('commander');
+const logger = require('./utils/logger');
+const { startMockSpaceServer, stopMockSpaceServer } = require('./testing/mock-space-server');
+
+// CLI configuration
+const program = new Command();
+program
+  .name('mock-space')
+  .description('Serve a mock Twitter Space page with a test tone for offline end-to-end runs')
+  .version('1.0.0')
+  .option('-p, --port <port>', 'Port to listen on', '8090')
+  .option('-H, --host <host>', 'Address to listen on', '127.0.0.1')
+  .option('-t, --tone <hz>', 'Test tone frequency in Hz', '440')
+  .option('-s, --start-after <seconds>', 'Serve each Space as scheduled for this many seconds after its page is first loaded')
+  .option('-e, --end-after <seconds>', 'End each Space this many seconds after it goes live')
+  .option('-d, --debug', 'Enable debug logging')
+  .parse(process.argv);
+
+const options = program.opts();
+
+if (options.debug) {
+  logger.level = 'debug';
+}
+
+async function main() {
+  const mock = await startMockSpaceServer({
+    port: parseInt(options.port, 10),
+    host: options.host,
+    toneHz: parseInt(options.tone, 10),
+    startAfterSeconds: options.startAfter ? parseFloat(options.startAfter) : null,
+    endAfterSeconds: options.endAfter ? parseFloat(options.endAfter) : null
+  });
+
+  logger.info(`Live Space:        ${mock.url}/i/spaces/1mock`);
+  logger.info(`Ended Space:       ${mock.url}/i/spaces/ended`);
+  logger.info(`Unavailable Space: ${mock.url}/i/spaces/unavailable`);
+  logger.info(`End a Space with:  curl -X POST ${mock.url}/api/spaces/<id>/end`);
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, stopping mock Space server...`);
+    await stopMockSpaceServer(mock);
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch((error) => {
+  logger.error(`Mock Space server failed: ${error.message}`);
+  logger.debug(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Selector Registry CLI Tool
+ *
+ * Checks the selector registry against saved HTML snapshots (e.g. the
+ * page-content-*.html files the join step writes to logs/) or a live page,
+ * and reports which selectors still match for each logical element, so a
+ * Twitter UI change can be spotted before a live event.
+ */
+
+require('dotenv').config();
+const { Command } = require('commander');
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const { launchBrowser } = require('./browser/browser-automation');
+const { loadSelectorRegistry, checkSelectors } = require('./browser/selector-registry');
+
+// CLI configuration
+const program = new Command();
+program
+  .name('selectors')
+  .description('Inspect and check the Twitter UI selector registry')
+  .version('1.0.0')
+  .option('-d, --debug', 'Enable debug logging');
+
+program.hook('preAction', () => {
+  if (program.opts().debug) {
+    logger.level = 'debug';
+  }
+});
+
+/**
+ * Element names to check
+ * @param {Object} registry - Selector registry
+ * @param {Array<string>} groups - Element name prefixes, e.g. ['space'] (optional)
+ * @returns {Array<string>} Element names
+ */
+function selectElements(registry, groups) {
+  const names = Object.keys(registry.elements);
+  if (!groups || groups.length === 0) {
+    return names;
+  }
+  return names.filter((name) => groups.some((group) => name.startsWith(`${group}.`)));
+}
+
+/**
+ * Print a check report
+ * @param {string} source - Snapshot file or URL that was checked
+ * @param {Array<Object>} report - Report from checkSelectors
+ */
+function printReport(source, report) {
+  console.log(`\n${source}`);
+  report.forEach((entry) => {
+    const status = entry.matched.length > 0 ? 'OK  ' : 'MISS';
+    console.log(`  [${status}] ${entry.name} (${entry.matched.length}/${entry.matched.length + entry.missing.length} selectors match)`);
+    entry.matched.forEach(({ selector, count }) => {
+      console.log(`           + ${selector} (${count})`);
+    });
+    entry.missing.forEach((selector) => {
+      console.log(`           - ${selector}`);
+    });
+  });
+}
+
+program
+  .command('check')
+  .description('Report which selectors match in HTML snapshots or on a live page')
+  .option('-s, --snapshot <files...>', 'Saved HTML snapshots to check')
+  .option('-u, --url <url>', 'Live page to check (uses the saved Twitter session)')
+  .option('-g, --group <groups...>', 'Only check elements in these groups (login, session, space)')
+  .option('-r, --registry <file>', 'Selector registry to check instead of the default one')
+  .option('-w, --wait <ms>', 'Time to let a live page render before checking', '5000')
+  .option('--json', 'Print the report as JSON')
+  .action(async (commandOptions) => {
+    if (!commandOptions.snapshot && !commandOptions.url) {
+      throw new Error('Nothing to check: pass --snapshot <files...> and/or --url <url>');
+    }
+
+    const registry = loadSelectorRegistry(commandOptions.registry);
+    const names = selectElements(registry, commandOptions.group);
+    const results = [];
+
+    // Snapshots are checked with scripts disabled so they render as saved
+    if (commandOptions.snapshot) {
+      const browser = await chromium.launch({ headless: true });
+      try {
+        const context = await browser.newContext({ javaScriptEnabled: false });
+        const page = await context.newPage();
+        for (const file of commandOptions.snapshot) {
+          await page.setContent(fs.readFileSync(file, 'utf8'), { waitUntil: 'domcontentloaded' });
+          results.push({ source: path.resolve(file), report: await checkSelectors(page, names) });
+        }
+      } finally {
+        await browser.close();
+      }
+    }
+
+    if (commandOptions.url) {
+      const { browser, page } = await launchBrowser({ headless: true });
+      try {
+        await page.goto(commandOptions.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForTimeout(parseInt(commandOptions.wait, 10));
+        results.push({ source: commandOptions.url, report: await checkSelectors(page, names) });
+      } finally {
+        await browser.close();
+      }
+    }
+
+    if (commandOptions.json) {
+      console.log(JSON.stringify({ registryVersion: registry.version, results }, null, 2));
+    } else {
+      console.log(`Selector registry v${registry.version} (${registry.file})`);
+      results.forEach(({ source, report }) => printReport(source, report));
+    }
+
+    // Fail when an element has no working selector in any of the sources
+    const broken = names.filter((name) => results.every(({ report }) => {
+      const entry = report.find((item) => item.name === name);
+      return entry.matched.length === 0;
+    }));
+
+    if (broken.length > 0) {
+      console.log(`\nNo matching selector for: ${broken.join(', ')}`);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('list')
+  .description('List the elements in the selector registry')
+  .option('-r, --registry <file>', 'Selector registry to list instead of the default one')
+  .action((commandOptions) => {
+    const registry = loadSelectorRegistry(commandOptions.registry);
+    console.log(`Selector registry v${registry.version} (${registry.file})`);
+    Object.entries(registry.elements).forEach(([name, element]) => {
+      console.log(`  ${name}: ${element.description || ''} (${element.selectors.length} selectors)`);
+    });
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  logger.error(`Selector command failed: ${error.message}`);
+  logger.debug(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,447 @@
+/**
+ * Mock Twitter Space server
+ *
+ * Serves a local stand-in for a Space page so the join, capture and
+ * WebSocket path can run without network access or a Twitter account. The
+ * live page has the landing card with a "Start listening" button, the
+ * data-testid title, participant, speaking indicator, caption and visualizer
+ * nodes the selector registry looks for, and an <audio> element that plays a known test tone once the
+ * button is clicked. A listener can request to speak; the mock host invites
+ * them, and once they accept the page takes their microphone and shows its
+ * level, so speak-back audio can be checked. The Space IDs "ended" and "unavailable" serve those
+ * variants instead. Spaces can start out scheduled and go live after a
+ * fixed time. A live Space can be ended through the API (or after a fixed
+ * time), and the page then shows the ended text like Twitter does.
+ */
+
+const http = require('http');
+const logger = require('../utils/logger');
+const { buildWavHeader } = require('../audio/wav-writer');
+
+// Page variants, selected by Space ID; any other ID is a live Space
+const MOCK_VARIANTS = {
+  LIVE: 'live',
+  SCHEDULED: 'scheduled',
+  ENDED: 'ended',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Defaults, all overridable when starting the server
+const DEFAULT_OPTIONS = {
+  port: 8090,
+  host: '127.0.0.1',
+  toneHz: 440,
+  toneAmplitude: 0.5,
+  startAfterSeconds: null, // Serve new Spaces as scheduled for this long
+  endAfterSeconds: null // End live Spaces this long after they go live
+};
+
+// Test tone format. The loop is a whole number of seconds so any whole-Hz
+// tone repeats without a click.
+const TONE_SAMPLE_RATE = 48000;
+const TONE_SECONDS = 5;
+
+// How often the live page asks the server whether the Space has ended
+const STATE_POLL_MS = 1000;
+
+// How long each mock speaker talks before the next one takes over
+const SPEAKER_TURN_MS = 3000;
+
+// Mock captions, shown a word at a time
+const CAPTION_SENTENCES = [
+  'Welcome to the mock Space.',
+  'This is a four hundred and forty hertz test tone.',
+  'Captions are shown one word at a time.'
+];
+const CAPTION_WORD_MS = 400;
+
+// How long the mock host takes to invite a listener who asked to speak
+const SPEAK_INVITE_MS = 2000;
+
+/**
+ * Build a looping sine tone as a 16-bit mono WAV file
+ * @param {number} toneHz - Tone frequency in Hz
+ * @param {number} amplitude - Peak amplitude (0-1)
+ * @returns {Buffer} WAV file
+ */
+function buildToneWav(toneHz, amplitude) {
+  const frames = TONE_SAMPLE_RATE * TONE_SECONDS;
+  const data = Buffer.alloc(frames * 2);
+
+  for (let i = 0; i < frames; i++) {
+    const sample = Math.sin(2 * Math.PI * toneHz * i / TONE_SAMPLE_RATE) * amplitude;
+    data.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+
+  const header = buildWavHeader({ sampleRate: TONE_SAMPLE_RATE, channels: 1, bitsPerSample: 16 }, data.length);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Wrap page content in the document shell
+ * @param {string} title - Document title
+ * @param {string} body - Body HTML
+ * @returns {string} HTML document
+ */
+function renderDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; margin: 40px; }
+  [role="button"] { display: inline-block; padding: 8px 16px; border-radius: 16px; background: #1d9bf0; color: #fff; cursor: pointer; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render the page for a live Space
+ * @param {string} spaceId - Space ID
+ * @returns {string} HTML document
+ */
+function renderLivePage(spaceId) {
+  // The pause button and visualizer are only added after joining, as hidden
+  // elements would still match the registry selectors
+  return renderDocument('Mock Space', `
+<div id="space-dock">
+  <div data-testid="audioSpaceTitle">Mock Space ${spaceId}</div>
+  <div data-testid="audioSpaceSpeakerInfo">
+    <div data-testid="audioSpaceParticipant">Mock Host<br>@mockhost<br>Host</div>
+    <div data-testid="audioSpaceParticipant">Mock Speaker<br>@mockspeaker<br>Speaker</div>
+    <div data-testid="audioSpaceParticipant">Mock Listener<br>@mocklistener<br>Listener</div>
+  </div>
+  <div id="controls">
+    <div role="button" tabindex="0" data-testid="startListeningButton">Start listening</div>
+    <div role="button" tabindex="0" data-testid="audioSpaceCaptionsButton">Show captions</div>
+  </div>
+  <audio id="space-audio" src="/tone.wav" loop preload="auto"></audio>
+</div>
+<script>
+  const audio = document.getElementById('space-audio');
+  const controls = document.getElementById('controls');
+
+  document.querySelector('[data-testid="startListeningButton"]').addEventListener('click', (event) => {
+    event.currentTarget.remove();
+
+    const pause = document.createElement('div');
+    pause.setAttribute('role', 'button');
+    pause.setAttribute('aria-label', 'Pause');
+    pause.setAttribute('data-testid', 'audioSpacePauseButton');
+    pause.textContent = 'Pause';
+    controls.appendChild(pause);
+
+    const visualizer = document.createElement('div');
+    visualizer.setAttribute('data-testid', 'audioSpaceVisualizer');
+    controls.appendChild(visualizer);
+
+    audio.play().catch((error) => console.log('Could not play the test tone: ' + error.message));
+
+    // Host and speaker take turns talking
+    const speakers = Array.from(document.querySelectorAll('[data-testid="audioSpaceParticipant"]')).slice(0, 2);
+    let turn = 0;
+    setInterval(() => {
+      document.querySelectorAll('[data-testid="audioSpaceSpeakingIndicator"]').forEach((indicator) => indicator.remove());
+      const indicator = document.createElement('span');
+      indicator.setAttribute('data-testid', 'audioSpaceSpeakingIndicator');
+      speakers[turn++ % speakers.length].appendChild(indicator);
+    }, ${SPEAKER_TURN_MS});
+
+    const request = document.createElement('div');
+    request.setAttribute('role', 'button');
+    request.setAttribute('data-testid', 'audioSpaceRequestToSpeakButton');
+    request.textContent = 'Request to speak';
+    request.addEventListener('click', requestToSpeak);
+    controls.appendChild(request);
+  });
+
+  // The host invites whoever asks; accepting takes the microphone
+  function requestToSpeak(event) {
+    event.currentTarget.remove();
+    setTimeout(() => {
+      const dialog = document.createElement('div');
+      dialog.setAttribute('role', 'dialog');
+      dialog.innerHTML = '<p>Mock Host invited you to speak</p>'
+        + '<div role="button" tabindex="0" data-testid="audioSpaceAcceptInviteButton">Join as speaker</div>';
+      dialog.querySelector('[role="button"]').addEventListener('click', () => {
+        dialog.remove();
+        becomeSpeaker();
+      });
+      document.body.appendChild(dialog);
+    }, ${SPEAK_INVITE_MS});
+  }
+
+  async function becomeSpeaker() {
+    const mic = document.createElement('div');
+    mic.setAttribute('role', 'button');
+    mic.setAttribute('aria-label', 'Unmute');
+    mic.setAttribute('data-testid', 'audioSpaceMicButton');
+    mic.textContent = 'Unmute';
+    mic.addEventListener('click', () => {
+      const label = mic.getAttribute('aria-label') === 'Unmute' ? 'Mute' : 'Unmute';
+      mic.setAttribute('aria-label', label);
+      mic.textContent = label;
+    });
+    controls.appendChild(mic);
+
+    // Peak level of what the microphone sends, as listeners would hear it
+    const level = document.createElement('div');
+    level.setAttribute('data-testid', 'mockMicLevel');
+    level.textContent = 'Mic level: -inf dB';
+    controls.appendChild(level);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const context = new AudioContext();
+      const analyser = context.createAnalyser();
+      context.createMediaStreamSource(stream).connect(analyser);
+      const samples = new Float32Array(analyser.fftSize);
+      setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+        const live = mic.getAttribute('aria-label') === 'Mute';
+        const db = live && peak > 0 ? (20 * Math.log10(peak)).toFixed(1) : '-inf';
+        level.setAttribute('data-level-db', db);
+        level.textContent = 'Mic level: ' + db + ' dB';
+      }, 500);
+    } catch (error) {
+      level.textContent = 'No microphone: ' + error.message;
+    }
+  }
+
+  // Captions appear a word at a time, one line per sentence, last three lines shown
+  document.querySelector('[data-testid="audioSpaceCaptionsButton"]').addEventListener('click', (event) => {
+    event.currentTarget.remove();
+    const region = document.createElement('div');
+    region.setAttribute('data-testid', 'audioSpaceCaptions');
+    document.getElementById('space-dock').appendChild(region);
+
+    const sentences = ${JSON.stringify(CAPTION_SENTENCES)};
+    let sentence = 0;
+    let word = 0;
+    let line = null;
+    setInterval(() => {
+      const words = sentences[sentence % sentences.length].split(' ');
+      if (!line) {
+        line = document.createElement('div');
+        region.appendChild(line);
+        while (region.children.length > 3) {
+          region.firstElementChild.remove();
+        }
+      }
+      line.textContent = words.slice(0, ++word).join(' ');
+      if (word === words.length) {
+        sentence++;
+        word = 0;
+        line = null;
+      }
+    }, ${CAPTION_WORD_MS});
+  });
+
+  const poll = setInterval(async () => {
+    try {
+      const response = await fetch('/api/spaces/${spaceId}');
+      const state = await response.json();
+      if (state.state === '${MOCK_VARIANTS.ENDED}') {
+        clearInterval(poll);
+        audio.pause();
+        document.getElementById('space-dock').innerHTML = '<h1>This Space has ended</h1>';
+      }
+    } catch (error) {
+      console.log('Could not read the Space state: ' + error.message);
+    }
+  }, ${STATE_POLL_MS});
+</script>`);
+}
+
+/**
+ * Render the page for a scheduled Space
+ * @param {string} spaceId - Space ID
+ * @param {Date} startsAt - Scheduled start
+ * @returns {string} HTML document
+ */
+function renderScheduledPage(spaceId, startsAt) {
+  return renderDocument('Mock Space', `
+<div data-testid="audioSpaceTitle">Mock Space ${spaceId}</div>
+<p>Starts <time datetime="${startsAt.toISOString()}">${startsAt.toUTCString()}</time></p>
+<div role="button" tabindex="0" data-testid="audioSpaceSetReminderButton">Set reminder</div>`);
+}
+
+/**
+ * Render the page for a Space that is not live
+ * @param {string} variant - MOCK_VARIANTS.ENDED or MOCK_VARIANTS.UNAVAILABLE
+ * @returns {string} HTML document
+ */
+function renderClosedPage(variant) {
+  const message = variant === MOCK_VARIANTS.ENDED ? 'This Space has ended' : 'This Space is unavailable';
+  return renderDocument('Mock Space', `<h1>${message}</h1>`);
+}
+
+/**
+ * Make a mock Space live and start its end timer
+ * @param {Object} mock - Mock server state
+ * @param {string} spaceId - Space ID
+ */
+function goLive(mock, spaceId) {
+  mock.spaces.set(spaceId, MOCK_VARIANTS.LIVE);
+  logger.info(`Mock Space ${spaceId} is live`);
+
+  if (mock.options.endAfterSeconds) {
+    const timer = setTimeout(() => endMockSpace(mock, spaceId), mock.options.endAfterSeconds * 1000);
+    timer.unref();
+  }
+}
+
+/**
+ * Get the state of a Space, scheduling or starting it on first use
+ * @param {Object} mock - Mock server state
+ * @param {string} spaceId - Space ID
+ * @returns {string} One of MOCK_VARIANTS
+ */
+function getSpaceState(mock, spaceId) {
+  if (spaceId === MOCK_VARIANTS.ENDED || spaceId === MOCK_VARIANTS.UNAVAILABLE) {
+    return spaceId;
+  }
+
+  if (!mock.spaces.has(spaceId)) {
+    if (mock.options.startAfterSeconds) {
+      const delayMs = mock.options.startAfterSeconds * 1000;
+      mock.spaces.set(spaceId, MOCK_VARIANTS.SCHEDULED);
+      mock.startTimes.set(spaceId, new Date(Date.now() + delayMs));
+      const timer = setTimeout(() => goLive(mock, spaceId), delayMs);
+      timer.unref();
+    } else {
+      goLive(mock, spaceId);
+    }
+  }
+
+  return mock.spaces.get(spaceId);
+}
+
+/**
+ * End a live mock Space; its open pages show the ended text on their next poll
+ * @param {Object} mock - Mock server state
+ * @param {string} spaceId - Space ID
+ */
+function endMockSpace(mock, spaceId) {
+  mock.spaces.set(spaceId, MOCK_VARIANTS.ENDED);
+  logger.info(`Mock Space ${spaceId} ended`);
+}
+
+/**
+ * Handle a request to the mock server
+ * @param {Object} mock - Mock server state
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleRequest(mock, req, res) {
+  const { pathname } = new URL(req.url, mock.url);
+  logger.debug(`Mock Space server: ${req.method} ${pathname}`);
+
+  const send = (status, contentType, body) => {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  };
+
+  if (pathname === '/tone.wav') {
+    send(200, 'audio/wav', mock.tone);
+    return;
+  }
+
+  const page = /^\/i\/spaces\/([A-Za-z0-9]+)\/?$/.exec(pathname);
+  if (page && req.method === 'GET') {
+    const state = getSpaceState(mock, page[1]);
+    let html = renderClosedPage(state);
+    if (state === MOCK_VARIANTS.LIVE) {
+      html = renderLivePage(page[1]);
+    } else if (state === MOCK_VARIANTS.SCHEDULED) {
+      html = renderScheduledPage(page[1], mock.startTimes.get(page[1]));
+    }
+    send(200, 'text/html; charset=utf-8', html);
+    return;
+  }
+
+  const api = /^\/api\/spaces\/([A-Za-z0-9]+)(\/end)?$/.exec(pathname);
+  if (api && req.method === 'GET' && !api[2]) {
+    send(200, 'application/json', JSON.stringify({ id: api[1], state: getSpaceState(mock, api[1]) }));
+    return;
+  }
+
+  if (api && req.method === 'POST' && api[2]) {
+    endMockSpace(mock, api[1]);
+    send(200, 'application/json', JSON.stringify({ id: api[1], state: MOCK_VARIANTS.ENDED }));
+    return;
+  }
+
+  send(404, 'text/plain', 'Not found');
+}
+
+/**
+ * Start the mock Space server
+ * @param {Object} options - Server options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Mock server state with its base url
+ */
+async function startMockSpaceServer(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const mock = {
+    options: settings,
+    url: null,
+    server: null,
+    spaces: new Map(),
+    startTimes: new Map(),
+    sockets: new Set(),
+    tone: buildToneWav(settings.toneHz, settings.toneAmplitude)
+  };
+
+  mock.server = http.createServer((req, res) => handleRequest(mock, req, res));
+
+  // Kept so they can be dropped on stop where closeAllConnections is missing (Node < 18.2)
+  mock.server.on('connection', (socket) => {
+    mock.sockets.add(socket);
+    socket.on('close', () => mock.sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    mock.server.once('error', reject);
+    mock.server.listen(settings.port, settings.host, resolve);
+  });
+
+  const { port } = mock.server.address();
+  mock.url = `http://${settings.host}:${port}`;
+  logger.info(`Mock Space server listening on ${mock.url} (${settings.toneHz}Hz test tone)`);
+  return mock;
+}
+
+/**
+ * Stop the mock Space server
+ * @param {Object} mock - Mock server state
+ * @returns {Promise<void>}
+ */
+async function stopMockSpaceServer(mock) {
+  if (!mock || !mock.server) {
+    return;
+  }
+
+  // Open pages keep polling on kept-alive connections
+  const closed = new Promise((resolve) => mock.server.close(() => resolve()));
+  if (mock.server.closeAllConnections) {
+    mock.server.closeAllConnections();
+  } else {
+    mock.sockets.forEach((socket) => socket.destroy());
+  }
+  await closed;
+  mock.server = null;
+  logger.info('Mock Space server stopped');
+}
+
+module.exports = {
+  MOCK_VARIANTS,
+  startMockSpaceServer,
+  stopMockSpaceServer,
+  endMockSpace
+};
@@ -0,0 +1,60 @@
+/**
+ * Process exit codes for the capture agent
+ *
+ * Wrappers (capture-space.js, multi-space-capture.js) use these to tell a
+ * capture that ended on its own from one that crashed.
+ */
+
+const EXIT_CODES = {
+  OK: 0, // Stopped by the user (SIGINT/SIGTERM)
+  ERROR: 1, // Crash or failed start
+  SPACE_ENDED: 10, // The host ended the Space
+  REMOVED_FROM_SPACE: 11, // We were removed or kicked from the Space
+  NAVIGATED_AWAY: 12, // The page left the Space (redirect, logout, closed tab)
+  SILENCE_TIMEOUT: 13, // Auto-stopped after a stretch without speech
+  NOT_STARTED: 14, // A scheduled Space did not go live before the wait deadline
+  SINK_FAILED: 15, // A sink with the stop failure policy failed
+  STOPPED_BY_SERVER: 16, // A WebSocket server sent a stop command
+  NO_AUDIO: 17 // The pulse backend recorded nothing but silence from the browser
+};
+
+// Human-readable reason for each exit code
+const EXIT_REASONS = {
+  [EXIT_CODES.OK]: 'stopped',
+  [EXIT_CODES.ERROR]: 'error',
+  [EXIT_CODES.SPACE_ENDED]: 'space ended',
+  [EXIT_CODES.REMOVED_FROM_SPACE]: 'removed from space',
+  [EXIT_CODES.NAVIGATED_AWAY]: 'navigated away from space',
+  [EXIT_CODES.SILENCE_TIMEOUT]: 'silence timeout',
+  [EXIT_CODES.NOT_STARTED]: 'scheduled space did not start',
+  [EXIT_CODES.SINK_FAILED]: 'sink failed',
+  [EXIT_CODES.STOPPED_BY_SERVER]: 'stopped by server',
+  [EXIT_CODES.NO_AUDIO]: 'no audio recorded'
+};
+
+// Codes that mean the capture failed rather than finished
+const FAILURE_CODES = [EXIT_CODES.ERROR, EXIT_CODES.SINK_FAILED, EXIT_CODES.NO_AUDIO];
+
+/**
+ * Describe an exit code
+ * @param {number} code - Process exit code
+ * @returns {string} Reason
+ */
+function describeExitCode(code) {
+  return EXIT_REASONS[code] || `unknown (${code})`;
+}
+
+/**
+ * Whether an exit code means the capture finished without crashing
+ * @param {number} code - Process exit code (null if killed by a signal)
+ * @returns {boolean} True for a normal stop or end of the Space
+ */
+function isNormalExit(code) {
+  return code !== null && !FAILURE_CODES.includes(code) && EXIT_REASONS[code] !== undefined;
+}
+
+module.exports = {
+  EXIT_CODES,
+  describeExitCode,
+  isNormalExit
+};
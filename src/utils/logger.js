@@ -47,6 +47,18 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Send all console logging to stderr, keeping stdout free for audio
+ */
+logger.useStderr = () => {
+  const levels = Object.keys(logger.levels).reduce((all, level) => ({ ...all, [level]: true }), {});
+  logger.transports
+    .filter((transport) => transport instanceof transports.Console)
+    .forEach((transport) => {
+      transport.stderrLevels = levels;
+    });
+};
+
 // Add process-level error handling
 process.on('uncaughtException', (error) => {
   logger.error(`Uncaught Exception: ${error.message}`, { 
@@ -3,23 +3,71 @@
 /**
  * Simple WebSocket server for testing audio streaming
  * This server receives audio chunks from the Twitter Space capture tool
- * and saves them to a file. It handles S16LE format audio at 16000Hz mono.
+ * and saves them to a file. It speaks the stream protocol in
+ * src/audio/stream-protocol.js, checks every message against it and reports
+ * frames that arrive out of sequence. Commands (pause, resume, mark,
+ * set_encoder, announce, stop) can be scheduled with --command or typed on
+ * stdin, and are sent to clients that take them. With --auth-token,
+ * --sign-secret, --tls-cert and --client-ca it checks credentials the way a
+ * production receiver would, so rejected and expired ones can be tried locally.
+ * Besides WebSockets it takes the stream protocol as an HTTP/1.1 chunked POST
+ * on the same port, and over HTTP/2 on --http2-port, so every transport the
+ * client has can be tried offline.
  */
 
 const WebSocket = require('ws');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const winston = require('winston');
 const { Command } = require('commander');
 const { spawn } = require('child_process');
+const {
+  PROTOCOL_VERSION,
+  PROTOCOL_ERROR_CODES,
+  FRAME_FLAGS,
+  RECORD_CONTENT_TYPE,
+  createMessage,
+  parseMessage,
+  decodeAudioFrame,
+  encodeRecord,
+  createRecordReader,
+  readRecords
+} = require('./src/audio/stream-protocol');
+const { verifyConnectRequest } = require('./src/audio/stream-auth');
+
+/**
+ * Collect a repeatable option into a list
+ * @param {string} value - Value given this time
+ * @param {Array<string>} previous - Values given so far
+ * @returns {Array<string>} All values
+ */
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
 
 // Parse command line arguments
 const program = new Command();
 program
-  .option('-p, --port <port>', 'WebSocket server port', '8080')
+  .option('-p, --port <port>', 'WebSocket server port, also taking HTTP/1.1 streams', '8080')
+  .option('--http2-port <port>', 'Also take HTTP/2 streams on this port (h2c, or h2 with --tls-cert)')
   .option('-d, --debug', 'Enable debug logging', false)
   .option('-o, --output-dir <dir>', 'Output directory for received audio', './received-audio')
   .option('-f, --format <format>', 'Output format (raw, wav)', 'wav')
+  .option('--ack-interval <ms>', 'Acknowledge received audio frames every N ms (0 to send no acks)', '250')
+  .option('--ack-delay <ms>', 'Hold each ack back for N ms, to try the client\'s flow control against a slow receiver', '0')
+  .option('--tts-file <wav>', 'Speak this 16-bit WAV file into the Space once the client has speaker rights (needs --speak-back on the client)')
+  .option('--auth-token <token>', 'Only accept clients sending this bearer token (repeatable)', collectOption, [])
+  .option('--sign-secret <secret>', 'Only accept connect URLs signed with this HMAC secret and not yet expired')
+  .option('--max-skew <seconds>', 'Clock difference allowed when checking signed URL expiry', '30')
+  .option('--tls-cert <pem>', 'Serve wss:// and https:// with this certificate')
+  .option('--tls-key <pem>', 'Key of the --tls-cert certificate')
+  .option('--client-ca <pem>', 'Require client certificates issued by this CA (mutual TLS, needs --tls-cert)')
+  .option('--command <spec>', 'Send a command N seconds into each session, e.g. "10 pause", "15 mark intro" or "20 set_encoder format=opus sampleRate=24000" (repeatable)', collectOption, [])
   .parse(process.argv);
 
 const options = program.opts();
@@ -53,24 +101,226 @@ const PORT = parseInt(options.port, 10);
 const SAVE_AUDIO = true;
 const OUTPUT_DIR = path.resolve(options.outputDir);
 const OUTPUT_FORMAT = options.format.toLowerCase();
+const ACK_INTERVAL_MS = parseInt(options.ackInterval, 10);
+const ACK_DELAY_MS = parseInt(options.ackDelay, 10);
+
+// tts_audio frame length when speaking --tts-file
+const TTS_FRAME_MS = 100;
+
+// Stream sessions by client session ID, so a reconnecting client can resume
+const sessions = new Map();
+
+// Connections whose client takes commands, for commands typed on stdin
+const commandClients = new Set();
+let commandsSent = 0;
+
+/**
+ * Parse a command line: the command, then key=value params. Any other words
+ * make up the label of a mark, or the reason of a stop.
+ * @param {string} line - e.g. "mark intro" or "set_encoder format=opus bitrate=16k"
+ * @returns {Object} command and params
+ */
+function parseCommandLine(line) {
+  const [command, ...words] = line.trim().split(/\s+/);
+  const params = {};
+  const text = [];
+  for (const word of words) {
+    const match = word.match(/^(\w+)=(.*)$/);
+    if (match) {
+      params[match[1]] = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : match[2];
+    } else {
+      text.push(word);
+    }
+  }
+  if (text.length > 0) {
+    params[command === 'stop' ? 'reason' : 'label'] = text.join(' ');
+  }
+  return { command, params: Object.keys(params).length > 0 ? params : undefined };
+}
+
+/**
+ * Send a command to a client
+ * @param {WebSocket} ws - Client connection
+ * @param {string} line - Command line (see parseCommandLine)
+ */
+function sendCommand(ws, line) {
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  const { command, params } = parseCommandLine(line);
+  const id = `cmd-${++commandsSent}`;
+  ws.send(JSON.stringify(createMessage('command', { id, command, params })));
+  logger.info(`Sent command ${id}: ${command}${params ? ` ${JSON.stringify(params)}` : ''}`);
+}
 
 // Ensure output directory exists
 if (SAVE_AUDIO && !fs.existsSync(OUTPUT_DIR)) {
   fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ port: PORT });
+// Credentials clients must present
+const AUTH_REQUIREMENTS = {
+  tokens: options.authToken,
+  signingSecret: options.signSecret || null,
+  maxSkewSeconds: parseInt(options.maxSkew, 10)
+};
+
+/**
+ * Turn away upgrade requests without the credentials we ask for
+ * @param {Object} info - ws verifyClient info (origin, secure, req)
+ * @param {Function} done - Called with the verdict, and a status, message and headers on rejection
+ */
+function verifyClient(info, done) {
+  const result = verifyConnectRequest(info.req, AUTH_REQUIREMENTS);
+  if (!result.ok) {
+    logger.warn(`Rejected connection from ${info.req.socket.remoteAddress}: ${result.message} [${result.code}]`);
+    done(false, 401, result.message, { 'X-Auth-Error': result.code });
+    return;
+  }
+  done(true);
+}
+
+/**
+ * Take a stream protocol POST (HTTP/1.1 or HTTP/2) in place of a WebSocket:
+ * check it, answer with a record stream of our own, and hand it to
+ * handleConnection looking like a WebSocket
+ * @param {http.IncomingMessage|http2.Http2ServerRequest} req - Request
+ * @param {http.ServerResponse|http2.Http2ServerResponse} res - Response
+ */
+function acceptStreamRequest(req, res) {
+  const label = req.httpVersionMajor === 2 ? 'HTTP/2' : 'HTTP/1.1';
+  if (req.method !== 'POST') {
+    res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+    res.end('Connect with a WebSocket, or POST a stream protocol body\n');
+    return;
+  }
+  if (!(req.headers['content-type'] || '').startsWith(RECORD_CONTENT_TYPE)) {
+    logger.warn(`Rejected ${label} POST from ${req.socket.remoteAddress}: Content-Type ${req.headers['content-type']} is not ${RECORD_CONTENT_TYPE}`);
+    res.writeHead(415, { 'Content-Type': 'text/plain' });
+    res.end(`Expected a ${RECORD_CONTENT_TYPE} body\n`);
+    return;
+  }
+  
+  const result = verifyConnectRequest(req, AUTH_REQUIREMENTS);
+  if (!result.ok) {
+    logger.warn(`Rejected ${label} stream from ${req.socket.remoteAddress}: ${result.message} [${result.code}]`);
+    res.writeHead(401, { 'Content-Type': 'text/plain', 'X-Auth-Error': result.code });
+    res.end(`${result.message}\n`);
+    return;
+  }
+  
+  // The client waits for our answer before it counts the stream as open
+  res.writeHead(200, { 'Content-Type': RECORD_CONTENT_TYPE });
+  res.flushHeaders();
+  
+  const stream = new EventEmitter();
+  stream.readyState = WebSocket.OPEN;
+  stream.send = (data) => {
+    if (stream.readyState === WebSocket.OPEN) {
+      res.write(encodeRecord(data));
+    }
+  };
+  stream.close = () => {
+    stream.readyState = WebSocket.CLOSING;
+    res.end();
+  };
+  
+  const reader = createRecordReader((payload, isBinary) => stream.emit('message', payload, isBinary));
+  req.on('data', (chunk) => {
+    try {
+      readRecords(reader, chunk);
+    } catch (error) {
+      stream.emit('error', error);
+      res.destroy();
+    }
+  });
+  
+  // The client ending its body closes the stream; we end ours in turn
+  req.on('end', () => stream.close());
+  req.on('error', (error) => stream.emit('error', error));
+  res.on('close', () => {
+    stream.readyState = WebSocket.CLOSED;
+    stream.emit('close');
+  });
+  
+  handleConnection(stream, req, label);
+}
+
+// TLS settings for wss://, https:// and h2 with --tls-cert
+const tlsOptions = options.tlsCert ? {
+  cert: fs.readFileSync(options.tlsCert),
+  key: fs.readFileSync(options.tlsKey),
+  ca: options.clientCa ? fs.readFileSync(options.clientCa) : undefined,
+  requestCert: Boolean(options.clientCa),
+  rejectUnauthorized: Boolean(options.clientCa),
+  minVersion: 'TLSv1.2'
+} : null;
+
+/**
+ * Log failed TLS handshakes on a server
+ * @param {net.Server} server - TLS server
+ */
+function logTlsErrors(server) {
+  server.on('tlsClientError', (error, socket) => {
+    logger.warn(`TLS handshake with ${socket.remoteAddress || 'a client'} failed: ${error.message}`);
+  });
+}
 
-logger.info(`WebSocket server started on port ${PORT}`);
+// WebSocket and HTTP/1.1 streams share the main port, behind TLS with --tls-cert
+const server = tlsOptions ? https.createServer(tlsOptions) : http.createServer();
+const wss = new WebSocket.Server({ server, verifyClient });
+server.on('request', acceptStreamRequest);
+if (tlsOptions) {
+  logTlsErrors(server);
+}
+server.listen(PORT);
+
+logger.info(`WebSocket and HTTP/1.1 stream server started on port ${PORT}${options.tlsCert ? ` (TLS${options.clientCa ? ', client certificates required' : ''})` : ''}`);
+
+// HTTP/2 streams on a port of their own
+let http2Server = null;
+if (options.http2Port) {
+  http2Server = tlsOptions ? http2.createSecureServer(tlsOptions) : http2.createServer();
+  http2Server.on('request', acceptStreamRequest);
+  if (tlsOptions) {
+    logTlsErrors(http2Server);
+  }
+  http2Server.on('error', (error) => {
+    logger.error(`HTTP/2 server error: ${error.message}`);
+  });
+  http2Server.listen(parseInt(options.http2Port, 10));
+  logger.info(`HTTP/2 stream server started on port ${options.http2Port}${tlsOptions ? ' (h2)' : ' (h2c)'}`);
+}
+
+if (AUTH_REQUIREMENTS.tokens.length > 0 || AUTH_REQUIREMENTS.signingSecret) {
+  logger.info(`Clients need: ${[AUTH_REQUIREMENTS.tokens.length > 0 && 'a bearer token', AUTH_REQUIREMENTS.signingSecret && 'a signed URL'].filter(Boolean).join(' and ')}`);
+}
 logger.info(`Saving audio to: ${OUTPUT_DIR}`);
 logger.info(`Output format: ${OUTPUT_FORMAT}`);
+logger.info(`Stream protocol version: ${PROTOCOL_VERSION}`);
 logger.info(`Waiting for connections...`);
 
-// Handle connections
-wss.on('connection', (ws, req) => {
+// Commands typed on stdin go to every client that takes them
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (!line.trim()) {
+    return;
+  }
+  if (commandClients.size === 0) {
+    logger.warn('No connected client takes commands');
+  }
+  commandClients.forEach((ws) => sendCommand(ws, line));
+});
+
+/**
+ * Run a stream session on a new connection
+ * @param {WebSocket|EventEmitter} ws - WebSocket, or an HTTP stream from acceptStreamRequest that looks like one
+ * @param {http.IncomingMessage} req - Connect request
+ * @param {string} label - Transport name for logs
+ */
+function handleConnection(ws, req, label = 'WebSocket') {
   const clientIp = req.socket.remoteAddress;
-  logger.info(`New connection from ${clientIp}`);
+  const peer = req.socket.getPeerCertificate ? req.socket.getPeerCertificate() : null;
+  logger.info(`New ${label} connection from ${clientIp}${peer && peer.subject ? ` (certificate ${peer.subject.CN})` : ''}`);
   
   // Create a file stream for saving audio if enabled
   let rawFileStream = null;
@@ -85,60 +335,176 @@ wss.on('connection', (ws, req) => {
   let sessionId = Date.now().toString();
   let rawFilePath = null;
   let wavFilePath = null;
+  let ttsSent = false;
+  let expectedSequence = 0;
+  let lostFrames = 0;
+  let lateFrames = 0;
+  let session = null;
+  let lastAckedSequence = null;
+  
+  const send = (type, fields = {}) => ws.send(JSON.stringify(createMessage(type, fields)));
+  
+  // Acknowledge the frames received since the last ack
+  const ackTimer = ACK_INTERVAL_MS > 0 ? setInterval(() => {
+    const lastReceived = expectedSequence - 1;
+    if (lastReceived < 0 || (lastAckedSequence !== null && lastReceived <= lastAckedSequence)) {
+      return;
+    }
+    const range = { from: lastAckedSequence === null ? 0 : lastAckedSequence + 1, to: lastReceived };
+    lastAckedSequence = lastReceived;
+    setTimeout(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        send('ack', range);
+      }
+    }, ACK_DELAY_MS);
+  }, ACK_INTERVAL_MS) : null;
+  
+  // Write one audio frame, noting frames that were skipped
+  const receiveFrame = (sequence, payload, flags = 0) => {
+    // Replays can overlap what arrived before the connection dropped
+    if (sequence < expectedSequence && (flags & FRAME_FLAGS.LATE)) {
+      logger.debug(`Skipping late frame ${sequence}, already received`);
+      return;
+    }
+    if (flags & FRAME_FLAGS.LATE) {
+      lateFrames++;
+    }
+    if (sequence !== expectedSequence) {
+      logger.warn(`Audio frame ${sequence} arrived, expected ${expectedSequence}`);
+      if (sequence > expectedSequence) {
+        lostFrames += sequence - expectedSequence;
+      }
+    }
+    expectedSequence = sequence + 1;
+    if (session) {
+      session.lastReceivedSequence = sequence;
+    }
+    totalBytes += payload.length;
+    receivedChunks++;
+    
+    // Log progress periodically (every 100 chunks)
+    if (receivedChunks % 100 === 0) {
+      logger.info(`Received ${receivedChunks} audio chunks (${(totalBytes / 1024 / 1024).toFixed(2)} MB)`);
+    }
+    
+    // Save to file if enabled
+    if (SAVE_AUDIO && rawFileStream) {
+      rawFileStream.write(payload);
+    }
+  };
   
   // Handle messages
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
     try {
-      // Check if the message is a JSON string or binary data
-      if (message instanceof Buffer) {
-        // This is binary audio data
-        totalBytes += message.length;
-        receivedChunks++;
-        
-        // Log progress periodically (every 100 chunks)
-        if (receivedChunks % 100 === 0) {
-          logger.info(`Received ${receivedChunks} audio chunks (${(totalBytes / 1024 / 1024).toFixed(2)} MB)`);
-        }
-        
-        // Save to file if enabled
-        if (SAVE_AUDIO && rawFileStream) {
-          rawFileStream.write(message);
-        }
-        
+      // Binary frames are audio with a sequence/timestamp header
+      if (isBinary) {
+        const frame = decodeAudioFrame(message);
+        logger.debug(`Audio frame ${frame.sequence}: ${frame.payload.length} bytes, captured ${Date.now() - frame.captureTimestamp}ms ago`);
+        receiveFrame(frame.sequence, frame.payload, frame.flags);
         return;
       }
       
-      // Parse the JSON message
-      const data = JSON.parse(message);
+      // Parse and check the JSON message
+      const data = parseMessage(message);
+      if (data.error) {
+        logger.warn(`Rejected message: ${data.error.message}`);
+        send('error', { ...data.error, fatal: false });
+        return;
+      }
       
       // Handle different message types
       switch (data.type) {
+        case 'hello': {
+          logger.info(`Client: ${data.agent || 'unknown'} (protocol v${data.version}, capabilities: ${(data.capabilities || []).join(', ') || 'none'})`);
+          
+          // Pick up where a dropped connection of the same session stopped
+          const known = data.sessionId ? sessions.get(data.sessionId) : null;
+          if (data.resume && known) {
+            session = known;
+            expectedSequence = session.lastReceivedSequence === null ? 0 : session.lastReceivedSequence + 1;
+            lastAckedSequence = session.lastReceivedSequence;
+            logger.info(`Resuming session ${data.sessionId} after frame ${session.lastReceivedSequence}`);
+          } else {
+            if (data.resume) {
+              logger.warn(`Cannot resume unknown session ${data.sessionId}; starting it afresh`);
+            }
+            session = { lastReceivedSequence: null, rawFilePath: null, audioKey: null, part: 1, ws: null, commandTimers: [] };
+            if (data.sessionId) {
+              sessions.set(data.sessionId, session);
+            }
+          }
+          sessionId = data.sessionId || sessionId;
+          
+          // Scheduled commands go to whichever connection the session is on at the time
+          session.ws = ws;
+          if ((data.capabilities || []).includes('commands')) {
+            commandClients.add(ws);
+            if (session.commandTimers.length === 0) {
+              const current = session;
+              current.commandTimers = options.command.map((spec) => {
+                const [seconds, ...line] = spec.trim().split(/\s+/);
+                return setTimeout(() => sendCommand(current.ws, line.join(' ')), parseFloat(seconds) * 1000);
+              });
+            }
+          }
+          
+          send('hello', {
+            role: 'server',
+            agent: 'test-server',
+            sessionId,
+            capabilities: ACK_INTERVAL_MS > 0 ? ['resume', 'ack'] : ['resume'],
+            lastReceivedSequence: session.lastReceivedSequence
+          });
+          break;
+        }
+          
         case 'metadata':
           logger.info(`Received metadata: ${JSON.stringify(data)}`);
           
           // Update audio format information
-          audioFormat = data.encoding || 'S16LE';
+          audioFormat = data.encoding || data.format || 'S16LE';
           sampleRate = data.sampleRate || 16000;
           channels = data.channels || 1;
           bitsPerSample = data.bitsPerSample || 16;
           
           // Create output files if saving is enabled
           if (SAVE_AUDIO) {
-            // Create raw file for S16LE data
-            rawFilePath = path.join(OUTPUT_DIR, `twitter-space-port${PORT}-${sessionId}.raw`);
-            logger.info(`Saving raw audio to: ${rawFilePath}`);
-            rawFileStream = fs.createWriteStream(rawFilePath, { encoding: 'binary' });
+            // Encoded streams (FLAC, Opus, MP3) are saved as-is in their container
+            const extension = audioFormat === 'S16LE' ? 'raw' : (data.container || audioFormat.toLowerCase());
+            
+            // A new format, sample rate or channel count starts the next part of the session
+            const audioKey = `${audioFormat}/${sampleRate}/${channels}`;
+            if (session && session.audioKey && session.audioKey !== audioKey) {
+              session.part++;
+            }
+            const part = session && session.part > 1 ? `-part${session.part}` : '';
+            rawFilePath = path.join(OUTPUT_DIR, `twitter-space-port${PORT}-${sessionId}${part}.${extension}`);
+            if (session) {
+              session.audioKey = audioKey;
+            }
+            
+            // A resumed session (or a bitrate change) carries on writing the file it started
+            const resumed = session && session.rawFilePath === rawFilePath;
+            if (!rawFileStream || !resumed) {
+              logger.info(`${resumed ? 'Appending' : 'Saving'} ${audioFormat} audio to: ${rawFilePath}`);
+              if (rawFileStream) {
+                rawFileStream.end();
+              }
+              rawFileStream = fs.createWriteStream(rawFilePath, { encoding: 'binary', flags: resumed ? 'a' : 'w' });
+            }
+            if (session) {
+              session.rawFilePath = rawFilePath;
+            }
             
-            // Create WAV file if requested
-            if (OUTPUT_FORMAT === 'wav') {
-              wavFilePath = path.join(OUTPUT_DIR, `twitter-space-port${PORT}-${sessionId}.wav`);
+            // Create WAV file if requested (only raw PCM needs converting)
+            if (OUTPUT_FORMAT === 'wav' && audioFormat === 'S16LE') {
+              wavFilePath = path.join(OUTPUT_DIR, `twitter-space-port${PORT}-${sessionId}${part}.wav`);
               logger.info(`Will convert to WAV at: ${wavFilePath}`);
             }
           }
           
           // Send acknowledgement
-          ws.send(JSON.stringify({
-            type: 'metadata_ack',
+          send('metadata_ack', {
             status: 'ok',
             sessionId: sessionId,
             port: PORT,
@@ -148,40 +514,43 @@ wss.on('connection', (ws, req) => {
               channels: channels,
               bitsPerSample: bitsPerSample
             }
-          }));
+          });
           break;
           
-        case 'audio_data':
-          // Handle audio data in JSON format (base64 encoded)
-          if (data.data) {
-            // Convert base64 data to buffer
-            const audioBuffer = Buffer.from(data.data, 'base64');
-            totalBytes += audioBuffer.length;
-            receivedChunks++;
-            
-            // Log progress periodically (every 100 chunks)
-            if (receivedChunks % 100 === 0) {
-              logger.info(`Received ${receivedChunks} audio chunks (${(totalBytes / 1024 / 1024).toFixed(2)} MB)`);
-            }
-            
-            // Save to file if enabled
-            if (SAVE_AUDIO && rawFileStream) {
-              rawFileStream.write(audioBuffer);
-            }
-          }
+        case 'audio':
+          // Text form of an audio frame (base64 encoded)
+          receiveFrame(data.sequence, Buffer.from(data.data, 'base64'), data.flags);
           break;
           
         case 'heartbeat':
           // Respond to heartbeat
-          ws.send(JSON.stringify({
-            type: 'heartbeat_ack',
-            timestamp: Date.now(),
-            port: PORT
-          }));
+          send('heartbeat_ack', { port: PORT });
+          break;
+          
+        case 'heartbeat_ack':
+          break;
+          
+        case 'command_ack':
+          logger.debug(`Command ${data.id} (${data.command}) acknowledged`);
+          break;
+          
+        case 'command_result':
+          if (data.ok) {
+            logger.info(`Command ${data.id} (${data.command}) done${data.result ? `: ${JSON.stringify(data.result)}` : ''}`);
+          } else {
+            logger.warn(`Command ${data.id} (${data.command}) failed: ${data.message} [${data.code}]`);
+          }
+          break;
+          
+        case 'error':
+          logger.error(`Client error: ${data.message} [${data.code}]`);
           break;
           
         case 'end':
           logger.info(`Received end message: ${JSON.stringify(data)}`);
+          if (session) {
+            session.commandTimers.forEach(clearTimeout);
+          }
           // Close file stream if open
           if (rawFileStream) {
             rawFileStream.end(() => {
@@ -204,21 +573,53 @@ wss.on('connection', (ws, req) => {
           const sessionDuration = (new Date() - sessionStartTime) / 1000;
           logger.info(`Session summary:`);
           logger.info(`- Duration: ${sessionDuration.toFixed(2)} seconds`);
-          logger.info(`- Chunks received: ${receivedChunks}`);
+          logger.info(`- Chunks received: ${receivedChunks} (client sent ${data.frames}, ${lostFrames} missing, ${lateFrames} late)`);
           logger.info(`- Total data: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
           break;
           
+        case 'speech_start':
+        case 'speech_end':
+        case 'silence_timeout':
+          logger.info(`Voice activity: ${data.type} at ${data.offsetSeconds.toFixed(2)}s`);
+          break;
+          
+        case 'speaker_state':
+          logger.info(`Speaker state: ${data.state}${data.muted ? ' (muted)' : ''}`);
+          
+          // Speak the test file once, as soon as the client may talk
+          if (options.ttsFile && data.state === 'speaker' && !ttsSent) {
+            ttsSent = true;
+            speakWavFile(ws, options.ttsFile).catch((error) => {
+              logger.error(`Failed to speak ${options.ttsFile}: ${error.message}`);
+            });
+          }
+          break;
+          
+        case 'caption':
+          // Partial lines repeat as they grow, so only show them in debug
+          if (data.final) {
+            logger.info(`Caption [${data.startSeconds.toFixed(2)}s]: ${data.text}`);
+          } else {
+            logger.debug(`Caption (partial) [${data.startSeconds.toFixed(2)}s]: ${data.text}`);
+          }
+          break;
+          
         default:
           logger.info(`Received unknown message type: ${data.type}`);
       }
     } catch (error) {
       logger.error(`Error processing message: ${error.message}`);
+      if (error.code === PROTOCOL_ERROR_CODES.INVALID_FRAME || error.code === PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION) {
+        send('error', { code: error.code, message: error.message, fatal: false });
+      }
     }
   });
   
   // Handle connection close
   ws.on('close', () => {
-    logger.info(`Connection from ${clientIp} closed`);
+    logger.info(`${label} connection from ${clientIp} closed`);
+    clearInterval(ackTimer);
+    commandClients.delete(ws);
     
     // Close file stream if open
     if (rawFileStream) {
@@ -242,15 +643,74 @@ wss.on('connection', (ws, req) => {
     const sessionDuration = (new Date() - sessionStartTime) / 1000;
     logger.info(`Session summary:`);
     logger.info(`- Duration: ${sessionDuration.toFixed(2)} seconds`);
-    logger.info(`- Chunks received: ${receivedChunks}`);
+    logger.info(`- Chunks received: ${receivedChunks} (${lateFrames} late)`);
     logger.info(`- Total data: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
   });
   
   // Handle errors
   ws.on('error', (error) => {
-    logger.error(`WebSocket error: ${error.message}`);
+    logger.error(`${label} error: ${error.message}`);
   });
-});
+}
+
+wss.on('connection', (ws, req) => handleConnection(ws, req));
+
+/**
+ * Send a 16-bit PCM WAV file as real-time tts_audio messages, unmuting the
+ * client's microphone for the duration
+ * @param {WebSocket} ws - Client connection
+ * @param {string} filePath - WAV file
+ * @returns {Promise<void>}
+ */
+async function speakWavFile(ws, filePath) {
+  const file = fs.readFileSync(filePath);
+  if (file.toString('ascii', 0, 4) !== 'RIFF' || file.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  
+  // Walk the chunks for the format and the samples
+  let offset = 12;
+  let format = null;
+  let data = null;
+  while (offset + 8 <= file.length) {
+    const id = file.toString('ascii', offset, offset + 4);
+    const size = file.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      format = {
+        channels: file.readUInt16LE(offset + 10),
+        sampleRate: file.readUInt32LE(offset + 12),
+        bitsPerSample: file.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      data = file.subarray(offset + 8, Math.min(file.length, offset + 8 + size));
+    }
+    offset += 8 + size + (size % 2);
+  }
+  
+  if (!format || !data || format.bitsPerSample !== 16) {
+    throw new Error('Only 16-bit PCM WAV files are supported');
+  }
+  
+  const frameBytes = Math.round(format.sampleRate * TTS_FRAME_MS / 1000) * format.channels * 2;
+  logger.info(`Speaking ${filePath} (${(data.length / frameBytes * TTS_FRAME_MS / 1000).toFixed(1)}s at ${format.sampleRate}Hz)`);
+  ws.send(JSON.stringify(createMessage('unmute')));
+  
+  for (let start = 0; start < data.length && ws.readyState === WebSocket.OPEN; start += frameBytes) {
+    ws.send(JSON.stringify(createMessage('tts_audio', {
+      data: data.subarray(start, start + frameBytes).toString('base64'),
+      sampleRate: format.sampleRate,
+      channels: format.channels
+    })));
+    await new Promise((resolve) => setTimeout(resolve, TTS_FRAME_MS));
+  }
+  
+  // Leave the last frames time to play out before muting
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(createMessage('mute')));
+  }
+  logger.info(`Finished speaking ${filePath}`);
+}
 
 /**
  * Convert raw S16LE audio to WAV format
@@ -0,0 +1,266 @@
+/**
+ * Audio capture: starting and stopping a recording with its sinks, on a
+ * stand-in page that never delivers audio by itself, and the commands a
+ * WebSocket sink's server sends
+ *
+ * A stand-in ffmpeg script on PATH passes its input through as the encoded
+ * output. As mp3 it holds everything until its input ends and then waits a
+ * little, so a slow encoder can be switched away from.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const { startReceiver, waitFor } = require('./stream-receiver');
+const { PROTOCOL_ERROR_CODES, createMessage } = require('../src/audio/stream-protocol');
+const { startRecording, stopRecording } = require('../src/audio/audio-capture');
+
+const ffmpegDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-capture-ffmpeg-'));
+fs.writeFileSync(path.join(ffmpegDir, 'ffmpeg'), [
+  '#!/bin/sh',
+  'case "$*" in',
+  '  *libmp3lame*) held=$(mktemp); cat > "$held"; sleep 0.3; cat "$held"; rm -f "$held" ;;',
+  '  *) cat ;;',
+  'esac',
+  ''
+].join('\n'), { mode: 0o755 });
+process.env.PATH = `${ffmpegDir}${path.delimiter}${process.env.PATH}`;
+process.on('exit', () => (fs.rmSync || fs.rmdirSync)(ffmpegDir, { recursive: true, force: true }));
+
+/**
+ * Run a case in a fresh temporary directory
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body, called with the directory
+ */
+function testInDir(name, fn) {
+  test(name, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-capture-'));
+    try {
+      await fn(dir);
+    } finally {
+      // fs.rmSync arrived in Node 14.14
+      (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+/**
+ * A browser-backend capture set up as setupAudioCapture leaves it
+ * @param {string} dir - Directory for the recording
+ * @param {Function} startCapture - Stands in for window.startAudioCapture in the page (optional)
+ * @returns {Object} Audio capture
+ */
+function createCapture(dir, startCapture = () => true) {
+  return {
+    page: {
+      isClosed: () => false,
+      evaluate: async (fn) => (fn.toString().includes('startAudioCapture()') ? startCapture() : true)
+    },
+    backend: 'browser',
+    encoding: { format: 'wav', bitrate: null },
+    outputFilePath: path.join(dir, 'recording.wav'),
+    isRecording: false,
+    audioRecorder: null,
+    pulseSink: null,
+    pulseRecorder: null,
+    recorder: null,
+    sinks: [],
+    onAudioChunk: null,
+    monitor: null,
+    vad: null
+  };
+}
+
+testInDir('a sink definition that cannot work fails the start before anything opens', async (dir) => {
+  const audioCapture = createCapture(dir);
+  const started = await startRecording(audioCapture, [{ type: 'listen', port: 8000, format: 'wav' }]);
+
+  assert.strictEqual(started, false);
+  assert.strictEqual(audioCapture.isRecording, false);
+  assert.strictEqual(audioCapture.recorder, null);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+testInDir('a start that fails after opening closes the recording and the sinks', async (dir) => {
+  const audioCapture = createCapture(dir, () => {
+    throw new Error('page crashed');
+  });
+  const sinkPath = path.join(dir, 'sink.wav');
+  const started = await startRecording(audioCapture, [{ type: 'file', path: sinkPath }]);
+
+  assert.strictEqual(started, false);
+  assert.strictEqual(audioCapture.isRecording, false);
+  assert.strictEqual(audioCapture.recorder, null);
+  assert.strictEqual(audioCapture.onAudioChunk, null);
+  assert.deepStrictEqual(audioCapture.sinks, []);
+  // The sink's file was opened, then finalized rather than left open
+  assert.strictEqual(fs.statSync(sinkPath).size, 44);
+  assert.ok(!fs.existsSync(`${sinkPath}.lock`));
+});
+
+testInDir('a recording that starts records until it is stopped', async (dir) => {
+  const audioCapture = createCapture(dir);
+  assert.strictEqual(await startRecording(audioCapture, []), true);
+  assert.strictEqual(audioCapture.isRecording, true);
+
+  audioCapture.onAudioChunk(Buffer.alloc(3200));
+  assert.strictEqual(await stopRecording(audioCapture), true);
+  assert.strictEqual(audioCapture.isRecording, false);
+  assert.strictEqual(fs.statSync(audioCapture.outputFilePath).size, 44 + 3200);
+});
+
+/**
+ * Start a recording with one WebSocket sink streaming to a fresh receiver
+ * @param {string} dir - Directory for the recording
+ * @param {Object} sinkSettings - Extra sink settings (optional)
+ * @param {Object} options - startRecording options (optional)
+ * @returns {Promise<Object>} The audio capture, the receiver and its connection
+ */
+async function startStreamingCapture(dir, sinkSettings = {}, options = {}) {
+  const receiver = await startReceiver();
+  const audioCapture = createCapture(dir);
+  const sink = { type: 'websocket', url: receiver.url, reconnect: false, statsIntervalMs: 0, ...sinkSettings };
+  assert.strictEqual(await startRecording(audioCapture, [sink], options), true);
+  await waitFor(() => receiver.connections.length === 1 && receiver.connections[0].messages.length === 2, 'the hello and metadata');
+  return { audioCapture, receiver, connection: receiver.connections[0] };
+}
+
+/**
+ * Send a command from the receiver and wait for its result
+ * @param {Object} connection - Receiver connection
+ * @param {string} id - Command id
+ * @param {string} command - Command name
+ * @param {Object} params - Command parameters (optional)
+ * @returns {Promise<Object>} The command_result message
+ */
+async function sendCommand(connection, id, command, params) {
+  const results = () => connection.messages.filter((message) => message.type === 'command_result' && message.id === id);
+  const expected = results().length + 1;
+  connection.socket.send(JSON.stringify(createMessage('command', { id, command, params })));
+  await waitFor(() => results().length === expected, `the result of ${command} ${id}`);
+  return results()[expected - 1];
+}
+
+/**
+ * Concatenated payloads of frames
+ * @param {Array<Object>} frames - Decoded frames
+ * @returns {Buffer} Their payloads in order
+ */
+function framePayloads(frames) {
+  return Buffer.concat(frames.map((frame) => frame.payload));
+}
+
+testInDir('pause stops a sink\'s audio and resume restarts it while the recording goes on', async (dir) => {
+  const { audioCapture, receiver, connection } = await startStreamingCapture(dir);
+  try {
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 1));
+    await waitFor(() => connection.frames.length === 1, 'the first chunk');
+
+    const paused = await sendCommand(connection, 'pause-1', 'pause');
+    assert.deepStrictEqual(paused.result, { paused: true });
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 2));
+
+    const resumed = await sendCommand(connection, 'resume-1', 'resume');
+    assert.strictEqual(resumed.ok, true);
+    assert.strictEqual(resumed.result.paused, false);
+    assert.ok(resumed.result.pausedSeconds >= 0);
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 3));
+    await waitFor(() => connection.frames.length === 2, 'the chunk after resuming');
+
+    // The chunk captured while paused never reached the server
+    assert.ok(framePayloads(connection.frames).equals(Buffer.concat([Buffer.alloc(3200, 1), Buffer.alloc(3200, 3)])));
+    assert.deepStrictEqual(connection.frames.map((frame) => frame.sequence), [0, 1]);
+  } finally {
+    await stopRecording(audioCapture);
+    await receiver.close();
+  }
+  // ... but it is in the local recording
+  const recording = fs.readFileSync(audioCapture.outputFilePath);
+  assert.ok(recording.slice(44).equals(Buffer.concat([1, 2, 3].map((fill) => Buffer.alloc(3200, fill)))));
+});
+
+testInDir('a command sent again with the same id is carried out once and answered the same', async (dir) => {
+  const { audioCapture, receiver, connection } = await startStreamingCapture(dir);
+  try {
+    const first = await sendCommand(connection, 'mark-1', 'mark', { label: 'intro' });
+    const repeated = await sendCommand(connection, 'mark-1', 'mark', { label: 'intro' });
+
+    assert.strictEqual(first.ok, true);
+    assert.strictEqual(first.result.label, 'intro');
+    assert.strictEqual(repeated.ok, true);
+    assert.deepStrictEqual(repeated.result, first.result);
+    assert.strictEqual(audioCapture.monitor.markers.length, 1);
+    // Each arrival is acknowledged, so the server knows the repeat got through
+    const acks = connection.messages.filter((message) => message.type === 'command_ack');
+    assert.deepStrictEqual(acks.map((message) => message.id), ['mark-1', 'mark-1']);
+
+    // A new id is a new command
+    await sendCommand(connection, 'mark-2', 'mark', { label: 'intro' });
+    assert.strictEqual(audioCapture.monitor.markers.length, 2);
+  } finally {
+    await stopRecording(audioCapture);
+    await receiver.close();
+  }
+});
+
+testInDir('set_encoder streams all of the old encoder\'s output, then the new metadata, then the new output', async (dir) => {
+  const { audioCapture, receiver, connection } = await startStreamingCapture(dir, { format: 'mp3' });
+  try {
+    assert.strictEqual(connection.messages[1].format, 'MP3');
+    // The mp3 stand-in keeps this until it is closed
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 1));
+
+    connection.socket.send(JSON.stringify(createMessage('command', { id: 'switch', command: 'set_encoder', params: { format: 'opus' } })));
+    await waitFor(() => connection.messages.some((message) => message.type === 'command_ack'), 'the ack');
+    // The new encoder has this out at once, while the old one is still closing
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 2));
+    await waitFor(() => connection.messages.some((message) => message.type === 'command_result'), 'the result');
+    audioCapture.onAudioChunk(Buffer.alloc(3200, 3));
+    await waitFor(() => framePayloads(connection.frames).length === 3 * 3200, 'all of the audio');
+
+    const result = connection.messages.find((message) => message.type === 'command_result');
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.result.format, 'OPUS');
+
+    // Frames and metadata in the order they arrived, leaving out the command replies and speech events
+    const received = connection.received.slice(2).filter((item) => item.payload || item.type === 'metadata');
+    const switchedAt = received.findIndex((item) => item.type === 'metadata');
+    assert.strictEqual(received[switchedAt].format, 'OPUS');
+    assert.ok(framePayloads(received.slice(0, switchedAt)).equals(Buffer.alloc(3200, 1)));
+    assert.ok(framePayloads(received.slice(switchedAt + 1)).equals(Buffer.concat([Buffer.alloc(3200, 2), Buffer.alloc(3200, 3)])));
+  } finally {
+    await stopRecording(audioCapture);
+    await receiver.close();
+  }
+});
+
+testInDir('a stop command reaches onStopCommand with its reason and the sink', async (dir) => {
+  const stops = [];
+  const { audioCapture, receiver, connection } = await startStreamingCapture(dir, {}, {
+    onStopCommand: (reason, source) => stops.push({ reason, source })
+  });
+  try {
+    const result = await sendCommand(connection, 'stop-1', 'stop', { reason: 'meeting over' });
+    assert.deepStrictEqual(result.result, { stopping: true });
+    await waitFor(() => stops.length === 1, 'onStopCommand');
+    assert.strictEqual(stops[0].reason, 'meeting over');
+    assert.match(stops[0].source, /127\.0\.0\.1/);
+  } finally {
+    await stopRecording(audioCapture);
+    await receiver.close();
+  }
+});
+
+testInDir('a stop command is refused when nothing can stop the capture', async (dir) => {
+  const { audioCapture, receiver, connection } = await startStreamingCapture(dir);
+  try {
+    const result = await sendCommand(connection, 'stop-1', 'stop');
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.code, PROTOCOL_ERROR_CODES.COMMAND_FAILED);
+  } finally {
+    await stopRecording(audioCapture);
+    await receiver.close();
+  }
+});
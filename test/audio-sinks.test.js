@@ -0,0 +1,52 @@
+/**
+ * Audio sinks: --sink spec parsing
+ */
+
+const assert = require('assert');
+const { test } = require('./harness');
+const { SINK_TYPES, parseSinkSpec } = require('../src/audio/audio-sinks');
+
+test('a target picks the sink type', () => {
+  assert.deepStrictEqual(parseSinkSpec('ws://monitor:9000'), { type: SINK_TYPES.WEBSOCKET, url: 'ws://monitor:9000' });
+  assert.deepStrictEqual(parseSinkSpec('https://transcriber/ingest'), { type: SINK_TYPES.HTTP, url: 'https://transcriber/ingest' });
+  assert.deepStrictEqual(parseSinkSpec('icecast://localhost:8000/space.ogg'), { type: SINK_TYPES.ICECAST, url: 'icecast://localhost:8000/space.ogg' });
+  assert.deepStrictEqual(parseSinkSpec('listen:[::1]:8000/space.mp3'), { type: SINK_TYPES.LISTEN, port: 8000, host: '::1', mount: '/space.mp3' });
+  assert.deepStrictEqual(parseSinkSpec('-'), { type: SINK_TYPES.PIPE, path: '-' });
+  assert.deepStrictEqual(parseSinkSpec('pipe:/tmp/audio'), { type: SINK_TYPES.PIPE, path: '/tmp/audio' });
+  assert.deepStrictEqual(parseSinkSpec('backup.flac'), { type: SINK_TYPES.FILE, path: 'backup.flac' });
+});
+
+test('settings are camelCased, converted and coerced', () => {
+  const definition = parseSinkSpec('http://receiver/stream,transport=http2,on-failure=retry,window-kb=64,spool-mb=2,reconnect=false,token-env=TOKEN');
+  assert.deepStrictEqual(definition, {
+    type: SINK_TYPES.STREAM,
+    url: 'http://receiver/stream',
+    transport: 'http2',
+    onFailure: 'retry',
+    windowBytes: 64 * 1024,
+    spoolMaxBytes: 2 * 1024 * 1024,
+    reconnect: false,
+    tokenEnv: 'TOKEN'
+  });
+});
+
+test('commas in a target stay in it unless a known setting follows', () => {
+  assert.strictEqual(parseSinkSpec('ws://x/y?a=1,b=2').url, 'ws://x/y?a=1,b=2');
+  assert.deepStrictEqual(parseSinkSpec('ws://x/y?a=1,b=2,format=opus'), { type: SINK_TYPES.WEBSOCKET, url: 'ws://x/y?a=1,b=2', format: 'opus' });
+  assert.strictEqual(parseSinkSpec('takes,1,2.wav,format=wav').path, 'takes,1,2.wav');
+});
+
+test('an unknown setting after the settings start is refused', () => {
+  assert.throws(() => parseSinkSpec('ws://monitor:9000,format=opus,bitrat=16k'), /Unknown sink setting "bitrat"/);
+  assert.throws(() => parseSinkSpec('backup.wav,format=wav,extra'), /Invalid sink setting "extra"/);
+});
+
+test('settings that are only set from code are not taken from a spec', () => {
+  assert.strictEqual(parseSinkSpec('ws://monitor:9000,on-message=x').url, 'ws://monitor:9000,on-message=x');
+  assert.throws(() => parseSinkSpec('ws://monitor:9000,format=wav,headers=x'), /Unknown sink setting "headers"/);
+});
+
+test('a malformed listen target or unknown failure policy is refused', () => {
+  assert.throws(() => parseSinkSpec('listen:port'), /Invalid live stream target/);
+  assert.throws(() => parseSinkSpec('backup.wav,on-failure=explode'), /Unknown sink failure policy: explode/);
+});
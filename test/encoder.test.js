@@ -0,0 +1,114 @@
+/**
+ * Encoder: ffmpeg stopping under a recording or a sink
+ *
+ * A stand-in ffmpeg script on PATH plays the encoder: with FAKE_FFMPEG=crash
+ * it exits at once with code 3, otherwise it reads its input to the end.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const { createEncoder, encodeAudio, closeEncoder } = require('../src/audio/encoder');
+const { createSegmentedRecorder, writeRecorderAudio, closeSegmentedRecorder } = require('../src/audio/segmented-recorder');
+const { SINK_STATES, createSink, openSinks, feedSinks, closeSinks } = require('../src/audio/audio-sinks');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encoder-'));
+fs.writeFileSync(path.join(dir, 'ffmpeg'), '#!/bin/sh\n[ "$FAKE_FFMPEG" = crash ] && exit 3\ncat > /dev/null\n', { mode: 0o755 });
+process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+process.on('exit', () => (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true }));
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ * @param {string} what - Described in the error if it never holds
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, what) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Gave up waiting for ${what}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Run a case with the stand-in ffmpeg crashing or not
+ * @param {string} mode - crash, or anything else to behave
+ * @param {Function} fn - Case body
+ * @returns {Promise<void>}
+ */
+async function withFakeFfmpeg(mode, fn) {
+  process.env.FAKE_FFMPEG = mode;
+  try {
+    await fn();
+  } finally {
+    delete process.env.FAKE_FFMPEG;
+  }
+}
+
+test('an encoder whose ffmpeg exits on its own reports it and takes no more audio', () => withFakeFfmpeg('crash', async () => {
+  const errors = [];
+  const encoder = createEncoder({ format: 'flac', onError: (error) => errors.push(error) }, () => {});
+  await waitFor(() => errors.length > 0, 'the encoder to fail');
+
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0].message, /flac encoder exited with code 3/);
+  assert.strictEqual(encodeAudio(encoder, Buffer.alloc(320)), false);
+  await closeEncoder(encoder);
+}));
+
+test('closing an encoder is not reported as a failure', () => withFakeFfmpeg('run', async () => {
+  const errors = [];
+  const encoder = createEncoder({ format: 'flac', onError: (error) => errors.push(error) }, () => {});
+  assert.strictEqual(encodeAudio(encoder, Buffer.alloc(320)), true);
+  await closeEncoder(encoder);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(errors, []);
+}));
+
+test('ffmpeg missing from PATH is reported too', async () => {
+  const errors = [];
+  const savedPath = process.env.PATH;
+  process.env.PATH = path.join(dir, 'empty');
+  try {
+    createEncoder({ format: 'flac', onError: (error) => errors.push(error) }, () => {});
+  } finally {
+    process.env.PATH = savedPath;
+  }
+  await waitFor(() => errors.length > 0, 'the spawn error');
+  assert.match(errors[0].message, /Failed to run ffmpeg for flac encoding/);
+});
+
+test('the recorder reports an encoder that stops under it', () => withFakeFfmpeg('crash', async () => {
+  const errors = [];
+  const recorder = createSegmentedRecorder({
+    outputFilePath: path.join(dir, 'recording.flac'),
+    format: 'flac',
+    onError: (error) => errors.push(error)
+  });
+  writeRecorderAudio(recorder, Buffer.alloc(320));
+  await waitFor(() => errors.length > 0, 'the recorder to report');
+
+  assert.strictEqual(recorder.failed, true);
+  assert.match(errors[0].message, /exited with code 3/);
+  await closeSegmentedRecorder(recorder);
+}));
+
+test('a sink whose encoder stops fails and its policy applies', () => withFakeFfmpeg('crash', async () => {
+  const fatal = [];
+  const defaults = { format: 'wav', sampleRate: 16000, channels: 1, onFatal: (sink, error) => fatal.push(error) };
+  const stopping = createSink({ type: 'file', path: path.join(dir, 'stop.flac'), format: 'flac', onFailure: 'stop' }, defaults);
+  const retrying = createSink({ type: 'file', path: path.join(dir, 'retry.flac'), format: 'flac', onFailure: 'retry', retryBaseMs: 60000 }, defaults);
+  await openSinks([stopping, retrying]);
+  feedSinks([stopping, retrying], Buffer.alloc(320), Date.now());
+
+  await waitFor(() => stopping.state === SINK_STATES.FAILED && retrying.state === SINK_STATES.RETRYING, 'both sinks to fail');
+  assert.match(stopping.lastError, /flac encoder exited with code 3/);
+  assert.strictEqual(fatal.length, 1);
+  assert.strictEqual(retrying.failures, 1);
+  await closeSinks([stopping, retrying]);
+}));
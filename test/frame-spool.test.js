@@ -0,0 +1,133 @@
+/**
+ * Frame spool: trimming, release and reading back, in memory and on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const {
+  createFrameSpool,
+  spoolFrame,
+  releaseFrames,
+  framesAfter,
+  closeFrameSpool
+} = require('../src/audio/frame-spool');
+
+/**
+ * Spool frames 0..count-1 with 10-byte payloads holding their sequence number
+ * @param {Object} spool - Frame spool
+ * @param {number} count - Frames to add
+ * @param {number} start - First sequence number
+ */
+function spoolFrames(spool, count, start = 0) {
+  for (let sequence = start; sequence < start + count; sequence++) {
+    spoolFrame(spool, { sequence, captureTimestamp: 1000 + sequence * 20 }, Buffer.alloc(10, sequence));
+  }
+}
+
+/**
+ * Run a case against an in-memory spool and a file-backed one
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body, called with spool options
+ */
+function testBothSpools(name, fn) {
+  test(`${name} (memory)`, () => fn({}));
+  test(`${name} (file)`, () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-spool-'));
+    try {
+      fn({ dir });
+    } finally {
+      // fs.rmSync arrived in Node 14.14
+      (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+testBothSpools('frames come back in order with their payloads and flags', (options) => {
+  const spool = createFrameSpool(options);
+  spoolFrames(spool, 4);
+  spoolFrame(spool, { sequence: 4, captureTimestamp: 1080, flags: 1 }, Buffer.from('last'));
+
+  const frames = framesAfter(spool, null);
+  assert.deepStrictEqual(frames.map((frame) => frame.sequence), [0, 1, 2, 3, 4]);
+  assert.ok(frames[2].payload.equals(Buffer.alloc(10, 2)));
+  assert.strictEqual(frames[4].payload.toString(), 'last');
+  assert.strictEqual(frames[4].flags, 1);
+  assert.strictEqual(frames[0].flags, 0);
+  closeFrameSpool(spool);
+});
+
+testBothSpools('the oldest frames are dropped once the spool is over its limit', (options) => {
+  const spool = createFrameSpool({ ...options, maxBytes: 35 });
+  spoolFrames(spool, 5);
+
+  assert.deepStrictEqual(framesAfter(spool, null).map((frame) => frame.sequence), [2, 3, 4]);
+  assert.strictEqual(spool.bytes, 30);
+  assert.strictEqual(spool.droppedFrames, 2);
+  closeFrameSpool(spool);
+});
+
+testBothSpools('released frames are forgotten without counting as dropped', (options) => {
+  const spool = createFrameSpool(options);
+  spoolFrames(spool, 5);
+  releaseFrames(spool, 2);
+
+  assert.deepStrictEqual(framesAfter(spool, null).map((frame) => frame.sequence), [3, 4]);
+  assert.strictEqual(spool.bytes, 20);
+  assert.strictEqual(spool.droppedFrames, 0);
+
+  // Releasing again, or behind what is already gone, changes nothing
+  releaseFrames(spool, 1);
+  assert.strictEqual(spool.frames.length, 2);
+  closeFrameSpool(spool);
+});
+
+testBothSpools('framesAfter skips to the sequence and applies since and limit', (options) => {
+  const spool = createFrameSpool(options);
+  spoolFrames(spool, 10);
+
+  assert.deepStrictEqual(framesAfter(spool, 6).map((frame) => frame.sequence), [7, 8, 9]);
+  assert.deepStrictEqual(framesAfter(spool, 9), []);
+  assert.deepStrictEqual(framesAfter(spool, 2, { limit: 3 }).map((frame) => frame.sequence), [3, 4, 5]);
+  // Frame n was captured at 1000 + 20n
+  assert.deepStrictEqual(framesAfter(spool, null, { since: 1140 }).map((frame) => frame.sequence), [7, 8, 9]);
+  assert.deepStrictEqual(framesAfter(spool, 7, { since: 1100, limit: 1 }).map((frame) => frame.sequence), [8]);
+  closeFrameSpool(spool);
+});
+
+test('a spool file is compacted without losing the frames it keeps', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-spool-'));
+  try {
+    const spool = createFrameSpool({ maxBytes: 30, dir });
+    spoolFrames(spool, 20);
+
+    // Without compaction the file would hold all 200 bytes
+    assert.ok(spool.fileBytes <= 60, `spool file is ${spool.fileBytes} bytes`);
+    assert.strictEqual(fs.statSync(spool.filePath).size, spool.fileBytes);
+    const frames = framesAfter(spool, null);
+    assert.deepStrictEqual(frames.map((frame) => frame.sequence), [17, 18, 19]);
+    frames.forEach((frame) => assert.ok(frame.payload.equals(Buffer.alloc(10, frame.sequence)), `payload of frame ${frame.sequence}`));
+    closeFrameSpool(spool);
+  } finally {
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+  }
+});
+
+test('closing a file-backed spool removes its file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-spool-'));
+  try {
+    const spool = createFrameSpool({ dir });
+    spoolFrames(spool, 3);
+    assert.ok(fs.existsSync(spool.filePath));
+
+    closeFrameSpool(spool);
+    assert.deepStrictEqual(framesAfter(spool, null), []);
+    // The file is unlinked in the background
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(!fs.existsSync(spool.filePath));
+  } finally {
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+  }
+});
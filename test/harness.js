@@ -0,0 +1,57 @@
+/**
+ * Test harness
+ *
+ * The checks are plain node scripts with no test framework. Each *.test.js
+ * file registers its cases with test(); they run one after another once the
+ * file has loaded, each with a time limit. A failed case is reported with
+ * its error and makes the script exit non-zero. test/run.js runs every file.
+ */
+
+// Longest a single case may take
+const TEST_TIMEOUT_MS = 10000;
+
+const tests = [];
+
+/**
+ * Run the registered cases in order and report them
+ * @returns {Promise<void>}
+ */
+async function runTests() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${TEST_TIMEOUT_MS}ms`)), TEST_TIMEOUT_MS);
+    });
+    try {
+      await Promise.race([fn(), timeout]);
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(`  ${(error.stack || error.message).replace(/\n/g, '\n  ')}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+/**
+ * Register a test case
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body; may return a promise
+ */
+function test(name, fn) {
+  if (tests.length === 0) {
+    setImmediate(runTests);
+  }
+  tests.push({ name, fn });
+}
+
+module.exports = {
+  test
+};
@@ -0,0 +1,205 @@
+/**
+ * Live stream server: listeners and closing, ICY metadata in MP3 streams and
+ * whole Ogg pages, with the stream headers for listeners who join late
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('./harness');
+const { startLiveStreamServer, writeLiveStream, getLiveStreamStats, closeLiveStreamServer } = require('../src/audio/live-stream');
+
+// An MP3 stream on a free port
+const SERVER_OPTIONS = {
+  port: 0,
+  format: 'mp3',
+  extension: 'mp3',
+  contentType: 'audio/mpeg',
+  bitrate: '64k',
+  sampleRate: 16000,
+  space: { title: 'Test Space' }
+};
+
+/**
+ * Make a request and collect the response
+ * @param {string} url - URL to get
+ * @param {Object} options - http.get options such as agent and headers (optional)
+ * @returns {Promise<Object>} response, and body once the response ends
+ */
+function get(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, options, (response) => {
+      const result = { response, chunks: [] };
+      response.on('data', (chunk) => result.chunks.push(chunk));
+      result.ended = new Promise((done) => response.on('end', () => done(Buffer.concat(result.chunks))));
+      resolve(result);
+    }).on('error', reject);
+  });
+}
+
+test('a listener gets the stream with its icy headers, ended when the server closes', async () => {
+  const live = await startLiveStreamServer(SERVER_OPTIONS);
+  const connecting = get(live.url);
+  // The headers go out with the first audio
+  while (getLiveStreamStats(live).listeners === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  writeLiveStream(live, Buffer.from('frame one'));
+  const listener = await connecting;
+  assert.strictEqual(listener.response.statusCode, 200);
+  assert.strictEqual(listener.response.headers['content-type'], 'audio/mpeg');
+  assert.strictEqual(listener.response.headers['icy-name'], 'Test Space');
+  assert.strictEqual(listener.response.headers['icy-br'], '64');
+
+  writeLiveStream(live, Buffer.from(', frame two'));
+  await closeLiveStreamServer(live);
+  assert.strictEqual((await listener.ended).toString(), 'frame one, frame two');
+  assert.strictEqual(getLiveStreamStats(live).listeners, 0);
+  assert.strictEqual(getLiveStreamStats(live).totalListeners, 1);
+});
+
+test('closing does not wait for idle keep-alive connections', async () => {
+  const live = await startLiveStreamServer(SERVER_OPTIONS);
+  const agent = new http.Agent({ keepAlive: true });
+  try {
+    const missing = await get(live.url.replace(/\/live\.mp3$/, '/other'), { agent });
+    assert.strictEqual(missing.response.statusCode, 404);
+    await missing.ended;
+
+    // The keep-alive timeout is 5 seconds; the server cuts connections off after 2
+    const started = Date.now();
+    await closeLiveStreamServer(live);
+    assert.ok(Date.now() - started < 4000, `closing took ${Date.now() - started}ms`);
+  } finally {
+    agent.destroy();
+  }
+});
+
+/**
+ * Wait for the server to count a number of listeners
+ * @param {Object} live - Live stream server
+ * @param {number} count - Listeners expected
+ * @returns {Promise<void>}
+ */
+async function waitForListeners(live, count) {
+  while (getLiveStreamStats(live).listeners !== count) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Bytes from 0 to 250 over and over, so misplaced bytes show
+ * @param {number} length - Bytes wanted
+ * @param {number} start - Where in the pattern to begin
+ * @returns {Buffer} Audio stand-in
+ */
+function audioBytes(length, start = 0) {
+  return Buffer.from(Array.from({ length }, (value, index) => (start + index) % 251));
+}
+
+test('MP3 listeners that ask for metadata get a block every 16000 bytes, across chunk boundaries', async () => {
+  const live = await startLiveStreamServer({
+    ...SERVER_OPTIONS,
+    space: { title: "Bob's Space", url: 'https://x.com/i/spaces/1' }
+  });
+  const withMetadata = get(live.url, { headers: { 'Icy-MetaData': '1' } });
+  const plain = get(live.url);
+  await waitForListeners(live, 2);
+
+  // 32100 bytes in chunks that straddle both metadata points
+  const audio = audioBytes(32100);
+  [[0, 10000], [10000, 20000], [20000, 32000], [32000, 32100]].forEach(([from, to]) => writeLiveStream(live, audio.subarray(from, to)));
+  const listeners = [await withMetadata, await plain];
+  await closeLiveStreamServer(live);
+
+  assert.strictEqual(listeners[0].response.headers['icy-metaint'], '16000');
+  assert.strictEqual(listeners[1].response.headers['icy-metaint'], undefined);
+
+  // 65 bytes of text padded to 5 units of 16; the quote would end the title early, so it is swapped
+  const text = Buffer.from("StreamTitle='Bob’s Space';StreamUrl='https://x.com/i/spaces/1';", 'utf8');
+  const block = Buffer.concat([Buffer.from([5]), text, Buffer.alloc(80 - text.length)]);
+  // The second time the title is the same, so the block is empty: a zero length byte
+  const expected = Buffer.concat([
+    audio.subarray(0, 16000),
+    block,
+    audio.subarray(16000, 32000),
+    Buffer.from([0]),
+    audio.subarray(32000)
+  ]);
+  assert.ok((await listeners[0].ended).equals(expected));
+  assert.ok((await listeners[1].ended).equals(audio));
+});
+
+// An Opus stream; the encoder's output is written to it however it happens to be chunked
+const OGG_SERVER_OPTIONS = {
+  ...SERVER_OPTIONS,
+  format: 'opus',
+  extension: 'ogg',
+  contentType: 'audio/ogg',
+  bitrate: '24k'
+};
+
+/**
+ * Build an Ogg page (the checksum is left at zero; the server does not check it)
+ * @param {number} sequence - Page sequence number
+ * @param {number} granule - Granule position; 0 for header pages
+ * @param {Buffer|string} payload - Page data, under 255 bytes
+ * @param {boolean} beginsStream - Whether it is the first page of a stream
+ * @returns {Buffer} Page
+ */
+function oggPage(sequence, granule, payload, beginsStream = false) {
+  const data = Buffer.from(payload);
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'latin1');
+  header.writeUInt8(beginsStream ? 0x02 : 0, 5);
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(1, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt8(1, 26);
+  header.writeUInt8(data.length, 27);
+  return Buffer.concat([header, data]);
+}
+
+test('Ogg pages split across writes reach listeners whole, and stray bytes are skipped', async () => {
+  const live = await startLiveStreamServer(OGG_SERVER_OPTIONS);
+  const connecting = get(live.url);
+  await waitForListeners(live, 1);
+
+  const pages = [
+    oggPage(0, 0, 'OpusHead', true),
+    oggPage(1, 0, 'OpusTags'),
+    oggPage(2, 960, audioBytes(200)),
+    oggPage(3, 1920, audioBytes(200, 7))
+  ];
+  const stream = Buffer.concat([pages[0], pages[1], pages[2], Buffer.alloc(40, 'x'), pages[3]]);
+  // Cut inside the first two page headers, inside a payload and inside the capture pattern after the stray bytes
+  const cuts = [0, 10, pages[0].length + 20, pages[0].length + pages[1].length + 100, stream.length - pages[3].length + 2, stream.length];
+  for (let index = 1; index < cuts.length; index++) {
+    writeLiveStream(live, stream.subarray(cuts[index - 1], cuts[index]));
+  }
+  const listener = await connecting;
+  await closeLiveStreamServer(live);
+
+  assert.ok((await listener.ended).equals(Buffer.concat(pages)));
+});
+
+test('listeners who join an Ogg stream late get its header pages, then the next whole page', async () => {
+  const live = await startLiveStreamServer(OGG_SERVER_OPTIONS);
+  const headers = [oggPage(0, 0, 'OpusHead', true), oggPage(1, 0, 'OpusTags')];
+  const audio = [oggPage(2, 960, audioBytes(100)), oggPage(3, 1920, audioBytes(100, 1)), oggPage(4, 2880, audioBytes(100, 2))];
+  writeLiveStream(live, Buffer.concat([...headers, audio[0]]));
+  // Half a page is waiting when the listener joins
+  writeLiveStream(live, audio[1].subarray(0, 50));
+
+  const late = await get(live.url);
+  writeLiveStream(live, Buffer.concat([audio[1].subarray(50), audio[2]]));
+
+  // A restarted encoder begins a new stream with headers of its own
+  const restarted = [oggPage(0, 0, 'OpusHead again', true), oggPage(1, 0, 'OpusTags again'), oggPage(2, 960, audioBytes(100, 3))];
+  writeLiveStream(live, Buffer.concat(restarted));
+  const later = await get(live.url);
+  writeLiveStream(live, oggPage(3, 1920, audioBytes(100, 4)));
+  await closeLiveStreamServer(live);
+
+  assert.ok((await late.ended).equals(Buffer.concat([...headers, audio[1], audio[2], ...restarted, oggPage(3, 1920, audioBytes(100, 4))])));
+  assert.ok((await later.ended).equals(Buffer.concat([restarted[0], restarted[1], oggPage(3, 1920, audioBytes(100, 4))])));
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Offline end-to-end capture check
+ *
+ * Runs the whole join → capture → WebSocket path without network access or
+ * a Twitter account: starts the mock Space server (ending its Space after a
+ * few seconds) and test-server.js on free ports, runs src/index.js against
+ * them, and checks that the capture exited because the Space ended and that
+ * the receiver got audio frames and saved a recording. Needs Playwright's
+ * Chromium (npx playwright install chromium), so it is run by
+ * `npm run test:offline` rather than `npm test`.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, describeExitCode } = require('../src/utils/exit-codes');
+
+const ROOT = path.join(__dirname, '..');
+
+// How long the mock Space stays live, and how long the capture may take in all
+const SPACE_SECONDS = 15;
+const CAPTURE_TIMEOUT_MS = 120000;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a node script, collecting its output
+ * @param {string} name - Label for the output
+ * @param {Array<string>} args - Script and arguments
+ * @returns {Object} Child process with an output field
+ */
+function startScript(name, args) {
+  const child = spawn(process.execPath, args, { cwd: ROOT, env: { ...process.env, LOG_LEVEL: 'info' } });
+  child.output = '';
+  const collect = (data) => {
+    child.output += data.toString();
+    if (process.env.DEBUG_OFFLINE_CAPTURE) {
+      process.stdout.write(data.toString().replace(/^/gm, `[${name}] `));
+    }
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  return child;
+}
+
+/**
+ * Wait for a child's output to contain some text
+ * @param {Object} child - From startScript
+ * @param {string} text - Text to wait for
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<void>}
+ * @throws {Error} If the text does not show up in time or the child exits first
+ */
+function waitForOutput(child, text, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + timeoutMs;
+    const timer = setInterval(() => {
+      if (child.output.includes(text)) {
+        clearInterval(timer);
+        resolve();
+      } else if (child.exitCode !== null || Date.now() > deadline) {
+        clearInterval(timer);
+        reject(new Error(`Gave up waiting for "${text}"`));
+      }
+    }, 100);
+  });
+}
+
+/**
+ * Wait for a child to exit, killing it if it takes too long
+ * @param {Object} child - From startScript
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<number|null>} Exit code, or null if it was killed
+ */
+function waitForExit(child, timeoutMs) {
+  if (child.exitCode !== null) {
+    return Promise.resolve(child.exitCode);
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+  });
+}
+
+async function main() {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-capture-'));
+  const mockPort = await freePort();
+  const receiverPort = await freePort();
+  const children = [];
+  const failures = [];
+
+  try {
+    const mock = startScript('mock-space', ['src/mock-space.js', '--port', String(mockPort), '--end-after', String(SPACE_SECONDS)]);
+    const receiver = startScript('test-server', ['test-server.js', '--port', String(receiverPort), '--output-dir', outputDir]);
+    children.push(mock, receiver);
+    await waitForOutput(mock, 'Mock Space server listening', 10000);
+    await waitForOutput(receiver, 'Waiting for connections', 10000);
+
+    const capture = startScript('capture', [
+      'src/index.js',
+      '--mock-space', `http://127.0.0.1:${mockPort}`,
+      '--url', 'https://twitter.com/i/spaces/1mock',
+      '--websocket', `ws://127.0.0.1:${receiverPort}`,
+      '--audio-backend', 'browser'
+    ]);
+    children.push(capture);
+    const exitCode = await waitForExit(capture, CAPTURE_TIMEOUT_MS);
+
+    if (exitCode !== EXIT_CODES.SPACE_ENDED) {
+      failures.push(`capture exited with ${exitCode === null ? 'a timeout' : `code ${exitCode} (${describeExitCode(exitCode)})`}, expected ${EXIT_CODES.SPACE_ENDED} (space ended)`);
+    }
+
+    // The receiver logs its session summary once the connection closes
+    await waitForOutput(receiver, 'Chunks received:', 10000).catch(() => {});
+    const counts = [...receiver.output.matchAll(/Chunks received: (\d+)/g)].map((match) => Number(match[1]));
+    const chunks = counts.length > 0 ? Math.max(...counts) : 0;
+    if (chunks === 0) {
+      failures.push('test-server received no audio frames');
+    }
+
+    const recordings = fs.readdirSync(outputDir).filter((name) => name.endsWith('.wav'));
+    const audioBytes = recordings.reduce((total, name) => total + fs.statSync(path.join(outputDir, name)).size - 44, 0);
+    if (audioBytes <= 0) {
+      failures.push(`test-server saved no audio (${recordings.length} WAV file(s))`);
+    }
+
+    console.log(`capture exit code: ${exitCode}, frames received: ${chunks}, audio saved: ${audioBytes} bytes`);
+    if (failures.length > 0) {
+      console.log('--- capture output ---');
+      console.log(capture.output.split('\n').slice(-40).join('\n'));
+    }
+  } finally {
+    for (const child of children) {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await waitForExit(child, 5000);
+      }
+    }
+    // fs.rmSync arrived in Node 14.14
+    (fs.rmSync || fs.rmdirSync)(outputDir, { recursive: true, force: true });
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`not ok - ${failure}`));
+    process.exit(1);
+  }
+  console.log('ok - offline join, capture and WebSocket streaming');
+}
+
+main().catch((error) => {
+  console.error(`not ok - ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Test runner
+ *
+ * Runs every test/*.test.js file in its own node process, one after another,
+ * and exits non-zero if any of them failed. Logs below error level are kept
+ * quiet unless LOG_LEVEL says otherwise. Name files on the command line to
+ * run only those.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = process.argv.length > 2
+  ? process.argv.slice(2)
+  : fs.readdirSync(__dirname).filter((name) => name.endsWith('.test.js')).sort().map((name) => path.join(__dirname, name));
+
+const failedFiles = [];
+for (const file of files) {
+  console.log(`# ${path.relative(process.cwd(), file)}`);
+  const result = spawnSync(process.execPath, [file], {
+    stdio: 'inherit',
+    env: { ...process.env, LOG_LEVEL: process.env.LOG_LEVEL || 'error' },
+    timeout: 120000
+  });
+  if (result.status !== 0) {
+    failedFiles.push(file);
+  }
+}
+
+if (failedFiles.length > 0) {
+  console.log(`\n${failedFiles.length} of ${files.length} test file(s) failed: ${failedFiles.map((file) => path.basename(file)).join(', ')}`);
+  process.exit(1);
+}
+console.log(`\nAll ${files.length} test file(s) passed`);
@@ -0,0 +1,144 @@
+/**
+ * Stream authentication: signed URLs, bearer tokens and credential settings
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const {
+  AUTH_ERROR_CODES,
+  resolveCredentials,
+  signUrl,
+  connectUrl,
+  connectOptions,
+  verifySignedUrl,
+  verifyBearerToken,
+  verifyConnectRequest
+} = require('../src/audio/stream-auth');
+
+const SECRET = 'shared-secret';
+
+// 2026-01-01T00:00:00Z
+const NOW = 1767225600000;
+
+test('a signed URL carries its expiry and an HMAC of the path and sorted parameters', () => {
+  const signed = new URL(signUrl('wss://receiver.example/audio?room=7', SECRET, { ttlSeconds: 60, now: NOW }));
+  const expires = NOW / 1000 + 60;
+  const expected = crypto.createHmac('sha256', SECRET).update(`/audio?expires=${expires}&room=7`).digest('hex');
+
+  assert.strictEqual(signed.searchParams.get('expires'), String(expires));
+  assert.strictEqual(signed.searchParams.get('signature'), expected);
+  assert.strictEqual(signed.host, 'receiver.example');
+});
+
+test('a signed URL verifies, with its parameters in any order', () => {
+  const signed = new URL(signUrl('ws://receiver/audio?room=7&lang=en&lang=de', SECRET, { now: NOW }));
+  assert.deepStrictEqual(verifySignedUrl(`${signed.pathname}${signed.search}`, SECRET, { now: NOW }), { ok: true });
+
+  const reordered = [...signed.searchParams].reverse();
+  const url = `/audio?${new URLSearchParams(reordered).toString()}`;
+  assert.deepStrictEqual(verifySignedUrl(url, SECRET, { now: NOW }), { ok: true });
+});
+
+test('signing again replaces an old signature rather than signing it', () => {
+  const once = signUrl('ws://receiver/audio?room=7', SECRET, { now: NOW });
+  const twice = new URL(signUrl(once, SECRET, { now: NOW }));
+  assert.strictEqual(twice.searchParams.getAll('signature').length, 1);
+  assert.strictEqual(twice.toString(), once);
+});
+
+test('a changed parameter, path, secret or signature fails as BAD_SIGNATURE', () => {
+  const signed = signUrl('ws://receiver/audio?room=7', SECRET, { now: NOW });
+  const tampered = [
+    signed.replace('room=7', 'room=8'),
+    signed.replace('/audio', '/other'),
+    `${signed}&extra=1`,
+    signed.replace(/signature=(.)/, (match, first) => `signature=${first === '0' ? '1' : '0'}`)
+  ];
+  for (const url of tampered) {
+    assert.strictEqual(verifySignedUrl(url, SECRET, { now: NOW }).code, AUTH_ERROR_CODES.BAD_SIGNATURE, url);
+  }
+  assert.strictEqual(verifySignedUrl(signed, 'other-secret', { now: NOW }).code, AUTH_ERROR_CODES.BAD_SIGNATURE);
+});
+
+test('a URL is accepted until its expiry plus the allowed skew', () => {
+  const signed = signUrl('ws://receiver/audio', SECRET, { ttlSeconds: 60, now: NOW });
+  const at = (seconds) => NOW + seconds * 1000;
+
+  assert.deepStrictEqual(verifySignedUrl(signed, SECRET, { now: at(60) }), { ok: true });
+  assert.deepStrictEqual(verifySignedUrl(signed, SECRET, { now: at(90) }), { ok: true });
+  assert.strictEqual(verifySignedUrl(signed, SECRET, { now: at(91) }).code, AUTH_ERROR_CODES.EXPIRED);
+  assert.strictEqual(verifySignedUrl(signed, SECRET, { now: at(61), maxSkewSeconds: 0 }).code, AUTH_ERROR_CODES.EXPIRED);
+  assert.deepStrictEqual(verifySignedUrl(signed, SECRET, { now: at(300), maxSkewSeconds: 240 }), { ok: true });
+});
+
+test('a URL without a signature or expiry fails as MISSING', () => {
+  const signed = new URL(signUrl('ws://receiver/audio', SECRET, { now: NOW }));
+  assert.strictEqual(verifySignedUrl('/audio', SECRET, { now: NOW }).code, AUTH_ERROR_CODES.MISSING);
+  assert.strictEqual(verifySignedUrl(`/audio?signature=${signed.searchParams.get('signature')}`, SECRET, { now: NOW }).code, AUTH_ERROR_CODES.MISSING);
+  assert.strictEqual(verifySignedUrl(`/audio?expires=&signature=${signed.searchParams.get('signature')}`, SECRET, { now: NOW }).code, AUTH_ERROR_CODES.MISSING);
+  assert.strictEqual(verifySignedUrl(`/audio?expires=soon&signature=${signed.searchParams.get('signature')}`, SECRET, { now: NOW }).code, AUTH_ERROR_CODES.MISSING);
+});
+
+test('bearer tokens are checked against the accepted list', () => {
+  const tokens = ['alpha', 'beta'];
+  assert.deepStrictEqual(verifyBearerToken('Bearer beta', tokens), { ok: true });
+  assert.deepStrictEqual(verifyBearerToken('bearer  alpha ', tokens), { ok: true });
+  assert.strictEqual(verifyBearerToken('Bearer gamma', tokens).code, AUTH_ERROR_CODES.BAD_TOKEN);
+  assert.strictEqual(verifyBearerToken('Bearer alph', tokens).code, AUTH_ERROR_CODES.BAD_TOKEN);
+  assert.strictEqual(verifyBearerToken('Basic YWxwaGE=', tokens).code, AUTH_ERROR_CODES.MISSING);
+  assert.strictEqual(verifyBearerToken(undefined, tokens).code, AUTH_ERROR_CODES.MISSING);
+});
+
+test('a connect request must pass both the token and the signature check', () => {
+  const url = new URL(signUrl('ws://receiver/audio', SECRET));
+  const requirements = { tokens: ['alpha'], signingSecret: SECRET };
+  const request = (authorization, path) => ({ headers: { authorization }, url: path });
+
+  assert.deepStrictEqual(verifyConnectRequest(request('Bearer alpha', `${url.pathname}${url.search}`), requirements), { ok: true });
+  assert.strictEqual(verifyConnectRequest(request(undefined, `${url.pathname}${url.search}`), requirements).code, AUTH_ERROR_CODES.MISSING);
+  assert.strictEqual(verifyConnectRequest(request('Bearer alpha', '/audio'), requirements).code, AUTH_ERROR_CODES.MISSING);
+  assert.deepStrictEqual(verifyConnectRequest(request(undefined, '/audio'), {}), { ok: true });
+});
+
+test('credentials turn into a signed URL, a bearer header and TLS options', () => {
+  process.env.STREAM_AUTH_TEST_TOKEN = 'from-env';
+  try {
+    const credentials = resolveCredentials({ tokenEnv: 'STREAM_AUTH_TEST_TOKEN', signSecret: SECRET, signTtl: 60 });
+    assert.strictEqual(credentials.token, 'from-env');
+    assert.strictEqual(credentials.signTtlSeconds, 60);
+    assert.strictEqual(credentials.tls, null);
+
+    assert.deepStrictEqual(connectOptions(credentials), { headers: { Authorization: 'Bearer from-env' }, minVersion: 'TLSv1.2' });
+    assert.deepStrictEqual(verifySignedUrl(connectUrl('ws://receiver/audio', credentials), SECRET), { ok: true });
+  } finally {
+    delete process.env.STREAM_AUTH_TEST_TOKEN;
+  }
+
+  assert.strictEqual(resolveCredentials({}), null);
+  assert.strictEqual(connectUrl('ws://receiver/audio', null), 'ws://receiver/audio');
+  assert.deepStrictEqual(connectOptions(null), { headers: {}, minVersion: 'TLSv1.2' });
+});
+
+test('credential settings that cannot be resolved fail with CONFIG', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-auth-'));
+  try {
+    const pem = path.join(dir, 'agent.pem');
+    fs.writeFileSync(pem, '-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n');
+
+    assert.throws(() => resolveCredentials({ cert: pem }), { code: AUTH_ERROR_CODES.CONFIG, message: 'A client certificate needs both cert and key' });
+    assert.throws(() => resolveCredentials({ key: pem }), { code: AUTH_ERROR_CODES.CONFIG, message: 'A client certificate needs both cert and key' });
+    assert.throws(() => resolveCredentials({ ca: path.join(dir, 'missing.pem') }), { code: AUTH_ERROR_CODES.CONFIG, message: /^ca: cannot read/ });
+    assert.throws(() => resolveCredentials({ tokenEnv: 'STREAM_AUTH_TEST_UNSET' }), { code: AUTH_ERROR_CODES.CONFIG, message: /STREAM_AUTH_TEST_UNSET is not set/ });
+
+    const options = connectOptions(resolveCredentials({ ca: pem, cert: pem, key: pem }));
+    assert.ok(Buffer.isBuffer(options.ca) && Buffer.isBuffer(options.cert) && Buffer.isBuffer(options.key));
+    assert.strictEqual(options.passphrase, undefined);
+  } finally {
+    // fs.rmSync arrived in Node 14.14
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,159 @@
+/**
+ * Stream protocol: messages, binary audio frames and records
+ */
+
+const assert = require('assert');
+const { test } = require('./harness');
+const {
+  PROTOCOL_VERSION,
+  PROTOCOL_ERROR_CODES,
+  FRAME_HEADER_BYTES,
+  FRAME_FLAGS,
+  RECORD_KINDS,
+  createMessage,
+  parseMessage,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  encodeRecord,
+  createRecordReader,
+  readRecords
+} = require('../src/audio/stream-protocol');
+
+/**
+ * Feed bytes to a record reader in pieces of the given size
+ * @param {Buffer} bytes - Body bytes
+ * @param {number} size - Piece size
+ * @returns {Array<Object>} Records read: payload and binary
+ */
+function readInPieces(bytes, size) {
+  const records = [];
+  const reader = createRecordReader((payload, binary) => records.push({ payload: Buffer.from(payload), binary }));
+  for (let offset = 0; offset < bytes.length; offset += size) {
+    readRecords(reader, bytes.subarray(offset, offset + size));
+  }
+  assert.strictEqual(reader.buffer.length, 0, 'bytes left over in the reader');
+  return records;
+}
+
+test('an audio frame survives an encode/decode round trip', () => {
+  const payload = Buffer.from([1, 2, 3, 4, 250, 251]);
+  const captureTimestamp = 1767225600123.5;
+  const frame = encodeAudioFrame({ sequence: 42, captureTimestamp, flags: FRAME_FLAGS.LATE }, payload);
+
+  assert.strictEqual(frame.length, FRAME_HEADER_BYTES + payload.length);
+  assert.deepStrictEqual(decodeAudioFrame(frame), {
+    version: PROTOCOL_VERSION,
+    flags: FRAME_FLAGS.LATE,
+    sequence: 42,
+    captureTimestamp,
+    payload
+  });
+});
+
+test('frame sequence numbers wrap at 32 bits and flags default to 0', () => {
+  const frame = decodeAudioFrame(encodeAudioFrame({ sequence: 2 ** 32 + 5, captureTimestamp: 0 }, Buffer.alloc(0)));
+  assert.strictEqual(frame.sequence, 5);
+  assert.strictEqual(frame.flags, 0);
+  assert.strictEqual(frame.payload.length, 0);
+});
+
+test('a longer header from a later version is skipped by its length field', () => {
+  const frame = encodeAudioFrame({ sequence: 1, captureTimestamp: 10 }, Buffer.from('audio'));
+  const longer = Buffer.concat([frame.subarray(0, FRAME_HEADER_BYTES), Buffer.alloc(4), frame.subarray(FRAME_HEADER_BYTES)]);
+  longer.writeUInt8(FRAME_HEADER_BYTES + 4, 1);
+  assert.strictEqual(decodeAudioFrame(longer).payload.toString(), 'audio');
+});
+
+test('a frame shorter than its header is rejected', () => {
+  assert.throws(() => decodeAudioFrame(Buffer.alloc(FRAME_HEADER_BYTES - 1)), { code: PROTOCOL_ERROR_CODES.INVALID_FRAME });
+});
+
+test('a frame with another header version is rejected', () => {
+  const frame = encodeAudioFrame({ sequence: 1, captureTimestamp: 10 }, Buffer.alloc(8));
+  frame.writeUInt8(PROTOCOL_VERSION + 1, 0);
+  assert.throws(() => decodeAudioFrame(frame), { code: PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION });
+});
+
+test('a frame whose header length is too short or past its end is rejected', () => {
+  const frame = encodeAudioFrame({ sequence: 1, captureTimestamp: 10 }, Buffer.alloc(8));
+  frame.writeUInt8(FRAME_HEADER_BYTES - 1, 1);
+  assert.throws(() => decodeAudioFrame(frame), { code: PROTOCOL_ERROR_CODES.INVALID_FRAME });
+  frame.writeUInt8(FRAME_HEADER_BYTES + 9, 1);
+  assert.throws(() => decodeAudioFrame(frame), { code: PROTOCOL_ERROR_CODES.INVALID_FRAME });
+});
+
+test('records come out whole however the body is chunked', () => {
+  const text = JSON.stringify(createMessage('heartbeat'));
+  const frame = encodeAudioFrame({ sequence: 7, captureTimestamp: 99 }, Buffer.alloc(300, 0x55));
+  const body = Buffer.concat([encodeRecord(text), encodeRecord(frame), encodeRecord(''), encodeRecord(text)]);
+
+  for (const size of [1, 2, 5, 7, 64, body.length]) {
+    const records = readInPieces(body, size);
+    assert.strictEqual(records.length, 4, `piece size ${size}`);
+    assert.deepStrictEqual(records.map((record) => record.binary), [false, true, false, false]);
+    assert.strictEqual(records[0].payload.toString(), text);
+    assert.ok(records[1].payload.equals(frame));
+    assert.strictEqual(records[2].payload.length, 0);
+  }
+});
+
+test('a record is held back until its last byte arrives', () => {
+  const record = encodeRecord(Buffer.from('frame'));
+  const records = [];
+  const reader = createRecordReader((payload) => records.push(payload));
+  readRecords(reader, record.subarray(0, record.length - 1));
+  assert.strictEqual(records.length, 0);
+  readRecords(reader, record.subarray(record.length - 1));
+  assert.strictEqual(records.length, 1);
+});
+
+test('a record with an unknown kind or an oversized length is rejected', () => {
+  const unknownKind = encodeRecord('{}');
+  unknownKind.writeUInt8(RECORD_KINDS.BINARY + 1, 0);
+  assert.throws(() => readRecords(createRecordReader(() => {}), unknownKind), { code: PROTOCOL_ERROR_CODES.INVALID_FRAME });
+
+  const oversized = Buffer.alloc(5);
+  oversized.writeUInt8(RECORD_KINDS.BINARY, 0);
+  oversized.writeUInt32LE(0xffffffff, 1);
+  assert.throws(() => readRecords(createRecordReader(() => {}), oversized), { code: PROTOCOL_ERROR_CODES.INVALID_FRAME });
+});
+
+test('createMessage output parses back as a valid message', () => {
+  const message = createMessage('metadata', { format: 'S16LE', sampleRate: 16000, channels: 1 });
+  assert.deepStrictEqual(parseMessage(JSON.stringify(message)), message);
+  assert.deepStrictEqual(parseMessage(Buffer.from(JSON.stringify(message))), message);
+});
+
+test('messages with another protocol version are refused', () => {
+  for (const version of [0, PROTOCOL_VERSION + 1, '1']) {
+    const result = parseMessage(JSON.stringify({ version, type: 'heartbeat' }));
+    assert.strictEqual(result.error && result.error.code, PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION, `version ${JSON.stringify(version)}`);
+  }
+});
+
+test('a message without a version is invalid', () => {
+  const result = parseMessage(JSON.stringify({ type: 'heartbeat' }));
+  assert.strictEqual(result.error.code, PROTOCOL_ERROR_CODES.INVALID_MESSAGE);
+  assert.match(result.error.message, /missing version/);
+});
+
+test('text that is not JSON, or not an object, is invalid', () => {
+  for (const text of ['{"version": 1,', 'null', '[1]', '"hello"']) {
+    const result = parseMessage(text);
+    assert.strictEqual(result.error && result.error.code, PROTOCOL_ERROR_CODES.INVALID_MESSAGE, text);
+  }
+});
+
+test('a message missing a required field or with a wrong type is invalid', () => {
+  const missing = parseMessage(JSON.stringify({ version: 1, type: 'ack', from: 0 }));
+  assert.match(missing.error.message, /missing to/);
+
+  const wrongType = parseMessage(JSON.stringify({ version: 1, type: 'ack', from: '0', to: 3 }));
+  assert.strictEqual(wrongType.error.code, PROTOCOL_ERROR_CODES.INVALID_MESSAGE);
+  assert.match(wrongType.error.message, /from should be/);
+});
+
+test('events of types the schema does not list pass through', () => {
+  const event = { version: 1, type: 'caption', text: 'hello' };
+  assert.deepStrictEqual(parseMessage(JSON.stringify(event)), event);
+});
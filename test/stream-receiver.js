@@ -0,0 +1,145 @@
+/**
+ * In-process stream receiver for the stream client and sink tests, over a
+ * WebSocket or, wrapped in records, an HTTP/1.1 or HTTP/2 (h2c) POST
+ */
+
+const http = require('http');
+const http2 = require('http2');
+const WebSocket = require('ws');
+const { RECORD_CONTENT_TYPE, decodeAudioFrame, encodeRecord, createRecordReader, readRecords } = require('../src/audio/stream-protocol');
+
+/**
+ * Record what a client sent on a connection
+ * @param {Object} connection - Receiver connection
+ * @param {Buffer} data - Message or frame
+ * @param {boolean} isBinary - Whether it is a frame
+ * @param {Function} onHello - Called with the connection and the client's hello
+ */
+function receive(connection, data, isBinary, onHello) {
+  if (isBinary) {
+    const frame = decodeAudioFrame(data);
+    connection.frames.push(frame);
+    connection.received.push(frame);
+    return;
+  }
+  const message = JSON.parse(data.toString());
+  connection.messages.push(message);
+  connection.received.push(message);
+  if (message.type === 'hello') {
+    onHello(connection, message);
+  }
+}
+
+/**
+ * Start a WebSocket server for the receiver
+ * @param {Object} receiver - Receiver
+ * @param {Function} onHello - Hello handler
+ * @returns {Promise<Object>} The server and how to stop it
+ */
+function listenWebSocket(receiver, onHello) {
+  return new Promise((resolve) => {
+    const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    server.on('connection', (socket) => {
+      const connection = {
+        socket,
+        messages: [],
+        frames: [],
+        received: [],
+        send: (data) => socket.send(data),
+        terminate: () => socket.terminate()
+      };
+      receiver.connections.push(connection);
+      socket.on('message', (data, isBinary) => receive(connection, data, isBinary, onHello));
+    });
+    server.on('listening', () => resolve({
+      url: `ws://127.0.0.1:${server.address().port}`,
+      close: () => new Promise((done) => {
+        server.clients.forEach((socket) => socket.terminate());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+/**
+ * Start an HTTP/1.1 or h2c server for the receiver. Each POST is a
+ * connection: it answers at once and ends its response when the request ends.
+ * @param {Object} receiver - Receiver
+ * @param {Function} onHello - Hello handler
+ * @param {string} transport - http or http2
+ * @returns {Promise<Object>} The server and how to stop it
+ */
+function listenHttp(receiver, onHello, transport) {
+  const sockets = new Set();
+  const server = (transport === 'http2' ? http2 : http).createServer((request, response) => {
+    const connection = {
+      request,
+      messages: [],
+      frames: [],
+      received: [],
+      send: (data) => response.write(encodeRecord(data)),
+      // An HTTP/2 request does not always take its stream down with it
+      terminate: () => (request.stream || request).destroy()
+    };
+    receiver.connections.push(connection);
+
+    response.writeHead(200, { 'content-type': RECORD_CONTENT_TYPE });
+    response.flushHeaders();
+    const reader = createRecordReader((payload, isBinary) => receive(connection, payload, isBinary, onHello));
+    request.on('data', (chunk) => readRecords(reader, chunk));
+    request.on('end', () => response.end());
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/stream`,
+      close: () => new Promise((done) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => done());
+      })
+    }));
+  });
+}
+
+/**
+ * Start a receiver on a free port that records what each connection sends
+ * @param {Function} onHello - Called with the connection and the client's hello (optional)
+ * @param {string} transport - websocket, http or http2 (optional)
+ * @returns {Promise<Object>} Receiver: url, connections and close(). Each connection has
+ * messages, frames and received (both in arrival order), send(data) and terminate(), and
+ * its socket (WebSocket) or request (HTTP).
+ */
+async function startReceiver(onHello = () => {}, transport = 'websocket') {
+  const receiver = { url: null, connections: [], close: null };
+  const server = transport === 'websocket'
+    ? await listenWebSocket(receiver, onHello)
+    : await listenHttp(receiver, onHello, transport);
+  receiver.url = server.url;
+  receiver.close = server.close;
+  return receiver;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ * @param {string} what - Described in the error if it never holds
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, what) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Gave up waiting for ${what}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = {
+  startReceiver,
+  waitFor
+};
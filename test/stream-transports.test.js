@@ -0,0 +1,314 @@
+/**
+ * Stream transports against in-process HTTP/1.1 and h2c servers: records both
+ * ways, closing, refusals and the connect timeout
+ */
+
+const assert = require('assert');
+const http = require('http');
+const http2 = require('http2');
+const WebSocket = require('ws');
+const { test } = require('./harness');
+const { waitFor } = require('./stream-receiver');
+const { RECORD_CONTENT_TYPE, encodeRecord, createRecordReader, readRecords } = require('../src/audio/stream-protocol');
+const { openTransport } = require('../src/audio/stream-transports');
+
+/**
+ * Start an HTTP/1.1 or h2c server on a free port
+ * @param {string} transport - http or http2
+ * @param {Function} handler - Request handler
+ * @returns {Promise<Object>} Server: url, sessions (h2c sessions opened) and close()
+ */
+function listen(transport, handler) {
+  const sockets = new Set();
+  const server = (transport === 'http2' ? http2 : http).createServer(handler);
+  const listening = { url: null, sessions: [], close: null };
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  server.on('session', (session) => listening.sessions.push(session));
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      listening.url = `http://127.0.0.1:${server.address().port}/stream`;
+      listening.close = () => new Promise((done) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => done());
+      });
+      resolve(listening);
+    });
+  });
+}
+
+/**
+ * A request handler that answers as a receiver and keeps what it reads
+ * @param {Array<Object>} requests - Gets each request's headers, records and response
+ * @param {Object} options - endOnEnd: end the response when the request ends (default true)
+ * @returns {Function} Request handler
+ */
+function recordReceiver(requests, options = {}) {
+  return (request, response) => {
+    const entry = { headers: request.headers, records: [], response, ended: false };
+    requests.push(entry);
+    response.writeHead(200, { 'content-type': RECORD_CONTENT_TYPE });
+    response.flushHeaders();
+    const reader = createRecordReader((payload, isBinary) => entry.records.push({ payload, isBinary }));
+    request.on('data', (chunk) => readRecords(reader, chunk));
+    request.on('end', () => {
+      entry.ended = true;
+      if (options.endOnEnd !== false) {
+        response.end();
+      }
+    });
+  };
+}
+
+/**
+ * Transport options that log what the connection reports
+ * @param {string} transport - http or http2
+ * @param {Object} events - Gets messages, closes and errors
+ * @returns {Object} openTransport options
+ */
+function transportOptions(transport, events) {
+  events.messages = [];
+  events.closes = [];
+  events.errors = [];
+  return {
+    transport,
+    closeTimeoutMs: 200,
+    onMessage: (data, isBinary) => events.messages.push({ data, isBinary }),
+    onClose: (reason) => events.closes.push(reason),
+    onError: (error) => events.errors.push(error)
+  };
+}
+
+/**
+ * Run a case over HTTP/1.1 and HTTP/2
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body, called with the transport
+ */
+function testEachHttpTransport(name, fn) {
+  ['http', 'http2'].forEach((transport) => test(`${name} (${transport})`, () => fn(transport)));
+}
+
+testEachHttpTransport('records go both ways over a long-lived POST', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests));
+  const events = {};
+  try {
+    const connection = await openTransport(server.url, transportOptions(transport, events));
+    assert.strictEqual(connection.type, transport);
+    assert.strictEqual(connection.isOpen(), true);
+
+    connection.send(JSON.stringify({ type: 'hello' }));
+    connection.send(Buffer.from([1, 2, 3]));
+    await waitFor(() => requests.length === 1 && requests[0].records.length === 2, 'both records');
+    const [request] = requests;
+    assert.strictEqual(request.headers['content-type'], RECORD_CONTENT_TYPE);
+    if (transport === 'http') {
+      assert.strictEqual(request.headers['transfer-encoding'], 'chunked');
+    }
+    assert.deepStrictEqual(request.records.map((record) => record.isBinary), [false, true]);
+    assert.strictEqual(request.records[0].payload.toString(), '{"type":"hello"}');
+    assert.ok(request.records[1].payload.equals(Buffer.from([1, 2, 3])));
+
+    // A record split over two writes still comes out whole
+    const record = encodeRecord(JSON.stringify({ type: 'ack' }));
+    request.response.write(record.slice(0, 3));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    request.response.write(record.slice(3));
+    await waitFor(() => events.messages.length === 1, 'the message from the receiver');
+    assert.strictEqual(events.messages[0].isBinary, false);
+    assert.strictEqual(events.messages[0].data.toString(), '{"type":"ack"}');
+
+    await connection.close();
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('close ends the request and finishes once the receiver ends its response', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests));
+  const events = {};
+  try {
+    const connection = await openTransport(server.url, transportOptions(transport, events));
+    await waitFor(() => requests.length === 1, 'the request');
+
+    await connection.close();
+    assert.strictEqual(requests[0].ended, true);
+    assert.strictEqual(connection.isOpen(), false);
+    assert.deepStrictEqual(events.closes, ['the receiver ended its response']);
+
+    // Closing or dropping it again does not report a second close
+    await connection.close();
+    connection.terminate();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepStrictEqual(events.closes, ['the receiver ended its response']);
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('close gives up on a receiver that never ends its response', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests, { endOnEnd: false }));
+  const events = {};
+  try {
+    const connection = await openTransport(server.url, transportOptions(transport, events));
+    const startedAt = Date.now();
+    await connection.close();
+
+    assert.ok(Date.now() - startedAt >= 150, `closed after ${Date.now() - startedAt}ms`);
+    assert.strictEqual(requests[0].ended, true);
+    assert.deepStrictEqual(events.closes, ['close timed out']);
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('a receiver ending its response closes the connection', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests));
+  const events = {};
+  try {
+    const connection = await openTransport(server.url, transportOptions(transport, events));
+    await waitFor(() => requests.length === 1, 'the request');
+
+    requests[0].response.end();
+    await waitFor(() => events.closes.length > 0, 'the close');
+    assert.deepStrictEqual(events.closes, ['the receiver ended its response']);
+    assert.strictEqual(connection.isOpen(), false);
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('terminate drops the connection at once', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests));
+  const events = {};
+  try {
+    const connection = await openTransport(server.url, transportOptions(transport, events));
+    connection.terminate();
+
+    assert.deepStrictEqual(events.closes, ['terminated']);
+    assert.strictEqual(connection.isOpen(), false);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepStrictEqual(events.closes, ['terminated']);
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('a response that is not made of records is an error', async (transport) => {
+  const requests = [];
+  const server = await listen(transport, recordReceiver(requests));
+  const events = {};
+  try {
+    await openTransport(server.url, transportOptions(transport, events));
+    await waitFor(() => requests.length === 1, 'the request');
+
+    requests[0].response.write(Buffer.from([9, 0, 0, 0, 0]));
+    await waitFor(() => events.closes.length > 0, 'the close');
+    assert.strictEqual(events.errors[0].code, 'STREAM_INVALID_FRAME');
+    assert.match(events.closes[0], /Invalid record header \(kind 9/);
+  } finally {
+    await server.close();
+  }
+});
+
+testEachHttpTransport('a receiver that does not answer with records is refused', async (transport) => {
+  const server = await listen(transport, (request, response) => {
+    response.writeHead(200, { 'content-type': 'audio/mpeg' });
+    response.end();
+  });
+  try {
+    await assert.rejects(
+      openTransport(server.url, transportOptions(transport, {})),
+      (error) => {
+        assert.match(error.message, /receiver does not speak the stream protocol \(it answered with audio\/mpeg content type\)/);
+        assert.strictEqual(error.code, undefined);
+        return true;
+      }
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+[401, 403].forEach((status) => {
+  testEachHttpTransport(`HTTP ${status} is an auth rejection`, async (transport) => {
+    const server = await listen(transport, (request, response) => {
+      response.writeHead(status, { 'x-auth-error': 'STREAM_AUTH_EXPIRED' });
+      response.end();
+    });
+    try {
+      await assert.rejects(openTransport(server.url, transportOptions(transport, {})), (error) => {
+        assert.strictEqual(error.code, 'STREAM_AUTH_REJECTED');
+        assert.match(error.message, new RegExp(`refused the connection: HTTP ${status} \\[STREAM_AUTH_EXPIRED\\]`));
+        return true;
+      });
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+testEachHttpTransport('other refusals keep no auth code', async (transport) => {
+  const server = await listen(transport, (request, response) => {
+    response.writeHead(503);
+    response.end();
+  });
+  try {
+    await assert.rejects(openTransport(server.url, transportOptions(transport, {})), (error) => {
+      assert.match(error.message, /refused the connection: HTTP 503$/);
+      assert.strictEqual(error.code, undefined);
+      return true;
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a WebSocket upgrade answered with 401 is an auth rejection', async () => {
+  const server = new WebSocket.Server({
+    host: '127.0.0.1',
+    port: 0,
+    verifyClient: (info, done) => done(false, 401, 'Unauthorized', { 'X-Auth-Error': 'STREAM_AUTH_BAD_TOKEN' })
+  });
+  await new Promise((resolve) => server.on('listening', resolve));
+  try {
+    await assert.rejects(openTransport(`ws://127.0.0.1:${server.address().port}`, transportOptions('websocket', {})), (error) => {
+      assert.strictEqual(error.code, 'STREAM_AUTH_REJECTED');
+      assert.match(error.message, /WebSocket server refused the connection: HTTP 401 \[STREAM_AUTH_BAD_TOKEN\]/);
+      return true;
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+testEachHttpTransport('a receiver that never answers times out', async (transport) => {
+  const requests = [];
+  // Takes the request and never responds
+  const server = await listen(transport, (request) => requests.push(request));
+  try {
+    const startedAt = Date.now();
+    await assert.rejects(
+      openTransport(server.url, { ...transportOptions(transport, {}), connectTimeoutMs: 100 }),
+      new RegExp(`^Error: HTTP/${transport === 'http2' ? '2' : '1\\.1'} connection timeout after 100ms$`)
+    );
+    assert.ok(Date.now() - startedAt >= 90, `gave up after ${Date.now() - startedAt}ms`);
+    assert.strictEqual(requests.length, 1);
+
+    // Nothing is left open to the receiver
+    if (transport === 'http2') {
+      await waitFor(() => server.sessions[0].closed || server.sessions[0].destroyed, 'the HTTP/2 session to close');
+    } else {
+      await waitFor(() => requests[0].socket.destroyed, 'the socket to close');
+    }
+  } finally {
+    await server.close();
+  }
+});
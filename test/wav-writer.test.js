@@ -0,0 +1,118 @@
+/**
+ * WAV writer: finalizing and repairing recordings left unfinalized
+ */
+
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const {
+  WAV_HEADER_SIZE,
+  buildWavHeader,
+  createWavWriter,
+  writeWavData,
+  finalizeWavWriter,
+  repairUnfinalizedRecordings
+} = require('../src/audio/wav-writer');
+
+/**
+ * Run a case in a fresh temporary directory
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body, called with the directory
+ */
+function testInDir(name, fn) {
+  test(name, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wav-writer-'));
+    try {
+      await fn(dir);
+    } finally {
+      // fs.rmSync arrived in Node 14.14
+      (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+/**
+ * Write a WAV file as a crashed capture leaves it: placeholder header, then data
+ * @param {string} filePath - File path
+ * @param {number} dataBytes - PCM bytes after the header
+ */
+function writeCrashedRecording(filePath, dataBytes) {
+  fs.writeFileSync(filePath, Buffer.concat([buildWavHeader({}, 0), Buffer.alloc(dataBytes, 1)]));
+}
+
+/**
+ * Data chunk size in a WAV header
+ * @param {string} filePath - File path
+ * @returns {number} Size field
+ */
+function dataSize(filePath) {
+  return fs.readFileSync(filePath).readUInt32LE(40);
+}
+
+/**
+ * PID of a process that has already exited
+ * @returns {number} PID
+ */
+function deadPid() {
+  return Number(spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']).stdout.toString());
+}
+
+testInDir('a finalized recording has its sizes and no lock file', async (dir) => {
+  const filePath = path.join(dir, 'take.wav');
+  const writer = createWavWriter(filePath);
+  assert.strictEqual(fs.readFileSync(`${filePath}.lock`, 'utf8'), String(process.pid));
+
+  writeWavData(writer, Buffer.alloc(320));
+  assert.strictEqual(await finalizeWavWriter(writer), 320);
+  assert.strictEqual(fs.statSync(filePath).size, WAV_HEADER_SIZE + 320);
+  assert.strictEqual(dataSize(filePath), 320);
+  assert.ok(!fs.existsSync(`${filePath}.lock`));
+});
+
+testInDir('a recording left by a process that died is repaired however recent it is', async (dir) => {
+  const filePath = path.join(dir, 'crashed.wav');
+  writeCrashedRecording(filePath, 640);
+  fs.writeFileSync(`${filePath}.lock`, String(deadPid()));
+
+  assert.strictEqual(await repairUnfinalizedRecordings(dir), 1);
+  assert.strictEqual(dataSize(filePath), 640);
+  assert.ok(!fs.existsSync(`${filePath}.lock`));
+});
+
+testInDir('a lock with our own PID on a file we are not writing is stale', async (dir) => {
+  // A restarted container runs the capture under the same PID again
+  const filePath = path.join(dir, 'crashed.wav');
+  writeCrashedRecording(filePath, 160);
+  fs.writeFileSync(`${filePath}.lock`, String(process.pid));
+
+  assert.strictEqual(await repairUnfinalizedRecordings(dir), 1);
+  assert.strictEqual(dataSize(filePath), 160);
+});
+
+testInDir('a recording without a lock is repaired', async (dir) => {
+  const filePath = path.join(dir, 'old.wav');
+  writeCrashedRecording(filePath, 32);
+
+  assert.strictEqual(await repairUnfinalizedRecordings(dir), 1);
+  assert.strictEqual(dataSize(filePath), 32);
+});
+
+testInDir('recordings this process or another live one is writing are left alone', async (dir) => {
+  const ours = path.join(dir, 'ours.wav');
+  const writer = createWavWriter(ours);
+  writeWavData(writer, Buffer.alloc(64));
+
+  const theirs = path.join(dir, 'theirs.wav');
+  writeCrashedRecording(theirs, 64);
+  fs.writeFileSync(`${theirs}.lock`, String(process.ppid));
+
+  assert.strictEqual(await repairUnfinalizedRecordings(dir), 0);
+  assert.strictEqual(dataSize(theirs), 0);
+  assert.ok(fs.existsSync(`${theirs}.lock`));
+
+  await finalizeWavWriter(writer);
+  assert.strictEqual(dataSize(ours), 64);
+});
@@ -0,0 +1,296 @@
+/**
+ * Stream client against an in-process receiver: sequence numbers, capture
+ * timestamps, the replay after a reconnect, acks and flow control, over a
+ * WebSocket and, for frames and acks, HTTP/1.1 and HTTP/2 too
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('./harness');
+const { startReceiver, waitFor } = require('./stream-receiver');
+const { FRAME_FLAGS, createMessage } = require('../src/audio/stream-protocol');
+const {
+  CLIENT_STATES,
+  connectToWebSocket,
+  sendMetadata,
+  sendAudioChunk,
+  getStreamStats,
+  closeWebSocketConnection
+} = require('../src/audio/websocket-client');
+
+// Client settings that keep timers out of the way and reconnect quickly
+const CLIENT_OPTIONS = {
+  heartbeatIntervalMs: 60000,
+  statsIntervalMs: 0,
+  reconnectBaseMs: 10,
+  reconnectMaxMs: 20,
+  resumeTimeoutMs: 2000
+};
+
+/**
+ * Run a case over each transport
+ * @param {string} name - What the case checks
+ * @param {Function} fn - Case body, called with the transport
+ */
+function testEachTransport(name, fn) {
+  ['websocket', 'http', 'http2'].forEach((transport) => test(`${name} (${transport})`, () => fn(transport)));
+}
+
+testEachTransport('frames carry consecutive sequence numbers and their capture timestamps', async (transport) => {
+  const receiver = await startReceiver(undefined, transport);
+  const client = await connectToWebSocket(receiver.url, { ...CLIENT_OPTIONS, transport, reconnect: false });
+  try {
+    sendMetadata(client, { format: 'S16LE', sampleRate: 16000, channels: 1 });
+    for (let index = 0; index < 5; index++) {
+      assert.strictEqual(sendAudioChunk(client, Buffer.alloc(8, index), 1767225600000 + index * 20), true);
+    }
+
+    const [connection] = receiver.connections;
+    await waitFor(() => connection.frames.length === 5, 'five frames');
+    assert.deepStrictEqual(connection.frames.map((frame) => frame.sequence), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(connection.frames.map((frame) => frame.captureTimestamp), [0, 20, 40, 60, 80].map((ms) => 1767225600000 + ms));
+    assert.ok(connection.frames.every((frame) => frame.flags === 0));
+    assert.ok(connection.frames[3].payload.equals(Buffer.alloc(8, 3)));
+    assert.deepStrictEqual(connection.messages.map((message) => message.type), ['hello', 'metadata']);
+    assert.strictEqual(connection.messages[0].resume, false);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+testEachTransport('after a reconnect the frames the server missed are replayed as late', async (transport) => {
+  // The restarted receiver only got as far as frame 1
+  const receiver = await startReceiver((connection, hello) => {
+    if (hello.resume) {
+      connection.send(JSON.stringify(createMessage('hello', { role: 'server', lastReceivedSequence: 1 })));
+    }
+  }, transport);
+  const client = await connectToWebSocket(receiver.url, { ...CLIENT_OPTIONS, transport });
+  try {
+    sendMetadata(client, { format: 'S16LE', sampleRate: 16000, channels: 1 });
+    for (let sequence = 0; sequence < 3; sequence++) {
+      sendAudioChunk(client, Buffer.alloc(8, sequence), 1000 + sequence);
+    }
+    await waitFor(() => receiver.connections[0].frames.length === 3, 'the first three frames');
+
+    receiver.connections[0].terminate();
+    await waitFor(() => client.state !== CLIENT_STATES.OPEN, 'the client to notice the drop');
+    // Captured during the outage: spooled, not sent
+    assert.strictEqual(sendAudioChunk(client, Buffer.alloc(8, 3), 1003), false);
+    assert.strictEqual(sendAudioChunk(client, Buffer.alloc(8, 4), 1004), false);
+
+    await waitFor(() => client.state === CLIENT_STATES.OPEN, 'the stream to resume');
+    assert.strictEqual(sendAudioChunk(client, Buffer.alloc(8, 5), 1005), true);
+
+    const resumed = receiver.connections[1];
+    await waitFor(() => resumed.frames.length === 4, 'the replayed and live frames');
+    const hello = resumed.messages[0];
+    assert.strictEqual(hello.resume, true);
+    assert.strictEqual(hello.lastSequence, 4);
+    assert.strictEqual(hello.sessionId, receiver.connections[0].messages[0].sessionId);
+    // The format goes out again before any audio
+    assert.strictEqual(resumed.messages[1].type, 'metadata');
+
+    assert.deepStrictEqual(resumed.frames.map((frame) => frame.sequence), [2, 3, 4, 5]);
+    assert.deepStrictEqual(resumed.frames.map((frame) => frame.captureTimestamp), [1002, 1003, 1004, 1005]);
+    assert.deepStrictEqual(resumed.frames.map((frame) => Boolean(frame.flags & FRAME_FLAGS.LATE)), [true, true, true, false]);
+    resumed.frames.forEach((frame) => assert.ok(frame.payload.equals(Buffer.alloc(8, frame.sequence)), `payload of frame ${frame.sequence}`));
+
+    const stats = getStreamStats(client);
+    assert.strictEqual(stats.outages, 1);
+    assert.strictEqual(stats.framesReplayed, 3);
+    assert.strictEqual(stats.framesLost, 0);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+test('frames that already left the spool are counted as lost', async () => {
+  // This receiver has nothing from before the drop
+  const receiver = await startReceiver((connection, hello) => {
+    if (hello.resume) {
+      connection.send(JSON.stringify(createMessage('hello', { role: 'server', lastReceivedSequence: null })));
+    }
+  });
+  const client = await connectToWebSocket(receiver.url, { ...CLIENT_OPTIONS, spoolMaxBytes: 16 });
+  try {
+    for (let sequence = 0; sequence < 4; sequence++) {
+      sendAudioChunk(client, Buffer.alloc(8, sequence), 1000 + sequence);
+    }
+    await waitFor(() => receiver.connections[0].frames.length === 4, 'the first four frames');
+
+    receiver.connections[0].terminate();
+    await waitFor(() => client.state === CLIENT_STATES.OPEN && receiver.connections.length === 2, 'the stream to resume');
+
+    const resumed = receiver.connections[1];
+    await waitFor(() => resumed.frames.length === 2, 'the replayed frames');
+    assert.deepStrictEqual(resumed.frames.map((frame) => frame.sequence), [2, 3]);
+    assert.strictEqual(getStreamStats(client).framesLost, 2);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+/**
+ * Answer the client's hello as a receiver that sends acks
+ * @param {Object} connection - Receiver connection
+ */
+function helloWithAcks(connection) {
+  connection.send(JSON.stringify(createMessage('hello', { role: 'server', capabilities: ['ack'] })));
+}
+
+/**
+ * Send an ack from the receiver
+ * @param {Object} connection - Receiver connection
+ * @param {number} from - First sequence number covered
+ * @param {number} to - Last sequence number covered
+ */
+function ack(connection, from, to) {
+  connection.send(JSON.stringify(createMessage('ack', { from, to })));
+}
+
+/**
+ * Send a chunk and wait for the receiver to get it, so nothing is left in the socket buffer
+ * @param {Object} client - Stream client
+ * @param {Object} connection - Receiver connection
+ * @param {number} captureTimestamp - Capture time of the chunk
+ * @returns {Promise<void>}
+ */
+async function sendAndDeliver(client, connection, captureTimestamp) {
+  const expected = connection.frames.length + 1;
+  assert.strictEqual(sendAudioChunk(client, Buffer.alloc(1000), captureTimestamp), true);
+  await waitFor(() => connection.frames.length === expected, `frame ${expected - 1}`);
+}
+
+testEachTransport('acks release frames in flight and give the latency from capture', async (transport) => {
+  const receiver = await startReceiver(helloWithAcks, transport);
+  const client = await connectToWebSocket(receiver.url, { ...CLIENT_OPTIONS, transport, reconnect: false });
+  try {
+    await waitFor(() => getStreamStats(client).acks, 'the server hello');
+    const [connection] = receiver.connections;
+    for (let index = 0; index < 3; index++) {
+      await sendAndDeliver(client, connection, Date.now() - 100);
+    }
+    assert.strictEqual(getStreamStats(client).inFlightFrames, 3);
+    assert.strictEqual(getStreamStats(client).inFlightBytes, 3000);
+    assert.strictEqual(getStreamStats(client).latencyMs, null);
+
+    ack(connection, 0, 1);
+    await waitFor(() => getStreamStats(client).lastAckedSequence === 1, 'the first ack');
+    let stats = getStreamStats(client);
+    assert.strictEqual(stats.inFlightFrames, 1);
+    assert.strictEqual(stats.inFlightBytes, 1000);
+    assert.ok(stats.latencyMs.last >= 100, `latency ${stats.latencyMs.last}ms`);
+    assert.ok(stats.roundTripMs.last >= 0 && stats.roundTripMs.last < stats.latencyMs.last);
+
+    // Acked frames are not kept for replay either
+    assert.deepStrictEqual(client.spool.frames.map((frame) => frame.sequence), [2]);
+
+    ack(connection, 2, 2);
+    await waitFor(() => getStreamStats(client).lastAckedSequence === 2, 'the second ack');
+    stats = getStreamStats(client);
+    assert.strictEqual(stats.inFlightFrames, 0);
+    assert.strictEqual(stats.inFlightBytes, 0);
+    assert.strictEqual(stats.backlogFrames, 0);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+test('pause-and-spool holds audio while the window is full and sends it all once acked', async () => {
+  const congestion = [];
+  const receiver = await startReceiver(helloWithAcks);
+  const client = await connectToWebSocket(receiver.url, {
+    ...CLIENT_OPTIONS,
+    reconnect: false,
+    flowControl: 'pause-and-spool',
+    windowBytes: 2500,
+    onCongestion: (congested) => congestion.push(congested)
+  });
+  try {
+    await waitFor(() => getStreamStats(client).acks, 'the server hello');
+    const [connection] = receiver.connections;
+    for (let sequence = 0; sequence < 3; sequence++) {
+      await sendAndDeliver(client, connection, 1000 + sequence * 20);
+    }
+
+    for (let sequence = 3; sequence < 10; sequence++) {
+      assert.strictEqual(sendAudioChunk(client, Buffer.alloc(1000), 1000 + sequence * 20), false, `frame ${sequence} sent`);
+    }
+    assert.deepStrictEqual(congestion, [true]);
+    assert.strictEqual(getStreamStats(client).backlogFrames, 7);
+
+    // Each ack lets the window's worth of waiting frames out, in order
+    ack(connection, 0, 2);
+    await waitFor(() => connection.frames.length === 6, 'frames 3 to 5');
+    ack(connection, 3, 5);
+    await waitFor(() => connection.frames.length === 9, 'frames 6 to 8');
+    ack(connection, 6, 8);
+    await waitFor(() => connection.frames.length === 10, 'frame 9');
+
+    assert.deepStrictEqual(connection.frames.map((frame) => frame.sequence), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepStrictEqual(congestion, [true, false]);
+    const stats = getStreamStats(client);
+    assert.strictEqual(stats.framesDropped, 0);
+    assert.strictEqual(stats.backlogFrames, 0);
+    assert.strictEqual(stats.congestionEvents, 1);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+test('drop-oldest skips audio that waited longer than maxBacklogMs', async () => {
+  const receiver = await startReceiver(helloWithAcks);
+  const client = await connectToWebSocket(receiver.url, {
+    ...CLIENT_OPTIONS,
+    reconnect: false,
+    flowControl: 'drop-oldest',
+    windowBytes: 2500,
+    maxBacklogMs: 40
+  });
+  try {
+    await waitFor(() => getStreamStats(client).acks, 'the server hello');
+    const [connection] = receiver.connections;
+    for (let sequence = 0; sequence < 3; sequence++) {
+      await sendAndDeliver(client, connection, 1000 + sequence * 20);
+    }
+
+    // Frames are 20ms apart, so only the last three are within 40ms of the newest
+    for (let sequence = 3; sequence < 10; sequence++) {
+      sendAudioChunk(client, Buffer.alloc(1000), 1000 + sequence * 20);
+    }
+    ack(connection, 0, 2);
+    await waitFor(() => connection.frames.length === 6, 'the frames kept');
+
+    assert.deepStrictEqual(connection.frames.map((frame) => frame.sequence), [0, 1, 2, 7, 8, 9]);
+    assert.deepStrictEqual(connection.frames.slice(3).map((frame) => frame.captureTimestamp), [1140, 1160, 1180]);
+    const stats = getStreamStats(client);
+    assert.strictEqual(stats.framesDropped, 4);
+    assert.strictEqual(stats.backlogFrames, 0);
+  } finally {
+    await closeWebSocketConnection(client);
+    await receiver.close();
+  }
+});
+
+test('an HTTP receiver that does not speak the stream protocol is refused', async () => {
+  // A plain audio receiver: it takes the POST and answers as if all is well
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'content-type': 'text/plain' });
+    response.end('ok');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await assert.rejects(
+      connectToWebSocket(`http://127.0.0.1:${server.address().port}/stream`, { ...CLIENT_OPTIONS, transport: 'http', reconnect: false }),
+      /does not speak the stream protocol \(it answered with text\/plain content type\)/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});